@@ -0,0 +1,31 @@
+/**
+ * Run the local mock Worldline API
+ *
+ * Stands in for the Worldline Server API and Client API when there are no sandbox
+ * credentials or no network. Payment outcomes follow the test cards in src/utils/testCards.js.
+ *
+ * Run: npm run mock:worldline
+ * Then start the backend with ANZ_WORLDLINE_API_URL=http://localhost:3100 (any PSPID / API key values work).
+ */
+
+import dotenv from 'dotenv'
+import { createMockWorldline } from '../server/mockWorldline.js'
+import { testCards } from '../src/utils/testCards.js'
+
+dotenv.config({ path: '.env.local' })
+
+const PORT = process.env.MOCK_WORLDLINE_PORT || 3100
+const TIMEOUT_MS = parseInt(process.env.MOCK_WORLDLINE_TIMEOUT_MS || '30000')
+const SESSION_TTL_SECONDS = parseInt(process.env.MOCK_WORLDLINE_SESSION_TTL_SECONDS || '3600')
+
+const app = createMockWorldline({ cards: testCards, timeoutMs: TIMEOUT_MS, sessionTtlMs: SESSION_TTL_SECONDS * 1000 })
+
+app.listen(PORT, () => {
+  console.log(`\n🧪 Mock Worldline API running on http://localhost:${PORT}`)
+  console.log(`   Point the backend at it: ANZ_WORLDLINE_API_URL=http://localhost:${PORT}`)
+  console.log('\n   Test card outcomes:')
+  for (const card of testCards) {
+    console.log(`   - ${card.number.padEnd(19)} ${card.outcome.padEnd(8)} ${card.name}`)
+  }
+  console.log('   - any other card      approve\n')
+})
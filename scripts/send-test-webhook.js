@@ -0,0 +1,36 @@
+/**
+ * Send a locally signed sample webhook to the backend
+ *
+ * Signs the payload the same way Worldline does (HMAC-SHA256 over the raw body,
+ * base64 encoded) with the webhook key from .env.local.
+ *
+ * Run: npm run webhook:test -- [eventType] [paymentId]
+ * Example: npm run webhook:test -- payment.refunded 3068938405_0
+ */
+
+import dotenv from 'dotenv'
+import { sampleWebhookEvent, signWebhook } from '../server/testWebhook.js'
+
+dotenv.config({ path: '.env.local' })
+
+const KEY_ID = process.env.ANZ_WORLDLINE_WEBHOOK_KEY_ID
+const SECRET = process.env.ANZ_WORLDLINE_WEBHOOK_SECRET
+const PORT = process.env.SERVER_PORT || 3000
+
+if (!KEY_ID || !SECRET) {
+  console.error('❌ ANZ_WORLDLINE_WEBHOOK_KEY_ID and ANZ_WORLDLINE_WEBHOOK_SECRET must be set in .env.local')
+  process.exit(1)
+}
+
+const [eventType = 'payment.captured', paymentId = '3068938405_0'] = process.argv.slice(2)
+
+const event = sampleWebhookEvent({ eventType, paymentId, merchantId: process.env.ANZ_WORLDLINE_PSPID || 'test-merchant' })
+const body = JSON.stringify(event)
+
+const response = await fetch(`http://localhost:${PORT}/api/webhooks/worldline`, {
+  method: 'POST',
+  headers: signWebhook(body, KEY_ID, SECRET),
+  body
+})
+
+console.log(`Sent ${eventType} (${event.id}) → ${response.status}`, await response.json())
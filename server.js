@@ -5,35 +5,151 @@
  *
  * Run: npm run server
  * Server: http://localhost:3000
+ *
+ * createApp() builds the Express app without listening, so tests can inject
+ * a fake SDK client, ledger and webhook store.
  */
 
+import crypto from 'crypto'
 import express from 'express'
 import cors from 'cors'
 import dotenv from 'dotenv'
-import { init } from 'onlinepayments-sdk-nodejs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { init, webhooks } from 'onlinepayments-sdk-nodejs'
+import { authenticate, createTokenAuthenticator, isOperator, requireUser, ROLES, SESSION_COOKIE, signToken, USER_ID_PATTERN } from './server/auth.js'
+import { createCardStore } from './server/cardStore.js'
+import { createWebhookStore } from './server/webhookStore.js'
+import { createIdempotencyStore, idempotent } from './server/idempotency.js'
+import { createLedger } from './server/ledger.js'
+import { logger, LOG_LEVELS, REQUEST_ID_HEADER, requestLogging, sdkLogger } from './server/logger.js'
+import { parseOrderDetails } from './server/orderDetails.js'
+import { createMemoryRateLimitStore, createRateLimiter, limitPayments, limitSessions, paymentSubjects, tooManyRequests } from './server/rateLimit.js'
+import { checkPaymentProductFilters, parseSessionContext } from './server/sessionContext.js'
+import { billingDate, createSubscriptionScheduler, createSubscriptionStore, INTERVALS, SUBSCRIPTION_STATUSES } from './server/subscriptions.js'
+import { COUNTRIES, CURRENCIES, exponent, formatAmount, isSupportedCurrency } from './src/utils/currency.js'
 
 dotenv.config({ path: '.env.local' })
 
-const app = express()
+// Log level: debug also logs every Worldline API call (redacted)
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info'
+
+if (!LOG_LEVELS.includes(LOG_LEVEL)) {
+  throw new Error(`Invalid LOG_LEVEL: ${LOG_LEVEL} (expected ${LOG_LEVELS.join(', ')})`)
+}
+logger.setLevel(LOG_LEVEL)
 
-// CORS Configuration
+// CORS Configuration - credentials are allowed so the session cookie is sent along
 const CORS_ORIGIN = process.env.CORS_ORIGIN
-const corsOptions = CORS_ORIGIN
-  ? {
-      origin: CORS_ORIGIN.split(',').map(origin => origin.trim()),
-      credentials: true,
-      methods: ['GET', 'POST', 'OPTIONS'],
-      allowedHeaders: ['Content-Type']
-    }
-  : { origin: '*' } // Development: allow all origins
+const corsOptions = {
+  // Only the listed frontends - unset, no cross-origin requests are allowed at all
+  origin: CORS_ORIGIN ? CORS_ORIGIN.split(',').map(origin => origin.trim()) : false,
+  credentials: true,
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', REQUEST_ID_HEADER],
+  exposedHeaders: ['Idempotent-Replayed', REQUEST_ID_HEADER, 'Retry-After']
+}
+
+// Key that signs and verifies the JWTs users sign in with (HS256) - shared with whatever
+// issues them. Without one, a random key is used and sessions end when the server restarts.
+const AUTH_SECRET = process.env.AUTH_SECRET
+
+if (AUTH_SECRET !== undefined && AUTH_SECRET.length < 32) {
+  throw new Error('Invalid AUTH_SECRET: too short (expected at least 32 characters)')
+}
 
-app.use(cors(corsOptions))
-app.use(express.json())
+const AUTH_SIGNING_KEY = AUTH_SECRET || crypto.randomBytes(32).toString('hex')
+
+// POST /api/auth/dev-login signs anyone in as any customer or operator - development only
+const AUTH_DEV_LOGIN = process.env.AUTH_DEV_LOGIN === 'true'
+
+if (AUTH_DEV_LOGIN && process.env.NODE_ENV === 'production') {
+  throw new Error('Invalid AUTH_DEV_LOGIN: true (expected it to be off when NODE_ENV is production)')
+}
+
+// How long a dev login session lasts
+const AUTH_SESSION_TTL_SECONDS = parseInt(process.env.AUTH_SESSION_TTL_SECONDS || '28800')
 
 const ANZ_WORLDLINE_PSPID = process.env.ANZ_WORLDLINE_PSPID
 const ANZ_WORLDLINE_API_KEY_ID = process.env.ANZ_WORLDLINE_API_KEY_ID
 const ANZ_WORLDLINE_API_SECRET_KEY = process.env.ANZ_WORLDLINE_API_SECRET_KEY
 const ANZ_WORLDLINE_API_URL = process.env.ANZ_WORLDLINE_API_URL || 'https://payment.preprod.anzworldline-solutions.com.au'
+const ANZ_WORLDLINE_WEBHOOK_KEY_ID = process.env.ANZ_WORLDLINE_WEBHOOK_KEY_ID
+const ANZ_WORLDLINE_WEBHOOK_SECRET = process.env.ANZ_WORLDLINE_WEBHOOK_SECRET
+// Events created longer ago than this are treated as replays (Worldline retries for up to a day)
+const ANZ_WORLDLINE_WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.ANZ_WORLDLINE_WEBHOOK_TOLERANCE_SECONDS || '86400')
+const DATA_DIR = process.env.DATA_DIR || 'data'
+// Worldline doesn't say when a client session expires - /api/session tells the frontend to
+// replace it after this long, which must stay below the session lifetime of the account
+const ANZ_WORLDLINE_SESSION_TTL_SECONDS = parseInt(process.env.ANZ_WORLDLINE_SESSION_TTL_SECONDS || '900')
+
+// Capture mode: 'auto' captures as soon as a payment is authorized,
+// 'manual' leaves it authorized until /api/payments/:paymentId/capture is called
+const CAPTURE_MODES = ['auto', 'manual']
+const MERCHANT_CUSTOMER_ID_MAX_LENGTH = 15
+const ANZ_WORLDLINE_CAPTURE_MODE = process.env.ANZ_WORLDLINE_CAPTURE_MODE || 'auto'
+
+if (!CAPTURE_MODES.includes(ANZ_WORLDLINE_CAPTURE_MODE)) {
+  throw new Error(`Invalid ANZ_WORLDLINE_CAPTURE_MODE: ${ANZ_WORLDLINE_CAPTURE_MODE} (expected ${CAPTURE_MODES.join(' or ')})`)
+}
+
+// Payment products checkout pages may offer (comma-separated IDs) - unset allows every product on the account
+const ANZ_WORLDLINE_ALLOWED_PAYMENT_PRODUCTS = (process.env.ANZ_WORLDLINE_ALLOWED_PAYMENT_PRODUCTS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean)
+  .map(Number)
+
+if (!ANZ_WORLDLINE_ALLOWED_PAYMENT_PRODUCTS.every(id => Number.isInteger(id) && id > 0)) {
+  throw new Error(`Invalid ANZ_WORLDLINE_ALLOWED_PAYMENT_PRODUCTS: ${process.env.ANZ_WORLDLINE_ALLOWED_PAYMENT_PRODUCTS} (expected payment product IDs, e.g. 1,2,3)`)
+}
+
+// Subscriptions: days to wait before each retry of a declined charge (dunning) - the subscription
+// is cancelled when the last retry is declined too. Empty cancels on the first decline.
+const SUBSCRIPTION_RETRY_DAYS = (process.env.SUBSCRIPTION_RETRY_DAYS ?? '1,3,5')
+  .split(',')
+  .map(days => days.trim())
+  .filter(Boolean)
+  .map(Number)
+
+if (!SUBSCRIPTION_RETRY_DAYS.every(days => days > 0)) {
+  throw new Error(`Invalid SUBSCRIPTION_RETRY_DAYS: ${process.env.SUBSCRIPTION_RETRY_DAYS} (expected days between retries, e.g. 1,3,5)`)
+}
+
+// How often the subscription scheduler looks for due charges
+const SUBSCRIPTION_SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.SUBSCRIPTION_SCHEDULER_INTERVAL_SECONDS || '60')
+
+// Card testing protection: requests per IP address / customer in each window, and the
+// declines per card, customer or IP address that lock it out for a while. 0 turns a limit off.
+const RATE_LIMIT_SETTINGS = {
+  RATE_LIMIT_WINDOW_SECONDS: process.env.RATE_LIMIT_WINDOW_SECONDS || '900',
+  RATE_LIMIT_SESSIONS_PER_IP: process.env.RATE_LIMIT_SESSIONS_PER_IP || '30',
+  RATE_LIMIT_PAYMENTS_PER_IP: process.env.RATE_LIMIT_PAYMENTS_PER_IP || '20',
+  RATE_LIMIT_PAYMENTS_PER_CUSTOMER: process.env.RATE_LIMIT_PAYMENTS_PER_CUSTOMER || '10',
+  RATE_LIMIT_DECLINES: process.env.RATE_LIMIT_DECLINES || '5',
+  RATE_LIMIT_DECLINE_WINDOW_SECONDS: process.env.RATE_LIMIT_DECLINE_WINDOW_SECONDS || '3600',
+  RATE_LIMIT_LOCKOUT_SECONDS: process.env.RATE_LIMIT_LOCKOUT_SECONDS || '3600'
+}
+
+for (const [name, value] of Object.entries(RATE_LIMIT_SETTINGS)) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${name}: ${value} (expected a whole number, 0 to turn it off)`)
+  }
+}
+
+const RATE_LIMITS = {
+  windowMs: Number(RATE_LIMIT_SETTINGS.RATE_LIMIT_WINDOW_SECONDS) * 1000,
+  sessionsPerIp: Number(RATE_LIMIT_SETTINGS.RATE_LIMIT_SESSIONS_PER_IP),
+  paymentsPerIp: Number(RATE_LIMIT_SETTINGS.RATE_LIMIT_PAYMENTS_PER_IP),
+  paymentsPerCustomer: Number(RATE_LIMIT_SETTINGS.RATE_LIMIT_PAYMENTS_PER_CUSTOMER),
+  declines: Number(RATE_LIMIT_SETTINGS.RATE_LIMIT_DECLINES),
+  declineWindowMs: Number(RATE_LIMIT_SETTINGS.RATE_LIMIT_DECLINE_WINDOW_SECONDS) * 1000,
+  lockoutMs: Number(RATE_LIMIT_SETTINGS.RATE_LIMIT_LOCKOUT_SECONDS) * 1000
+}
+
+// Behind a reverse proxy the client's IP address is in X-Forwarded-For - set to the
+// number of proxies (or an Express trust proxy value), or every client shares one limit
+const TRUST_PROXY = process.env.TRUST_PROXY
 
 // Parse API URL to extract host, scheme, and port
 function parseApiUrl(urlString) {
@@ -45,215 +161,2363 @@ function parseApiUrl(urlString) {
       port: url.port ? parseInt(url.port) : (url.protocol === 'https:' ? 443 : 80)
     }
   } catch (error) {
-    console.error('Invalid ANZ_WORLDLINE_API_URL:', urlString)
+    logger.error('Invalid ANZ_WORLDLINE_API_URL', { url: urlString })
     throw new Error('Invalid ANZ_WORLDLINE_API_URL format')
   }
 }
 
 const apiUrlConfig = parseApiUrl(ANZ_WORLDLINE_API_URL)
 
-// Initialize SDK client once at startup
-const client = init({
-  apiKeyId: ANZ_WORLDLINE_API_KEY_ID,
-  secretApiKey: ANZ_WORLDLINE_API_SECRET_KEY,
-  host: apiUrlConfig.host,
-  scheme: apiUrlConfig.scheme,
-  port: apiUrlConfig.port,
-  integrator: 'ANZWorldlinePaymentApp/1.0',
-  enableLogging: true
-})
-
-// ============================================================================
-// POST /api/session - Create ANZ Worldline Client Session
-// ============================================================================
-
-app.post('/api/session', async (req, res) => {
-  try {
-    if (!ANZ_WORLDLINE_PSPID || !ANZ_WORLDLINE_API_KEY_ID || !ANZ_WORLDLINE_API_SECRET_KEY) {
-      return res.status(500).json({
-        error: 'Missing credentials',
-        message: 'ANZ_WORLDLINE_PSPID, ANZ_WORLDLINE_API_KEY_ID, or ANZ_WORLDLINE_API_SECRET_KEY not configured in .env.local'
+// Where the customer comes back to after 3-D Secure or the Hosted Checkout payment page
+const ANZ_WORLDLINE_RETURN_URL = process.env.ANZ_WORLDLINE_RETURN_URL || 'http://localhost:5173/'
+
+/**
+ * Create the Worldline SDK client for the configured API endpoint
+ */
+export function createWorldlineClient() {
+  return init({
+    apiKeyId: ANZ_WORLDLINE_API_KEY_ID,
+    secretApiKey: ANZ_WORLDLINE_API_SECRET_KEY,
+    host: apiUrlConfig.host,
+    scheme: apiUrlConfig.scheme,
+    port: apiUrlConfig.port,
+    integrator: 'ANZWorldlinePaymentApp/1.0',
+    // Request and response logging goes through our logger, redacted, at debug level
+    enableLogging: logger.isLevelEnabled('debug'),
+    logger: sdkLogger(logger)
+  })
+}
+
+/**
+ * Create the Express app
+ *
+ * @param {Object} deps
+ * @param {Object} deps.client - Worldline SDK client (defaults to one for the configured endpoint)
+ * @param {Object} deps.ledger - Transaction ledger; every authorization, capture, cancel, refund, decline and 3DS attempt is recorded here
+ * @param {Object} deps.webhookStore - Store for verified webhook events
+ * @param {number[]} deps.allowedProductIds - Payment products sessions may offer (defaults to ANZ_WORLDLINE_ALLOWED_PAYMENT_PRODUCTS)
+ * @param {Object} deps.subscriptionStore - Store for recurring billing subscriptions
+ * @param {Object} deps.rateLimitStore - Counters for rate limits and decline lockouts (in memory by default)
+ * @param {Object} deps.rateLimits - Request limits and decline velocity (defaults to the RATE_LIMIT_* settings)
+ * @param {Object} deps.cardStore - Which users saved which card tokens
+ * @param {string} deps.authSecret - Key the default authenticator verifies JWTs with (defaults to AUTH_SECRET)
+ * @param {Function} deps.authenticator - (req) => { id, role } or null - who sent a request (defaults to JWTs signed with authSecret)
+ * @param {boolean} deps.devLogin - Offer POST /api/auth/dev-login (defaults to AUTH_DEV_LOGIN)
+ * @returns {express.Express} - app.locals.subscriptionScheduler charges due subscriptions once started
+ */
+export function createApp({
+  client = createWorldlineClient(),
+  ledger = createLedger(path.join(DATA_DIR, 'ledger.jsonl')),
+  webhookStore = createWebhookStore(path.join(DATA_DIR, 'webhook-events.jsonl')),
+  allowedProductIds = ANZ_WORLDLINE_ALLOWED_PAYMENT_PRODUCTS,
+  subscriptionStore = createSubscriptionStore(path.join(DATA_DIR, 'subscriptions.jsonl')),
+  rateLimitStore = createMemoryRateLimitStore(),
+  rateLimits = RATE_LIMITS,
+  cardStore = createCardStore(path.join(DATA_DIR, 'cards.jsonl')),
+  authSecret = AUTH_SIGNING_KEY,
+  authenticator = createTokenAuthenticator({ secret: authSecret }),
+  devLogin = AUTH_DEV_LOGIN
+} = {}) {
+  const app = express()
+
+  if (TRUST_PROXY) {
+    const hops = /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : null
+    app.set('trust proxy', TRUST_PROXY === 'true' ? true : hops ?? TRUST_PROXY)
+  }
+
+  app.use(cors(corsOptions))
+  // Keep the raw body around - webhook signatures are computed over the exact bytes received
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf
+    }
+  }))
+  // Request IDs for the log - after the body parser, which would lose the request's context
+  app.use(requestLogging(logger))
+
+  // Who sent the request (req.user) - every route but the webhook needs someone signed in,
+  // capturing, cancelling and refunding needs an operator
+  app.use(authenticate(authenticator))
+  const signedIn = requireUser()
+  const operatorOnly = requireUser('operator')
+
+  // Customers only see their own payments and subscriptions - operators see everyone's
+  const ownsPayment = (user, paymentId) => isOperator(user) || ledger.getPayment(paymentId)?.ownerId === user.id
+  const ownsSubscription = (user, subscription) => isOperator(user) || subscription.ownerId === user.id
+
+  // Card testing protection for the routes that create sessions and charge or verify cards
+  const rateLimiter = createRateLimiter({ store: rateLimitStore, limits: rateLimits })
+  const sessionLimit = limitSessions(rateLimiter)
+  const paymentLimit = limitPayments(rateLimiter)
+
+  // ============================================================================
+  // Sign-in: GET /api/auth/me, POST /api/auth/dev-login, POST /api/auth/logout
+  // ============================================================================
+  // Users sign in wherever the merchant's accounts live, which issues the JWT (sent
+  // as a bearer token or in the session cookie). In development, dev-login stands
+  // in for that and sets the cookie itself.
+
+  const sessionCookieOptions = (req) => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/'
+  })
+
+  app.get('/api/auth/me', (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Sign in to continue',
+        devLogin
+      })
+    }
+    res.json({ user: req.user })
+  })
+
+  app.post('/api/auth/dev-login', (req, res) => {
+    if (!devLogin) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Dev login is off - set AUTH_DEV_LOGIN=true to use it'
+      })
+    }
+
+    const { userId, role = 'customer' } = req.body || {}
+    if (typeof userId !== 'string' || !USER_ID_PATTERN.test(userId) || !ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid sign-in',
+        message: `userId must be 1-64 letters, digits or - _ . : @ and role one of: ${ROLES.join(', ')}`
       })
     }
 
-    console.log(`Creating session for PSPID: ${ANZ_WORLDLINE_PSPID}`)
-    console.log(`Using API endpoint: ${apiUrlConfig.scheme}://${apiUrlConfig.host}:${apiUrlConfig.port}`)
+    const token = signToken({ sub: userId, role }, authSecret, { expiresInSeconds: AUTH_SESSION_TTL_SECONDS })
+    res.cookie(SESSION_COOKIE, token, { ...sessionCookieOptions(req), maxAge: AUTH_SESSION_TTL_SECONDS * 1000 })
+    logger.info('Dev login', { userId, role })
+    res.json({
+      user: { id: userId, role },
+      expiresAt: new Date(Date.now() + AUTH_SESSION_TTL_SECONDS * 1000).toISOString()
+    })
+  })
 
-    // Create session using SDK
-    const sdkResponse = await client.sessions.createSession(ANZ_WORLDLINE_PSPID, {})
+  app.post('/api/auth/logout', (req, res) => {
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions(req))
+    res.json({ success: true })
+  })
 
-    console.log('SDK Response:', sdkResponse)
+  // ============================================================================
+  // POST /api/session - Create ANZ Worldline Client Session
+  // ============================================================================
+  // The body is the checkout's context: country, currency and amount (must be ones
+  // we sell in), the customer's saved card tokens (listed by the Client API as
+  // accounts on file) and payment product filters (checked against the allowlist
+  // and returned for the frontend to apply). Tokens Worldline no longer knows come
+  // back in invalidTokens, tokens of cards the user didn't save in foreignTokens.
 
-    // Check if session creation was successful
-    if (sdkResponse.isSuccess) {
-      console.log('✅ Session created successfully')
-      res.json({
-        clientSessionId: sdkResponse.body.clientSessionId,
-        customerId: sdkResponse.body.customerId,
-        clientApiUrl: sdkResponse.body.clientApiUrl,
-        assetUrl: sdkResponse.body.assetUrl,
-      })
-    } else {
-      console.error('❌ Session creation failed:', sdkResponse.status, sdkResponse.body)
-      res.status(sdkResponse.status).json({
+  app.post('/api/session', signedIn, sessionLimit, async (req, res) => {
+    try {
+      if (!ANZ_WORLDLINE_PSPID || !ANZ_WORLDLINE_API_KEY_ID || !ANZ_WORLDLINE_API_SECRET_KEY) {
+        return res.status(500).json({
+          error: 'Missing credentials',
+          message: 'ANZ_WORLDLINE_PSPID, ANZ_WORLDLINE_API_KEY_ID, or ANZ_WORLDLINE_API_SECRET_KEY not configured in .env.local'
+        })
+      }
+
+      const sessionContext = parseSessionContext(req.body, { allowedProductIds })
+      if (sessionContext.error) {
+        const { status, ...error } = sessionContext.error
+        return res.status(status).json(error)
+      }
+
+      // Only the user's own cards are listed as accounts on file
+      const { tokens = [], ...sessionRequest } = sessionContext.sessionRequest
+      const ownTokens = tokens.filter(tokenId => cardStore.owns(req.user.id, tokenId))
+      const foreignTokens = tokens.filter(tokenId => !ownTokens.includes(tokenId))
+
+      logger.info('Creating session', { pspid: ANZ_WORLDLINE_PSPID })
+
+      // Create session using SDK
+      const sdkResponse = await client.sessions.createSession(
+        ANZ_WORLDLINE_PSPID,
+        ownTokens.length > 0 ? { ...sessionRequest, tokens: ownTokens } : sessionRequest
+      )
+
+      // Check if session creation was successful
+      if (sdkResponse.isSuccess) {
+        logger.info('Session created')
+        res.json({
+          clientSessionId: sdkResponse.body.clientSessionId,
+          customerId: sdkResponse.body.customerId,
+          clientApiUrl: sdkResponse.body.clientApiUrl,
+          assetUrl: sdkResponse.body.assetUrl,
+          expiresAt: new Date(Date.now() + ANZ_WORLDLINE_SESSION_TTL_SECONDS * 1000).toISOString(),
+          invalidTokens: sdkResponse.body.invalidTokens || [],
+          foreignTokens,
+          paymentProductFilters: sessionContext.paymentProductFilters,
+        })
+      } else {
+        logger.error('Session creation failed', { status: sdkResponse.status, body: sdkResponse.body })
+        res.status(sdkResponse.status).json({
+          error: 'Failed to create session',
+          details: sdkResponse.body
+        })
+      }
+    } catch (error) {
+      logger.error('Session creation error', { error })
+      res.status(500).json({
         error: 'Failed to create session',
-        details: sdkResponse.body
+        message: error.message || error.toString()
       })
     }
-  } catch (error) {
-    console.error('❌ Session creation error:', error.message)
-    console.error('Full error:', error)
-    res.status(500).json({
-      error: 'Failed to create session',
-      message: error.message || error.toString()
+  })
+
+  // ============================================================================
+  // POST /api/process-payment - Process Payment with Stored Token
+  // ============================================================================
+  // Charges either a saved card (token - a Worldline token ID from /api/tokens)
+  // or a one-off encrypted card (cardToken - encryptor.encrypt() output)
+
+  // Responses by Idempotency-Key, so a double submit or retry never charges twice
+  const paymentIdempotencyStore = createIdempotencyStore()
+
+  // Capture mode of payments waiting on 3-D Secure, so the return can finish them the same way,
+  // and the rate limit subjects of the charge, so a failed authentication counts as its decline
+  const pendingAuthentications = new Map()
+  const PENDING_AUTHENTICATION_TTL_MS = 60 * 60 * 1000
+
+  // Build order.customer.device from the browser data the frontend collected
+  // plus the headers of the request itself (3-D Secure 2 needs both)
+  function buildCustomerDevice(req, browserData = {}) {
+    return {
+      acceptHeader: req.get('accept'),
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+      locale: typeof browserData.locale === 'string' ? browserData.locale : undefined,
+      timezoneOffsetUtcMinutes: browserData.timezoneOffsetUtcMinutes !== undefined
+        ? String(browserData.timezoneOffsetUtcMinutes)
+        : undefined,
+      browserData: {
+        colorDepth: Number.isInteger(browserData.colorDepth) ? browserData.colorDepth : undefined,
+        javaEnabled: !!browserData.javaEnabled,
+        javaScriptEnabled: true,
+        screenHeight: browserData.screenHeight !== undefined ? String(browserData.screenHeight) : undefined,
+        screenWidth: browserData.screenWidth !== undefined ? String(browserData.screenWidth) : undefined
+      }
+    }
+  }
+
+  // Our customer ID on a payment (order.customer.merchantCustomerId) - the signed-in user, so fraud
+  // screening and reconciliation see one customer across cards and sessions. Worldline takes up to
+  // 15 characters; longer user IDs are left off rather than cut short into someone else's.
+  function merchantCustomer(userId) {
+    return userId && userId.length <= MERCHANT_CUSTOMER_ID_MAX_LENGTH ? { merchantCustomerId: userId } : {}
+  }
+
+  // Auto-capture an authorized payment (auto capture mode) and build the response for the frontend
+  async function settlePayment(paymentData, captureMode) {
+    const paymentId = paymentData.id
+    const paymentStatus = paymentData.status
+    const cardNumber = paymentData.paymentOutput?.cardPaymentMethodSpecificOutput?.card?.cardNumber || 'N/A'
+
+    // Auto-capture the payment if it's in PENDING_CAPTURE status
+    if (paymentStatus !== 'PENDING_CAPTURE' || captureMode !== 'auto') {
+      return {
+        success: true,
+        paymentId: paymentId,
+        status: paymentStatus,
+        captureMode: captureMode,
+        cardNumber: cardNumber
+      }
+    }
+
+    try {
+      logger.info('Capturing payment', { paymentId })
+      // Capture with the full authorized amount
+      const captureResponse = await client.payments.capturePayment(
+        ANZ_WORLDLINE_PSPID,
+        paymentId,
+        {
+          amount: paymentData.paymentOutput?.amountOfMoney?.amount
+        }
+      )
+
+      if (captureResponse.isSuccess) {
+        const capturedData = Object.assign({}, captureResponse.body)
+        const capturedStatus = capturedData.status
+        logger.info('Payment captured', { paymentId, status: capturedStatus })
+        ledger.record({
+          type: 'capture',
+          paymentId: paymentId,
+          captureId: capturedData.id,
+          amount: paymentData.paymentOutput?.amountOfMoney?.amount,
+          status: capturedStatus,
+          remaining: 0
+        })
+
+        return {
+          success: true,
+          paymentId: paymentId,
+          status: capturedStatus,
+          captureMode: captureMode,
+          cardNumber: capturedData.captureOutput?.cardPaymentMethodSpecificOutput?.card?.cardNumber || cardNumber
+        }
+      }
+
+      logger.error('Payment capture failed', { paymentId, status: captureResponse.status, body: captureResponse.body })
+      return {
+        success: true,
+        paymentId: paymentId,
+        status: 'AUTHORIZED_PENDING_CAPTURE',
+        captureMode: captureMode,
+        cardNumber: cardNumber,
+        note: 'Payment authorized but capture pending'
+      }
+    } catch (captureError) {
+      logger.error('Capture error', { error: captureError })
+      // Return success even if capture fails - payment is authorized
+      return {
+        success: true,
+        paymentId: paymentId,
+        status: 'AUTHORIZED_PENDING_CAPTURE',
+        captureMode: captureMode,
+        cardNumber: cardNumber
+      }
+    }
+  }
+
+  // Cancel an authorization that is refused after Worldline made it (e.g. on a locked out card) -
+  // recorded as declined; when the cancel fails the authorization is left to expire
+  async function cancelRefusedPayment(paymentData, order) {
+    const cancelResponse = await client.payments.cancelPayment(ANZ_WORLDLINE_PSPID, paymentData.id, {})
+    if (!cancelResponse.isSuccess) {
+      logger.error('Cancelling refused payment failed', { paymentId: paymentData.id, status: cancelResponse.status, body: cancelResponse.body })
+    }
+
+    ledger.record({
+      type: 'decline',
+      paymentId: paymentData.id,
+      ...order,
+      status: cancelResponse.isSuccess ? Object.assign({}, cancelResponse.body.payment).status : paymentData.status,
+      statusCode: paymentData.statusOutput?.statusCode
     })
   }
-})
 
-// ============================================================================
-// POST /api/process-payment - Process Payment with Stored Token
-// ============================================================================
-// Uses the encrypted token (stored in localStorage) to process payment
+  // Tell the frontend to send the customer to their issuer for 3-D Secure
+  function respondWith3DSRedirect(req, res, paymentId, merchantAction, captureMode, order, subjects = paymentSubjects(req)) {
+    logger.info('3D Secure authentication required', { paymentId })
+    ledger.record({
+      type: '3ds',
+      paymentId: paymentId,
+      customerId: order.customerId,
+      ownerId: order.ownerId,
+      merchantReference: order.merchantReference,
+      amount: order.amount,
+      currency: order.currency,
+      status: 'REDIRECTED',
+      captureMode: captureMode
+    })
 
-app.post('/api/process-payment', async (req, res) => {
-  try {
-    const {
-      cardToken,
-      customerId,
-      amount,
-      currency,
-      cardHolder
-    } = req.body
-
-    // Validate required fields
-    if (!cardToken || !customerId || !amount || !currency) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        message: 'cardToken, customerId, amount, and currency are required'
+    // Forget customers who never came back
+    for (const [id, pending] of pendingAuthentications) {
+      if (Date.now() - pending.createdAt > PENDING_AUTHENTICATION_TTL_MS) {
+        pendingAuthentications.delete(id)
+      }
+    }
+    pendingAuthentications.set(paymentId, { captureMode, subjects, createdAt: Date.now() })
+
+    res.status(402).json({
+      requires3DS: true,
+      paymentId: paymentId,
+      redirectUrl: merchantAction?.redirectData?.redirectURL,
+      message: 'Customer authentication required'
+    })
+  }
+
+  // Refuses a saved card the user didn't save - returns true when it answered
+  function refuseForeignCard(req, res, tokenId) {
+    if (cardStore.owns(req.user.id, tokenId)) {
+      return false
+    }
+
+    logger.warn('Card of another user refused', { userId: req.user.id, path: req.path })
+    res.status(403).json({
+      success: false,
+      error: 'Card not on file',
+      message: 'This card is not saved to your account'
+    })
+    return true
+  }
+
+  // Refuses a charge with a payment product outside the allowlist - returns true when it answered
+  // Client sessions can't be limited to products, so a charge could name any product the account has
+  function refuseProductNotAllowed(res, productIds) {
+    const outside = [...new Set(productIds)].filter(id => !allowedProductIds.includes(id))
+    if (allowedProductIds.length === 0 || outside.length === 0) {
+      return false
+    }
+
+    logger.warn('Payment product not allowed', { paymentProductIds: outside })
+    res.status(403).json({
+      success: false,
+      error: 'Payment product not allowed',
+      message: `Payment product${outside.length === 1 ? '' : 's'} ${outside.join(', ')} not allowed - allowed: ${allowedProductIds.join(', ')}`
+    })
+    return true
+  }
+
+  app.post('/api/process-payment', signedIn, paymentLimit, idempotent(paymentIdempotencyStore), async (req, res) => {
+    try {
+      const {
+        token,
+        paymentProductId,
+        cardToken,
+        customerId,
+        amount,
+        currency,
+        cardHolder,
+        captureMode = ANZ_WORLDLINE_CAPTURE_MODE,
+        browserData
+      } = req.body
+
+      // Validate required fields - customerId is optional, cards saved from the
+      // hosted tokenization iframe have no client session customer. It is the
+      // Worldline customer of the session the card was saved in and only files
+      // the payment in the ledger - our own customer ID is the signed-in user.
+      if ((!token && !cardToken) || !amount || !currency) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          message: 'token (or cardToken), amount, and currency are required'
+        })
+      }
+
+      if (token && cardToken) {
+        return res.status(400).json({
+          error: 'Conflicting card input',
+          message: 'Send either token or cardToken, not both'
+        })
+      }
+
+      if (!isSupportedCurrency(currency)) {
+        return res.status(400).json({
+          error: 'Unsupported currency',
+          message: `currency must be one of: ${CURRENCIES.map(entry => entry.code).join(', ')}`
+        })
+      }
+
+      // Amounts are in the currency's minor unit - 10000 is AUD 100.00 but JPY 10,000
+      if (!Number.isInteger(amount) || amount <= 0) {
+        return res.status(400).json({
+          error: 'Invalid amount',
+          message: `amount must be a positive whole number of ${currency} minor units (${exponent(currency)} decimal places)`
+        })
+      }
+
+      if (!CAPTURE_MODES.includes(captureMode)) {
+        return res.status(400).json({
+          error: 'Invalid capture mode',
+          message: `captureMode must be one of: ${CAPTURE_MODES.join(', ')}`
+        })
+      }
+
+      const orderDetails = parseOrderDetails(req.body.order, { amount, currency })
+      if (orderDetails.error) {
+        return res.status(orderDetails.error.status).json({
+          error: orderDetails.error.error,
+          message: orderDetails.error.message
+        })
+      }
+
+      if (token && refuseForeignCard(req, res, token)) {
+        return
+      }
+
+      // The product asked for and, for a saved card, the product the card was saved as
+      if (allowedProductIds.length > 0) {
+        const productIds = paymentProductId !== undefined ? [paymentProductId] : []
+
+        if (token) {
+          const tokenResponse = await client.tokens.getToken(ANZ_WORLDLINE_PSPID, token)
+          if (!tokenResponse.isSuccess) {
+            logger.error('Saved card lookup failed', { status: tokenResponse.status, body: tokenResponse.body })
+            return res.status(502).json({
+              success: false,
+              error: 'Card lookup failed',
+              message: 'Could not check the payment product of this card'
+            })
+          }
+          productIds.push(Object.assign({}, tokenResponse.body).paymentProductId)
+        }
+
+        if (refuseProductNotAllowed(res, productIds)) {
+          return
+        }
+      }
+
+      logger.info('Processing payment', { amount, currency })
+      const order = {
+        customerId,
+        ownerId: req.user.id,
+        merchantReference: orderDetails.order.references?.merchantReference,
+        amount,
+        currency
+      }
+
+      // Create payment using SDK with the saved card token or the encrypted card
+      const paymentResponse = await client.payments.createPayment(
+        ANZ_WORLDLINE_PSPID,
+        {
+          ...(cardToken ? { encryptedCustomerInput: cardToken } : {}),
+          cardPaymentMethodSpecificInput: {
+            // Saved cards are charged by the cardholder from stored credentials
+            ...(token
+              ? {
+                  token: token,
+                  paymentProductId: paymentProductId,
+                  unscheduledCardOnFileRequestor: 'cardholderInitiated',
+                  unscheduledCardOnFileSequenceIndicator: 'subsequent'
+                }
+              : {}),
+            // Manual capture needs an authorization that stays open for later (partial) captures;
+            // auto capture keeps the account's default authorization mode
+            ...(captureMode === 'manual' ? { authorizationMode: 'FINAL_AUTHORIZATION' } : {}),
+            returnUrl: ANZ_WORLDLINE_RETURN_URL,
+            threeDSecure: {
+              challengeIndicator: 'no-preference',
+              redirectionData: {
+                returnUrl: ANZ_WORLDLINE_RETURN_URL
+              }
+            }
+          },
+          order: {
+            ...orderDetails.order,
+            amountOfMoney: {
+              amount: Math.round(amount),
+              currencyCode: currency
+            },
+            customer: {
+              ...orderDetails.order.customer,
+              ...merchantCustomer(req.user.id),
+              device: buildCustomerDevice(req, browserData)
+            }
+          }
+        }
+      )
+
+      // An encrypted card is only known from Worldline's answer - declines count against
+      // the card it turned out to be, and an authorization on a locked out card is cancelled
+      const subjects = paymentSubjects(req, paymentResponse.body.payment || paymentResponse.body.paymentResult?.payment)
+      const lockout = cardToken && await rateLimiter.lockedOut({ card: subjects.card })
+      if (lockout) {
+        logger.warn('Payment on a locked out card', { paymentId: paymentResponse.body.payment?.id })
+        if (paymentResponse.isSuccess) {
+          await cancelRefusedPayment(Object.assign({}, paymentResponse.body.payment), order)
+        }
+        return tooManyRequests(res, lockout)
+      }
+
+      // Handle successful payment
+      if (paymentResponse.isSuccess) {
+        // SDK returns class instances - use Object.assign to extract all properties
+        const payment = paymentResponse.body.payment
+        const paymentData = Object.assign({}, payment)
+        const merchantAction = paymentResponse.body.merchantAction
+
+        // Issuer wants to challenge the cardholder - payment is waiting on the redirect
+        if (merchantAction?.actionType === 'REDIRECT') {
+          return respondWith3DSRedirect(req, res, paymentData.id, merchantAction, captureMode, order, subjects)
+        }
+
+        logger.info('Payment authorized', { paymentId: paymentData.id, status: paymentData.status })
+        ledger.record({
+          type: 'authorization',
+          paymentId: paymentData.id,
+          ...order,
+          status: paymentData.status,
+          statusCode: paymentData.statusOutput?.statusCode,
+          captureMode: captureMode
+        })
+
+        res.json(await settlePayment(paymentData, captureMode))
+      }
+      // Handle 3D Secure requirement (HTTP 402 with a redirect - without one it's a decline)
+      else if (paymentResponse.status === 402 && paymentResponse.body.paymentResult?.merchantAction?.actionType === 'REDIRECT') {
+        const paymentResult = paymentResponse.body.paymentResult || {}
+        respondWith3DSRedirect(req, res, paymentResult.payment?.id, paymentResult.merchantAction, captureMode, order, subjects)
+      }
+      // Handle payment declined or other errors
+      else {
+        logger.error('Payment failed', { status: paymentResponse.status, body: paymentResponse.body })
+        const failedPayment = paymentResponse.body.paymentResult?.payment || paymentResponse.body.payment
+        ledger.record({
+          type: 'decline',
+          paymentId: failedPayment?.id || null,
+          ...order,
+          status: failedPayment?.status || 'FAILED',
+          statusCode: failedPayment?.statusOutput?.statusCode || paymentResponse.status
+        })
+        await rateLimiter.recordDecline(subjects)
+        res.status(400).json({
+          success: false,
+          error: 'Payment declined or processing failed',
+          status: failedPayment?.status || 'FAILED',
+          statusCode: failedPayment?.statusOutput?.statusCode || paymentResponse.status
+        })
+      }
+    } catch (error) {
+      logger.error('Payment processing error', { error })
+      res.status(500).json({
+        error: 'Payment processing failed',
+        message: error.message || error.toString()
       })
     }
+  })
 
-    console.log(`Processing payment: ${currency} $${(amount / 100).toFixed(2)}`)
+  // ============================================================================
+  // POST /api/tokens - Save a Card as a Worldline Token
+  // ============================================================================
+  // Encrypted customer input is only good for one payment, so saved cards are
+  // turned into a permanent Worldline token here. The Server API's createToken
+  // only accepts clear card data, so the encrypted card is tokenized through a
+  // zero-amount verification payment; the token is then read back with
+  // tokens.getToken for the masked card details the browser may keep.
 
-    // Create payment using SDK with encrypted card token
-    const paymentResponse = await client.payments.createPayment(
+  // Zero-amount verification payment that puts a card on file - the first, cardholder-initiated
+  // use of the stored credentials, so later charges can be sent as subsequent ones.
+  // Resolves to { response } (the SDK response), { error: { status, body } } when the card can't be saved,
+  // or { lockout } when the card turned out to be locked out after declines.
+  async function verifyCardOnFile(req, { paymentInput = {}, cardInput = {}, currency, browserData }) {
+    const verificationResponse = await client.payments.createPayment(
       ANZ_WORLDLINE_PSPID,
       {
-        encryptedCustomerInput: cardToken,
+        ...paymentInput,
+        cardPaymentMethodSpecificInput: {
+          ...cardInput,
+          unscheduledCardOnFileRequestor: 'cardholderInitiated',
+          unscheduledCardOnFileSequenceIndicator: 'first',
+          returnUrl: ANZ_WORLDLINE_RETURN_URL
+        },
         order: {
           amountOfMoney: {
-            amount: Math.round(amount),
+            amount: 0,
             currencyCode: currency
           },
           customer: {
-            merchantCustomerId: customerId
+            device: buildCustomerDevice(req, browserData)
           }
         }
       }
     )
 
-    // Handle successful payment
-    if (paymentResponse.isSuccess) {
-      // SDK returns class instances - use Object.assign to extract all properties
-      const payment = paymentResponse.body.payment
-      const paymentData = Object.assign({}, payment)
-
-      const paymentId = paymentData.id
-      const paymentStatus = paymentData.status
-
-      console.log(`✅ Payment authorized: ${paymentId} (Status: ${paymentStatus})`)
-
-      // Auto-capture the payment if it's in PENDING_CAPTURE status
-      if (paymentStatus === 'PENDING_CAPTURE') {
-        try {
-          console.log(`⏳ Capturing payment: ${paymentId}`)
-          // Capture with the full authorized amount
-          const captureResponse = await client.payments.capturePayment(
-            ANZ_WORLDLINE_PSPID,
-            paymentId,
-            {
-              amount: paymentData.paymentOutput?.amountOfMoney?.amount
-            }
-          )
-
-          if (captureResponse.isSuccess) {
-            const capturedData = Object.assign({}, captureResponse.body)
-            const capturedStatus = capturedData.status
-            console.log(`✅ Payment captured: ${paymentId} (Status: ${capturedStatus})`)
-
-            res.json({
-              success: true,
-              paymentId: paymentId,
-              status: capturedStatus,
-              cardNumber: capturedData.captureOutput?.cardPaymentMethodSpecificOutput?.card?.cardNumber || 'N/A'
-            })
-          } else {
-            console.error('❌ Payment capture failed')
-            res.json({
-              success: true,
-              paymentId: paymentId,
-              status: 'AUTHORIZED_PENDING_CAPTURE',
-              cardNumber: paymentData.cardPaymentMethodSpecificOutput?.card?.cardNumber || 'N/A',
-              note: 'Payment authorized but capture pending'
-            })
+    // Counted against the card Worldline verified - an encrypted card is only known from its answer
+    const subjects = paymentSubjects(req, verificationResponse.body.payment || verificationResponse.body.paymentResult?.payment)
+    const lockout = await rateLimiter.lockedOut({ card: subjects.card })
+    if (lockout) {
+      logger.warn('Card verification on a locked out card')
+      return { lockout }
+    }
+
+    if (!verificationResponse.isSuccess) {
+      logger.error('Card verification failed', { status: verificationResponse.status, body: verificationResponse.body })
+      await rateLimiter.recordDecline(subjects)
+      return {
+        error: {
+          status: 400,
+          body: { success: false, error: 'Card could not be verified', details: verificationResponse.body }
+        }
+      }
+    }
+
+    if (verificationResponse.body.merchantAction?.actionType === 'REDIRECT') {
+      return {
+        error: {
+          status: 409,
+          body: {
+            success: false,
+            error: 'Card requires authentication',
+            message: 'This card needs 3D Secure before it can be saved - pay with it once to save it'
           }
-        } catch (captureError) {
-          console.error('❌ Capture error:', captureError.message)
-          // Return success even if capture fails - payment is authorized
-          res.json({
-            success: true,
-            paymentId: paymentId,
-            status: 'AUTHORIZED_PENDING_CAPTURE',
-            cardNumber: paymentData.cardPaymentMethodSpecificOutput?.card?.cardNumber || 'N/A'
-          })
         }
-      } else {
-        res.json({
-          success: true,
-          paymentId: paymentId,
-          status: paymentStatus,
-          cardNumber: paymentData.cardPaymentMethodSpecificOutput?.card?.cardNumber || 'N/A'
+      }
+    }
+
+    return { response: verificationResponse }
+  }
+
+  app.post('/api/tokens', signedIn, paymentLimit, async (req, res) => {
+    try {
+      const { cardToken, currency = 'AUD', browserData } = req.body
+
+      if (!cardToken) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          message: 'cardToken is required'
+        })
+      }
+
+      if (!isSupportedCurrency(currency)) {
+        return res.status(400).json({
+          error: 'Unsupported currency',
+          message: `currency must be one of: ${CURRENCIES.map(entry => entry.code).join(', ')}`
+        })
+      }
+
+      logger.info('Saving card as token')
+
+      const verification = await verifyCardOnFile(req, {
+        paymentInput: { encryptedCustomerInput: cardToken },
+        cardInput: { tokenize: true },
+        currency,
+        browserData
+      })
+      if (verification.lockout) {
+        return tooManyRequests(res, verification.lockout)
+      }
+      if (verification.error) {
+        return res.status(verification.error.status).json(verification.error.body)
+      }
+      const verificationResponse = verification.response
+
+      const creationOutput = Object.assign({}, verificationResponse.body.creationOutput)
+      const tokenId = creationOutput.token ||
+        verificationResponse.body.payment?.paymentOutput?.cardPaymentMethodSpecificOutput?.token
+
+      if (!tokenId) {
+        logger.error('No token returned for verified card')
+        return res.status(502).json({
+          success: false,
+          error: 'Tokenization failed',
+          message: 'Worldline did not return a token for this card'
         })
       }
+
+      const tokenResponse = await client.tokens.getToken(ANZ_WORLDLINE_PSPID, tokenId)
+      const tokenData = tokenResponse.isSuccess ? Object.assign({}, tokenResponse.body) : {}
+      const card = tokenData.card?.data?.cardWithoutCvv || {}
+
+      cardStore.add(req.user.id, tokenId)
+      logger.info('Card saved as token', { isNewToken: creationOutput.isNewToken })
+
+      res.json({
+        success: true,
+        tokenId: tokenId,
+        isNewToken: !!creationOutput.isNewToken,
+        paymentProductId: tokenData.paymentProductId,
+        maskedCardNumber: card.cardNumber,
+        expiryDate: card.expiryDate,
+        cardholderName: card.cardholderName
+      })
+    } catch (error) {
+      logger.error('Tokenization error', { error })
+      res.status(500).json({
+        error: 'Tokenization failed',
+        message: error.message || error.toString()
+      })
     }
-    // Handle 3D Secure requirement (HTTP 402)
-    else if (paymentResponse.status === 402) {
-      console.log('⚠️ 3D Secure authentication required')
-      const redirectUrl = paymentResponse.body.payment?.authentication?.redirectUrl
+  })
+
+  // ============================================================================
+  // DELETE /api/tokens/:tokenId - Delete a Saved Card
+  // ============================================================================
+  // Takes the card off the user's account - the Worldline token is only deleted
+  // once no other user has the same card saved.
+
+  app.delete('/api/tokens/:tokenId', signedIn, async (req, res) => {
+    try {
+      const { tokenId } = req.params
+      if (refuseForeignCard(req, res, tokenId)) {
+        return
+      }
 
-      res.status(402).json({
-        requires3DS: true,
-        paymentId: paymentResponse.body.payment?.id,
-        redirectUrl: redirectUrl,
-        message: 'Customer authentication required'
+      if (cardStore.remove(req.user.id, tokenId) > 0) {
+        logger.info('Card removed from account')
+        return res.json({ success: true })
+      }
+
+      const tokenResponse = await client.tokens.deleteToken(ANZ_WORLDLINE_PSPID, tokenId)
+
+      if (tokenResponse.isSuccess || tokenResponse.status === 404) {
+        logger.info('Token deleted')
+        res.json({ success: true })
+      } else {
+        logger.error('Token deletion failed', { status: tokenResponse.status, body: tokenResponse.body })
+        res.status(tokenResponse.status).json({
+          success: false,
+          error: 'Failed to delete token',
+          details: tokenResponse.body
+        })
+      }
+    } catch (error) {
+      logger.error('Token deletion error', { error })
+      res.status(500).json({
+        error: 'Failed to delete token',
+        message: error.message || error.toString()
       })
     }
-    // Handle payment declined or other errors
-    else {
-      console.error('❌ Payment failed:', paymentResponse.status, paymentResponse.body)
-      res.status(400).json({
-        success: false,
-        error: 'Payment declined or processing failed',
-        status: paymentResponse.body.payment?.status || 'FAILED',
-        statusCode: paymentResponse.body.payment?.statusOutput?.statusCode || paymentResponse.status
+  })
+
+  // ============================================================================
+  // POST /api/hosted-tokenization - Create a Hosted Tokenization Page Session
+  // ============================================================================
+  // The card fields are a Worldline iframe on our own page (tokenizer.js), so
+  // card data never enters our DOM. Each session tokenizes one card.
+
+  // Who created each tokenization session - only they can save its card
+  const pendingTokenizations = new Map()
+
+  app.post('/api/hosted-tokenization', signedIn, sessionLimit, async (req, res) => {
+    try {
+      const { locale, paymentProductFilters } = req.body
+
+      // The iframe accepts the same products as the card form
+      const filters = checkPaymentProductFilters(paymentProductFilters, { allowedProductIds })
+      if (filters.error) {
+        const { status, message } = filters.error
+        return res.status(status).json({
+          error: status === 403 ? 'Payment products not allowed' : 'Invalid payment product filters',
+          message
+        })
+      }
+
+      const tokenizationResponse = await client.hostedTokenization.createHostedTokenization(
+        ANZ_WORLDLINE_PSPID,
+        {
+          // Cards are saved to the wallet, so the token has to outlive the session
+          askConsumerConsent: false,
+          ...(typeof locale === 'string' ? { locale } : {}),
+          ...(Object.keys(filters.paymentProductFilters).length > 0
+            ? { paymentProductFilters: filters.paymentProductFilters }
+            : {})
+        }
+      )
+
+      if (!tokenizationResponse.isSuccess) {
+        logger.error('Hosted tokenization creation failed', { status: tokenizationResponse.status, body: tokenizationResponse.body })
+        return res.status(tokenizationResponse.status >= 500 ? 502 : tokenizationResponse.status).json({
+          error: 'Failed to create hosted tokenization',
+          details: tokenizationResponse.body
+        })
+      }
+
+      const tokenization = Object.assign({}, tokenizationResponse.body)
+      logger.info('Hosted tokenization created', { hostedTokenizationId: tokenization.hostedTokenizationId })
+
+      // Forget sessions whose card was never submitted
+      for (const [id, pending] of pendingTokenizations) {
+        if (Date.now() - pending.createdAt > PENDING_AUTHENTICATION_TTL_MS) {
+          pendingTokenizations.delete(id)
+        }
+      }
+      pendingTokenizations.set(tokenization.hostedTokenizationId, { ownerId: req.user.id, createdAt: Date.now() })
+
+      res.status(201).json({
+        hostedTokenizationId: tokenization.hostedTokenizationId,
+        // Older API versions only return the part after "payment."
+        hostedTokenizationUrl: tokenization.hostedTokenizationUrl || `https://payment.${tokenization.partialRedirectUrl}`
+      })
+    } catch (error) {
+      logger.error('Hosted tokenization creation error', { error })
+      res.status(500).json({
+        error: 'Failed to create hosted tokenization',
+        message: error.message || error.toString()
       })
     }
-  } catch (error) {
-    console.error('❌ Payment processing error:', error.message)
-    console.error('Full error:', error)
-    res.status(500).json({
-      error: 'Payment processing failed',
-      message: error.message || error.toString()
-    })
-  }
-})
+  })
+
+  // ============================================================================
+  // POST /api/hosted-tokenization/:hostedTokenizationId/token - Save the Card Captured in the iframe
+  // ============================================================================
+  // Called once tokenizer.submitTokenization() succeeds. Reads the token the
+  // iframe created and, for a card Worldline hadn't seen, puts it on file with a
+  // zero-amount verification like /api/tokens. Responds like /api/tokens, so the
+  // card goes into the wallet and is charged through /api/process-payment.
+
+  app.post('/api/hosted-tokenization/:hostedTokenizationId/token', signedIn, paymentLimit, async (req, res) => {
+    try {
+      const { hostedTokenizationId } = req.params
+      const { currency = 'AUD', browserData } = req.body
+
+      // Someone else's card iframe (or one from before a restart) - its card isn't ours to save
+      if (pendingTokenizations.get(hostedTokenizationId)?.ownerId !== req.user.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Hosted tokenization not found',
+          message: `No hosted tokenization ${hostedTokenizationId} was created for you`
+        })
+      }
 
+      if (!isSupportedCurrency(currency)) {
+        return res.status(400).json({
+          error: 'Unsupported currency',
+          message: `currency must be one of: ${CURRENCIES.map(entry => entry.code).join(', ')}`
+        })
+      }
 
-const PORT = process.env.SERVER_PORT || 3000
+      const tokenizationResponse = await client.hostedTokenization.getHostedTokenization(ANZ_WORLDLINE_PSPID, hostedTokenizationId)
+
+      if (!tokenizationResponse.isSuccess) {
+        logger.error('Hosted tokenization lookup failed', { status: tokenizationResponse.status, body: tokenizationResponse.body })
+        return res.status(tokenizationResponse.status === 404 ? 404 : 502).json({
+          success: false,
+          error: 'Hosted tokenization not found',
+          details: tokenizationResponse.body
+        })
+      }
 
-app.listen(PORT, () => {
-  console.log(`\n🚀 ANZ Worldline Payment Server running on http://localhost:${PORT}`)
-  console.log(`   POST /api/session - Create ANZ Worldline Client Session`)
-  console.log(`   POST /api/process-payment - Process payment with encrypted token\n`)
-})
+      const { token, tokenStatus } = tokenizationResponse.body
+      if (!token?.id) {
+        return res.status(409).json({
+          success: false,
+          error: 'No card submitted',
+          message: 'The hosted tokenization has no token yet - submit the card first'
+        })
+      }
 
+      // A temporary token is deleted after one payment - it can't go into the wallet
+      if (token.isTemporary) {
+        logger.warn('Temporary token from hosted tokenization', { hostedTokenizationId })
+        return res.status(409).json({
+          success: false,
+          error: 'Card not stored permanently',
+          message: 'The card was tokenized for a single payment - submit it again with storePermanently'
+        })
+      }
+
+      const isNewToken = tokenStatus === 'CREATED'
+      if (isNewToken) {
+        const verification = await verifyCardOnFile(req, {
+          cardInput: { token: token.id, paymentProductId: token.paymentProductId },
+          currency,
+          browserData
+        })
+        if (verification.lockout) {
+          return tooManyRequests(res, verification.lockout)
+        }
+        if (verification.error) {
+          return res.status(verification.error.status).json(verification.error.body)
+        }
+      }
+
+      pendingTokenizations.delete(hostedTokenizationId)
+      cardStore.add(req.user.id, token.id)
+
+      const card = token.card?.data?.cardWithoutCvv || {}
+      logger.info('Card saved from hosted tokenization', { hostedTokenizationId, isNewToken })
+
+      res.json({
+        success: true,
+        tokenId: token.id,
+        isNewToken,
+        paymentProductId: token.paymentProductId,
+        maskedCardNumber: card.cardNumber,
+        expiryDate: card.expiryDate,
+        cardholderName: card.cardholderName
+      })
+    } catch (error) {
+      logger.error('Hosted tokenization error', { error })
+      res.status(500).json({
+        error: 'Tokenization failed',
+        message: error.message || error.toString()
+      })
+    }
+  })
+
+  // ============================================================================
+  // GET /api/payments - List Recorded Transactions
+  // ============================================================================
+  // Query: search, status, customerId, subscriptionId, from, to (ISO dates), page, pageSize,
+  // mine (true for the signed-in user's own payments, e.g. the checkout's history)
+  // Customers get their own payments only
+
+  app.get('/api/payments', signedIn, (req, res) => {
+    const { search, status, customerId, subscriptionId, from, to, mine } = req.query
+    const page = req.query.page !== undefined ? Number(req.query.page) : 1
+    const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : 20
+
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+      return res.status(400).json({
+        error: 'Invalid pagination',
+        message: 'page must be a positive integer and pageSize between 1 and 100'
+      })
+    }
+
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        error: 'Invalid date filter',
+        message: 'from and to must be ISO 8601 dates (e.g. 2025-11-09 or 2025-11-09T12:00:00Z)'
+      })
+    }
+
+    const ownerId = isOperator(req.user) && mine !== 'true' ? undefined : req.user.id
+    res.json(ledger.listPayments({ search, status, customerId, ownerId, subscriptionId, from, to, page, pageSize }))
+  })
+
+  // ============================================================================
+  // GET /api/payments/:paymentId/events - Webhook Events of a Payment (operators)
+  // ============================================================================
+  // The notifications Worldline sent about the payment, oldest first, for the
+  // operations dashboard. Refund events name the refund rather than the payment,
+  // so they are matched on the refund IDs in the ledger.
+
+  app.get('/api/payments/:paymentId/events', operatorOnly, (req, res) => {
+    const { paymentId } = req.params
+    const payment = ledger.getPayment(paymentId)
+    const objectIds = new Set((payment?.entries || []).flatMap(entry => [entry.captureId, entry.refundId]).filter(Boolean))
+
+    const events = webhookStore.list()
+      .filter(event => event.paymentId === paymentId || objectIds.has(event.objectId))
+      .sort((a, b) => Date.parse(a.created || a.receivedAt) - Date.parse(b.created || b.receivedAt))
+      .map(({ payload, ...event }) => event)
+
+    if (!payment && events.length === 0) {
+      return res.status(404).json({
+        error: 'Payment not found',
+        message: `No payment ${paymentId} in the ledger or webhook events`
+      })
+    }
+
+    res.json({ paymentId, events })
+  })
+
+  // ============================================================================
+  // GET /api/payments/:paymentId - Look Up Payment Status
+  // ============================================================================
+  // The frontend must never trust a status passed around in the URL, so it
+  // checks the real status here.
+
+  // Flatten an SDK payment into the fields the frontend needs
+  function normalizePayment(payment) {
+    const paymentData = Object.assign({}, payment)
+    const paymentOutput = paymentData.paymentOutput || {}
+    const statusOutput = paymentData.statusOutput || {}
+    const cardOutput = paymentOutput.cardPaymentMethodSpecificOutput || {}
+
+    return {
+      paymentId: paymentData.id,
+      status: paymentData.status,
+      statusCategory: statusOutput.statusCategory,
+      statusCode: statusOutput.statusCode,
+      isAuthorized: !!statusOutput.isAuthorized,
+      isCancellable: !!statusOutput.isCancellable,
+      isRefundable: !!statusOutput.isRefundable,
+      amount: paymentOutput.amountOfMoney?.amount,
+      currency: paymentOutput.amountOfMoney?.currencyCode,
+      card: {
+        cardNumber: cardOutput.card?.cardNumber || 'N/A',
+        expiryDate: cardOutput.card?.expiryDate,
+        paymentProductId: cardOutput.paymentProductId
+      },
+      errors: (statusOutput.errors || []).map(error => ({
+        code: error.errorCode || error.code,
+        message: error.message
+      }))
+    }
+  }
+
+  // Answers 404 for a payment the user didn't make - returns true when it answered
+  function refuseForeignPayment(req, res) {
+    if (ownsPayment(req.user, req.params.paymentId)) {
+      return false
+    }
+
+    res.status(404).json({
+      error: 'Payment not found',
+      message: `No payment ${req.params.paymentId} on your account`
+    })
+    return true
+  }
+
+  app.get('/api/payments/:paymentId', signedIn, async (req, res) => {
+    try {
+      const { paymentId } = req.params
+      if (refuseForeignPayment(req, res)) {
+        return
+      }
+
+      const paymentResponse = await client.payments.getPayment(ANZ_WORLDLINE_PSPID, paymentId)
+
+      if (paymentResponse.isSuccess) {
+        res.json(normalizePayment(paymentResponse.body))
+      } else {
+        logger.error('Payment lookup failed', { status: paymentResponse.status, body: paymentResponse.body })
+        res.status(paymentResponse.status === 404 ? 404 : 502).json({
+          error: 'Payment not found',
+          details: paymentResponse.body
+        })
+      }
+    } catch (error) {
+      logger.error('Payment lookup error', { error })
+      res.status(500).json({
+        error: 'Payment lookup failed',
+        message: error.message || error.toString()
+      })
+    }
+  })
+
+  // ============================================================================
+  // POST /api/payments/:paymentId/complete - Finish a Payment After 3-D Secure
+  // ============================================================================
+  // Called by the frontend when the customer returns from their issuer. The
+  // authentication result is read from Worldline (never from the return URL),
+  // and the payment is captured if it was created in auto capture mode.
+
+  app.post('/api/payments/:paymentId/complete', signedIn, async (req, res) => {
+    try {
+      const { paymentId } = req.params
+      if (refuseForeignPayment(req, res)) {
+        return
+      }
+      const pending = pendingAuthentications.get(paymentId)
+      // Fall back to the configured mode if the server restarted while the customer was away
+      const captureMode = pending?.captureMode || ANZ_WORLDLINE_CAPTURE_MODE
+
+      const paymentResponse = await client.payments.getPayment(ANZ_WORLDLINE_PSPID, paymentId)
+
+      if (!paymentResponse.isSuccess) {
+        logger.error('Payment lookup failed', { status: paymentResponse.status, body: paymentResponse.body })
+        return res.status(paymentResponse.status === 404 ? 404 : 502).json({
+          error: 'Payment not found',
+          details: paymentResponse.body
+        })
+      }
+
+      const paymentData = Object.assign({}, paymentResponse.body)
+      logger.info('3D Secure return', { paymentId, status: paymentData.status })
+
+      // Still waiting on the customer or issuer - leave it pending so we can try again
+      if (paymentData.status === 'REDIRECTED' || paymentData.status === 'AUTHORIZATION_REQUESTED') {
+        return res.json({ completed: false, ...normalizePayment(paymentData) })
+      }
+
+      pendingAuthentications.delete(paymentId)
+
+      const authenticated = normalizePayment(paymentData)
+      const declined = authenticated.statusCategory === 'UNSUCCESSFUL'
+      ledger.record({
+        type: declined ? 'decline' : 'authorization',
+        paymentId: paymentId,
+        amount: authenticated.amount,
+        currency: authenticated.currency,
+        status: authenticated.status,
+        statusCode: authenticated.statusCode,
+        captureMode: captureMode
+      })
+      // Failing 3-D Secure is a decline like any other - without the card, if the server restarted
+      if (declined) {
+        await rateLimiter.recordDecline(pending?.subjects || paymentSubjects(req))
+      }
+
+      const settled = await settlePayment(paymentData, captureMode)
+
+      // Re-read the payment so the frontend sees the status after any capture
+      const latestResponse = settled.status === paymentData.status
+        ? paymentResponse
+        : await client.payments.getPayment(ANZ_WORLDLINE_PSPID, paymentId)
+
+      res.json({
+        completed: true,
+        captureMode: captureMode,
+        ...normalizePayment(latestResponse.isSuccess ? latestResponse.body : paymentData)
+      })
+    } catch (error) {
+      logger.error('Payment completion error', { error })
+      res.status(500).json({
+        error: 'Payment completion failed',
+        message: error.message || error.toString()
+      })
+    }
+  })
+
+  // ============================================================================
+  // POST /api/hosted-checkout - Create a Worldline Hosted Checkout
+  // ============================================================================
+  // For merchants who can't host card fields at all: the customer enters their
+  // card on Worldline's payment page, which also runs 3-D Secure, and comes back
+  // to ANZ_WORLDLINE_RETURN_URL with hostedCheckoutId and RETURNMAC in the query.
+
+  // RETURNMAC, capture mode and order of checkouts the customer hasn't come back from
+  const pendingHostedCheckouts = new Map()
+
+  app.post('/api/hosted-checkout', signedIn, sessionLimit, async (req, res) => {
+    try {
+      const {
+        amount,
+        currency,
+        countryCode,
+        customerId,
+        locale,
+        captureMode = ANZ_WORLDLINE_CAPTURE_MODE,
+        paymentProductFilters
+      } = req.body
+
+      if (!amount || !currency) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          message: 'amount and currency are required'
+        })
+      }
+
+      if (!isSupportedCurrency(currency)) {
+        return res.status(400).json({
+          error: 'Unsupported currency',
+          message: `currency must be one of: ${CURRENCIES.map(entry => entry.code).join(', ')}`
+        })
+      }
+
+      if (!Number.isInteger(amount) || amount <= 0) {
+        return res.status(400).json({
+          error: 'Invalid amount',
+          message: `amount must be a positive whole number of ${currency} minor units (${exponent(currency)} decimal places)`
+        })
+      }
+
+      if (countryCode !== undefined && !COUNTRIES.some(country => country.code === countryCode)) {
+        return res.status(400).json({
+          error: 'Unsupported country',
+          message: `countryCode must be one of: ${COUNTRIES.map(country => country.code).join(', ')}`
+        })
+      }
+
+      if (!CAPTURE_MODES.includes(captureMode)) {
+        return res.status(400).json({
+          error: 'Invalid capture mode',
+          message: `captureMode must be one of: ${CAPTURE_MODES.join(', ')}`
+        })
+      }
+
+      // The payment page offers the same products as the card form
+      const filters = checkPaymentProductFilters(paymentProductFilters, { allowedProductIds })
+      if (filters.error) {
+        const { status, message } = filters.error
+        return res.status(status).json({
+          error: status === 403 ? 'Payment products not allowed' : 'Invalid payment product filters',
+          message
+        })
+      }
+
+      logger.info('Creating hosted checkout', { amount, currency })
+      const order = { customerId, ownerId: req.user.id, amount, currency }
+
+      const checkoutResponse = await client.hostedCheckout.createHostedCheckout(
+        ANZ_WORLDLINE_PSPID,
+        {
+          cardPaymentMethodSpecificInput: {
+            // Same authorization mode as /api/process-payment for the capture mode
+            ...(captureMode === 'manual' ? { authorizationMode: 'FINAL_AUTHORIZATION' } : {})
+          },
+          hostedCheckoutSpecificInput: {
+            returnUrl: ANZ_WORLDLINE_RETURN_URL,
+            // The app shows the result itself once the customer is back
+            showResultPage: false,
+            ...(typeof locale === 'string' ? { locale } : {}),
+            ...(Object.keys(filters.paymentProductFilters).length > 0
+              ? { paymentProductFilters: filters.paymentProductFilters }
+              : {})
+          },
+          order: {
+            amountOfMoney: {
+              amount: amount,
+              currencyCode: currency
+            },
+            customer: {
+              ...merchantCustomer(req.user.id),
+              ...(countryCode ? { billingAddress: { countryCode } } : {})
+            }
+          }
+        }
+      )
+
+      if (!checkoutResponse.isSuccess) {
+        logger.error('Hosted checkout creation failed', { status: checkoutResponse.status, body: checkoutResponse.body })
+        return res.status(checkoutResponse.status >= 500 ? 502 : checkoutResponse.status).json({
+          error: 'Failed to create hosted checkout',
+          details: checkoutResponse.body
+        })
+      }
+
+      const checkout = Object.assign({}, checkoutResponse.body)
+      logger.info('Hosted checkout created', { hostedCheckoutId: checkout.hostedCheckoutId })
+
+      // Forget customers who never came back
+      for (const [id, pending] of pendingHostedCheckouts) {
+        if (Date.now() - pending.createdAt > PENDING_AUTHENTICATION_TTL_MS) {
+          pendingHostedCheckouts.delete(id)
+        }
+      }
+      pendingHostedCheckouts.set(checkout.hostedCheckoutId, {
+        returnMac: checkout.RETURNMAC,
+        captureMode,
+        order,
+        createdAt: Date.now()
+      })
+
+      res.status(201).json({
+        hostedCheckoutId: checkout.hostedCheckoutId,
+        // Older API versions only return the part after "payment."
+        redirectUrl: checkout.redirectUrl || `https://payment.${checkout.partialRedirectUrl}`
+      })
+    } catch (error) {
+      logger.error('Hosted checkout creation error', { error })
+      res.status(500).json({
+        error: 'Failed to create hosted checkout',
+        message: error.message || error.toString()
+      })
+    }
+  })
+
+  // ============================================================================
+  // POST /api/hosted-checkout/:hostedCheckoutId/complete - Finish a Hosted Checkout
+  // ============================================================================
+  // Called by the frontend when the customer returns from the payment page, with
+  // the RETURNMAC from the return URL. The outcome is read from Worldline, the
+  // payment is recorded in the ledger once and captured in auto capture mode.
+
+  app.post('/api/hosted-checkout/:hostedCheckoutId/complete', signedIn, async (req, res) => {
+    try {
+      const { hostedCheckoutId } = req.params
+      const { returnMac } = req.body
+      const pending = pendingHostedCheckouts.get(hostedCheckoutId)
+
+      if (pending && pending.order.ownerId !== req.user.id) {
+        return res.status(404).json({
+          error: 'Hosted checkout not found',
+          message: `No hosted checkout ${hostedCheckoutId} on your account`
+        })
+      }
+
+      // A return that doesn't carry the checkout's RETURNMAC didn't come from Worldline
+      if (pending && returnMac !== pending.returnMac) {
+        return res.status(403).json({
+          error: 'Invalid RETURNMAC',
+          message: 'The return does not belong to this hosted checkout'
+        })
+      }
+
+      // Only repeat returns get here without a pending checkout - their payment is recorded already
+      const captureMode = pending?.captureMode || ANZ_WORLDLINE_CAPTURE_MODE
+
+      const checkoutResponse = await client.hostedCheckout.getHostedCheckout(ANZ_WORLDLINE_PSPID, hostedCheckoutId)
+
+      if (!checkoutResponse.isSuccess) {
+        logger.error('Hosted checkout lookup failed', { status: checkoutResponse.status, body: checkoutResponse.body })
+        return res.status(checkoutResponse.status === 404 ? 404 : 502).json({
+          error: 'Hosted checkout not found',
+          details: checkoutResponse.body
+        })
+      }
+
+      const checkoutStatus = checkoutResponse.body.status
+      const paymentData = Object.assign({}, checkoutResponse.body.createdPaymentOutput?.payment)
+
+      // No pending checkout (already completed, or forgotten in a restart) means no RETURNMAC to
+      // check - only answer a repeat return whose payment the ledger has on this user's account
+      if (!pending && (!paymentData.id || ledger.getPayment(paymentData.id)?.ownerId !== req.user.id)) {
+        logger.warn('Hosted checkout return refused', { hostedCheckoutId, userId: req.user.id })
+        return res.status(404).json({
+          error: 'Hosted checkout not found',
+          message: `No hosted checkout ${hostedCheckoutId} on your account`
+        })
+      }
+      logger.info('Hosted checkout return', { hostedCheckoutId, status: checkoutStatus })
+
+      // Customer is still on the payment page - leave it pending so we can try again
+      if (checkoutStatus === 'IN_PROGRESS') {
+        return res.json({ completed: false, hostedCheckoutId, hostedCheckoutStatus: checkoutStatus })
+      }
+
+      // Cancelled, or the customer couldn't use any product on offer - no payment was made
+      if (!paymentData.id) {
+        pendingHostedCheckouts.delete(hostedCheckoutId)
+        return res.json({ completed: true, hostedCheckoutId, hostedCheckoutStatus: checkoutStatus, paymentId: null })
+      }
+
+      // Payment still waiting on the issuer
+      if (paymentData.status === 'REDIRECTED' || paymentData.status === 'AUTHORIZATION_REQUESTED') {
+        return res.json({ completed: false, hostedCheckoutId, hostedCheckoutStatus: checkoutStatus, ...normalizePayment(paymentData) })
+      }
+
+      pendingHostedCheckouts.delete(hostedCheckoutId)
+
+      // The frontend may call again (reload, second tab) - record and capture only the first time.
+      // A first return always has its pending checkout - repeat ones were let through above
+      const firstReturn = !ledger.getPayment(paymentData.id)
+      let settled
+      if (firstReturn) {
+        const created = normalizePayment(paymentData)
+        ledger.record({
+          type: created.statusCategory === 'UNSUCCESSFUL' ? 'decline' : 'authorization',
+          paymentId: created.paymentId,
+          customerId: pending.order.customerId,
+          ownerId: pending.order.ownerId,
+          amount: created.amount,
+          currency: created.currency,
+          status: created.status,
+          statusCode: created.statusCode,
+          captureMode: captureMode
+        })
+
+        settled = await settlePayment(paymentData, captureMode)
+      }
+
+      // Re-read the payment so the frontend sees the status after any capture - the
+      // checkout only has the payment as it was created
+      const latestResponse = firstReturn && settled.status === paymentData.status
+        ? { isSuccess: true, body: paymentData }
+        : await client.payments.getPayment(ANZ_WORLDLINE_PSPID, paymentData.id)
+
+      res.json({
+        completed: true,
+        hostedCheckoutId,
+        hostedCheckoutStatus: checkoutStatus,
+        captureMode: captureMode,
+        ...normalizePayment(latestResponse.isSuccess ? latestResponse.body : paymentData)
+      })
+    } catch (error) {
+      logger.error('Hosted checkout completion error', { error })
+      res.status(500).json({
+        error: 'Hosted checkout completion failed',
+        message: error.message || error.toString()
+      })
+    }
+  })
+
+  // ============================================================================
+  // POST /api/payments/:paymentId/refund - Refund a Captured Payment
+  // ============================================================================
+  // Omitting amount refunds whatever is still refundable. Partial refunds can be
+  // repeated until the captured amount has been given back in full.
+
+  // Operations that change what is left of a payment (captures, cancels and refunds) check
+  // the amount left and then call Worldline - one at a time per payment, so two can't both
+  // pass the check
+  const paymentLocks = new Map()
+
+  function withPaymentLock(paymentId, operation) {
+    const previous = paymentLocks.get(paymentId) || Promise.resolve()
+    const result = previous.then(operation)
+    const done = result.catch(() => {})
+    paymentLocks.set(paymentId, done)
+    done.then(() => {
+      if (paymentLocks.get(paymentId) === done) {
+        paymentLocks.delete(paymentId)
+      }
+    })
+    return result
+  }
+
+  // Statuses of captures/refunds that never moved (or will never move) money
+  const VOIDED_OPERATION_STATUSES = ['REJECTED', 'CANCELLED', 'REJECTED_CAPTURE', 'REFUND_REJECTED']
+
+  function sumOperationAmounts(operations = []) {
+    return operations
+      .map(operation => Object.assign({}, operation))
+      .filter(operation => !VOIDED_OPERATION_STATUSES.includes(operation.status))
+      .reduce((total, operation) => {
+        const output = operation.captureOutput || operation.refundOutput || {}
+        return total + (output.amountOfMoney?.amount || 0)
+      }, 0)
+  }
+
+  // Work out how much of a payment has been captured and how much is already refunded
+  async function getRefundableAmount(paymentId) {
+    const [paymentResponse, capturesResponse, refundsResponse] = await Promise.all([
+      client.payments.getPayment(ANZ_WORLDLINE_PSPID, paymentId),
+      client.captures.getCaptures(ANZ_WORLDLINE_PSPID, paymentId),
+      client.refunds.getRefunds(ANZ_WORLDLINE_PSPID, paymentId)
+    ])
+
+    if (!paymentResponse.isSuccess) {
+      return { found: false, status: paymentResponse.status, details: paymentResponse.body }
+    }
+
+    const paymentData = Object.assign({}, paymentResponse.body)
+    const captured = capturesResponse.isSuccess ? sumOperationAmounts(capturesResponse.body.captures) : 0
+    const refunded = refundsResponse.isSuccess ? sumOperationAmounts(refundsResponse.body.refunds) : 0
+
+    return {
+      found: true,
+      isRefundable: !!paymentData.statusOutput?.isRefundable,
+      currency: paymentData.paymentOutput?.amountOfMoney?.currencyCode,
+      captured,
+      refunded,
+      remaining: Math.max(captured - refunded, 0)
+    }
+  }
+
+  app.post('/api/payments/:paymentId/refund', operatorOnly, (req, res) => withPaymentLock(req.params.paymentId, async () => {
+    try {
+      const { paymentId } = req.params
+      const { amount, reason } = req.body || {}
+
+      if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+        return res.status(400).json({
+          error: 'Invalid amount',
+          message: 'amount must be a positive integer in minor units (e.g. 1050 = $10.50)'
+        })
+      }
+
+      const refundable = await getRefundableAmount(paymentId)
+
+      if (!refundable.found) {
+        logger.error('Refund lookup failed', { status: refundable.status, details: refundable.details })
+        return res.status(refundable.status === 404 ? 404 : 502).json({
+          error: 'Payment not found',
+          details: refundable.details
+        })
+      }
+
+      if (!refundable.isRefundable || refundable.remaining === 0) {
+        return res.status(409).json({
+          error: 'Payment is not refundable',
+          message: 'Only captured payments with a remaining balance can be refunded',
+          captured: refundable.captured,
+          refunded: refundable.refunded,
+          remaining: refundable.remaining
+        })
+      }
+
+      const refundAmount = amount ?? refundable.remaining
+
+      if (refundAmount > refundable.remaining) {
+        return res.status(409).json({
+          error: 'Refund exceeds captured amount',
+          message: `Only ${formatAmount(refundable.remaining, refundable.currency)} is left to refund`,
+          captured: refundable.captured,
+          refunded: refundable.refunded,
+          remaining: refundable.remaining
+        })
+      }
+
+      logger.info('Refunding payment', { paymentId, amount: refundAmount, currency: refundable.currency })
+
+      const refundResponse = await client.payments.refundPayment(
+        ANZ_WORLDLINE_PSPID,
+        paymentId,
+        {
+          amountOfMoney: {
+            amount: refundAmount,
+            currencyCode: refundable.currency
+          },
+          ...(reason ? { reason } : {})
+        }
+      )
+
+      if (refundResponse.isSuccess) {
+        const refundData = Object.assign({}, refundResponse.body)
+        const totalRefunded = refundable.refunded + refundAmount
+
+        logger.info('Refund created', { paymentId, refundId: refundData.id, status: refundData.status })
+        ledger.record({
+          type: 'refund',
+          paymentId: paymentId,
+          refundId: refundData.id,
+          amount: refundAmount,
+          currency: refundable.currency,
+          status: refundData.status
+        })
+
+        res.json({
+          success: true,
+          paymentId: paymentId,
+          refundId: refundData.id,
+          status: refundData.status,
+          amount: refundAmount,
+          currency: refundable.currency,
+          totalRefunded: totalRefunded,
+          remaining: refundable.captured - totalRefunded
+        })
+      } else {
+        logger.error('Refund failed', { status: refundResponse.status, body: refundResponse.body })
+        res.status(400).json({
+          success: false,
+          error: 'Refund declined or processing failed',
+          details: refundResponse.body
+        })
+      }
+    } catch (error) {
+      logger.error('Refund processing error', { error })
+      res.status(500).json({
+        error: 'Refund processing failed',
+        message: error.message || error.toString()
+      })
+    }
+  }))
+
+  // ============================================================================
+  // POST /api/payments/:paymentId/capture - Capture an Authorized Payment
+  // ============================================================================
+  // Used with manual capture mode. Omitting amount captures the rest of the
+  // authorization. Partial captures stay open (isFinal: false) until the full
+  // amount is captured, so the authorization can be captured several times.
+
+  // Work out how much of an authorization has been captured so far
+  async function getCapturableAmount(paymentId) {
+    const [paymentResponse, capturesResponse] = await Promise.all([
+      client.payments.getPayment(ANZ_WORLDLINE_PSPID, paymentId),
+      client.captures.getCaptures(ANZ_WORLDLINE_PSPID, paymentId)
+    ])
+
+    if (!paymentResponse.isSuccess) {
+      return { found: false, status: paymentResponse.status, details: paymentResponse.body }
+    }
+
+    const paymentData = Object.assign({}, paymentResponse.body)
+    const authorized = paymentData.paymentOutput?.amountOfMoney?.amount || 0
+    const captured = capturesResponse.isSuccess ? sumOperationAmounts(capturesResponse.body.captures) : 0
+
+    return {
+      found: true,
+      status: paymentData.status,
+      isCancellable: !!paymentData.statusOutput?.isCancellable,
+      currency: paymentData.paymentOutput?.amountOfMoney?.currencyCode,
+      authorized,
+      captured,
+      remaining: Math.max(authorized - captured, 0)
+    }
+  }
+
+  app.post('/api/payments/:paymentId/capture', operatorOnly, (req, res) => withPaymentLock(req.params.paymentId, async () => {
+    try {
+      const { paymentId } = req.params
+      const { amount, isFinal } = req.body || {}
+
+      if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+        return res.status(400).json({
+          error: 'Invalid amount',
+          message: 'amount must be a positive integer in minor units (e.g. 1050 = $10.50)'
+        })
+      }
+
+      if (isFinal !== undefined && typeof isFinal !== 'boolean') {
+        return res.status(400).json({
+          error: 'Invalid isFinal',
+          message: 'isFinal must be true or false'
+        })
+      }
+
+      const capturable = await getCapturableAmount(paymentId)
+
+      if (!capturable.found) {
+        logger.error('Capture lookup failed', { status: capturable.status, details: capturable.details })
+        return res.status(capturable.status === 404 ? 404 : 502).json({
+          error: 'Payment not found',
+          details: capturable.details
+        })
+      }
+
+      if (capturable.status !== 'PENDING_CAPTURE' || capturable.remaining === 0) {
+        return res.status(409).json({
+          error: 'Payment is not capturable',
+          message: `Payment status is ${capturable.status}; only authorized payments with an uncaptured balance can be captured`,
+          authorized: capturable.authorized,
+          captured: capturable.captured,
+          remaining: capturable.remaining
+        })
+      }
+
+      const captureAmount = amount ?? capturable.remaining
+
+      if (captureAmount > capturable.remaining) {
+        return res.status(409).json({
+          error: 'Capture exceeds authorized amount',
+          message: `Only ${formatAmount(capturable.remaining, capturable.currency)} is left to capture`,
+          authorized: capturable.authorized,
+          captured: capturable.captured,
+          remaining: capturable.remaining
+        })
+      }
+
+      // Close the authorization once everything is captured unless told otherwise
+      const finalCapture = isFinal ?? captureAmount === capturable.remaining
+
+      logger.info('Capturing payment', { paymentId, amount: captureAmount, currency: capturable.currency, finalCapture })
+
+      const captureResponse = await client.payments.capturePayment(
+        ANZ_WORLDLINE_PSPID,
+        paymentId,
+        {
+          amount: captureAmount,
+          isFinal: finalCapture
+        }
+      )
+
+      if (captureResponse.isSuccess) {
+        const captureData = Object.assign({}, captureResponse.body)
+        const totalCaptured = capturable.captured + captureAmount
+
+        logger.info('Capture created', { paymentId, captureId: captureData.id, status: captureData.status })
+        ledger.record({
+          type: 'capture',
+          paymentId: paymentId,
+          captureId: captureData.id,
+          amount: captureAmount,
+          currency: capturable.currency,
+          status: captureData.status,
+          remaining: finalCapture ? 0 : capturable.authorized - totalCaptured
+        })
+
+        res.json({
+          success: true,
+          paymentId: paymentId,
+          captureId: captureData.id,
+          status: captureData.status,
+          amount: captureAmount,
+          currency: capturable.currency,
+          isFinal: finalCapture,
+          totalCaptured: totalCaptured,
+          remaining: finalCapture ? 0 : capturable.authorized - totalCaptured
+        })
+      } else {
+        logger.error('Capture failed', { status: captureResponse.status, body: captureResponse.body })
+        res.status(400).json({
+          success: false,
+          error: 'Capture declined or processing failed',
+          details: captureResponse.body
+        })
+      }
+    } catch (error) {
+      logger.error('Capture processing error', { error })
+      res.status(500).json({
+        error: 'Capture processing failed',
+        message: error.message || error.toString()
+      })
+    }
+  }))
+
+  // ============================================================================
+  // POST /api/payments/:paymentId/cancel - Cancel (Void) an Authorization
+  // ============================================================================
+  // Omitting amount releases everything that has not been captured yet.
+
+  app.post('/api/payments/:paymentId/cancel', operatorOnly, (req, res) => withPaymentLock(req.params.paymentId, async () => {
+    try {
+      const { paymentId } = req.params
+      const { amount } = req.body || {}
+
+      if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+        return res.status(400).json({
+          error: 'Invalid amount',
+          message: 'amount must be a positive integer in minor units (e.g. 1050 = $10.50)'
+        })
+      }
+
+      const capturable = await getCapturableAmount(paymentId)
+
+      if (!capturable.found) {
+        logger.error('Cancel lookup failed', { status: capturable.status, details: capturable.details })
+        return res.status(capturable.status === 404 ? 404 : 502).json({
+          error: 'Payment not found',
+          details: capturable.details
+        })
+      }
+
+      if (!capturable.isCancellable) {
+        return res.status(409).json({
+          error: 'Payment is not cancellable',
+          message: `Payment status is ${capturable.status}; captured payments must be refunded instead`
+        })
+      }
+
+      if (amount !== undefined && amount > capturable.remaining) {
+        return res.status(409).json({
+          error: 'Cancel exceeds uncaptured amount',
+          message: `Only ${formatAmount(capturable.remaining, capturable.currency)} is left to cancel`,
+          authorized: capturable.authorized,
+          captured: capturable.captured,
+          remaining: capturable.remaining
+        })
+      }
+
+      const cancelAmount = amount ?? capturable.remaining
+
+      logger.info('Cancelling payment', { paymentId, amount: cancelAmount, currency: capturable.currency })
+
+      const cancelResponse = await client.payments.cancelPayment(
+        ANZ_WORLDLINE_PSPID,
+        paymentId,
+        amount !== undefined
+          ? {
+              amountOfMoney: {
+                amount: amount,
+                currencyCode: capturable.currency
+              },
+              isFinal: amount === capturable.remaining
+            }
+          : {}
+      )
+
+      if (cancelResponse.isSuccess) {
+        const cancelledPayment = Object.assign({}, cancelResponse.body.payment)
+
+        logger.info('Payment cancelled', { paymentId, status: cancelledPayment.status })
+        ledger.record({
+          type: 'cancel',
+          paymentId: paymentId,
+          amount: cancelAmount,
+          currency: capturable.currency,
+          status: cancelledPayment.status,
+          remaining: capturable.remaining - cancelAmount
+        })
+
+        res.json({
+          success: true,
+          paymentId: paymentId,
+          status: cancelledPayment.status,
+          amount: cancelAmount,
+          currency: capturable.currency,
+          remaining: capturable.remaining - cancelAmount
+        })
+      } else {
+        logger.error('Cancel failed', { status: cancelResponse.status, body: cancelResponse.body })
+        res.status(400).json({
+          success: false,
+          error: 'Cancel declined or processing failed',
+          details: cancelResponse.body
+        })
+      }
+    } catch (error) {
+      logger.error('Cancel processing error', { error })
+      res.status(500).json({
+        error: 'Cancel processing failed',
+        message: error.message || error.toString()
+      })
+    }
+  }))
+
+  // ============================================================================
+  // Subscriptions - Recurring Billing on a Saved Card
+  // ============================================================================
+  // A subscription charges a saved card (token from /api/tokens) an amount every
+  // interval from its start date. The customer is there when they subscribe, so
+  // that first transaction is customer-initiated (recurring sequence 'first'):
+  // the first period's charge when the subscription starts today, or a
+  // zero-amount verification when it starts later. Every later charge is made
+  // by the scheduler as a merchant-initiated 'recurring' payment, linked to the
+  // first one by its scheme reference data. Subscription charges are always
+  // captured straight away.
+
+  // Responses by Idempotency-Key, so a double submit never subscribes (and charges) twice
+  const subscriptionIdempotencyStore = createIdempotencyStore()
+
+  // Create a recurring payment on a subscription's card - customer-initiated when the
+  // customer's request (req) is given, otherwise merchant-initiated. The idempotence key
+  // makes Worldline answer a repeated request with the first payment instead of a new one.
+  function createSubscriptionPayment(subscription, { amount, idempotenceKey, req, browserData }) {
+    const customerPresent = !!req
+
+    return client.payments.createPayment(
+      ANZ_WORLDLINE_PSPID,
+      {
+        cardPaymentMethodSpecificInput: {
+          token: subscription.token,
+          ...(subscription.paymentProductId ? { paymentProductId: subscription.paymentProductId } : {}),
+          isRecurring: true,
+          recurring: {
+            recurringPaymentSequenceIndicator: customerPresent ? 'first' : 'recurring'
+          },
+          ...(customerPresent
+            ? {
+                returnUrl: ANZ_WORLDLINE_RETURN_URL,
+                threeDSecure: {
+                  challengeIndicator: 'no-preference',
+                  redirectionData: {
+                    returnUrl: ANZ_WORLDLINE_RETURN_URL
+                  }
+                }
+              }
+            : {
+                // Nobody is there to authenticate
+                ...(subscription.schemeReferenceData ? { schemeReferenceData: subscription.schemeReferenceData } : {}),
+                threeDSecure: {
+                  skipAuthentication: true
+                }
+              })
+        },
+        order: {
+          amountOfMoney: {
+            amount: amount,
+            currencyCode: subscription.currency
+          },
+          customer: {
+            ...merchantCustomer(subscription.ownerId),
+            ...(customerPresent ? { device: buildCustomerDevice(req, browserData) } : {})
+          }
+        }
+      },
+      { idempotence: { key: idempotenceKey } }
+    )
+  }
+
+  // A charge waiting on the customer or issuer - 3-D Secure, or a pending status other
+  // than PENDING_CAPTURE (authorized, and captured by settlePayment) - isn't paid
+  const awaitsAction = (paymentResponse, paymentData) => {
+    const merchantAction = paymentResponse.body.merchantAction || paymentResponse.body.paymentResult?.merchantAction
+    const status = paymentData?.status || ''
+    return merchantAction?.actionType === 'REDIRECT' || status === 'REDIRECTED' ||
+      (status.startsWith('PENDING_') && status !== 'PENDING_CAPTURE')
+  }
+
+  // Record a subscription charge in the ledger and capture it - resolves to settlePayment's
+  // response, or { success: false, ... } when the charge was declined, with actionRequired
+  // when it is waiting on the customer or issuer instead
+  async function settleSubscriptionPayment(subscription, paymentResponse, amount) {
+    const order = {
+      customerId: subscription.customerId,
+      ownerId: subscription.ownerId ?? null,
+      subscriptionId: subscription.id,
+      amount: amount,
+      currency: subscription.currency
+    }
+
+    // Worldline answers 3-D Secure with 201, or 402 carrying the redirect
+    const pendingPayment = paymentResponse.body.payment || paymentResponse.body.paymentResult?.payment
+    if (awaitsAction(paymentResponse, pendingPayment)) {
+      logger.warn('Subscription payment not completed', { subscriptionId: subscription.id, paymentId: pendingPayment?.id, status: pendingPayment?.status })
+      const pending = {
+        success: false,
+        actionRequired: true,
+        paymentId: pendingPayment?.id || null,
+        status: pendingPayment?.status || 'REDIRECTED',
+        statusCode: pendingPayment?.statusOutput?.statusCode
+      }
+      ledger.record({
+        type: 'authorization',
+        paymentId: pending.paymentId,
+        ...order,
+        status: pending.status,
+        statusCode: pending.statusCode,
+        captureMode: 'auto'
+      })
+      return pending
+    }
+
+    if (paymentResponse.isSuccess) {
+      const paymentData = Object.assign({}, paymentResponse.body.payment)
+      logger.info('Subscription payment authorized', { subscriptionId: subscription.id, paymentId: paymentData.id, status: paymentData.status })
+      ledger.record({
+        type: 'authorization',
+        paymentId: paymentData.id,
+        ...order,
+        status: paymentData.status,
+        statusCode: paymentData.statusOutput?.statusCode,
+        captureMode: 'auto'
+      })
+      return settlePayment(paymentData, 'auto')
+    }
+
+    logger.error('Subscription payment failed', { status: paymentResponse.status, body: paymentResponse.body })
+    const failedPayment = paymentResponse.body.paymentResult?.payment || paymentResponse.body.payment
+    const failure = {
+      success: false,
+      paymentId: failedPayment?.id || null,
+      status: failedPayment?.status || 'FAILED',
+      statusCode: failedPayment?.statusOutput?.statusCode || paymentResponse.status
+    }
+    ledger.record({
+      type: 'decline',
+      paymentId: failure.paymentId,
+      ...order,
+      status: failure.status,
+      statusCode: failure.statusCode
+    })
+    return failure
+  }
+
+  const subscriptionScheduler = createSubscriptionScheduler({
+    store: subscriptionStore,
+    retryDelaysMs: SUBSCRIPTION_RETRY_DAYS.map(days => days * 24 * 60 * 60 * 1000),
+    intervalMs: SUBSCRIPTION_SCHEDULER_INTERVAL_SECONDS * 1000,
+    charge: async (subscription, { attempt }) => {
+      logger.info('Charging subscription', {
+        subscriptionId: subscription.id,
+        amount: subscription.amount,
+        currency: subscription.currency,
+        period: subscription.period,
+        attempt
+      })
+      const paymentResponse = await createSubscriptionPayment(subscription, {
+        amount: subscription.amount,
+        idempotenceKey: `${subscription.id}:${subscription.period}:${attempt}`
+      })
+      return settleSubscriptionPayment(subscription, paymentResponse, subscription.amount)
+    }
+  })
+  app.locals.subscriptionScheduler = subscriptionScheduler
+
+  // Find the subscription a route is for - answers 404 and returns null if there is none
+  // or it isn't the user's
+  function findSubscription(req, res) {
+    const found = subscriptionStore.get(req.params.subscriptionId)
+    const subscription = found && ownsSubscription(req.user, found) ? found : null
+    if (!subscription) {
+      res.status(404).json({
+        error: 'Subscription not found',
+        message: `No subscription with ID ${req.params.subscriptionId}`
+      })
+    }
+    return subscription
+  }
+
+  // POST /api/subscriptions - Subscribe a saved card to a billing plan
+  // Body: token, paymentProductId, customerId (your own customer reference), amount,
+  // currency, interval (daily, weekly, monthly or yearly), startDate (YYYY-MM-DD in UTC,
+  // today or later - defaults to today), browserData
+  app.post('/api/subscriptions', signedIn, paymentLimit, idempotent(subscriptionIdempotencyStore), async (req, res) => {
+    try {
+      const { token, paymentProductId, customerId, amount, currency, interval, startDate, browserData } = req.body
+      const today = new Date().toISOString().slice(0, 10)
+      const start = startDate ?? today
+
+      if (!token || !amount || !currency || !interval) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          message: 'token, amount, currency and interval are required'
+        })
+      }
+
+      if (!isSupportedCurrency(currency)) {
+        return res.status(400).json({
+          error: 'Unsupported currency',
+          message: `currency must be one of: ${CURRENCIES.map(entry => entry.code).join(', ')}`
+        })
+      }
+
+      if (!Number.isInteger(amount) || amount <= 0) {
+        return res.status(400).json({
+          error: 'Invalid amount',
+          message: `amount must be a positive whole number of ${currency} minor units (${exponent(currency)} decimal places)`
+        })
+      }
+
+      if (!INTERVALS.includes(interval)) {
+        return res.status(400).json({
+          error: 'Invalid interval',
+          message: `interval must be one of: ${INTERVALS.join(', ')}`
+        })
+      }
+
+      if (typeof start !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(start) || Number.isNaN(Date.parse(start)) || start < today) {
+        return res.status(400).json({
+          error: 'Invalid start date',
+          message: `startDate must be a YYYY-MM-DD date (UTC) from ${today} on`
+        })
+      }
+
+      if (refuseForeignCard(req, res, token)) {
+        return
+      }
+
+      const subscription = {
+        id: crypto.randomUUID(),
+        customerId: customerId || null,
+        ownerId: req.user.id,
+        token: token,
+        paymentProductId: paymentProductId ?? null,
+        amount: amount,
+        currency: currency,
+        interval: interval,
+        startDate: start,
+        status: 'active',
+        // Index of the period the next charge is for - period 0 is billed on the start date
+        period: 0,
+        nextChargeAt: billingDate(start, interval, 0).toISOString(),
+        failedAttempts: 0,
+        lastPaymentId: null,
+        lastChargedAt: null,
+        schemeReferenceData: null
+      }
+      const startsToday = start === today
+
+      logger.info('Creating subscription', { interval, amount, currency, startDate: start })
+      const paymentResponse = await createSubscriptionPayment(subscription, {
+        amount: startsToday ? amount : 0,
+        idempotenceKey: `${subscription.id}:first`,
+        req,
+        browserData
+      })
+
+      const merchantAction = paymentResponse.body.merchantAction || paymentResponse.body.paymentResult?.merchantAction
+      if (merchantAction?.actionType === 'REDIRECT') {
+        return res.status(409).json({
+          success: false,
+          error: 'Card requires authentication',
+          message: 'This card needs 3D Secure before it can be charged on a schedule - subscribe with another saved card'
+        })
+      }
+
+      let payment = null
+      if (startsToday) {
+        payment = await settleSubscriptionPayment(subscription, paymentResponse, amount)
+        if (payment.actionRequired) {
+          return res.status(409).json({
+            ...payment,
+            error: 'Payment not completed',
+            message: `The first payment is ${payment.status} - subscribe with another saved card`
+          })
+        }
+        if (!payment.success) {
+          await rateLimiter.recordDecline(paymentSubjects(req))
+          return res.status(400).json({
+            ...payment,
+            error: 'Payment declined or processing failed'
+          })
+        }
+
+        Object.assign(subscription, {
+          period: 1,
+          nextChargeAt: billingDate(start, interval, 1).toISOString(),
+          lastPaymentId: payment.paymentId,
+          lastChargedAt: new Date().toISOString()
+        })
+      } else if (!paymentResponse.isSuccess) {
+        logger.error('Card verification failed', { status: paymentResponse.status, body: paymentResponse.body })
+        await rateLimiter.recordDecline(paymentSubjects(req))
+        return res.status(400).json({
+          success: false,
+          error: 'Card could not be verified',
+          details: paymentResponse.body
+        })
+      }
+
+      // Later merchant-initiated charges refer back to this first transaction
+      subscription.schemeReferenceData = paymentResponse.body.payment?.paymentOutput?.cardPaymentMethodSpecificOutput?.schemeReferenceData || null
+
+      const created = subscriptionStore.create(subscription)
+      logger.info('Subscription created', { subscriptionId: created.id, nextChargeAt: created.nextChargeAt })
+      res.status(201).json({
+        success: true,
+        subscription: created,
+        payment: payment
+      })
+    } catch (error) {
+      logger.error('Subscription creation error', { error })
+      res.status(500).json({
+        error: 'Subscription creation failed',
+        message: error.message || error.toString()
+      })
+    }
+  })
+
+  // GET /api/subscriptions - List subscriptions, newest first
+  // Query: status, customerId - customers get their own subscriptions only
+  app.get('/api/subscriptions', signedIn, (req, res) => {
+    const { status, customerId } = req.query
+
+    if (status && !SUBSCRIPTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status filter',
+        message: `status must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}`
+      })
+    }
+
+    const ownerId = isOperator(req.user) ? undefined : req.user.id
+    res.json({ subscriptions: subscriptionStore.list({ status, customerId, ownerId }) })
+  })
+
+  // GET /api/subscriptions/:subscriptionId - One subscription
+  // Its charges are listed by GET /api/payments?subscriptionId=...
+  app.get('/api/subscriptions/:subscriptionId', signedIn, (req, res) => {
+    const subscription = findSubscription(req, res)
+    if (subscription) {
+      res.json(subscription)
+    }
+  })
+
+  // POST /api/subscriptions/:subscriptionId/pause - Stop charging until resumed
+  app.post('/api/subscriptions/:subscriptionId/pause', signedIn, (req, res) => {
+    const subscription = findSubscription(req, res)
+    if (!subscription) return
+
+    if (!['active', 'past_due'].includes(subscription.status)) {
+      return res.status(409).json({
+        error: 'Subscription cannot be paused',
+        message: `Subscription is ${subscription.status}; only active or past due subscriptions can be paused`
+      })
+    }
+
+    logger.info('Subscription paused', { subscriptionId: subscription.id })
+    res.json(subscriptionStore.update(subscription.id, {
+      status: 'paused',
+      pausedAt: new Date().toISOString()
+    }))
+  })
+
+  // POST /api/subscriptions/:subscriptionId/resume - Charge a paused subscription again
+  // Periods that fell due while it was paused are skipped, not billed. A subscription
+  // paused while past due, or whose charge needed action, goes back to retrying the charge.
+  app.post('/api/subscriptions/:subscriptionId/resume', signedIn, (req, res) => {
+    const subscription = findSubscription(req, res)
+    if (!subscription) return
+
+    if (!['paused', 'action_required'].includes(subscription.status)) {
+      return res.status(409).json({
+        error: 'Subscription is not paused',
+        message: `Subscription is ${subscription.status}`
+      })
+    }
+
+    let { period, nextChargeAt } = subscription
+    if (!subscription.failedAttempts) {
+      while (billingDate(subscription.startDate, subscription.interval, period).getTime() < Date.now()) {
+        period++
+      }
+      nextChargeAt = billingDate(subscription.startDate, subscription.interval, period).toISOString()
+    }
+
+    logger.info('Subscription resumed', { subscriptionId: subscription.id, nextChargeAt })
+    res.json(subscriptionStore.update(subscription.id, {
+      status: subscription.failedAttempts ? 'past_due' : 'active',
+      period,
+      nextChargeAt,
+      pausedAt: null
+    }))
+  })
+
+  // POST /api/subscriptions/:subscriptionId/cancel - Stop charging for good
+  app.post('/api/subscriptions/:subscriptionId/cancel', signedIn, (req, res) => {
+    const subscription = findSubscription(req, res)
+    if (!subscription) return
+
+    if (subscription.status === 'cancelled') {
+      return res.status(409).json({
+        error: 'Subscription already cancelled',
+        message: `Subscription was cancelled at ${subscription.cancelledAt}`
+      })
+    }
+
+    logger.info('Subscription cancelled', { subscriptionId: subscription.id })
+    res.json(subscriptionStore.update(subscription.id, {
+      status: 'cancelled',
+      cancelReason: 'requested',
+      cancelledAt: new Date().toISOString()
+    }))
+  })
+
+  // ============================================================================
+  // POST /api/webhooks/worldline - Receive Worldline Webhook Events
+  // ============================================================================
+  // Worldline signs each event with HMAC-SHA256 over the raw body using the
+  // webhook secret (X-GCS-Signature) and names the key in X-GCS-KeyId.
+  // Verified events are stored once; redeliveries of a stored event are
+  // acknowledged without being stored again so Worldline stops retrying.
+
+  const webhooksHelper = webhooks.init({
+    getSecretKey: async (keyId) => {
+      if (!ANZ_WORLDLINE_WEBHOOK_KEY_ID || keyId !== ANZ_WORLDLINE_WEBHOOK_KEY_ID) {
+        throw new Error(`Unknown webhook key ID: ${keyId}`)
+      }
+      return ANZ_WORLDLINE_WEBHOOK_SECRET
+    }
+  })
+
+  app.post('/api/webhooks/worldline', async (req, res) => {
+    if (!ANZ_WORLDLINE_WEBHOOK_KEY_ID || !ANZ_WORLDLINE_WEBHOOK_SECRET) {
+      return res.status(500).json({
+        error: 'Missing webhook credentials',
+        message: 'ANZ_WORLDLINE_WEBHOOK_KEY_ID or ANZ_WORLDLINE_WEBHOOK_SECRET not configured in .env.local'
+      })
+    }
+
+    if (!req.rawBody) {
+      return res.status(400).json({
+        error: 'Invalid webhook',
+        message: 'Expected a JSON request body'
+      })
+    }
+
+    let event
+    try {
+      // Verifies the signature and API version before parsing
+      event = await webhooksHelper.unmarshal(req.rawBody, req.headers)
+    } catch (error) {
+      logger.error('Webhook rejected', { error })
+      return res.status(401).json({
+        error: 'Invalid webhook signature',
+        message: error.message
+      })
+    }
+
+    if (!event.id || !event.type) {
+      return res.status(400).json({
+        error: 'Invalid webhook',
+        message: 'Event id and type are required'
+      })
+    }
+
+    if (webhookStore.has(event.id)) {
+      logger.info('Duplicate webhook ignored', { eventId: event.id, type: event.type })
+      return res.json({ received: true, duplicate: true })
+    }
+
+    const createdAt = Date.parse(event.created)
+    if (Number.isNaN(createdAt) || Date.now() - createdAt > ANZ_WORLDLINE_WEBHOOK_TOLERANCE_SECONDS * 1000) {
+      logger.warn('Webhook replay rejected', { eventId: event.id, type: event.type, created: event.created })
+      return res.status(400).json({
+        error: 'Stale webhook',
+        message: `Events older than ${ANZ_WORLDLINE_WEBHOOK_TOLERANCE_SECONDS} seconds are not accepted`
+      })
+    }
+
+    const subject = event.payment || event.refund || event.payout || event.token || {}
+    webhookStore.save({
+      id: event.id,
+      type: event.type,
+      created: event.created,
+      receivedAt: new Date().toISOString(),
+      paymentId: event.payment?.id || null,
+      objectId: subject.id || null,
+      status: subject.status || null,
+      statusCategory: subject.statusOutput?.statusCategory || null,
+      payload: event
+    })
+
+    logger.info('Webhook stored', { eventId: event.id, type: event.type, objectId: subject.id })
+    res.json({ received: true })
+  })
+
+  return app
+}
+
+// Start listening only when run directly (npm run server) - tests import createApp instead
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const PORT = process.env.SERVER_PORT || 3000
+
+  if (!AUTH_SECRET) {
+    logger.warn('AUTH_SECRET is not set - using a random key, so sign-ins end when the server restarts')
+  }
+
+  const app = createApp()
+  app.locals.subscriptionScheduler.start()
+
+  app.listen(PORT, () => {
+    logger.info('ANZ Worldline Payment Server running', {
+      url: `http://localhost:${PORT}`,
+      endpoints: [
+        'GET /api/auth/me - The signed-in user',
+        ...(AUTH_DEV_LOGIN ? ['POST /api/auth/dev-login - Sign in as any customer or operator (development)'] : []),
+        'POST /api/auth/logout - Sign out',
+        'POST /api/session - Create ANZ Worldline Client Session',
+        'POST /api/process-payment - Process payment with a saved card token or encrypted card',
+        'POST /api/tokens - Save a card as a Worldline token',
+        'DELETE /api/tokens/:tokenId - Delete a saved card',
+        'POST /api/hosted-tokenization - Create a Hosted Tokenization Page session',
+        'POST /api/hosted-tokenization/:hostedTokenizationId/token - Save the card captured in the iframe',
+        'GET /api/payments - List recorded transactions',
+        'GET /api/payments/:paymentId - Look up payment status',
+        'GET /api/payments/:paymentId/events - Webhook events of a payment (operators)',
+        'POST /api/payments/:paymentId/complete - Finish a payment after 3D Secure',
+        'POST /api/hosted-checkout - Create a Worldline Hosted Checkout',
+        'POST /api/hosted-checkout/:hostedCheckoutId/complete - Finish a hosted checkout',
+        'POST /api/payments/:paymentId/capture - Capture an authorized payment',
+        'POST /api/payments/:paymentId/cancel - Cancel an authorization',
+        'POST /api/payments/:paymentId/refund - Refund a captured payment',
+        'POST /api/subscriptions - Subscribe a saved card to a billing plan',
+        'GET /api/subscriptions - List subscriptions',
+        'GET /api/subscriptions/:subscriptionId - Look up a subscription',
+        'POST /api/subscriptions/:subscriptionId/pause - Pause a subscription',
+        'POST /api/subscriptions/:subscriptionId/resume - Resume a paused subscription',
+        'POST /api/subscriptions/:subscriptionId/cancel - Cancel a subscription',
+        'POST /api/webhooks/worldline - Receive Worldline webhook events'
+      ]
+    })
+  })
+}
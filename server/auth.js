@@ -0,0 +1,176 @@
+/**
+ * Authentication and authorization
+ *
+ * Every API route except the Worldline webhook needs a signed-in user. Who the
+ * user is comes from an authenticator - (req) => { id, role } or null, may
+ * return a promise - so the app can sit behind any sign-in. The default one
+ * verifies JWTs (HS256) signed with a local key (AUTH_SECRET), sent as a bearer
+ * token or in the session cookie:
+ *
+ *   { "sub": "<your customer or staff ID>", "role": "customer" | "operator", "exp": <seconds> }
+ *
+ * Customers can only use their own saved cards, payments and subscriptions;
+ * operators see everything and are the only ones who can capture, cancel and
+ * refund.
+ */
+
+import crypto from 'crypto'
+import { logger } from './logger.js'
+
+export const ROLES = ['customer', 'operator']
+export const SESSION_COOKIE = 'worldline_session'
+
+// User IDs end up in ledger entries and log lines
+export const USER_ID_PATTERN = /^[\w.:@-]{1,64}$/
+
+const base64url = (value) => Buffer.from(value).toString('base64url')
+
+const sign = (content, secret) => crypto.createHmac('sha256', secret).update(content).digest('base64url')
+
+/**
+ * Sign a JWT (HS256) - expiresInSeconds sets exp
+ */
+export function signToken(claims, secret, { expiresInSeconds = 8 * 60 * 60 } = {}) {
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))
+  const payload = base64url(JSON.stringify({ iat: issuedAt, exp: issuedAt + expiresInSeconds, ...claims }))
+  return `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`
+}
+
+/**
+ * Verify a JWT signed with secret - returns its claims, or null when the token is
+ * malformed, not HS256, wrongly signed, expired or not valid yet
+ */
+export function verifyToken(token, secret) {
+  const parts = typeof token === 'string' ? token.split('.') : []
+  if (parts.length !== 3) {
+    return null
+  }
+
+  const [header, payload, signature] = parts
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret))
+  const actual = Buffer.from(signature)
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null
+  }
+
+  let claims
+  try {
+    // Only HS256 - a token can't pick a weaker algorithm (or "none") for itself
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') {
+      return null
+    }
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString())
+  } catch {
+    return null
+  }
+
+  const now = Math.floor(Date.now() / 1000)
+  if (typeof claims?.exp !== 'number' || claims.exp <= now || (typeof claims.nbf === 'number' && claims.nbf > now)) {
+    return null
+  }
+  return claims
+}
+
+/**
+ * Read one cookie from the Cookie header
+ */
+export function readCookie(req, name) {
+  for (const cookie of (req.get('cookie') || '').split(';')) {
+    const separator = cookie.indexOf('=')
+    if (separator !== -1 && cookie.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(cookie.slice(separator + 1).trim())
+      } catch {
+        return null
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * The user a JWT stands for, or null when its claims don't name one
+ */
+export function userFromClaims(claims) {
+  if (!claims || typeof claims.sub !== 'string' || !USER_ID_PATTERN.test(claims.sub) || !ROLES.includes(claims.role)) {
+    return null
+  }
+  return { id: claims.sub, role: claims.role }
+}
+
+/**
+ * Create the default authenticator: a JWT signed with secret, from the
+ * Authorization: Bearer header or the session cookie
+ */
+export function createTokenAuthenticator({ secret, cookieName = SESSION_COOKIE }) {
+  return (req) => {
+    const authorization = req.get('authorization')
+    const token = authorization?.startsWith('Bearer ')
+      ? authorization.slice('Bearer '.length).trim()
+      : readCookie(req, cookieName)
+
+    return token ? userFromClaims(verifyToken(token, secret)) : null
+  }
+}
+
+/**
+ * Middleware that sets req.user from the authenticator - null when nobody is signed in
+ */
+export function authenticate(authenticator) {
+  return async (req, res, next) => {
+    try {
+      req.user = (await authenticator(req)) || null
+    } catch (error) {
+      logger.error('Authentication error', { error })
+      return res.status(500).json({
+        error: 'Authentication failed',
+        message: 'Could not check who is signed in'
+      })
+    }
+    next()
+  }
+}
+
+/**
+ * Middleware that refuses requests from nobody (401) or, when roles are given,
+ * from users with another role (403)
+ */
+export function requireUser(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Sign in to continue'
+      })
+    }
+
+    if (roles.length > 0 && !roles.includes(req.user.role)) {
+      logger.warn('Forbidden', { userId: req.user.id, role: req.user.role, path: req.path })
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Only ${roles.join(' or ')} users can do this`
+      })
+    }
+    next()
+  }
+}
+
+/**
+ * Whether a user sees everything (operators) or only their own
+ */
+export const isOperator = (user) => user?.role === 'operator'
+
+export default {
+  ROLES,
+  SESSION_COOKIE,
+  USER_ID_PATTERN,
+  signToken,
+  verifyToken,
+  readCookie,
+  userFromClaims,
+  createTokenAuthenticator,
+  authenticate,
+  requireUser,
+  isOperator
+}
@@ -0,0 +1,86 @@
+/**
+ * Saved card owners
+ *
+ * Which users saved which Worldline card tokens, so customers can only charge,
+ * subscribe and delete their own cards. Worldline gives the same card the same
+ * token, so a token can have several owners. Kept in an append-only JSON Lines
+ * file of { action: 'add' | 'remove', tokenId, ownerId } changes.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { logger } from './logger.js'
+
+/**
+ * Create a card store backed by the given file
+ */
+export function createCardStore(filePath) {
+  // tokenId -> Set of owner IDs
+  const owners = new Map()
+
+  const apply = ({ action, tokenId, ownerId }) => {
+    if (action === 'add') {
+      if (!owners.has(tokenId)) {
+        owners.set(tokenId, new Set())
+      }
+      owners.get(tokenId).add(ownerId)
+    } else if (action === 'remove') {
+      owners.get(tokenId)?.delete(ownerId)
+      if (owners.get(tokenId)?.size === 0) {
+        owners.delete(tokenId)
+      }
+    }
+  }
+
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean)
+    for (const line of lines) {
+      try {
+        apply(JSON.parse(line))
+      } catch (error) {
+        logger.warn('Skipping unreadable card line', { filePath, error })
+      }
+    }
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  }
+
+  const write = (change) => {
+    fs.appendFileSync(filePath, JSON.stringify({ ...change, createdAt: new Date().toISOString() }) + '\n')
+    apply(change)
+  }
+
+  /**
+   * Whether a user saved this card
+   */
+  const owns = (ownerId, tokenId) => !!owners.get(tokenId)?.has(ownerId)
+
+  /**
+   * Record that a user saved a card
+   */
+  const add = (ownerId, tokenId) => {
+    if (!owns(ownerId, tokenId)) {
+      write({ action: 'add', tokenId, ownerId })
+    }
+  }
+
+  /**
+   * Forget a user's card - returns the number of users who still have it
+   */
+  const remove = (ownerId, tokenId) => {
+    if (owns(ownerId, tokenId)) {
+      write({ action: 'remove', tokenId, ownerId })
+    }
+    return owners.get(tokenId)?.size || 0
+  }
+
+  return {
+    owns,
+    add,
+    remove
+  }
+}
+
+export default {
+  createCardStore
+}
@@ -0,0 +1,124 @@
+/**
+ * Idempotency keys for payment creation
+ *
+ * A client sends an Idempotency-Key header with each charge attempt. The first
+ * response for a key is stored and replayed when the key is reused, so double
+ * submits and network retries never create a second payment. Reusing a key
+ * with a different payload is rejected.
+ */
+
+import crypto from 'crypto'
+import { logger } from './logger.js'
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key'
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,255}$/
+
+// JSON with sorted object keys, so the same payload always hashes the same
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+function fingerprint(body) {
+  return crypto.createHash('sha256').update(canonicalize(body)).digest('hex')
+}
+
+/**
+ * Create an in-memory idempotency store - keys are forgotten after ttlMs
+ */
+export function createIdempotencyStore({ ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+  const entries = new Map()
+
+  const prune = () => {
+    const now = Date.now()
+    for (const [key, entry] of entries) {
+      if (now - entry.createdAt > ttlMs) {
+        entries.delete(key)
+      }
+    }
+  }
+
+  return {
+    get: (key) => {
+      prune()
+      return entries.get(key)
+    },
+    set: (key, entry) => entries.set(key, entry),
+    delete: (key) => entries.delete(key)
+  }
+}
+
+/**
+ * Express middleware that makes a route idempotent per Idempotency-Key header
+ * Requests without the header are passed through unchanged.
+ */
+export function idempotent(store) {
+  return (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER)
+
+    if (key === undefined) {
+      return next()
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        error: 'Invalid idempotency key',
+        message: `${IDEMPOTENCY_HEADER} must be 1-255 letters, digits or - _ . :`
+      })
+    }
+
+    // Keys are per user, so nobody can replay someone else's response
+    const storeKey = req.user ? `${req.user.id}:${key}` : key
+    const requestFingerprint = fingerprint(req.body)
+    const existing = store.get(storeKey)
+
+    if (existing) {
+      if (existing.fingerprint !== requestFingerprint) {
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          message: `${IDEMPOTENCY_HEADER} ${key} was already used with a different request`
+        })
+      }
+
+      if (!existing.response) {
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: `A request with ${IDEMPOTENCY_HEADER} ${key} is still being processed`
+        })
+      }
+
+      logger.info('Replaying idempotent response', { idempotencyKey: key })
+      res.set('Idempotent-Replayed', 'true')
+      return res.status(existing.response.statusCode).json(existing.response.body)
+    }
+
+    store.set(storeKey, { fingerprint: requestFingerprint, createdAt: Date.now(), response: null })
+
+    // Record the response as it is sent - server errors are not stored so the client can retry
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      if (res.statusCode >= 500) {
+        store.delete(storeKey)
+      } else {
+        store.set(storeKey, {
+          fingerprint: requestFingerprint,
+          createdAt: Date.now(),
+          response: { statusCode: res.statusCode, body }
+        })
+      }
+      return json(body)
+    }
+
+    next()
+  }
+}
+
+export default {
+  createIdempotencyStore,
+  idempotent
+}
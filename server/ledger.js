@@ -0,0 +1,176 @@
+/**
+ * Transaction ledger
+ *
+ * Append-only JSON Lines record of every payment operation the backend performs:
+ * authorizations, captures, cancels, refunds, declines and 3-D Secure attempts.
+ * Entries are grouped by payment ID into payment summaries for listing.
+ */
+
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { logger } from './logger.js'
+
+export const ENTRY_TYPES = ['authorization', 'capture', 'cancel', 'refund', 'decline', '3ds']
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+// Summary fields the search text is looked for in
+const SEARCH_FIELDS = ['paymentId', 'merchantReference', 'customerId', 'ownerId', 'subscriptionId']
+
+// Fold a payment's entries (oldest first) into one summary
+function summarize(entries) {
+  const first = entries[0]
+  const last = entries[entries.length - 1]
+  const summary = {
+    paymentId: first.paymentId,
+    customerId: first.customerId,
+    ownerId: first.ownerId ?? null,
+    subscriptionId: first.subscriptionId ?? null,
+    merchantReference: first.merchantReference ?? null,
+    amount: 0,
+    currency: first.currency,
+    status: last.status,
+    captured: 0,
+    uncaptured: 0,
+    refunded: 0,
+    createdAt: first.createdAt,
+    updatedAt: last.createdAt,
+    entries
+  }
+
+  for (const entry of entries) {
+    switch (entry.type) {
+      case 'authorization':
+      case 'decline':
+      case '3ds':
+        summary.amount = entry.amount
+        summary.uncaptured = entry.type === 'authorization' && entry.status === 'PENDING_CAPTURE' ? entry.amount : 0
+        break
+      case 'capture':
+        summary.captured += entry.amount
+        summary.uncaptured = entry.remaining ?? 0
+        break
+      case 'cancel':
+        summary.uncaptured = entry.remaining ?? 0
+        break
+      case 'refund':
+        summary.refunded += entry.amount
+        break
+    }
+  }
+
+  return summary
+}
+
+/**
+ * Create a ledger backed by the given file
+ */
+export function createLedger(filePath) {
+  const entries = []
+
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean)
+    for (const line of lines) {
+      try {
+        entries.push(JSON.parse(line))
+      } catch (error) {
+        logger.warn('Skipping unreadable ledger line', { filePath, error })
+      }
+    }
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  }
+
+  const entriesFor = (paymentId) => entries.filter(entry => entry.paymentId === paymentId)
+
+  /**
+   * Append an entry - customer, owner and currency are carried over from earlier entries of the same payment
+   */
+  const record = (entry) => {
+    if (!ENTRY_TYPES.includes(entry.type)) {
+      throw new Error(`Unknown ledger entry type: ${entry.type}`)
+    }
+
+    const previous = entry.paymentId ? entriesFor(entry.paymentId)[0] : undefined
+    const stored = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...entry,
+      customerId: entry.customerId ?? previous?.customerId ?? null,
+      ownerId: entry.ownerId ?? previous?.ownerId ?? null,
+      currency: entry.currency ?? previous?.currency ?? null
+    }
+
+    fs.appendFileSync(filePath, JSON.stringify(stored) + '\n')
+    entries.push(stored)
+    return stored
+  }
+
+  /**
+   * Get the summary of one payment, or null if the ledger has never seen it
+   */
+  const getPayment = (paymentId) => {
+    const paymentEntries = entriesFor(paymentId)
+    return paymentEntries.length ? summarize(paymentEntries) : null
+  }
+
+  /**
+   * List payment summaries, newest first
+   * Filters: search (text in the payment ID, merchant reference, customer, owner or subscription ID),
+   * status, customerId, ownerId (the signed-in user who paid), subscriptionId, from/to (ISO dates, on creation time), page (1-based), pageSize
+   */
+  const listPayments = ({ search, status, customerId, ownerId, subscriptionId, from, to, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) => {
+    const byPayment = new Map()
+    for (const entry of entries) {
+      const key = entry.paymentId || entry.id
+      if (!byPayment.has(key)) {
+        byPayment.set(key, [])
+      }
+      byPayment.get(key).push(entry)
+    }
+
+    const fromTime = from ? Date.parse(from) : -Infinity
+    // A date-only "to" includes the whole day
+    const toTime = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0) : Infinity
+
+    const searchText = search?.trim().toLowerCase()
+
+    const payments = [...byPayment.values()]
+      .map(summarize)
+      .filter(payment => !searchText || SEARCH_FIELDS.some(field =>
+        typeof payment[field] === 'string' && payment[field].toLowerCase().includes(searchText)
+      ))
+      .filter(payment => !status || payment.status === status)
+      .filter(payment => !customerId || payment.customerId === customerId)
+      .filter(payment => !ownerId || payment.ownerId === ownerId)
+      .filter(payment => !subscriptionId || payment.subscriptionId === subscriptionId)
+      .filter(payment => {
+        const createdTime = Date.parse(payment.createdAt)
+        return createdTime >= fromTime && createdTime <= toTime
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+
+    const size = Math.min(Math.max(pageSize, 1), MAX_PAGE_SIZE)
+    const start = (Math.max(page, 1) - 1) * size
+
+    return {
+      payments: payments.slice(start, start + size),
+      total: payments.length,
+      page: Math.max(page, 1),
+      pageSize: size
+    }
+  }
+
+  return {
+    record,
+    getPayment,
+    listPayments
+  }
+}
+
+export default {
+  createLedger,
+  ENTRY_TYPES
+}
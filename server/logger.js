@@ -0,0 +1,148 @@
+/**
+ * Structured logger
+ *
+ * Writes one JSON object per line - time, level, msg, the request ID of the
+ * request being handled and the fields passed in. Everything goes through
+ * redact() first, so card data, encrypted card input, credentials and customer
+ * PII never reach the logs.
+ *
+ * Levels are debug, info, warn and error; entries below the configured level
+ * are dropped. The request ID comes from requestLogging(), which keeps it in
+ * an AsyncLocalStorage for the rest of the request - code called from a route
+ * doesn't have to pass it on.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+import crypto from 'crypto'
+import { redact, redactText } from '../src/utils/redact.js'
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+export const REQUEST_ID_HEADER = 'X-Request-Id'
+
+// Request IDs sent by a proxy or the frontend are kept when they look like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/
+
+const requestContext = new AsyncLocalStorage()
+
+// warn and error go to stderr
+const consoleWrite = (level, line) => {
+  if (level === 'warn' || level === 'error') {
+    console.error(line)
+  } else {
+    console.log(line)
+  }
+}
+
+function checkLevel(level) {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Invalid log level: ${level} (expected ${LOG_LEVELS.join(', ')})`)
+  }
+  return level
+}
+
+/**
+ * Create a logger
+ *
+ * @param {Object} options
+ * @param {string} options.level - Lowest level written (default info)
+ * @param {Object} options.bindings - Fields added to every entry
+ * @param {Function} options.write - (level, line) => void, defaults to the console
+ * @returns {Object} { debug, info, warn, error } taking (message, fields), plus child(bindings),
+ *   setLevel(level) and isLevelEnabled(level). Children share their parent's level.
+ */
+export function createLogger({ level = 'info', bindings = {}, write = consoleWrite } = {}) {
+  const state = { level: checkLevel(level) }
+  return buildLogger(state, bindings, write)
+}
+
+function buildLogger(state, bindings, write) {
+  const isLevelEnabled = (level) => LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(state.level)
+
+  const log = (level, message, fields = {}) => {
+    if (!isLevelEnabled(level)) return
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactText(String(message)),
+      ...requestContext.getStore(),
+      ...redact(bindings),
+      ...redact(fields)
+    }
+    write(level, JSON.stringify(entry))
+  }
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    child: (childBindings) => buildLogger(state, { ...bindings, ...childBindings }, write),
+    setLevel: (level) => {
+      state.level = checkLevel(level)
+    },
+    isLevelEnabled
+  }
+}
+
+/**
+ * Logger for the Worldline SDK's `logger` option - its request and response
+ * logging is written at debug level, warnings and errors at their own level
+ */
+export function sdkLogger(logger) {
+  const sdk = logger.child({ component: 'worldline-sdk' })
+  return {
+    info: (message) => sdk.debug('Worldline API call', { detail: message }),
+    warn: (message) => sdk.warn('Worldline SDK warning', { detail: message }),
+    error: (message) => sdk.error('Worldline SDK error', { detail: message })
+  }
+}
+
+/**
+ * Middleware giving each request an ID - the caller's X-Request-Id or a new UUID -
+ * returned in the X-Request-Id header and added to every entry logged while the
+ * request is handled. Logs each request once the response is sent.
+ *
+ * Register it after the body parsers: their stream callbacks don't keep the context.
+ */
+export function requestLogging(logger) {
+  return (req, res, next) => {
+    const incomingId = req.get(REQUEST_ID_HEADER)
+    const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID()
+    const startedAt = performance.now()
+
+    req.id = requestId
+    res.set(REQUEST_ID_HEADER, requestId)
+
+    res.on('finish', () => {
+      const fields = {
+        requestId,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(performance.now() - startedAt)
+      }
+      if (res.statusCode >= 500) {
+        logger.error('Request failed', fields)
+      } else {
+        logger.info('Request completed', fields)
+      }
+    })
+
+    requestContext.run({ requestId }, next)
+  }
+}
+
+/**
+ * The application logger - server.js sets its level from LOG_LEVEL
+ */
+export const logger = createLogger()
+
+export default {
+  createLogger,
+  sdkLogger,
+  requestLogging,
+  logger,
+  LOG_LEVELS,
+  REQUEST_ID_HEADER
+}
@@ -0,0 +1,930 @@
+/**
+ * Mock Worldline API
+ *
+ * A local stand-in for the Worldline Server API (/v2/{merchantId}/...) and Client API
+ * (/client/v1/{customerId}/...) so the app runs without sandbox credentials or network.
+ * Point ANZ_WORLDLINE_API_URL at it - the sessions it creates hand out its own clientApiUrl.
+ *
+ * Covers sessions, card payment products, the encryption public key, payments
+ * (including a 3-D Secure challenge page), hosted checkouts (with a payment page),
+ * hosted tokenization (with a tokenizer.js and card iframe), captures, cancels,
+ * refunds and tokens.
+ * What happens to a payment is decided by the card number's `outcome` in the test cards:
+ * approve, decline, 3ds or timeout. Unknown card numbers are approved.
+ *
+ * Card input encrypted by the Client SDK is decrypted with the mock's own RSA key pair.
+ * Everything is kept in memory and lost on restart.
+ */
+
+import crypto from 'crypto'
+import express from 'express'
+import cors from 'cors'
+import { formatAmount } from '../src/utils/currency.js'
+
+// Card payment products offered by the mock (IDs match Worldline's)
+const PRODUCTS = [
+  { id: 1, label: 'Visa', iin: /^4/, lengths: [13, 19], cvvLength: 3 },
+  { id: 3, label: 'Mastercard', iin: /^(5[1-5]|2[2-7])/, lengths: [16, 16], cvvLength: 3 },
+  { id: 2, label: 'American Express', iin: /^3[47]/, lengths: [15, 15], cvvLength: 4 },
+  { id: 128, label: 'Discover', iin: /^(6011|65|64[4-9])/, lengths: [16, 19], cvvLength: 3 }
+]
+
+// statusOutput reported for each payment status
+const STATUS_OUTPUTS = {
+  REDIRECTED: { statusCategory: 'PENDING_PAYMENT', statusCode: 46, isAuthorized: false },
+  PENDING_CAPTURE: { statusCategory: 'PENDING_MERCHANT', statusCode: 5, isAuthorized: true },
+  CAPTURED: { statusCategory: 'COMPLETED', statusCode: 9, isAuthorized: true },
+  REFUNDED: { statusCategory: 'REFUNDED', statusCode: 8, isAuthorized: true },
+  CANCELLED: { statusCategory: 'UNSUCCESSFUL', statusCode: 6, isAuthorized: false },
+  REJECTED: { statusCategory: 'UNSUCCESSFUL', statusCode: 2, isAuthorized: false }
+}
+
+const OUTCOMES = ['approve', 'decline', '3ds', 'timeout']
+
+// Total amount of captures (captureOutput) or refunds (refundOutput)
+const sumAmounts = (operations, output) => operations.reduce((total, operation) => total + operation[output].amountOfMoney.amount, 0)
+
+const maskCardNumber = (cardNumber) => cardNumber.slice(-4).padStart(cardNumber.length, '*')
+
+const findProductByCardNumber = (cardNumber) => PRODUCTS.find(product => product.iin.test(cardNumber))
+
+// Worldline error response body
+function sendError(res, httpStatusCode, id, message, extra = {}) {
+  res.status(httpStatusCode).json({
+    errorId: crypto.randomUUID(),
+    errors: [{
+      errorCode: String(httpStatusCode * 100000 + 1),
+      category: httpStatusCode >= 500 ? 'IO_ERROR' : 'PAYMENT_PLATFORM_ERROR',
+      httpStatusCode,
+      id,
+      message
+    }],
+    ...extra
+  })
+}
+
+// Decrypt the JWE (RSA-OAEP + A256CBC-HS512) produced by the Client SDK's encryptor
+function decryptCustomerInput(encryptedCustomerInput, privateKey) {
+  const [encodedHeader, encodedKey, encodedIv, encodedCipherText, encodedTag] = String(encryptedCustomerInput).split('.')
+  if (!encodedTag) {
+    throw new Error('Not a compact JWE')
+  }
+
+  const contentKey = crypto.privateDecrypt(
+    { key: privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha1' },
+    Buffer.from(encodedKey, 'base64url')
+  )
+  const macKey = contentKey.subarray(0, 32)
+  const encKey = contentKey.subarray(32)
+  const iv = Buffer.from(encodedIv, 'base64url')
+  const cipherText = Buffer.from(encodedCipherText, 'base64url')
+
+  // Authentication tag: first half of HMAC-SHA512 over header, IV, ciphertext and the header's bit length
+  const headerBitLength = Buffer.alloc(8)
+  headerBitLength.writeUInt32BE(Buffer.byteLength(encodedHeader) * 8, 4)
+  const expectedTag = crypto.createHmac('sha512', macKey)
+    .update(Buffer.concat([Buffer.from(encodedHeader), iv, cipherText, headerBitLength]))
+    .digest()
+    .subarray(0, 32)
+  const tag = Buffer.from(encodedTag, 'base64url')
+  if (tag.length !== expectedTag.length || !crypto.timingSafeEqual(tag, expectedTag)) {
+    throw new Error('Authentication tag mismatch')
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-cbc', encKey, iv)
+  return JSON.parse(Buffer.concat([decipher.update(cipherText), decipher.final()]).toString('utf8'))
+}
+
+// Payment product as the Client API returns it - the list leaves out the fields
+function toProductJson(product, displayOrder, withFields) {
+  const displayHints = {
+    displayOrder,
+    label: product.label,
+    logo: `templates/master/global/css/img/ppimages/pp_logo_${product.id}_v1.png`
+  }
+
+  return {
+    id: product.id,
+    paymentMethod: 'card',
+    paymentProductGroup: 'Cards',
+    allowsRecurring: true,
+    allowsTokenization: true,
+    allowsAuthentication: true,
+    usesRedirectionTo3rdParty: false,
+    mobileIntegrationLevel: 'OPTIMAL_SUPPORT',
+    displayHints,
+    displayHintsList: [displayHints],
+    ...(withFields ? { fields: cardFields(product) } : {})
+  }
+}
+
+function cardFields(product) {
+  const [minLength, maxLength] = product.lengths
+  const field = (id, type, displayOrder, label, validators, displayHints = {}) => ({
+    id,
+    type,
+    dataRestrictions: { isRequired: true, validators },
+    displayHints: {
+      alwaysShow: false,
+      displayOrder,
+      formElement: { type: 'text' },
+      label,
+      obfuscate: false,
+      preferredInputType: type === 'string' ? 'StringKeyboard' : 'IntegerKeyboard',
+      ...displayHints
+    }
+  })
+
+  return [
+    field('cardNumber', 'numericstring', 10, 'Card number', {
+      length: { minLength, maxLength },
+      luhn: {},
+      regularExpression: { regularExpression: '^[0-9]+$' }
+    }, {
+      mask: product.id === 2 ? '{{9999}} {{999999}} {{99999}}' : '{{9999}} {{9999}} {{9999}} {{9999}}',
+      placeholderLabel: product.id === 2 ? '**** ****** *****' : '**** **** **** ****'
+    }),
+    field('cardholderName', 'string', 20, 'Cardholder name', {
+      length: { minLength: 2, maxLength: 51 }
+    }, {
+      placeholderLabel: 'John Doe'
+    }),
+    field('expiryDate', 'expirydate', 30, 'Expiry date', {
+      expirationDate: {},
+      regularExpression: { regularExpression: '^(0[1-9]|1[0-2])([0-9]{2}|[0-9]{4})$' }
+    }, {
+      mask: '{{99}}/{{99}}',
+      placeholderLabel: 'MM/YY'
+    }),
+    field('cvv', 'numericstring', 40, 'Card verification code', {
+      length: { minLength: product.cvvLength, maxLength: product.cvvLength },
+      regularExpression: { regularExpression: `^[0-9]{${product.cvvLength}}$` }
+    }, {
+      mask: `{{${'9'.repeat(product.cvvLength)}}}`,
+      obfuscate: true,
+      placeholderLabel: '*'.repeat(product.cvvLength)
+    })
+  ]
+}
+
+/**
+ * Create the mock Worldline API
+ *
+ * @param {Object} options
+ * @param {Array} options.cards - Test cards ({ number, outcome }) that decide payment outcomes
+ * @param {number} options.timeoutMs - How long a 'timeout' card hangs before failing with 504
+ * @param {string} options.authorizationMode - Authorization mode used when a payment doesn't set one
+ * @param {number} options.sessionTtlMs - How long client sessions work before Client API calls are refused
+ * @returns {express.Express} Express app - call listen() on it
+ */
+export function createMockWorldline({
+  cards = [],
+  timeoutMs = 30000,
+  authorizationMode = 'FINAL_AUTHORIZATION',
+  sessionTtlMs = 60 * 60 * 1000
+} = {}) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const publicKeyResponse = {
+    keyId: `mock-${crypto.randomUUID()}`,
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+  }
+
+  const sessions = new Map()
+  const payments = new Map()
+  const tokens = new Map()
+  const hostedCheckouts = new Map()
+  const hostedTokenizations = new Map()
+
+  const outcomeFor = (cardNumber) => {
+    const outcome = cards.find(card => card.number === cardNumber)?.outcome
+    return OUTCOMES.includes(outcome) ? outcome : 'approve'
+  }
+
+  const baseUrl = (req) => `${req.protocol}://${req.get('host')}`
+
+  const newPaymentId = () => `${crypto.randomInt(1000000000, 9999999999)}_0`
+
+  // Save (or find) the token for a card - the same card always gets the same token
+  const tokenizeCard = (card, paymentProductId) => {
+    const existing = [...tokens.values()].find(token => token.card.cardNumber === card.cardNumber)
+    if (existing) {
+      return { token: existing.id, isNewToken: false }
+    }
+
+    const id = crypto.randomUUID()
+    tokens.set(id, { id, paymentProductId, card })
+    return { token: id, isNewToken: true }
+  }
+
+  // Token as the Server API returns it
+  const toTokenJson = (token) => ({
+    id: token.id,
+    paymentProductId: token.paymentProductId,
+    isTemporary: false,
+    card: {
+      alias: maskCardNumber(token.card.cardNumber),
+      data: {
+        cardWithoutCvv: {
+          cardNumber: maskCardNumber(token.card.cardNumber),
+          expiryDate: token.card.expiryDate,
+          cardholderName: token.card.cardholderName
+        }
+      }
+    }
+  })
+
+  // Payment as the Server API returns it
+  const toPaymentJson = (payment) => {
+    const captured = sumAmounts(payment.captures, 'captureOutput')
+    const refunded = sumAmounts(payment.refunds, 'refundOutput')
+
+    return {
+      id: payment.id,
+      status: payment.status,
+      statusOutput: {
+        ...STATUS_OUTPUTS[payment.status],
+        isCancellable: payment.status === 'PENDING_CAPTURE',
+        isRefundable: captured - refunded > 0,
+        errors: payment.status === 'REJECTED'
+          ? [{ errorCode: '30511001', category: 'PAYMENT_PLATFORM_ERROR', httpStatusCode: 402, id: 'AUTHORIZATION_DECLINED', message: 'Authorization declined by the issuer' }]
+          : []
+      },
+      paymentOutput: {
+        amountOfMoney: { amount: payment.amount, currencyCode: payment.currency },
+        acquiredAmount: { amount: captured, currencyCode: payment.currency },
+        customer: { device: {} },
+        references: { merchantReference: payment.merchantCustomerId },
+        paymentMethod: 'card',
+        cardPaymentMethodSpecificOutput: cardOutput(payment)
+      }
+    }
+  }
+
+  const cardOutput = (payment) => ({
+    paymentProductId: payment.paymentProductId,
+    authorisationCode: payment.status === 'REJECTED' ? undefined : 'MOCK01',
+    card: { cardNumber: maskCardNumber(payment.card.cardNumber), expiryDate: payment.card.expiryDate },
+    ...(payment.token ? { token: payment.token } : {}),
+    ...(payment.schemeReferenceData ? { schemeReferenceData: payment.schemeReferenceData } : {})
+  })
+
+  // Status once a payment is authorized - SALE captures straight away
+  const authorize = (payment) => {
+    payment.status = payment.authorizationMode === 'SALE' ? 'CAPTURED' : 'PENDING_CAPTURE'
+    if (payment.status === 'CAPTURED' && payment.amount > 0) {
+      payment.captures.push(newCapture(payment, payment.amount))
+    }
+  }
+
+  const newCapture = (payment, amount) => ({
+    id: `${payment.id.split('_')[0]}_${payment.captures.length + payment.refunds.length + 1}`,
+    status: 'CAPTURED',
+    statusOutput: { statusCode: 9 },
+    captureOutput: {
+      amountOfMoney: { amount, currencyCode: payment.currency },
+      paymentMethod: 'card',
+      cardPaymentMethodSpecificOutput: cardOutput(payment)
+    }
+  })
+
+  const remainingAuthorization = (payment) => payment.amount - sumAmounts(payment.captures, 'captureOutput') - payment.cancelled
+
+  // Work out which card a payment request is for
+  const resolveCard = (body) => {
+    const cardInput = body.cardPaymentMethodSpecificInput || {}
+
+    if (body.encryptedCustomerInput) {
+      const customerInput = decryptCustomerInput(body.encryptedCustomerInput, privateKey)
+      if (!sessions.has(customerInput.clientSessionId)) {
+        throw Object.assign(new Error('Encrypted input belongs to an unknown client session'), { status: 400, id: 'INVALID_CLIENT_SESSION' })
+      }
+      const values = Object.fromEntries(customerInput.paymentValues.map(({ key, value }) => [key, value]))
+      return {
+        card: { cardNumber: values.cardNumber, expiryDate: values.expiryDate, cardholderName: values.cardholderName },
+        paymentProductId: customerInput.paymentProductId,
+        tokenize: cardInput.tokenize || customerInput.tokenize
+      }
+    }
+
+    if (cardInput.token) {
+      const token = tokens.get(cardInput.token)
+      if (!token) {
+        throw Object.assign(new Error(`Token ${cardInput.token} not found`), { status: 404, id: 'TOKEN_NOT_FOUND' })
+      }
+      return { card: token.card, paymentProductId: token.paymentProductId, token: token.id }
+    }
+
+    if (cardInput.card?.cardNumber) {
+      return {
+        card: cardInput.card,
+        paymentProductId: cardInput.paymentProductId || findProductByCardNumber(cardInput.card.cardNumber)?.id,
+        tokenize: cardInput.tokenize
+      }
+    }
+
+    throw Object.assign(new Error('No card, token or encrypted customer input'), { status: 400, id: 'MISSING_CARD_INPUT' })
+  }
+
+  const app = express()
+  app.use(express.json())
+  app.use(express.urlencoded({ extended: false }))
+
+  app.use((req, res, next) => {
+    console.log(`[mock] ${req.method} ${req.path}`)
+    req.body ??= {}
+    next()
+  })
+
+  // ==========================================================================
+  // Client API - called from the browser by the Client SDK
+  // ==========================================================================
+
+  const clientApi = express.Router()
+  clientApi.use(cors())
+
+  // Sessions authorize Client API calls with "GCS v1Client:{clientSessionId}"
+  clientApi.use('/:customerId', (req, res, next) => {
+    const clientSessionId = (req.get('authorization') || '').replace(/^GCS v1Client:/, '')
+    const session = sessions.get(clientSessionId)
+    if (!session || session.customerId !== req.params.customerId) {
+      return sendError(res, 403, 'ACCESS_TO_CUSTOMER_DENIED', 'Unknown client session for this customer')
+    }
+    if (Date.now() - session.createdAt > sessionTtlMs) {
+      return sendError(res, 403, 'ACCESS_TO_CUSTOMER_DENIED', 'Client session has expired')
+    }
+    next()
+  })
+
+  clientApi.get('/:customerId/crypto/publickey', (req, res) => {
+    res.json(publicKeyResponse)
+  })
+
+  clientApi.get('/:customerId/products', (req, res) => {
+    res.json({ paymentProducts: PRODUCTS.map((product, index) => toProductJson(product, index, false)) })
+  })
+
+  clientApi.get('/:customerId/products/:paymentProductId', (req, res) => {
+    const index = PRODUCTS.findIndex(product => String(product.id) === req.params.paymentProductId)
+    if (index === -1) {
+      return sendError(res, 404, 'UNKNOWN_PRODUCT_ID', 'Payment product not found')
+    }
+    res.json(toProductJson(PRODUCTS[index], index, true))
+  })
+
+  clientApi.post('/:customerId/services/getIINdetails', (req, res) => {
+    const bin = String(req.body.bin || '').replace(/\D/g, '')
+    const product = bin.length >= 6 && findProductByCardNumber(bin)
+    if (!product) {
+      return sendError(res, 404, 'IIN_NOT_FOUND', 'No payment product found for this IIN')
+    }
+    res.json({ paymentProductId: product.id, countryCode: 'AU', isAllowedInContext: true, coBrands: [] })
+  })
+
+  app.use('/client/v1', clientApi)
+
+  // ==========================================================================
+  // 3-D Secure challenge page - where merchantAction.redirectData.redirectURL points
+  // ==========================================================================
+
+  app.get('/mock/3ds/:paymentId', (req, res) => {
+    const payment = payments.get(req.params.paymentId)
+    if (!payment || payment.status !== 'REDIRECTED') {
+      return res.status(404).send('No payment waiting for authentication')
+    }
+
+    const amount = formatAmount(payment.amount, payment.currency)
+    res.send(`<!doctype html>
+<html>
+  <head><title>Mock 3-D Secure</title></head>
+  <body style="font-family: sans-serif; max-width: 28rem; margin: 4rem auto; text-align: center">
+    <h1>Mock 3-D Secure</h1>
+    <p>Authenticate a payment of <strong>${amount}</strong> with card ${maskCardNumber(payment.card.cardNumber)}?</p>
+    <form method="post">
+      <button name="result" value="success">Authenticate</button>
+      <button name="result" value="failure">Fail authentication</button>
+    </form>
+  </body>
+</html>`)
+  })
+
+  app.post('/mock/3ds/:paymentId', (req, res) => {
+    const payment = payments.get(req.params.paymentId)
+    if (!payment || payment.status !== 'REDIRECTED') {
+      return res.status(404).send('No payment waiting for authentication')
+    }
+
+    if (req.body.result === 'success') {
+      authorize(payment)
+    } else {
+      payment.status = 'REJECTED'
+    }
+    console.log(`[mock] 3-D Secure ${req.body.result === 'success' ? 'passed' : 'failed'} for ${payment.id}`)
+
+    const returnUrl = new URL(payment.returnUrl)
+    returnUrl.searchParams.set('RETURNMAC', payment.returnMac)
+    returnUrl.searchParams.set('paymentId', payment.id)
+    res.redirect(303, returnUrl.toString())
+  })
+
+  // ==========================================================================
+  // Hosted Checkout payment page - where the hosted checkout's redirectUrl points
+  // ==========================================================================
+
+  // Payment products the checkout's paymentProductFilters leave on offer
+  const offeredProducts = (checkout) => {
+    const { restrictTo, exclude } = checkout.paymentProductFilters || {}
+    return PRODUCTS
+      .filter(product => !restrictTo?.products?.length || restrictTo.products.includes(product.id))
+      .filter(product => !exclude?.products?.includes(product.id))
+  }
+
+  const hostedCheckoutPage = (checkout, message = '') => `<!doctype html>
+<html>
+  <head><title>Mock Hosted Checkout</title></head>
+  <body style="font-family: sans-serif; max-width: 28rem; margin: 4rem auto">
+    <h1>Mock Hosted Checkout</h1>
+    <p>Pay <strong>${formatAmount(checkout.amount, checkout.currency)}</strong> with ${offeredProducts(checkout).map(product => product.label).join(', ')}</p>
+    ${message ? `<p style="color: #b91c1c">${message}</p>` : ''}
+    <form method="post">
+      <p><label>Card number <input name="cardNumber" value="4111111111111111" inputmode="numeric"></label></p>
+      <p><label>Expiry date (MMYY) <input name="expiryDate" value="1230" inputmode="numeric"></label></p>
+      <p><label>Cardholder name <input name="cardholderName" value="Test Customer"></label></p>
+      <button name="action" value="pay">Pay</button>
+      <button name="action" value="cancel">Cancel</button>
+    </form>
+  </body>
+</html>`
+
+  // Every /mock/hostedcheckout/:hostedCheckoutId route needs a checkout the customer hasn't finished
+  app.use('/mock/hostedcheckout/:hostedCheckoutId', (req, res, next) => {
+    req.checkout = hostedCheckouts.get(req.params.hostedCheckoutId)
+    if (!req.checkout || req.checkout.status !== 'IN_PROGRESS') {
+      return res.status(404).send('No hosted checkout waiting for payment')
+    }
+    next()
+  })
+
+  app.get('/mock/hostedcheckout/:hostedCheckoutId', (req, res) => {
+    res.send(hostedCheckoutPage(req.checkout))
+  })
+
+  app.post('/mock/hostedcheckout/:hostedCheckoutId', (req, res) => {
+    const checkout = req.checkout
+
+    if (req.body.action === 'cancel') {
+      checkout.status = 'CANCELLED_BY_CONSUMER'
+    } else {
+      const card = {
+        cardNumber: String(req.body.cardNumber || '').replace(/\D/g, ''),
+        expiryDate: String(req.body.expiryDate || '').replace(/\D/g, ''),
+        cardholderName: req.body.cardholderName
+      }
+      const product = findProductByCardNumber(card.cardNumber)
+      if (!product || !offeredProducts(checkout).includes(product)) {
+        return res.status(400).send(hostedCheckoutPage(checkout, 'This card is not accepted here'))
+      }
+
+      // The page does its own 3-D Secure, so only declines change the outcome
+      const payment = {
+        id: newPaymentId(),
+        status: 'CREATED',
+        amount: checkout.amount,
+        currency: checkout.currency,
+        merchantCustomerId: checkout.merchantCustomerId,
+        card,
+        paymentProductId: product.id,
+        authorizationMode: checkout.authorizationMode,
+        captures: [],
+        refunds: [],
+        cancelled: 0
+      }
+      payments.set(payment.id, payment)
+      if (outcomeFor(card.cardNumber) === 'decline') {
+        payment.status = 'REJECTED'
+      } else {
+        authorize(payment)
+      }
+
+      checkout.status = 'PAYMENT_CREATED'
+      checkout.paymentId = payment.id
+    }
+    console.log(`[mock] Hosted checkout ${checkout.id}: ${checkout.status}`)
+
+    const returnUrl = new URL(checkout.returnUrl)
+    returnUrl.searchParams.set('RETURNMAC', checkout.returnMac)
+    returnUrl.searchParams.set('hostedCheckoutId', checkout.id)
+    res.redirect(303, returnUrl.toString())
+  })
+
+  // ==========================================================================
+  // Hosted Tokenization Page - tokenizer.js and the card iframe it embeds
+  // ==========================================================================
+
+  // Stand-in for Worldline's tokenizer.js: new Tokenizer(url, elementId, options),
+  // initialize(), submitTokenization() and destroy(). It talks to the iframe with postMessage.
+  app.get('/hostedtokenization/js/client/tokenizer.min.js', (req, res) => {
+    res.type('application/javascript').send(`window.Tokenizer = class Tokenizer {
+  constructor(url, elementId, options) {
+    this.url = url
+    this.elementId = elementId
+    this.options = options || {}
+  }
+  initialize() {
+    return new Promise((resolve, reject) => {
+      const container = document.getElementById(this.elementId)
+      if (!container) return reject(new Error('Element ' + this.elementId + ' not found'))
+      this.iframe = document.createElement('iframe')
+      this.iframe.src = this.url + (this.options.hideCardholderName ? '?hideCardholderName=true' : '')
+      this.iframe.title = 'Card details'
+      this.iframe.style.cssText = 'width: 100%; height: 240px; border: 0'
+      this.iframe.onload = () => resolve()
+      container.appendChild(this.iframe)
+    })
+  }
+  submitTokenization() {
+    return new Promise((resolve) => {
+      const onMessage = (event) => {
+        if (event.source !== this.iframe.contentWindow || event.data?.type !== 'mockTokenizationResult') return
+        window.removeEventListener('message', onMessage)
+        resolve(event.data.result)
+      }
+      window.addEventListener('message', onMessage)
+      this.iframe.contentWindow.postMessage({ type: 'mockSubmitTokenization' }, '*')
+    })
+  }
+  destroy() {
+    this.iframe?.remove()
+  }
+}`)
+  })
+
+  app.get('/mock/hostedtokenization/:hostedTokenizationId', (req, res) => {
+    if (!hostedTokenizations.has(req.params.hostedTokenizationId)) {
+      return res.status(404).send('Unknown hosted tokenization')
+    }
+
+    res.send(`<!doctype html>
+<html>
+  <body style="font-family: sans-serif; margin: 0">
+    <form style="display: grid; gap: 0.5rem">
+      <label>Card number <input name="cardNumber" value="4111111111111111" inputmode="numeric"></label>
+      <label>Expiry date (MMYY) <input name="expiryDate" value="1230" inputmode="numeric"></label>
+      <label>CVV <input name="cvv" value="123" inputmode="numeric"></label>
+      ${req.query.hideCardholderName ? '' : '<label>Cardholder name <input name="cardholderName" value="Test Customer"></label>'}
+    </form>
+    <script>
+      window.addEventListener('message', async (event) => {
+        if (event.data?.type !== 'mockSubmitTokenization') return
+        const response = await fetch(location.pathname, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(Object.fromEntries(new FormData(document.forms[0])))
+        })
+        event.source.postMessage({ type: 'mockTokenizationResult', result: await response.json() }, '*')
+      })
+    </script>
+  </body>
+</html>`)
+  })
+
+  // Tokenize the card typed into the iframe - answers the way submitTokenization() resolves
+  app.post('/mock/hostedtokenization/:hostedTokenizationId', (req, res) => {
+    const tokenization = hostedTokenizations.get(req.params.hostedTokenizationId)
+    if (!tokenization) {
+      return res.json({ success: false, error: { message: 'Unknown hosted tokenization' } })
+    }
+
+    const card = {
+      cardNumber: String(req.body.cardNumber || '').replace(/\D/g, ''),
+      expiryDate: String(req.body.expiryDate || '').replace(/\D/g, ''),
+      cardholderName: req.body.cardholderName
+    }
+    const product = findProductByCardNumber(card.cardNumber)
+    const { restrictTo, exclude } = tokenization.paymentProductFilters || {}
+    const offered = product &&
+      (!restrictTo?.products?.length || restrictTo.products.includes(product.id)) &&
+      !exclude?.products?.includes(product.id)
+    if (!offered || !/^\d{4}$/.test(card.expiryDate)) {
+      return res.json({ success: false, error: { message: 'Card not accepted - check the card number and expiry date' } })
+    }
+
+    const { token, isNewToken } = tokenizeCard(card, product.id)
+    Object.assign(tokenization, { tokenId: token, tokenStatus: isNewToken ? 'CREATED' : 'UNCHANGED' })
+    console.log(`[mock] Hosted tokenization ${tokenization.id}: ${tokenization.tokenStatus}`)
+    res.json({ success: true, hostedTokenizationId: tokenization.id })
+  })
+
+  // ==========================================================================
+  // Server API - called by the backend through the Server SDK
+  // ==========================================================================
+
+  const serverApi = express.Router({ mergeParams: true })
+
+  // The mock doesn't check v1HMAC signatures, only that the request is signed at all
+  serverApi.use((req, res, next) => {
+    if (!(req.get('authorization') || '').startsWith('GCS v1HMAC:')) {
+      return sendError(res, 401, 'MISSING_OR_INVALID_AUTHORIZATION', 'Authorization header missing or not v1HMAC')
+    }
+    next()
+  })
+
+  serverApi.post('/sessions', (req, res) => {
+    const clientSessionId = crypto.randomUUID().replace(/-/g, '')
+    const customerId = `${req.params.merchantId}-${crypto.randomBytes(8).toString('hex')}`
+    sessions.set(clientSessionId, { clientSessionId, customerId, createdAt: Date.now() })
+
+    res.status(201).json({
+      clientSessionId,
+      customerId,
+      clientApiUrl: baseUrl(req),
+      assetUrl: `${baseUrl(req)}/assets/`,
+      invalidTokens: (req.body.tokens || []).filter(token => !tokens.has(token))
+    })
+  })
+
+  serverApi.post('/payments', (req, res) => {
+    let cardDetails
+    try {
+      cardDetails = resolveCard(req.body)
+    } catch (error) {
+      return sendError(res, error.status || 400, error.id || 'INVALID_ENCRYPTED_CUSTOMER_INPUT', error.message)
+    }
+
+    const { card, paymentProductId } = cardDetails
+    const cardInput = req.body.cardPaymentMethodSpecificInput || {}
+    const amountOfMoney = req.body.order?.amountOfMoney || {}
+    const outcome = outcomeFor(card.cardNumber)
+
+    if (outcome === 'timeout') {
+      console.log(`[mock] Holding payment for ${timeoutMs}ms before timing out`)
+      setTimeout(() => sendError(res, 504, 'GATEWAY_TIMEOUT', 'The acquirer did not respond in time'), timeoutMs)
+      return
+    }
+
+    const payment = {
+      id: newPaymentId(),
+      status: 'CREATED',
+      amount: amountOfMoney.amount,
+      currency: amountOfMoney.currencyCode,
+      merchantCustomerId: req.body.order?.customer?.merchantCustomerId,
+      card,
+      paymentProductId,
+      token: cardDetails.token,
+      authorizationMode: cardInput.authorizationMode || authorizationMode,
+      returnUrl: cardInput.threeDSecure?.redirectionData?.returnUrl || cardInput.returnUrl,
+      returnMac: crypto.randomUUID(),
+      // Recurring payments after the first refer back to it with its scheme reference
+      schemeReferenceData: cardInput.isRecurring
+        ? cardInput.schemeReferenceData || `MOCK${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+        : undefined,
+      captures: [],
+      refunds: [],
+      cancelled: 0
+    }
+    payments.set(payment.id, payment)
+
+    if (outcome === 'decline') {
+      payment.status = 'REJECTED'
+      return sendError(res, 402, 'AUTHORIZATION_DECLINED', 'Authorization declined by the issuer', {
+        paymentResult: { creationOutput: {}, payment: toPaymentJson(payment) }
+      })
+    }
+
+    const creationOutput = { isNewToken: false, tokenizationSucceeded: false }
+    if (cardDetails.tokenize) {
+      const { token, isNewToken } = tokenizeCard(card, paymentProductId)
+      payment.token = token
+      Object.assign(creationOutput, { token, isNewToken, tokenizationSucceeded: true })
+    }
+
+    // Merchant-initiated recurring payments skip the challenge
+    if (outcome === '3ds' && !cardInput.threeDSecure?.skipAuthentication) {
+      if (!payment.returnUrl) {
+        return sendError(res, 400, 'PARAMETER_NOT_FOUND_IN_REQUEST', 'returnUrl is required for 3-D Secure')
+      }
+      payment.status = 'REDIRECTED'
+      return res.status(201).json({
+        creationOutput,
+        merchantAction: {
+          actionType: 'REDIRECT',
+          redirectData: {
+            RETURNMAC: payment.returnMac,
+            redirectURL: `${baseUrl(req)}/mock/3ds/${payment.id}`
+          }
+        },
+        payment: toPaymentJson(payment)
+      })
+    }
+
+    authorize(payment)
+    res.status(201).json({ creationOutput, payment: toPaymentJson(payment) })
+  })
+
+  // Every /payments/:paymentId route needs the payment
+  serverApi.use('/payments/:paymentId', (req, res, next) => {
+    req.payment = payments.get(req.params.paymentId)
+    if (!req.payment) {
+      return sendError(res, 404, 'UNKNOWN_PAYMENT_ID', `Payment ${req.params.paymentId} not found`)
+    }
+    next()
+  })
+
+  serverApi.get('/payments/:paymentId', (req, res) => {
+    res.json(toPaymentJson(req.payment))
+  })
+
+  serverApi.post('/payments/:paymentId/capture', (req, res) => {
+    const payment = req.payment
+    const remaining = remainingAuthorization(payment)
+    const amount = req.body.amount ?? remaining
+
+    if (payment.status !== 'PENDING_CAPTURE') {
+      return sendError(res, 409, 'PAYMENT_NOT_CAPTURABLE', `Payment is ${payment.status}`)
+    }
+    if (!Number.isInteger(amount) || amount <= 0 || amount > remaining) {
+      return sendError(res, 400, 'INVALID_AMOUNT', `Capture amount must be between 1 and ${remaining}`)
+    }
+
+    const capture = newCapture(payment, amount)
+    payment.captures.push(capture)
+    if (req.body.isFinal || amount === remaining) {
+      // A final capture releases whatever is left of the authorization
+      payment.cancelled += remaining - amount
+      payment.status = 'CAPTURED'
+    }
+
+    res.status(201).json(capture)
+  })
+
+  serverApi.get('/payments/:paymentId/captures', (req, res) => {
+    res.json({ captures: req.payment.captures })
+  })
+
+  serverApi.post('/payments/:paymentId/cancel', (req, res) => {
+    const payment = req.payment
+    const remaining = remainingAuthorization(payment)
+    const amount = req.body.amountOfMoney?.amount ?? remaining
+
+    if (payment.status !== 'PENDING_CAPTURE') {
+      return sendError(res, 409, 'PAYMENT_NOT_CANCELLABLE', `Payment is ${payment.status}`)
+    }
+    if (!Number.isInteger(amount) || amount <= 0 || amount > remaining) {
+      return sendError(res, 400, 'INVALID_AMOUNT', `Cancel amount must be between 1 and ${remaining}`)
+    }
+
+    payment.cancelled += amount
+    if (req.body.isFinal || amount === remaining) {
+      payment.cancelled += remaining - amount
+      payment.status = payment.captures.length > 0 ? 'CAPTURED' : 'CANCELLED'
+    }
+
+    res.json({ payment: toPaymentJson(payment) })
+  })
+
+  serverApi.post('/payments/:paymentId/refund', (req, res) => {
+    const payment = req.payment
+    const refundable = sumAmounts(payment.captures, 'captureOutput') - sumAmounts(payment.refunds, 'refundOutput')
+    const amount = req.body.amountOfMoney?.amount ?? refundable
+
+    if (refundable <= 0) {
+      return sendError(res, 409, 'PAYMENT_NOT_REFUNDABLE', `Payment is ${payment.status} with nothing left to refund`)
+    }
+    if (!Number.isInteger(amount) || amount <= 0 || amount > refundable) {
+      return sendError(res, 400, 'INVALID_AMOUNT', `Refund amount must be between 1 and ${refundable}`)
+    }
+
+    const refund = {
+      id: `${payment.id.split('_')[0]}_${payment.captures.length + payment.refunds.length + 1}`,
+      status: 'REFUNDED',
+      statusOutput: { statusCode: 8 },
+      refundOutput: {
+        amountOfMoney: { amount, currencyCode: payment.currency },
+        paymentMethod: 'card',
+        cardRefundMethodSpecificOutput: { totalAmountRefunded: sumAmounts(payment.refunds, 'refundOutput') + amount }
+      }
+    }
+    payment.refunds.push(refund)
+    if (amount === refundable && remainingAuthorization(payment) === 0) {
+      payment.status = 'REFUNDED'
+    }
+
+    res.status(201).json(refund)
+  })
+
+  serverApi.get('/payments/:paymentId/refunds', (req, res) => {
+    res.json({ refunds: req.payment.refunds })
+  })
+
+  serverApi.post('/hostedcheckouts', (req, res) => {
+    const amountOfMoney = req.body.order?.amountOfMoney || {}
+    const specificInput = req.body.hostedCheckoutSpecificInput || {}
+    if (!specificInput.returnUrl) {
+      return sendError(res, 400, 'PARAMETER_NOT_FOUND_IN_REQUEST', 'hostedCheckoutSpecificInput.returnUrl is required')
+    }
+
+    const checkout = {
+      id: crypto.randomUUID().replace(/-/g, ''),
+      status: 'IN_PROGRESS',
+      amount: amountOfMoney.amount,
+      currency: amountOfMoney.currencyCode,
+      merchantCustomerId: req.body.order?.customer?.merchantCustomerId,
+      authorizationMode: req.body.cardPaymentMethodSpecificInput?.authorizationMode || authorizationMode,
+      paymentProductFilters: specificInput.paymentProductFilters,
+      returnUrl: specificInput.returnUrl,
+      returnMac: crypto.randomUUID()
+    }
+    hostedCheckouts.set(checkout.id, checkout)
+
+    res.status(201).json({
+      RETURNMAC: checkout.returnMac,
+      hostedCheckoutId: checkout.id,
+      merchantReference: req.body.order?.references?.merchantReference,
+      redirectUrl: `${baseUrl(req)}/mock/hostedcheckout/${checkout.id}`
+    })
+  })
+
+  serverApi.get('/hostedcheckouts/:hostedCheckoutId', (req, res) => {
+    const checkout = hostedCheckouts.get(req.params.hostedCheckoutId)
+    if (!checkout) {
+      return sendError(res, 404, 'UNKNOWN_HOSTED_CHECKOUT_ID', `Hosted checkout ${req.params.hostedCheckoutId} not found`)
+    }
+
+    const payment = payments.get(checkout.paymentId)
+    res.json({
+      status: checkout.status,
+      ...(payment
+        ? {
+            createdPaymentOutput: {
+              payment: toPaymentJson(payment),
+              paymentStatusCategory: payment.status === 'REJECTED' ? 'REJECTED' : 'SUCCESSFUL'
+            }
+          }
+        : {})
+    })
+  })
+
+  serverApi.post('/hostedtokenizations', (req, res) => {
+    const tokenization = {
+      id: crypto.randomUUID().replace(/-/g, ''),
+      paymentProductFilters: req.body.paymentProductFilters,
+      tokenId: null,
+      tokenStatus: null
+    }
+    hostedTokenizations.set(tokenization.id, tokenization)
+
+    res.status(201).json({
+      hostedTokenizationId: tokenization.id,
+      hostedTokenizationUrl: `${baseUrl(req)}/mock/hostedtokenization/${tokenization.id}`,
+      invalidTokens: [],
+      expiredCardTokens: []
+    })
+  })
+
+  serverApi.get('/hostedtokenizations/:hostedTokenizationId', (req, res) => {
+    const tokenization = hostedTokenizations.get(req.params.hostedTokenizationId)
+    if (!tokenization) {
+      return sendError(res, 404, 'UNKNOWN_HOSTED_TOKENIZATION_ID', `Hosted tokenization ${req.params.hostedTokenizationId} not found`)
+    }
+
+    const token = tokens.get(tokenization.tokenId)
+    res.json(token ? { token: toTokenJson(token), tokenStatus: tokenization.tokenStatus } : {})
+  })
+
+  serverApi.post('/tokens', (req, res) => {
+    const card = req.body.card?.data?.cardWithoutCvv
+    const product = card?.cardNumber && findProductByCardNumber(card.cardNumber)
+    if (!product) {
+      return sendError(res, 400, 'INVALID_CARD_NUMBER', 'card.data.cardWithoutCvv.cardNumber is missing or not supported')
+    }
+
+    res.status(201).json(tokenizeCard(card, req.body.paymentProductId || product.id))
+  })
+
+  serverApi.get('/tokens/:tokenId', (req, res) => {
+    const token = tokens.get(req.params.tokenId)
+    if (!token) {
+      return sendError(res, 404, 'TOKEN_NOT_FOUND', `Token ${req.params.tokenId} not found`)
+    }
+
+    res.json(toTokenJson(token))
+  })
+
+  serverApi.delete('/tokens/:tokenId', (req, res) => {
+    if (!tokens.delete(req.params.tokenId)) {
+      return sendError(res, 404, 'TOKEN_NOT_FOUND', `Token ${req.params.tokenId} not found`)
+    }
+    res.status(204).end()
+  })
+
+  app.use('/v2/:merchantId', serverApi)
+
+  app.use((req, res) => {
+    sendError(res, 404, 'RESOURCE_NOT_FOUND', `The mock does not implement ${req.method} ${req.path}`)
+  })
+
+  return app
+}
+
+export default {
+  createMockWorldline
+}
@@ -0,0 +1,233 @@
+/**
+ * Order details
+ *
+ * Checks the order data a charge carries - who the customer is, where the order
+ * is billed and shipped, what was bought and how it is referenced - and turns it
+ * into the Worldline Order fields of CreatePaymentRequest. Fraud screening uses
+ * the customer and addresses; reconciliation uses the merchant reference and line
+ * items, and the descriptor is what the customer sees on their card statement.
+ *
+ * Everything is optional, but what is sent must be well formed: unknown fields,
+ * over-long text and line items that don't add up to the amount are refused.
+ */
+
+import { formatAmount } from '../src/utils/currency.js'
+
+const ORDER_FIELDS = ['merchantReference', 'descriptor', 'customer', 'shipping', 'lineItems']
+const CUSTOMER_FIELDS = ['email', 'phone', 'firstName', 'surname', 'billingAddress']
+const SHIPPING_FIELDS = ['firstName', 'surname', 'address']
+const LINE_ITEM_FIELDS = ['description', 'productCode', 'quantity', 'amountPerItem', 'taxAmount']
+
+// Longest value accepted for each text field
+const MAX_LENGTHS = {
+  merchantReference: 40,
+  // Card statements show about 22 characters
+  descriptor: 22,
+  email: 70,
+  firstName: 40,
+  surname: 70,
+  street: 50,
+  houseNumber: 15,
+  additionalInfo: 50,
+  city: 40,
+  state: 35,
+  zip: 10,
+  description: 50,
+  productCode: 20
+}
+const ADDRESS_FIELDS = ['street', 'houseNumber', 'additionalInfo', 'city', 'state', 'zip', 'countryCode']
+const MAX_LINE_ITEMS = 50
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()-]{5,19}$/
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/
+// Printable text without line breaks or other control characters
+const TEXT_PATTERN = /^[^\p{Cc}]+$/u
+
+class InvalidOrderDetails extends Error {}
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+// Drop undefined fields, and return undefined instead of an empty object
+const compact = (object) => {
+  const entries = Object.entries(object).filter(([, value]) => value !== undefined)
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined
+}
+
+function checkObject(value, fields, path) {
+  if (!isObject(value)) {
+    throw new InvalidOrderDetails(`${path} must be an object`)
+  }
+
+  const unknownFields = Object.keys(value).filter(field => !fields.includes(field))
+  if (unknownFields.length > 0) {
+    throw new InvalidOrderDetails(`Unsupported field${unknownFields.length === 1 ? '' : 's'} in ${path}: ${unknownFields.join(', ')}`)
+  }
+  return value
+}
+
+// Optional text field - trimmed, and undefined when left empty
+function text(object, field, path) {
+  const value = object[field]
+  if (value === undefined || value === null || value === '') {
+    return undefined
+  }
+
+  const maxLength = MAX_LENGTHS[field]
+  if (typeof value !== 'string' || !TEXT_PATTERN.test(value) || value.trim().length > maxLength) {
+    throw new InvalidOrderDetails(`${path}.${field} must be text of up to ${maxLength} characters`)
+  }
+  return value.trim() || undefined
+}
+
+function matching(object, field, path, pattern, description) {
+  const value = typeof object[field] === 'string' ? object[field].trim() : object[field]
+  if (value === undefined || value === null || value === '') {
+    return undefined
+  }
+
+  if (typeof value !== 'string' || !pattern.test(value)) {
+    throw new InvalidOrderDetails(`${path}.${field} must be ${description}`)
+  }
+  return value
+}
+
+function parseAddress(value, path) {
+  const address = checkObject(value, ADDRESS_FIELDS, path)
+  const parsed = compact({
+    street: text(address, 'street', path),
+    houseNumber: text(address, 'houseNumber', path),
+    additionalInfo: text(address, 'additionalInfo', path),
+    city: text(address, 'city', path),
+    state: text(address, 'state', path),
+    zip: text(address, 'zip', path),
+    countryCode: matching(address, 'countryCode', path, COUNTRY_CODE_PATTERN, 'an ISO 3166-1 alpha-2 country code, e.g. AU')
+  })
+
+  if (parsed && !parsed.countryCode) {
+    throw new InvalidOrderDetails(`${path}.countryCode is required`)
+  }
+  return parsed
+}
+
+function parseCustomer(value) {
+  const customer = checkObject(value, CUSTOMER_FIELDS, 'order.customer')
+  const name = compact({
+    firstName: text(customer, 'firstName', 'order.customer'),
+    surname: text(customer, 'surname', 'order.customer')
+  })
+
+  return compact({
+    billingAddress: customer.billingAddress !== undefined
+      ? parseAddress(customer.billingAddress, 'order.customer.billingAddress')
+      : undefined,
+    contactDetails: compact({
+      emailAddress: matching(customer, 'email', 'order.customer', EMAIL_PATTERN, `an email address of up to ${MAX_LENGTHS.email} characters`),
+      phoneNumber: matching(customer, 'phone', 'order.customer', PHONE_PATTERN, 'a phone number of up to 20 digits, spaces, brackets or dashes')
+    }),
+    personalInformation: name ? { name } : undefined
+  })
+}
+
+function parseShipping(value) {
+  const shipping = checkObject(value, SHIPPING_FIELDS, 'order.shipping')
+  const address = shipping.address !== undefined ? parseAddress(shipping.address, 'order.shipping.address') : undefined
+  const name = compact({
+    firstName: text(shipping, 'firstName', 'order.shipping'),
+    surname: text(shipping, 'surname', 'order.shipping')
+  })
+
+  if (name && !address) {
+    throw new InvalidOrderDetails('order.shipping.address is required')
+  }
+  return address ? { address: compact({ ...address, name }) } : undefined
+}
+
+function parseLineItems(value, { amount, currency }) {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LINE_ITEMS) {
+    throw new InvalidOrderDetails(`order.lineItems must be a list of 1 to ${MAX_LINE_ITEMS} items`)
+  }
+
+  const items = value.map((entry, index) => {
+    const path = `order.lineItems[${index}]`
+    const item = checkObject(entry, LINE_ITEM_FIELDS, path)
+    const description = text(item, 'description', path)
+    if (!description) {
+      throw new InvalidOrderDetails(`${path}.description is required`)
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      throw new InvalidOrderDetails(`${path}.quantity must be a positive whole number`)
+    }
+    if (!Number.isInteger(item.amountPerItem) || item.amountPerItem < 0) {
+      throw new InvalidOrderDetails(`${path}.amountPerItem must be a whole number of ${currency} minor units`)
+    }
+    if (item.taxAmount !== undefined && (!Number.isInteger(item.taxAmount) || item.taxAmount < 0)) {
+      throw new InvalidOrderDetails(`${path}.taxAmount must be a whole number of ${currency} minor units`)
+    }
+
+    return {
+      amountOfMoney: {
+        amount: item.quantity * item.amountPerItem,
+        currencyCode: currency
+      },
+      orderLineDetails: compact({
+        productName: description,
+        productCode: text(item, 'productCode', path),
+        productPrice: item.amountPerItem,
+        quantity: item.quantity,
+        taxAmount: item.taxAmount
+      })
+    }
+  })
+
+  // Worldline refuses a shopping cart that doesn't add up to the order amount
+  const total = items.reduce((sum, item) => sum + item.amountOfMoney.amount, 0)
+  if (total !== amount) {
+    throw new InvalidOrderDetails(`order.lineItems add up to ${formatAmount(total, currency)}, not the amount of ${formatAmount(amount, currency)}`)
+  }
+  return { items }
+}
+
+/**
+ * Validate the order details of a charge
+ *
+ * @param {Object} [order] - merchantReference, descriptor, customer { email, phone, firstName, surname,
+ *   billingAddress }, shipping { firstName, surname, address } and lineItems [{ description, productCode,
+ *   quantity, amountPerItem, taxAmount }], all optional. Addresses are { street, houseNumber, additionalInfo, city,
+ *   state, zip, countryCode }.
+ * @param {Object} charge
+ * @param {number} charge.amount - Amount of the charge in minor units - line items must add up to it
+ * @param {string} charge.currency - Currency of the charge
+ * @returns {Object} { order } - the Worldline order fields (customer, shipping, shoppingCart, references) to send
+ *   alongside amountOfMoney, or { error: { status, error, message } } for order details that aren't valid
+ */
+export function parseOrderDetails(order, { amount, currency }) {
+  if (order === undefined || order === null) {
+    return { order: {} }
+  }
+
+  try {
+    checkObject(order, ORDER_FIELDS, 'order')
+
+    return {
+      order: compact({
+        customer: order.customer !== undefined ? parseCustomer(order.customer) : undefined,
+        shipping: order.shipping !== undefined ? parseShipping(order.shipping) : undefined,
+        shoppingCart: order.lineItems !== undefined ? parseLineItems(order.lineItems, { amount, currency }) : undefined,
+        references: compact({
+          merchantReference: text(order, 'merchantReference', 'order'),
+          descriptor: text(order, 'descriptor', 'order')
+        })
+      }) || {}
+    }
+  } catch (error) {
+    if (error instanceof InvalidOrderDetails) {
+      return { error: { status: 400, error: 'Invalid order details', message: error.message } }
+    }
+    throw error
+  }
+}
+
+export default {
+  parseOrderDetails
+}
@@ -0,0 +1,263 @@
+/**
+ * Rate limiting and decline velocity
+ *
+ * Protects the routes that create sessions and charge or verify cards against
+ * card testing:
+ * - Request limits per IP address and per customer, counted in fixed windows
+ * - Decline velocity: declines are counted per card, customer and IP address -
+ *   one with too many declines in the decline window is locked out for a while.
+ *   An encrypted card is only known from Worldline's answer (paymentSubjects with
+ *   the payment), so its lockout is checked on the response.
+ *
+ * Refused requests get 429 with a Retry-After header and
+ * { error, code: RATE_LIMITED | LOCKED_OUT, message, retryAfter } (seconds).
+ *
+ * Counters are kept in a store - in memory by default. Another store (e.g. one
+ * shared by several instances) needs the same methods, which may return promises:
+ * increment(key, windowMs) -> { count, resetAt }, get(key) -> { count, resetAt }
+ * or null, and delete(key).
+ */
+
+import crypto from 'crypto'
+import { logger } from './logger.js'
+
+// Where lockouts apply - the message names what was locked
+const SUBJECTS = {
+  card: 'this card',
+  customer: 'this customer',
+  ip: 'your network address'
+}
+
+/**
+ * Create an in-memory rate limit store - counters are forgotten once their window is over
+ */
+export function createMemoryRateLimitStore() {
+  const counters = new Map()
+
+  const current = (key, now) => {
+    const counter = counters.get(key)
+    if (counter && counter.resetAt <= now) {
+      counters.delete(key)
+      return null
+    }
+    return counter || null
+  }
+
+  const prune = (now) => {
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(key)
+      }
+    }
+  }
+
+  return {
+    increment: (key, windowMs) => {
+      const now = Date.now()
+      prune(now)
+      const counter = current(key, now) || { count: 0, resetAt: now + windowMs }
+      counter.count += 1
+      counters.set(key, counter)
+      return { ...counter }
+    },
+    get: (key) => {
+      const counter = current(key, Date.now())
+      return counter && { ...counter }
+    },
+    delete: (key) => counters.delete(key)
+  }
+}
+
+/**
+ * Fingerprint of a saved card token - counters are keyed by it instead of the token itself
+ */
+export function cardFingerprint(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 32)
+}
+
+/**
+ * Fingerprint of the card a Worldline payment was made with - its masked card number
+ * and expiry date, else its token - or null when the payment doesn't name the card
+ */
+export function paymentCardFingerprint(payment) {
+  const output = payment?.paymentOutput?.cardPaymentMethodSpecificOutput
+  const { cardNumber, expiryDate } = output?.card || {}
+
+  if (cardNumber && expiryDate) {
+    return cardFingerprint(`${cardNumber}:${expiryDate}`)
+  }
+  return output?.token ? cardFingerprint(output.token) : null
+}
+
+/**
+ * Who a card request comes from: the card (saved card token, else the card of
+ * Worldline's payment when given), the customer (the signed-in user, else the
+ * session customer) and the IP address
+ */
+export function paymentSubjects(req, payment) {
+  const { token, customerId } = req.body || {}
+  const customer = req.user?.id || customerId
+
+  return {
+    card: typeof token === 'string' && token ? cardFingerprint(token) : paymentCardFingerprint(payment),
+    customer: typeof customer === 'string' && customer ? customer : null,
+    ip: req.ip || null
+  }
+}
+
+const secondsUntil = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+
+// "40 seconds", "5 minutes", "2 hours"
+function formatWait(seconds) {
+  const [value, unit] = seconds < 60
+    ? [seconds, 'second']
+    : seconds < 3600 ? [Math.ceil(seconds / 60), 'minute'] : [Math.ceil(seconds / 3600), 'hour']
+  return `${value} ${unit}${value === 1 ? '' : 's'}`
+}
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Counter store (see above)
+ * @param {Object} options.limits - windowMs, sessionsPerIp, paymentsPerIp and paymentsPerCustomer for requests;
+ *   declines (per subject in declineWindowMs) and lockoutMs for decline velocity. 0 turns a limit off.
+ */
+export function createRateLimiter({ store = createMemoryRateLimitStore(), limits }) {
+  /**
+   * Count a request - returns the refusal when it is over the limit, else null
+   */
+  const hit = async (name, key, max, description) => {
+    if (!max || !key) {
+      return null
+    }
+
+    const counter = await store.increment(`requests:${name}:${key}`, limits.windowMs)
+    if (counter.count <= max) {
+      return null
+    }
+
+    const retryAfter = secondsUntil(counter.resetAt)
+    return {
+      code: 'RATE_LIMITED',
+      retryAfter,
+      message: `Too many ${description} - try again in ${formatWait(retryAfter)}`
+    }
+  }
+
+  /**
+   * The lockout of the first locked subject, or null when none is locked
+   */
+  const lockedOut = async (subjects) => {
+    for (const subject of Object.keys(SUBJECTS)) {
+      if (!subjects[subject]) continue
+
+      const lockout = await store.get(`lockout:${subject}:${subjects[subject]}`)
+      if (lockout) {
+        const retryAfter = secondsUntil(lockout.resetAt)
+        return {
+          code: 'LOCKED_OUT',
+          subject,
+          retryAfter,
+          message: `Too many declined payments for ${SUBJECTS[subject]} - try again in ${formatWait(retryAfter)}`
+        }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Count a declined payment or card verification against each subject, and lock
+   * out the ones that reached the limit - returns the subjects that were locked
+   */
+  const recordDecline = async (subjects) => {
+    if (!limits.declines) {
+      return []
+    }
+
+    const locked = []
+    for (const subject of Object.keys(SUBJECTS)) {
+      if (!subjects[subject]) continue
+
+      const key = `${subject}:${subjects[subject]}`
+      const declines = await store.increment(`declines:${key}`, limits.declineWindowMs)
+      if (declines.count >= limits.declines) {
+        await store.increment(`lockout:${key}`, limits.lockoutMs)
+        // Counting starts over once the lockout ends
+        await store.delete(`declines:${key}`)
+        locked.push(subject)
+      }
+    }
+
+    if (locked.length > 0) {
+      logger.warn('Locked out after declined payments', { subjects: locked, lockoutSeconds: limits.lockoutMs / 1000 })
+    }
+    return locked
+  }
+
+  return {
+    limits,
+    hit,
+    lockedOut,
+    recordDecline
+  }
+}
+
+/**
+ * Send the 429 for a refused request
+ */
+export function tooManyRequests(res, refusal) {
+  res.set('Retry-After', String(refusal.retryAfter))
+  return res.status(429).json({
+    error: 'Too many requests',
+    code: refusal.code,
+    message: refusal.message,
+    retryAfter: refusal.retryAfter
+  })
+}
+
+/**
+ * Middleware limiting session creation per IP address
+ */
+export function limitSessions(limiter) {
+  return async (req, res, next) => {
+    const refusal = await limiter.hit('sessions', req.ip, limiter.limits.sessionsPerIp, 'checkout sessions from your network address')
+    if (refusal) {
+      logger.warn('Session rate limit reached', { path: req.path })
+      return tooManyRequests(res, refusal)
+    }
+    next()
+  }
+}
+
+/**
+ * Middleware for routes that charge or verify a card: refuses locked out cards,
+ * customers and IP addresses, then limits requests per IP address and per customer
+ */
+export function limitPayments(limiter) {
+  return async (req, res, next) => {
+    const { paymentsPerIp, paymentsPerCustomer } = limiter.limits
+    const subjects = paymentSubjects(req)
+
+    const refusal = await limiter.lockedOut(subjects) ||
+      await limiter.hit('payments-ip', subjects.ip, paymentsPerIp, 'payment attempts from your network address') ||
+      await limiter.hit('payments-customer', subjects.customer, paymentsPerCustomer, 'payment attempts for this customer')
+
+    if (refusal) {
+      logger.warn('Payment rate limit reached', { code: refusal.code, subject: refusal.subject, path: req.path })
+      return tooManyRequests(res, refusal)
+    }
+    next()
+  }
+}
+
+export default {
+  createMemoryRateLimitStore,
+  createRateLimiter,
+  limitSessions,
+  limitPayments,
+  tooManyRequests,
+  paymentSubjects,
+  paymentCardFingerprint,
+  cardFingerprint
+}
@@ -0,0 +1,141 @@
+/**
+ * Client session context
+ *
+ * Checks the body the frontend sends to POST /api/session and turns it into the
+ * Worldline SessionRequest. The payment context (country, currency, amount) must
+ * be one we sell in, saved card tokens are passed on so the Client API lists them
+ * as accounts on file, and a checkout page can narrow the payment products it offers.
+ *
+ * Worldline client sessions can't be limited to payment products, so product filters
+ * are checked against the server's allowlist here and returned with the session for
+ * the frontend to apply to its product list.
+ */
+
+import { COUNTRIES, CURRENCIES, isSupportedCurrency } from '../src/utils/currency.js'
+
+const CONTEXT_FIELDS = ['countryCode', 'currencyCode', 'amount', 'tokens', 'paymentProductFilters']
+const FILTER_TYPES = ['restrictTo', 'exclude']
+const MAX_TOKENS = 50
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{1,64}$/
+
+const invalid = (message) => ({ error: { status: 400, error: 'Invalid session context', message } })
+const notAllowed = (message) => ({ error: { status: 403, error: 'Session context not allowed', message } })
+
+// { restrictTo: { products: [1, 2] } } -> validated filters, or a message saying what is wrong
+function parseProductFilters(filters) {
+  if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+    return { message: 'paymentProductFilters must be an object' }
+  }
+
+  const parsed = {}
+  for (const [type, filter] of Object.entries(filters)) {
+    if (!FILTER_TYPES.includes(type)) {
+      return { message: `paymentProductFilters only supports ${FILTER_TYPES.join(' and ')}` }
+    }
+
+    const products = filter?.products
+    if (!Array.isArray(products) || products.length === 0 || !products.every(id => Number.isInteger(id) && id > 0)) {
+      return { message: `paymentProductFilters.${type}.products must be a list of payment product IDs` }
+    }
+    if (Object.keys(filter).some(key => key !== 'products')) {
+      return { message: `paymentProductFilters.${type} only supports products` }
+    }
+
+    parsed[type] = { products: [...new Set(products)] }
+  }
+
+  return { filters: parsed }
+}
+
+/**
+ * Check payment product filters a checkout asks for against the allowlist
+ *
+ * Shared by client sessions and hosted checkouts, so both offer the same products.
+ *
+ * @param {Object} [paymentProductFilters] - { restrictTo: { products }, exclude: { products } }, both optional
+ * @param {Object} options
+ * @param {number[]} options.allowedProductIds - Payment products checkouts may offer - empty allows every product
+ * @returns {Object} { paymentProductFilters } - restricted to the allowlist when the checkout didn't restrict them itself,
+ *   or { error: { status, error, message } } - 400 for malformed filters, 403 for products outside the allowlist
+ */
+export function checkPaymentProductFilters(paymentProductFilters, { allowedProductIds = [] } = {}) {
+  let filters = {}
+  if (paymentProductFilters !== undefined) {
+    const parsed = parseProductFilters(paymentProductFilters)
+    if (parsed.message) {
+      return invalid(parsed.message)
+    }
+    filters = parsed.filters
+  }
+
+  if (allowedProductIds.length > 0) {
+    const requested = filters.restrictTo?.products || []
+    const outside = requested.filter(id => !allowedProductIds.includes(id))
+    if (outside.length > 0) {
+      return notAllowed(`Payment product${outside.length === 1 ? '' : 's'} ${outside.join(', ')} not allowed - allowed: ${allowedProductIds.join(', ')}`)
+    }
+    // Without a restriction of its own, a checkout gets every allowed product
+    if (requested.length === 0) {
+      filters = { ...filters, restrictTo: { products: [...allowedProductIds] } }
+    }
+  }
+
+  return { paymentProductFilters: filters }
+}
+
+/**
+ * Validate a POST /api/session body
+ *
+ * @param {Object} body - Request body: countryCode, currencyCode, amount, tokens and paymentProductFilters, all optional
+ * @param {Object} options
+ * @param {number[]} options.allowedProductIds - Payment products checkouts may offer - empty allows every product
+ * @returns {Object} { sessionRequest, paymentProductFilters } for a valid context,
+ *   or { error: { status, error, message } } - 400 for a malformed body, 403 for one outside the allowlist
+ */
+export function parseSessionContext(body = {}, { allowedProductIds = [] } = {}) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return invalid('The session context must be a JSON object')
+  }
+
+  const unknownFields = Object.keys(body).filter(field => !CONTEXT_FIELDS.includes(field))
+  if (unknownFields.length > 0) {
+    return invalid(`Unsupported field${unknownFields.length === 1 ? '' : 's'}: ${unknownFields.join(', ')}`)
+  }
+
+  const { countryCode, currencyCode, amount, tokens, paymentProductFilters } = body
+
+  if (countryCode !== undefined && !COUNTRIES.some(country => country.code === countryCode)) {
+    return notAllowed(`countryCode must be one of: ${COUNTRIES.map(country => country.code).join(', ')}`)
+  }
+
+  if (currencyCode !== undefined && !isSupportedCurrency(currencyCode)) {
+    return notAllowed(`currencyCode must be one of: ${CURRENCIES.map(currency => currency.code).join(', ')}`)
+  }
+
+  if (amount !== undefined && (!Number.isInteger(amount) || amount < 0)) {
+    return invalid('amount must be a whole number of minor units')
+  }
+
+  const sessionRequest = {}
+
+  if (tokens !== undefined) {
+    if (!Array.isArray(tokens) || tokens.length > MAX_TOKENS || !tokens.every(token => typeof token === 'string' && TOKEN_PATTERN.test(token))) {
+      return invalid(`tokens must be a list of up to ${MAX_TOKENS} Worldline token IDs`)
+    }
+    if (tokens.length > 0) {
+      sessionRequest.tokens = [...new Set(tokens)]
+    }
+  }
+
+  const filters = checkPaymentProductFilters(paymentProductFilters, { allowedProductIds })
+  if (filters.error) {
+    return filters
+  }
+
+  return { sessionRequest, paymentProductFilters: filters.paymentProductFilters }
+}
+
+export default {
+  checkPaymentProductFilters,
+  parseSessionContext
+}
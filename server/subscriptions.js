@@ -0,0 +1,270 @@
+/**
+ * Subscriptions
+ *
+ * Recurring billing plans charged to a saved card token: an amount, a billing
+ * interval and a start date. Every change is appended to a JSON Lines file as a
+ * full snapshot of the subscription - the latest snapshot wins when loading.
+ *
+ * The scheduler charges the subscriptions that are due as merchant-initiated
+ * payments. Declined charges are retried after the dunning delays; once they
+ * are used up the subscription is cancelled. A charge that is left waiting on
+ * the customer or issuer isn't paid either - the subscription needs action and
+ * isn't charged again until it is resumed.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { logger } from './logger.js'
+
+export const INTERVALS = ['daily', 'weekly', 'monthly', 'yearly']
+export const SUBSCRIPTION_STATUSES = ['active', 'past_due', 'action_required', 'paused', 'cancelled']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Retry a declined charge 1, 3 and 5 days after the previous attempt
+export const DEFAULT_RETRY_DELAYS_MS = [1, 3, 5].map(days => days * DAY_MS)
+
+// Statuses the scheduler charges
+const BILLABLE_STATUSES = ['active', 'past_due']
+
+/**
+ * Billing date of a period (0 is the start date, in UTC)
+ * Monthly and yearly dates that don't exist in a shorter month fall on its last day,
+ * without drifting: Jan 31 -> Feb 28 -> Mar 31
+ */
+export function billingDate(startDate, interval, period) {
+  const start = new Date(startDate)
+
+  switch (interval) {
+    case 'daily':
+      return new Date(start.getTime() + period * DAY_MS)
+    case 'weekly':
+      return new Date(start.getTime() + period * 7 * DAY_MS)
+    case 'monthly':
+    case 'yearly': {
+      const months = start.getUTCMonth() + period * (interval === 'yearly' ? 12 : 1)
+      const lastDay = new Date(Date.UTC(start.getUTCFullYear(), months + 1, 0)).getUTCDate()
+      return new Date(Date.UTC(start.getUTCFullYear(), months, Math.min(start.getUTCDate(), lastDay)))
+    }
+    default:
+      throw new Error(`Unknown billing interval: ${interval}`)
+  }
+}
+
+/**
+ * First period billed after a time - the one a charge made then is followed by, so
+ * periods missed while the scheduler wasn't running are skipped, not billed in a row
+ */
+export function nextPeriodAfter(subscription, time) {
+  let period = subscription.period + 1
+  while (billingDate(subscription.startDate, subscription.interval, period).getTime() <= time.getTime()) {
+    period++
+  }
+  return period
+}
+
+/**
+ * Create a subscription store backed by the given file
+ */
+export function createSubscriptionStore(filePath) {
+  const subscriptions = new Map()
+
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean)
+    for (const line of lines) {
+      try {
+        const subscription = JSON.parse(line)
+        subscriptions.set(subscription.id, subscription)
+      } catch (error) {
+        logger.warn('Skipping unreadable subscription line', { filePath, error })
+      }
+    }
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  }
+
+  const write = (subscription) => {
+    fs.appendFileSync(filePath, JSON.stringify(subscription) + '\n')
+    subscriptions.set(subscription.id, subscription)
+    return subscription
+  }
+
+  /**
+   * Store a new subscription
+   */
+  const create = (subscription) => {
+    const now = new Date().toISOString()
+    return write({ ...subscription, createdAt: now, updatedAt: now })
+  }
+
+  /**
+   * Get a subscription, or null if there is none with this ID
+   */
+  const get = (subscriptionId) => subscriptions.get(subscriptionId) || null
+
+  /**
+   * Apply changes to a subscription - returns the updated subscription, or null if there is none
+   */
+  const update = (subscriptionId, changes) => {
+    const current = get(subscriptionId)
+    if (!current) {
+      return null
+    }
+
+    return write({ ...current, ...changes, updatedAt: new Date().toISOString() })
+  }
+
+  /**
+   * List subscriptions, newest first, optionally only those with a status, for one
+   * customer or of one owner (the signed-in user who subscribed)
+   */
+  const list = ({ status, customerId, ownerId } = {}) => [...subscriptions.values()]
+    .filter(subscription => !status || subscription.status === status)
+    .filter(subscription => !customerId || subscription.customerId === customerId)
+    .filter(subscription => !ownerId || subscription.ownerId === ownerId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+
+  return {
+    create,
+    get,
+    update,
+    list
+  }
+}
+
+/**
+ * Create the scheduler that charges due subscriptions
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Subscription store
+ * @param {Function} options.charge - Charges one period: (subscription, { attempt }) => { success, actionRequired, paymentId, status }.
+ *   actionRequired means the charge waits on the customer or issuer (3-D Secure, a pending status) and isn't paid.
+ *   Throwing means the outcome is unknown - the same attempt is made again on the next run.
+ * @param {number[]} options.retryDelaysMs - Wait before each retry of a declined charge
+ * @param {number} options.intervalMs - How often start() looks for due subscriptions
+ */
+export function createSubscriptionScheduler({ store, charge, retryDelaysMs = DEFAULT_RETRY_DELAYS_MS, intervalMs = 60 * 1000 }) {
+  let timer = null
+  let running = null
+
+  // Charge the period a subscription is due for and schedule the next charge or retry
+  const chargeDue = async (subscription, now) => {
+    const attempt = subscription.failedAttempts + 1
+
+    let result
+    try {
+      result = await charge(subscription, { attempt })
+    } catch (error) {
+      logger.error('Subscription charge error', { subscriptionId: subscription.id, attempt, error })
+      return
+    }
+
+    // Paused or cancelled while the charge was running - keep that status
+    const current = store.get(subscription.id)
+    const status = (billable) => BILLABLE_STATUSES.includes(current.status) ? billable : current.status
+
+    if (result.success) {
+      const period = nextPeriodAfter(subscription, now)
+      logger.info('Subscription charged', { subscriptionId: subscription.id, period: subscription.period, paymentId: result.paymentId })
+      return store.update(subscription.id, {
+        status: status('active'),
+        period,
+        nextChargeAt: billingDate(subscription.startDate, subscription.interval, period).toISOString(),
+        failedAttempts: 0,
+        lastPaymentId: result.paymentId,
+        lastChargedAt: now.toISOString()
+      })
+    }
+
+    // Retrying can't finish it - leave it until someone resumes the subscription
+    if (result.actionRequired) {
+      logger.warn('Subscription charge needs action', { subscriptionId: subscription.id, attempt, paymentId: result.paymentId, status: result.status })
+      return store.update(subscription.id, {
+        status: status('action_required'),
+        failedAttempts: attempt,
+        lastPaymentId: result.paymentId
+      })
+    }
+
+    if (attempt > retryDelaysMs.length) {
+      logger.warn('Subscription cancelled after declined charges', { subscriptionId: subscription.id, attempts: attempt, paymentId: result.paymentId })
+      return store.update(subscription.id, {
+        status: 'cancelled',
+        cancelReason: current.cancelReason || 'payment_failed',
+        cancelledAt: current.cancelledAt || now.toISOString(),
+        failedAttempts: attempt,
+        lastPaymentId: result.paymentId
+      })
+    }
+
+    logger.warn('Subscription charge declined', {
+      subscriptionId: subscription.id,
+      attempt,
+      paymentId: result.paymentId,
+      retryInDays: retryDelaysMs[attempt - 1] / DAY_MS
+    })
+    return store.update(subscription.id, {
+      status: status('past_due'),
+      failedAttempts: attempt,
+      nextChargeAt: new Date(now.getTime() + retryDelaysMs[attempt - 1]).toISOString(),
+      lastPaymentId: result.paymentId
+    })
+  }
+
+  /**
+   * Charge every active or past due subscription whose next charge is due - once each per run.
+   * A run that starts while another is in progress waits for that one instead.
+   */
+  const runDue = (now = new Date()) => {
+    if (!running) {
+      running = (async () => {
+        const due = store.list()
+          .filter(subscription => BILLABLE_STATUSES.includes(subscription.status))
+          .filter(subscription => Date.parse(subscription.nextChargeAt) <= now.getTime())
+
+        for (const subscription of due) {
+          await chargeDue(subscription, now)
+        }
+        return due.length
+      })().finally(() => {
+        running = null
+      })
+    }
+
+    return running
+  }
+
+  /**
+   * Look for due subscriptions now and every intervalMs
+   */
+  const start = () => {
+    if (timer) return
+
+    const run = () => runDue().catch(error => logger.error('Subscription run failed', { error }))
+    run()
+    timer = setInterval(run, intervalMs)
+    // Don't keep the process alive just for the scheduler
+    timer.unref?.()
+  }
+
+  const stop = () => {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return {
+    runDue,
+    start,
+    stop
+  }
+}
+
+export default {
+  createSubscriptionStore,
+  createSubscriptionScheduler,
+  billingDate,
+  nextPeriodAfter,
+  INTERVALS,
+  SUBSCRIPTION_STATUSES,
+  DEFAULT_RETRY_DELAYS_MS
+}
@@ -0,0 +1,72 @@
+/**
+ * Sample webhook events
+ *
+ * Builds a Worldline payment webhook event and signs it the way Worldline does
+ * (HMAC-SHA256 over the raw body, base64 encoded, in X-GCS-Signature with the key
+ * in X-GCS-KeyId). Used by npm run webhook:test and the webhook handler tests.
+ */
+
+import crypto from 'crypto'
+
+// Payment status each sample event type reports
+const SAMPLE_STATUSES = {
+  'payment.created': ['CREATED', 'CREATED', 0],
+  'payment.pending_capture': ['PENDING_CAPTURE', 'PENDING_MERCHANT', 5],
+  'payment.capture_requested': ['CAPTURE_REQUESTED', 'PENDING_CONNECT_OR_3RD_PARTY', 4],
+  'payment.captured': ['CAPTURED', 'COMPLETED', 9],
+  'payment.rejected': ['REJECTED', 'UNSUCCESSFUL', 2],
+  'payment.cancelled': ['CANCELLED', 'UNSUCCESSFUL', 6],
+  'payment.refunded': ['REFUNDED', 'REFUNDED', 8],
+  'payment.chargebacked': ['CHARGEBACKED', 'REVERSED', 7]
+}
+
+/**
+ * Build a sample payment event - created defaults to now
+ */
+export function sampleWebhookEvent({
+  eventType = 'payment.captured',
+  paymentId = '3068938405_0',
+  merchantId = 'test-merchant',
+  created = new Date().toISOString()
+} = {}) {
+  const [status, statusCategory, statusCode] = SAMPLE_STATUSES[eventType] || ['CAPTURED', 'COMPLETED', 9]
+
+  return {
+    apiVersion: 'v1',
+    id: crypto.randomUUID(),
+    created,
+    merchantId,
+    type: eventType,
+    payment: {
+      id: paymentId,
+      status,
+      statusOutput: {
+        statusCategory,
+        statusCode,
+        isAuthorized: status === 'PENDING_CAPTURE',
+        isCancellable: status === 'PENDING_CAPTURE',
+        isRefundable: status === 'CAPTURED'
+      },
+      paymentOutput: {
+        amountOfMoney: { amount: 10000, currencyCode: 'AUD' },
+        paymentMethod: 'card'
+      }
+    }
+  }
+}
+
+/**
+ * Headers Worldline sends with a webhook body signed with the given key
+ */
+export function signWebhook(body, keyId, secret) {
+  return {
+    'Content-Type': 'application/json',
+    'X-GCS-KeyId': keyId,
+    'X-GCS-Signature': crypto.createHmac('sha256', secret).update(body).digest('base64')
+  }
+}
+
+export default {
+  sampleWebhookEvent,
+  signWebhook
+}
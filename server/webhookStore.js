@@ -0,0 +1,69 @@
+/**
+ * Webhook event store
+ *
+ * Keeps every Worldline webhook event we accept in an append-only JSON Lines file,
+ * one event per line, so late captures, refunds and chargebacks are never lost.
+ * Event IDs are indexed in memory to drop duplicate deliveries.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { logger } from './logger.js'
+
+/**
+ * Create a webhook event store backed by the given file
+ */
+export function createWebhookStore(filePath) {
+  const events = new Map()
+
+  // Load previously stored events so duplicates are still detected after a restart
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean)
+    for (const line of lines) {
+      try {
+        const event = JSON.parse(line)
+        events.set(event.id, event)
+      } catch (error) {
+        logger.warn('Skipping unreadable webhook event line', { filePath, error })
+      }
+    }
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  }
+
+  /**
+   * Check if an event has already been stored
+   */
+  const has = (eventId) => events.has(eventId)
+
+  /**
+   * Store an event - returns false if it was already stored
+   */
+  const save = (event) => {
+    if (events.has(event.id)) {
+      return false
+    }
+
+    fs.appendFileSync(filePath, JSON.stringify(event) + '\n')
+    events.set(event.id, event)
+    return true
+  }
+
+  /**
+   * List stored events, optionally only those for one payment
+   */
+  const list = ({ paymentId } = {}) => {
+    const all = [...events.values()]
+    return paymentId ? all.filter(event => event.paymentId === paymentId) : all
+  }
+
+  return {
+    has,
+    save,
+    list
+  }
+}
+
+export default {
+  createWebhookStore
+}
@@ -1,83 +1,200 @@
 import { useState, useEffect } from 'react'
 import CardForm from './components/CardForm'
+import HostedCheckout from './components/HostedCheckout'
+import HostedTokenization from './components/HostedTokenization'
 import PaymentHistory from './components/PaymentHistory'
 import PaymentStatus from './components/PaymentStatus'
+import OperationsDashboard from './components/OperationsDashboard'
+import CurrencySelector from './components/CurrencySelector'
+import SignIn from './components/SignIn'
+import { useAuth } from './hooks/useAuth'
 import * as localStorage from './utils/localStorage'
 
+// How the card is collected: card fields on our page encrypted by the Client SDK,
+// Worldline's card iframe on our page (Hosted Tokenization Page), or Worldline's
+// Hosted Checkout page for merchants who can't host card fields
+const CHECKOUT_MODES = [
+  { id: 'card-form', label: 'Card Form' },
+  { id: 'hosted-tokenization', label: 'Hosted Card Fields' },
+  { id: 'hosted-checkout', label: 'Hosted Checkout' }
+]
+
+// Payment products the card form offers (VITE_PAYMENT_PRODUCTS, e.g. 1,3) - unset offers every
+// product the session has; the backend refuses products outside its allowlist
+const CARD_FORM_PRODUCTS = (import.meta.env.VITE_PAYMENT_PRODUCTS || '')
+  .split(',')
+  .map(id => parseInt(id, 10))
+  .filter(id => id > 0)
+const CARD_FORM_PRODUCT_FILTERS = CARD_FORM_PRODUCTS.length > 0
+  ? { restrictTo: { products: CARD_FORM_PRODUCTS } }
+  : undefined
+
+// Operators also get the operations dashboard, at #operations so it can be bookmarked
+const OPERATIONS_HASH = '#operations'
+const currentView = () => (window.location.hash === OPERATIONS_HASH ? 'operations' : 'checkout')
+
 function App() {
-  const [tokenHistory, setTokenHistory] = useState([])
-  const [currentToken, setCurrentToken] = useState(null)
+  // Everything but the sign-in needs a signed-in user
+  const auth = useAuth()
+  // Saved cards of the signed-in user - loaded again when someone else signs in
+  const userId = auth.user?.id ?? null
+  const [wallet, setWallet] = useState(() => localStorage.load(userId))
+  const [walletUserId, setWalletUserId] = useState(userId)
+  if (walletUserId !== userId) {
+    setWalletUserId(userId)
+    setWallet(localStorage.load(userId))
+  }
+  // Currency and country the checkout runs in - drives the Worldline session and the charge amount
+  const [paymentContext, setPaymentContext] = useState({
+    countryCode: import.meta.env.VITE_COUNTRY_CODE || 'AU',
+    currencyCode: import.meta.env.VITE_CURRENCY_CODE || 'AUD',
+  })
+  // Remembered for the tab so the same mode is shown when the customer comes back from the payment page
+  const [checkoutMode, setCheckoutMode] = useState(() => {
+    const mode = sessionStorage.getItem('checkoutMode') || import.meta.env.VITE_CHECKOUT_MODE
+    return CHECKOUT_MODES.some(entry => entry.id === mode) ? mode : 'card-form'
+  })
+  const [view, setView] = useState(currentView)
+  const isOperator = auth.user?.role === 'operator'
 
-  // Load saved card from localStorage on mount
+  // Keep saved cards in sync when another tab adds, removes or renames a card
   useEffect(() => {
-    const card = localStorage.load()
-    if (card) {
-      setCurrentToken(card)
-      // Also populate token history with the loaded card
-      setTokenHistory([{
-        id: card.createdAt,
-        token: JSON.stringify(card, null, 2),
-        timestamp: new Date(card.createdAt).toLocaleString(),
-      }])
-      console.log('Loaded card from localStorage')
-    }
-  }, [])
+    return localStorage.subscribe(userId, setWallet)
+  }, [userId])
 
-  const handleTokenGenerated = (tokenJsonString) => {
-    const newToken = {
-      id: Date.now(),
-      token: tokenJsonString,
-      timestamp: new Date().toLocaleString(),
-    }
-    setTokenHistory([newToken, ...tokenHistory])
+  // Back and forward move between the checkout and the dashboard
+  useEffect(() => {
+    const handleHashChange = () => setView(currentView())
+    window.addEventListener('hashchange', handleHashChange)
+    return () => window.removeEventListener('hashchange', handleHashChange)
+  }, [])
 
-    // Also update currentToken so the charge form appears immediately
-    const card = localStorage.load()
-    if (card) {
-      setCurrentToken(card)
-    }
+  const handleCheckoutModeChange = (mode) => {
+    sessionStorage.setItem('checkoutMode', mode)
+    setCheckoutMode(mode)
   }
 
-  const handleTokenCleared = () => {
-    setCurrentToken(null)
-    setTokenHistory([])
+  const handleTokenGenerated = (updatedWallet) => {
+    // Update the wallet so the charge form appears immediately
+    setWallet(updatedWallet)
   }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 py-8 px-4">
       <div className="max-w-6xl mx-auto">
-        <header className="text-center mb-12">
+        <header className="text-center mb-6">
           <h1 className="text-4xl font-bold text-gray-900 mb-2">
             ANZ Worldline Payment Integration
           </h1>
           <p className="text-gray-600">
             Demo application showing SDK integration for payment processing
           </p>
+          {auth.user && (
+            <p className="mt-2 text-sm text-gray-600">
+              Signed in as <span className="font-semibold">{auth.user.id}</span> ({auth.user.role})
+              <button
+                type="button"
+                onClick={auth.signOut}
+                className="ml-2 text-indigo-600 hover:underline cursor-pointer"
+              >
+                Sign out
+              </button>
+            </p>
+          )}
+          {isOperator && (
+            <nav className="mt-3 inline-flex gap-4 text-sm font-medium" aria-label="Views">
+              <a
+                href="#"
+                aria-current={view === 'checkout' ? 'page' : undefined}
+                className={view === 'checkout' ? 'text-indigo-700 underline' : 'text-indigo-600 hover:underline'}
+              >
+                Checkout
+              </a>
+              <a
+                href={OPERATIONS_HASH}
+                aria-current={view === 'operations' ? 'page' : undefined}
+                className={view === 'operations' ? 'text-indigo-700 underline' : 'text-indigo-600 hover:underline'}
+              >
+                Operations
+              </a>
+            </nav>
+          )}
         </header>
 
-        <div className="grid md:grid-cols-2 gap-8">
-          {/* Card Form Section */}
-          <div className="bg-white rounded-lg shadow-lg p-6">
-            <CardForm
-              onTokenGenerated={handleTokenGenerated}
-              currentToken={currentToken}
-              onTokenCleared={handleTokenCleared}
-            />
-          </div>
+        {auth.loading ? (
+          <p className="text-center text-gray-600">Loading...</p>
+        ) : !auth.user ? (
+          <SignIn devLogin={auth.devLogin} error={auth.error} onSignIn={auth.signIn} />
+        ) : isOperator && view === 'operations' ? (
+          <OperationsDashboard />
+        ) : (
+          <>
+            <div className="text-center mb-12">
+              <div>
+                <CurrencySelector paymentContext={paymentContext} onChange={setPaymentContext} />
+              </div>
+              <div className="mt-4 inline-flex rounded-md shadow-sm" role="group" aria-label="Checkout mode">
+                {CHECKOUT_MODES.map((mode, index) => (
+                  <button
+                    key={mode.id}
+                    type="button"
+                    onClick={() => handleCheckoutModeChange(mode.id)}
+                    aria-pressed={checkoutMode === mode.id}
+                    className={`px-4 py-2 text-sm font-medium border border-indigo-600 cursor-pointer transition ${
+                      index === 0 ? 'rounded-l-md' : '-ml-px'
+                    } ${index === CHECKOUT_MODES.length - 1 ? 'rounded-r-md' : ''} ${checkoutMode === mode.id ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-600 hover:bg-indigo-50'}`}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
+              </div>
+            </div>
 
-          {/* Payment History & Charge Form Section */}
-          <div className="bg-white rounded-lg shadow-lg p-6">
-            <PaymentHistory
-              tokenHistory={tokenHistory}
-              currentToken={currentToken}
-              onTokenCleared={handleTokenCleared}
-            />
-          </div>
-        </div>
-      </div>
+            <div className="grid md:grid-cols-2 gap-8">
+              {/* Card Form, Hosted Card Fields or Hosted Checkout Section */}
+              <div className="bg-white rounded-lg shadow-lg p-6">
+                {checkoutMode === 'hosted-checkout' ? (
+                  <HostedCheckout
+                    countryCode={paymentContext.countryCode}
+                    currencyCode={paymentContext.currencyCode}
+                  />
+                ) : checkoutMode === 'hosted-tokenization' ? (
+                  <HostedTokenization
+                    userId={userId}
+                    currencyCode={paymentContext.currencyCode}
+                    onTokenGenerated={handleTokenGenerated}
+                  />
+                ) : (
+                  <CardForm
+                    userId={userId}
+                    countryCode={paymentContext.countryCode}
+                    currencyCode={paymentContext.currencyCode}
+                    savedTokenIds={wallet.cards.map(card => card.tokenId)}
+                    paymentProductFilters={CARD_FORM_PRODUCT_FILTERS}
+                    onTokenGenerated={handleTokenGenerated}
+                    onWalletChange={setWallet}
+                  />
+                )}
+              </div>
 
-      {/* Payment Status Modal */}
-      <PaymentStatus />
+              {/* Payment History & Charge Form Section */}
+              <div className="bg-white rounded-lg shadow-lg p-6">
+                <PaymentHistory
+                  userId={userId}
+                  wallet={wallet}
+                  onWalletChange={setWallet}
+                  currencyCode={paymentContext.currencyCode}
+                  countryCode={paymentContext.countryCode}
+                  canManagePayments={isOperator}
+                />
+              </div>
+            </div>
+
+            {/* Payment Status Modal */}
+            <PaymentStatus />
+          </>
+        )}
+      </div>
     </div>
   )
 }
@@ -1,56 +1,239 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { PaymentRequest } from 'onlinepayments-sdk-client-js'
-import { useWorldlineSession } from '../hooks/useWorldlineSession'
+import { useWorldlineSession, isSessionExpiredError } from '../hooks/useWorldlineSession'
+import { useRetryAfter } from '../hooks/useRetryAfter'
+import PaymentProductField from './PaymentProductField'
 import { testCards, getTestCard } from '../utils/testCards'
 import * as localStorage from '../utils/localStorage'
-
-export default function CardForm({ onTokenGenerated, currentToken, onTokenCleared }) {
+import * as browserData from '../utils/browserData'
+import * as logger from '../utils/logger'
+import { apiFetch } from '../utils/api'
+import { exponent } from '../utils/currency'
+import { isCardProduct, logoUrl, accountOnFileDetails, sortedFields, errorMessage, formatValues, validateField, validateFields } from '../utils/paymentProductFields'
+import { iinPrefix, isSupported, isNotAllowed, networkChoices } from '../utils/iinDetails'
+
+// Used when the product list could not be loaded
+const DEFAULT_PAYMENT_PRODUCT_ID = 1
+const BRAND_NOT_ACCEPTED = 'This card brand is not accepted - please use another card'
+
+// Amount the products are looked up for - VITE_AMOUNT is in minor units of VITE_CURRENCY_CODE,
+// so it is moved to the decimals of the checkout's currency (AUD 67.67 is JPY 68, KWD 67.670)
+const sessionAmount = (currencyCode) => Math.round(
+  Number(import.meta.env.VITE_AMOUNT || '6767') *
+  10 ** (exponent(currencyCode) - exponent(import.meta.env.VITE_CURRENCY_CODE || 'AUD'))
+)
+
+// Form values for a test card, keyed by Worldline card field ID
+const testCardValues = (card) => ({
+  cardNumber: card.number,
+  expiryDate: card.expiry,
+  cvv: card.cvv,
+  cardholderName: card.holder,
+})
+
+export default function CardForm({
+  // Signed-in user whose wallet cards are saved to
+  userId,
+  countryCode = import.meta.env.VITE_COUNTRY_CODE || 'AU',
+  currencyCode = import.meta.env.VITE_CURRENCY_CODE || 'AUD',
+  savedTokenIds,
+  paymentProductFilters,
+  onTokenGenerated,
+  onWalletChange
+}) {
   const paymentContext = {
-    countryCode: import.meta.env.VITE_COUNTRY_CODE || 'AU',
-    currencyCode: import.meta.env.VITE_CURRENCY_CODE || 'AUD',
-    amount: parseInt(import.meta.env.VITE_AMOUNT || '6767'),
+    countryCode,
+    currencyCode,
+    amount: sessionAmount(currencyCode),
+    // Saved cards are checked by Worldline when the session is created; products can be narrowed per checkout page
+    tokens: savedTokenIds,
+    paymentProductFilters,
+  }
+  // Same context in the shape the Client API lookups take
+  const productContext = {
+    countryCode: paymentContext.countryCode,
+    amountOfMoney: {
+      amount: paymentContext.amount,
+      currencyCode: paymentContext.currencyCode,
+    },
+    isRecurring: false,
   }
 
   // Use the custom hook to initialize Worldline session
-  const { session, loading, error: sessionError, paymentProducts, retry } = useWorldlineSession(paymentContext)
+  const {
+    session,
+    loading,
+    error: sessionError,
+    paymentProducts,
+    accountsOnFile,
+    invalidTokens,
+    foreignTokens,
+    retry,
+    refresh,
+    runWithSession
+  } = useWorldlineSession(paymentContext)
 
   const [formLoading, setFormLoading] = useState(false)
   const [formError, setFormError] = useState(null)
+  const [savedCard, setSavedCard] = useState(null)
+  // Saved cards Worldline no longer knows - the customer needs to enter them again
+  const [removedCards, setRemovedCards] = useState([])
+  // Saved cards that aren't on file for this user - kept, but they can't be charged
+  const [foreignCards, setForeignCards] = useState([])
+  // Too many attempts - the backend says how long to wait
+  const rateLimit = useRetryAfter()
   const [fieldErrors, setFieldErrors] = useState({})
   const [useTestCard, setUseTestCard] = useState(true)
   const [selectedTestCard, setSelectedTestCard] = useState(testCards[0])
-  const [formData, setFormData] = useState({
-    cardNumber: testCards[0].number,
-    expiryDate: testCards[0].expiry,
-    cvv: testCards[0].cvv,
-    cardHolder: testCards[0].holder,
-  })
+  const [formData, setFormData] = useState(() => testCardValues(testCards[0]))
+
+  // Payment product picked by the customer - defaults to the first card product the account offers
+  const [selectedProductId, setSelectedProductId] = useState(null)
+  const [paymentProduct, setPaymentProduct] = useState(null)
+  const [productLoading, setProductLoading] = useState(false)
+  const [productError, setProductError] = useState(null)
+
+  // IIN lookup of the card number entered - detects the brand and co-badged networks
+  const [iinDetails, setIinDetails] = useState(null)
+
+  const cardProducts = paymentProducts.filter(isCardProduct)
+  // Products outside the checkout's list can't be picked or detected - unless the list couldn't be loaded
+  const isOffered = (id) => id !== null && (cardProducts.length === 0 || cardProducts.some(product => product.id === id))
+  const productId = isOffered(selectedProductId) ? selectedProductId : cardProducts[0]?.id ?? DEFAULT_PAYMENT_PRODUCT_ID
+  const cardNumberIin = iinPrefix(formData.cardNumber)
+  const networks = networkChoices(iinDetails).filter(isOffered)
+  // A brand the account refuses, or one this checkout doesn't offer
+  const brandNotAccepted = isNotAllowed(iinDetails) || (isSupported(iinDetails) && networks.length === 0)
+  const productLabel = (id) => paymentProducts.find(product => product.id === id)?.displayHints?.label || `Payment product ${id}`
+
+  // Load the full product (with its fields) whenever the selection changes
+  useEffect(() => {
+    if (!session) return
+
+    let cancelled = false
+    setProductLoading(true)
+    setProductError(null)
+
+    session.getPaymentProduct(productId, productContext)
+      .then(product => {
+        if (cancelled) return
+        setPaymentProduct(product)
+        // Re-format what's been entered with this product's masks (card number grouping, CVV length)
+        setFormData(prev => formatValues(product, prev))
+      })
+      .catch(productErr => {
+        if (cancelled) return
+        // The new session re-runs this lookup
+        if (isSessionExpiredError(productErr)) {
+          refresh()
+          return
+        }
+        logger.error('Could not get payment product', { paymentProductId: productId, error: productErr })
+        setPaymentProduct(null)
+        setProductError(`Could not load the card form for payment product ${productId}`)
+      })
+      .finally(() => {
+        if (!cancelled) setProductLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [session, productId])
+
+  // Look up the brand once 6 digits are entered, and again at 8 - switch the form to the detected product
+  useEffect(() => {
+    setIinDetails(null)
+    if (!session || !cardNumberIin) return
+
+    let cancelled = false
+
+    session.getIinDetails(cardNumberIin, productContext)
+      .then(details => {
+        if (cancelled) return
+        setIinDetails(details)
+        // The issuer's preferred network, or a co-brand this checkout offers when it doesn't offer that one
+        const offeredNetworks = networkChoices(details).filter(isOffered)
+        if (offeredNetworks.length > 0) {
+          setSelectedProductId(offeredNetworks[0])
+        } else if (isSupported(details) || isNotAllowed(details)) {
+          setFieldErrors(prev => ({ ...prev, cardNumber: BRAND_NOT_ACCEPTED }))
+        }
+      })
+      .catch(iinErr => {
+        if (cancelled) return
+        if (isSessionExpiredError(iinErr)) {
+          refresh()
+          return
+        }
+        // Unknown card ranges come back as errors - leave the product as it is
+        logger.warn('IIN lookup failed', { error: iinErr })
+        setIinDetails({ status: 'UNKNOWN' })
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [session, cardNumberIin])
+
+  // Saved cards Worldline no longer knows can't be charged by anyone - take them out of the wallet
+  useEffect(() => {
+    if (!invalidTokens?.length) return
+
+    let wallet = null
+    const removed = []
+    for (const tokenId of invalidTokens) {
+      const card = localStorage.load(userId).cards.find(entry => entry.tokenId === tokenId)
+      if (!card) continue
+
+      logger.warn('Removing saved card with an invalid token', { tokenId })
+      wallet = localStorage.remove(userId, tokenId) || wallet
+      removed.push(card.maskedCardNumber)
+    }
+    if (wallet) onWalletChange?.(wallet)
+    if (removed.length) setRemovedCards(removed)
+  }, [invalidTokens])
+
+  // Cards not on file for the signed-in user (e.g. saved before sign-in was added) are only
+  // pointed out - the token may still be someone else's card, so it isn't deleted
+  useEffect(() => {
+    const cards = localStorage.load(userId).cards
+    setForeignCards((foreignTokens || [])
+      .map(tokenId => cards.find(card => card.tokenId === tokenId)?.maskedCardNumber)
+      .filter(Boolean))
+  }, [foreignTokens])
+
+  // The encryption timeout still pending when the form goes away
+  const encryptionTimeoutRef = useRef(null)
+  useEffect(() => () => clearTimeout(encryptionTimeoutRef.current), [])
+
+  const handleProductChange = (e) => {
+    setSelectedProductId(parseInt(e.target.value))
+    setFieldErrors({})
+    setFormError(null)
+    setSavedCard(null)
+  }
 
   const handleTestCardChange = (e) => {
     const cardName = e.target.value
     const card = getTestCard(cardName)
     if (card) {
       setSelectedTestCard(card)
-      setFormData({
-        cardNumber: card.number,
-        expiryDate: card.expiry,
-        cvv: card.cvv,
-        cardHolder: card.holder,
-      })
+      setFormData(formatValues(paymentProduct, testCardValues(card)))
+      setFieldErrors({})
       setFormError(null)
     }
   }
 
-  const handleInputChange = (e) => {
-    const { name, value } = e.target
+  const handleFieldChange = (fieldId, value) => {
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [fieldId]: value
     }))
-    if (fieldErrors[name]) {
+    if (fieldErrors[fieldId]) {
       setFieldErrors(prev => ({
         ...prev,
-        [name]: null
+        [fieldId]: null
       }))
     }
   }
@@ -59,152 +242,155 @@ export default function CardForm({ onTokenGenerated, currentToken, onTokenCleare
     const isTestCard = e.target.checked
     setUseTestCard(isTestCard)
     if (isTestCard) {
-      const card = selectedTestCard
-      setFormData({
-        cardNumber: card.number,
-        expiryDate: card.expiry,
-        cvv: card.cvv,
-        cardHolder: card.holder,
-      })
+      setFormData(formatValues(paymentProduct, testCardValues(selectedTestCard)))
+      setFieldErrors({})
     }
   }
 
-  const validateFormData = () => {
-    const errors = {}
-
-    const cardDigits = formData.cardNumber.replace(/\s/g, '')
-    if (!cardDigits || cardDigits.length < 13 || cardDigits.length > 19) {
-      errors.cardNumber = 'Invalid card number'
-    }
+  // Check a field as soon as the customer leaves it - empty fields wait for submit
+  const handleFieldBlur = (field, value) => {
+    if (!value.trim()) return
 
-    if (!formData.expiryDate || !/^\d{2}\/\d{2}$/.test(formData.expiryDate)) {
-      errors.expiryDate = 'Format: MM/YY'
-    }
-
-    if (!formData.cvv || formData.cvv.length < 3 || formData.cvv.length > 4) {
-      errors.cvv = 'CVV must be 3-4 digits'
+    const fieldErrorId = validateField(field, value)
+    let message = fieldErrorId ? errorMessage(fieldErrorId, field) : null
+    if (!message && field.id === 'cardNumber' && brandNotAccepted) {
+      message = BRAND_NOT_ACCEPTED
     }
+    setFieldErrors(prev => ({ ...prev, [field.id]: message }))
+  }
 
-    if (!formData.cardHolder.trim()) {
-      errors.cardHolder = 'Card holder name required'
+  // Check every field against the selected product's own required flags and validators
+  const validateFormData = () => {
+    const errors = validateFields(paymentProduct, formData)
+    if (!errors.cardNumber && brandNotAccepted) {
+      errors.cardNumber = BRAND_NOT_ACCEPTED
     }
-
     setFieldErrors(errors)
     return Object.keys(errors).length === 0
   }
 
   // **SCENARIO 2: Token Generation Handler**
-  // Encrypts card data and stores the encrypted payload as a reusable token in localStorage
+  // Encrypts card data, has the backend turn it into a permanent Worldline token,
+  // and keeps only the token ID and display metadata in localStorage
   const handleTokenize = async (e) => {
     e.preventDefault()
     setFormLoading(true)
     setFormError(null)
+    setSavedCard(null)
 
     try {
-      if (!validateFormData()) {
-        setFormError('Please correct the errors below')
+      if (!session) {
+        setFormError('Session not initialized. Click "Retry" or refresh the page.')
         setFormLoading(false)
         return
       }
 
-      if (!session) {
-        setFormError('Session not initialized. Click "Retry" or refresh the page.')
+      if (!paymentProduct) {
+        setFormError(productError || 'Card form is still loading - please try again')
+        setFormLoading(false)
+        return
+      }
+
+      if (!validateFormData()) {
+        setFormError('Please correct the errors below')
         setFormLoading(false)
         return
       }
 
       // Create PaymentRequest object with card details to generate a card token
       const paymentRequest = new PaymentRequest()
-      paymentRequest.setPaymentProductId(1)
+      paymentRequest.setPaymentProduct(paymentProduct)
 
-      // Try to get payment product
-      let paymentProduct
-      try {
-        paymentProduct = await session.getPaymentProduct(1)
-        if (paymentProduct) {
-          paymentRequest.setPaymentProduct(paymentProduct)
+      // Set field values as entered - the SDK strips each field's mask (e.g. 12/30 -> 1230) before encrypting
+      for (const field of sortedFields(paymentProduct)) {
+        if (formData[field.id]) {
+          paymentRequest.setValue(field.id, formData[field.id])
         }
-      } catch (productErr) {
-        console.warn('Could not get payment product:', productErr.message)
-      }
-
-      // Set field values
-      const cleanCardNumber = formData.cardNumber.replace(/\s/g, '')
-      let expiryDate = formData.expiryDate
-      if (expiryDate && expiryDate.includes('/')) {
-        const [month, year] = expiryDate.split('/')
-        const fullYear = year.length === 2 ? `20${year}` : year
-        expiryDate = `${month}${fullYear}`
       }
 
-      paymentRequest.setValue('cardNumber', cleanCardNumber)
-      paymentRequest.setValue('cvv', formData.cvv)
-      paymentRequest.setValue('expiryDate', expiryDate)
-      paymentRequest.setValue('cardholderName', formData.cardHolder)
-
       // **SCENARIO 1: SDK Validation**
       if (!paymentRequest.isValid()) {
         const validationErrors = paymentRequest.getErrorMessageIds()
-        console.error('❌ SDK Validation failed:', validationErrors)
-        const errorMessages = validationErrors.map(errorId => {
-          const errorMap = {
-            'luhn': 'Invalid card number (failed checksum)',
-            'expirationDate': 'Card expired or invalid expiration date',
-            'regularExpression': 'Invalid format detected',
-            'length': 'Field length is incorrect',
-            'range': 'Value is outside the allowed range',
-            'required': 'This field is required'
-          }
-          return errorMap[errorId] || `Validation error: ${errorId}`
-        })
+        logger.error('SDK validation failed', { validationErrors })
+        const errorMessages = validationErrors.map(errorId => errorMessage(errorId))
         throw new Error(`Payment validation failed: ${errorMessages.join(', ')}`)
       }
 
-      console.log('✅ SDK validation passed - encrypting...')
+      logger.debug('SDK validation passed - encrypting')
 
-      // Encrypt the card details to generate a reusable card token
-      const encryptor = session.getEncryptor()
-      if (!encryptor) {
-        throw new Error('Encryptor not available. Session may not be properly initialized.')
-      }
-
-      let cardToken
+      // Encrypt the card details to generate a reusable card token - on a new session if this one has expired
+      // The card is saved for the customer of the session it was encrypted with
+      let encryptedCard
+      let encryptingSession
       try {
-        cardToken = await Promise.race([
-          encryptor.encrypt(paymentRequest),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Encryption timeout')), 5000))
-        ])
+        encryptedCard = await runWithSession(current => {
+          const encryptor = current.getEncryptor()
+          if (!encryptor) {
+            throw new Error('Encryptor not available. Session may not be properly initialized.')
+          }
+          encryptingSession = current
+          return Promise.race([
+            encryptor.encrypt(paymentRequest),
+            new Promise((_, reject) => {
+              encryptionTimeoutRef.current = setTimeout(() => reject(new Error('Encryption timeout')), 5000)
+            })
+          ])
+        })
 
-        if (!cardToken) {
+        if (!encryptedCard) {
           throw new Error('Encryptor returned empty result')
         }
 
-        console.log('✅ Card token generated')
+        logger.debug('Card encrypted')
       } catch (encryptError) {
         const errorMsg = encryptError?.message || encryptError?.toString?.() || 'Unknown encryption error'
-        console.error('❌ Encryption failed:', errorMsg)
+        logger.error('Encryption failed', { error: errorMsg })
         throw new Error(`Payment encryption failed: ${errorMsg}`)
+      } finally {
+        clearTimeout(encryptionTimeoutRef.current)
+      }
+
+      // Exchange the one-time encrypted card for a permanent token
+      const tokenResponse = await apiFetch('/tokens', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          cardToken: encryptedCard,
+          currency: paymentContext.currencyCode,
+          browserData: browserData.collect(),
+        })
+      })
+
+      const tokenResult = await tokenResponse.json()
+      if (tokenResponse.status === 429) {
+        rateLimit.wait(tokenResult.retryAfter)
+      }
+      if (!tokenResult.success) {
+        throw new Error(tokenResult.message || tokenResult.error || 'Failed to save card')
       }
 
-      // Save token to localStorage with metadata
+      logger.info('Card token generated')
+
+      // Save token ID to localStorage with display metadata
       const tokenData = {
-        cardToken: cardToken,
-        maskedCardNumber: maskCardNumber(formData.cardNumber),
-        cardType: detectCardType(formData.cardNumber),
-        cardHolder: formData.cardHolder,
+        tokenId: tokenResult.tokenId,
+        maskedCardNumber: tokenResult.maskedCardNumber || maskCardNumber(formData.cardNumber || ''),
+        cardType: paymentProduct.displayHints?.label || 'Card',
+        cardHolder: formData.cardholderName,
         expiryDate: formData.expiryDate,
-        paymentProductId: 1,
-        customerId: session.customerId,
+        paymentProductId: tokenResult.paymentProductId || paymentProduct.id,
+        customerId: encryptingSession.customerId,
         createdAt: new Date().toISOString()
       }
 
-      if (localStorage.save(tokenData)) {
-        onTokenGenerated(JSON.stringify(tokenData, null, 2))
-      } else {
+      const wallet = localStorage.add(userId, tokenData)
+      if (!wallet) {
         throw new Error('Failed to save card')
       }
+      setSavedCard(tokenData)
+      onTokenGenerated(wallet)
     } catch (err) {
-      console.error('❌ Tokenization error:', err?.message || err)
+      logger.error('Tokenization error', { error: err })
       const errorMsg = err?.message || (Array.isArray(err) ? err.join(', ') : err?.toString?.() || 'Failed to create token')
       setFormError(errorMsg)
     } finally {
@@ -212,22 +398,18 @@ export default function CardForm({ onTokenGenerated, currentToken, onTokenCleare
     }
   }
 
-
-
-  const detectCardType = (cardNumber) => {
-    const cleanNumber = cardNumber.replace(/\D/g, '')
-    if (/^4/.test(cleanNumber)) return 'VISA'
-    if (/^5[1-5]/.test(cleanNumber)) return 'MASTERCARD'
-    if (/^3[47]/.test(cleanNumber)) return 'AMEX'
-    if (/^6011/.test(cleanNumber)) return 'DISCOVER'
-    return 'UNKNOWN'
-  }
-
   const maskCardNumber = (cardNumber) => {
     const digits = cardNumber.replace(/\s/g, '')
     return digits.slice(-4).padStart(digits.length, '*')
   }
 
+  // Logo of the product the IIN lookup switched to, shown inside the card number input
+  const detectedProduct = paymentProducts.find(product => product.id === productId)
+  const detectedLogo = logoUrl(detectedProduct, session?.assetUrl)
+  const detectedBrand = detectedLogo
+    ? <img src={detectedLogo} alt={productLabel(productId)} className="h-6" />
+    : <span className="text-xs font-semibold text-gray-600">{productLabel(productId)}</span>
+
   return (
     <div>
       <h2 className="text-2xl font-bold text-gray-900 mb-6">
@@ -250,6 +432,64 @@ export default function CardForm({ onTokenGenerated, currentToken, onTokenCleare
           </div>
         )}
 
+        {/* Saved Cards Removed From the Wallet */}
+        {removedCards.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-yellow-800 text-sm">
+            ⚠️ {removedCards.length === 1 ? 'A saved card' : `${removedCards.length} saved cards`} ({removedCards.join(', ')}) can no longer be used and {removedCards.length === 1 ? 'was' : 'were'} removed - enter the card again to save it.
+          </div>
+        )}
+
+        {/* Saved Cards Not on File for This User */}
+        {foreignCards.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-yellow-800 text-sm">
+            ⚠️ {foreignCards.length === 1 ? 'A saved card' : `${foreignCards.length} saved cards`} ({foreignCards.join(', ')}) {foreignCards.length === 1 ? 'is' : 'are'} not saved to your account and can't be charged - enter the card again to save it.
+          </div>
+        )}
+
+        {/* Cards on File - the saved cards Worldline listed for this session */}
+        {accountsOnFile.length > 0 && (
+          <div className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+            <p className="text-sm font-medium text-gray-700 mb-2">Cards on file</p>
+            <ul className="space-y-1" aria-label="Cards on file">
+              {accountsOnFile.map(account => {
+                const { label, expiryDate } = accountOnFileDetails(account)
+                const logo = logoUrl(account, session?.assetUrl)
+                return (
+                  <li key={account.id} className="flex items-center gap-2 text-sm text-gray-800">
+                    {logo
+                      ? <img src={logo} alt={productLabel(account.paymentProductId)} className="h-5" />
+                      : <span className="text-xs font-semibold text-gray-600">{productLabel(account.paymentProductId)}</span>}
+                    <span className="font-mono">{label || 'Saved card'}</span>
+                    {expiryDate && <span className="text-xs text-gray-500">Expires {expiryDate}</span>}
+                  </li>
+                )
+              })}
+            </ul>
+            <p className="text-xs text-gray-500 mt-2">Charge them from your saved cards - no need to enter them again.</p>
+          </div>
+        )}
+
+        {/* Payment Product Picker */}
+        {cardProducts.length > 0 && (
+          <div>
+            <label htmlFor="paymentProduct" className="block text-sm font-medium text-gray-700 mb-1">
+              Card Type
+            </label>
+            <select
+              id="paymentProduct"
+              value={productId}
+              onChange={handleProductChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+            >
+              {cardProducts.map(product => (
+                <option key={product.id} value={product.id}>
+                  {product.displayHints?.label || `Payment product ${product.id}`}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         {/* Test Card Toggle */}
         <div className="bg-purple-50 border border-purple-200 rounded-lg p-4">
           <div className="flex items-center gap-3">
@@ -282,109 +522,75 @@ export default function CardForm({ onTokenGenerated, currentToken, onTokenCleare
           )}
         </div>
 
-        {/* Card Holder */}
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Card Holder Name
-          </label>
-          <input
-            type="text"
-            name="cardHolder"
-            value={formData.cardHolder}
-            onChange={handleInputChange}
-            required
-            disabled={!!currentToken}
-            className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 ${currentToken ? 'bg-gray-100 cursor-not-allowed' : ''
-              } ${fieldErrors.cardHolder ? 'border-red-500' : 'border-gray-300'
-              }`}
-            placeholder="John Doe"
-          />
-          {fieldErrors.cardHolder && (
-            <p className="text-red-600 text-xs mt-1">{fieldErrors.cardHolder}</p>
-          )}
-        </div>
-
-        {/* Card Number */}
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Card Number
-          </label>
-          <input
-            type="text"
-            name="cardNumber"
-            value={formData.cardNumber}
-            onChange={handleInputChange}
-            required
-            disabled={!!currentToken}
-            className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 font-mono ${currentToken ? 'bg-gray-100 cursor-not-allowed' : ''
-              } ${fieldErrors.cardNumber ? 'border-red-500' : 'border-gray-300'
-              }`}
-            placeholder="4111 1111 1111 1111"
-          />
-          {fieldErrors.cardNumber && (
-            <p className="text-red-600 text-xs mt-1">{fieldErrors.cardNumber}</p>
-          )}
-        </div>
-
-        {/* Expiry and CVV */}
-        <div className="grid grid-cols-2 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Expiry Date
-            </label>
-            <input
-              type="text"
-              name="expiryDate"
-              value={formData.expiryDate}
-              onChange={handleInputChange}
-              required
-              disabled={!!currentToken}
-              className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 font-mono ${currentToken ? 'bg-gray-100 cursor-not-allowed' : ''
-                } ${fieldErrors.expiryDate ? 'border-red-500' : 'border-gray-300'
-                }`}
-              placeholder="12/25"
-            />
-            {fieldErrors.expiryDate && (
-              <p className="text-red-600 text-xs mt-1">{fieldErrors.expiryDate}</p>
-            )}
+        {/* Fields of the selected payment product */}
+        {productLoading ? (
+          <p className="text-sm text-gray-500">Loading card form...</p>
+        ) : productError ? (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-yellow-800 text-sm">
+            ⚠️ {productError}
           </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              CVV
-            </label>
-            <input
-              type="text"
-              name="cvv"
-              value={formData.cvv}
-              onChange={handleInputChange}
-              required
-              disabled={!!currentToken}
-              className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 font-mono ${currentToken ? 'bg-gray-100 cursor-not-allowed' : ''
-                } ${fieldErrors.cvv ? 'border-red-500' : 'border-gray-300'
-                }`}
-              placeholder="123"
-            />
-            {fieldErrors.cvv && (
-              <p className="text-red-600 text-xs mt-1">{fieldErrors.cvv}</p>
-            )}
+        ) : (
+          <div className="grid grid-cols-2 gap-4">
+            {sortedFields(paymentProduct).map(field => (
+              // Short fields like expiry date and CVV share a row, the rest take the full width
+              <div key={field.id} className={['expiryDate', 'cvv'].includes(field.id) ? '' : 'col-span-2'}>
+                <PaymentProductField
+                  field={field}
+                  value={formData[field.id]}
+                  error={fieldErrors[field.id]}
+                  onChange={handleFieldChange}
+                  onBlur={handleFieldBlur}
+                  addon={field.id === 'cardNumber' && networks.length > 0 ? detectedBrand : null}
+                />
+              </div>
+            ))}
           </div>
-        </div>
+        )}
+
+        {/* Network choice for co-badged cards (e.g. eftpos/Visa debit) - the cardholder decides */}
+        {networks.length > 1 && (
+          <fieldset className="bg-blue-50 border border-blue-200 rounded-lg p-3">
+            <legend className="text-sm font-medium text-gray-700 px-1">Choose how to process this card</legend>
+            <p className="text-xs text-gray-600 mb-2">Your card works on more than one payment network.</p>
+            <div className="space-y-1">
+              {networks.map(networkId => (
+                <label key={networkId} className="flex items-center gap-2 text-sm cursor-pointer">
+                  <input
+                    type="radio"
+                    name="network"
+                    value={networkId}
+                    checked={productId === networkId}
+                    onChange={() => setSelectedProductId(networkId)}
+                  />
+                  {productLabel(networkId)}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        )}
 
         {/* Error Message */}
-        {formError && !storedToken && (
+        {formError && (
           <div className="bg-red-50 border border-red-200 rounded-md p-3 text-red-700 text-sm">
             ⚠️ {formError}
           </div>
         )}
 
+        {/* Saved Confirmation */}
+        {savedCard && (
+          <div className="bg-green-50 border border-green-200 rounded-md p-3 text-green-700 text-sm">
+            ✅ {savedCard.cardType} {savedCard.maskedCardNumber} added to your saved cards
+          </div>
+        )}
+
         {/* Generate Token Button */}
         <button
           type="button"
           onClick={handleTokenize}
-          disabled={formLoading || loading || !session || !!currentToken}
+          disabled={formLoading || loading || !session || !paymentProduct || rateLimit.waiting}
           className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 disabled:cursor-not-allowed cursor-pointer text-white font-bold py-2 px-4 rounded-md transition duration-200"
         >
-          {currentToken ? '✅ Token Generated' : formLoading ? 'Creating Token...' : loading ? 'Initializing Session...' : !session ? 'Session Failed' : '🔐 Generate & Save Card Token'}
+          {formLoading ? 'Creating Token...' : rateLimit.waiting ? 'Too Many Attempts - Please Wait' : loading ? 'Initializing Session...' : !session ? 'Session Failed' : productLoading ? 'Loading Card Form...' : '🔐 Generate & Save Card Token'}
         </button>
       </div>
     </div>
@@ -0,0 +1,53 @@
+import { CURRENCIES, COUNTRIES, getCurrency } from '../utils/currency'
+
+// Currency and country of the checkout - picking a currency moves the country to where it's used,
+// the country can still be changed afterwards (e.g. USD for a customer in Fiji)
+export default function CurrencySelector({ paymentContext, onChange }) {
+  const handleCurrencyChange = (e) => {
+    const currency = getCurrency(e.target.value)
+    onChange({ ...paymentContext, currencyCode: currency.code, countryCode: currency.countryCode })
+  }
+
+  const handleCountryChange = (e) => {
+    onChange({ ...paymentContext, countryCode: e.target.value })
+  }
+
+  return (
+    <div className="flex flex-wrap justify-center gap-4">
+      <div>
+        <label htmlFor="checkout-currency" className="block text-sm font-medium text-gray-700 mb-1">
+          Currency
+        </label>
+        <select
+          id="checkout-currency"
+          value={paymentContext.currencyCode}
+          onChange={handleCurrencyChange}
+          className="px-3 py-2 border border-gray-300 rounded-md bg-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          {CURRENCIES.map(currency => (
+            <option key={currency.code} value={currency.code}>
+              {currency.code} - {currency.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label htmlFor="checkout-country" className="block text-sm font-medium text-gray-700 mb-1">
+          Country
+        </label>
+        <select
+          id="checkout-country"
+          value={paymentContext.countryCode}
+          onChange={handleCountryChange}
+          className="px-3 py-2 border border-gray-300 rounded-md bg-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          {COUNTRIES.map(country => (
+            <option key={country.code} value={country.code}>
+              {country.name}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  )
+}
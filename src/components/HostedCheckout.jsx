@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react'
+import * as logger from '../utils/logger'
+import { apiFetch } from '../utils/api'
+import { amountStep, currencySymbol, exponent, invalidAmountMessage, toMajorUnits, toMinorUnits } from '../utils/currency'
+
+// Suggested payment, in major units of the selected currency
+const DEFAULT_AMOUNT = 100
+
+// Worldline Hosted Checkout - the customer enters their card on Worldline's payment page,
+// so no card field is ever rendered here. PaymentStatus finishes the payment when they come back.
+export default function HostedCheckout({
+  countryCode = import.meta.env.VITE_COUNTRY_CODE || 'AU',
+  currencyCode = import.meta.env.VITE_CURRENCY_CODE || 'AUD',
+}) {
+  const [formData, setFormData] = useState(() => ({
+    amount: toMajorUnits(DEFAULT_AMOUNT * 10 ** exponent(currencyCode), currencyCode),
+    captureMode: 'auto'
+  }))
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [redirecting, setRedirecting] = useState(false)
+
+  // Re-state the typed amount with the new currency's decimals
+  useEffect(() => {
+    setFormData(prev => {
+      const amount = Number(prev.amount)
+      return Number.isFinite(amount) && prev.amount !== ''
+        ? { ...prev, amount: amount.toFixed(exponent(currencyCode)) }
+        : prev
+    })
+  }, [currencyCode])
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    const amount = toMinorUnits(formData.amount, currencyCode)
+    if (!amount) {
+      setError(invalidAmountMessage(currencyCode))
+      return
+    }
+
+    setLoading(true)
+    try {
+      const response = await apiFetch('/hosted-checkout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          amount,
+          currency: currencyCode,
+          countryCode,
+          captureMode: formData.captureMode,
+          locale: navigator.language
+        })
+      })
+      const result = await response.json()
+
+      if (!response.ok || !result.redirectUrl) {
+        throw new Error(result.message || result.error || `Backend error: ${response.status}`)
+      }
+
+      logger.info('Hosted checkout created', { hostedCheckoutId: result.hostedCheckoutId })
+      setRedirecting(true)
+      window.location.assign(result.redirectUrl)
+    } catch (err) {
+      setError(err.message || 'Could not start the hosted checkout')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">
+        🧾 Hosted Checkout
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        The customer enters their card on the Worldline payment page and comes back here once they've paid.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {/* Amount Input */}
+        <div>
+          <label htmlFor="hosted-checkout-amount" className="block text-sm font-medium text-gray-700 mb-1">
+            Amount ({currencyCode})
+          </label>
+          <div className="flex gap-2">
+            <span className="inline-flex items-center px-3 bg-gray-100 border border-gray-300 rounded-l-md text-gray-600 font-medium">
+              {currencySymbol(currencyCode)}
+            </span>
+            <input
+              id="hosted-checkout-amount"
+              type="number"
+              name="amount"
+              value={formData.amount}
+              onChange={handleInputChange}
+              required
+              step={amountStep(currencyCode)}
+              min="0"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-r-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              placeholder={toMajorUnits(DEFAULT_AMOUNT * 10 ** exponent(currencyCode), currencyCode)}
+            />
+          </div>
+        </div>
+
+        {/* Capture Mode */}
+        <div>
+          <label htmlFor="hosted-checkout-capture" className="block text-sm font-medium text-gray-700 mb-1">
+            Capture
+          </label>
+          <select
+            id="hosted-checkout-capture"
+            name="captureMode"
+            value={formData.captureMode}
+            onChange={handleInputChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+          >
+            <option value="auto">Charge now (authorize &amp; capture)</option>
+            <option value="manual">Authorize only (capture later)</option>
+          </select>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-md p-3 text-red-700 text-sm">
+            ⚠️ {error}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={loading || redirecting}
+          className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 disabled:cursor-not-allowed cursor-pointer text-white font-bold py-2 px-4 rounded-md transition duration-200"
+        >
+          {redirecting ? 'Redirecting to the payment page...' : loading ? 'Starting checkout...' : 'Continue to payment page'}
+        </button>
+      </form>
+    </div>
+  )
+}
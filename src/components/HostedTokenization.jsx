@@ -0,0 +1,199 @@
+import { useState, useEffect, useRef } from 'react'
+import * as localStorage from '../utils/localStorage'
+import * as browserData from '../utils/browserData'
+import * as logger from '../utils/logger'
+import { apiFetch } from '../utils/api'
+import { loadTokenizer } from '../utils/tokenizer'
+
+// Element tokenizer.js puts the Worldline card iframe in
+const FRAME_ELEMENT_ID = 'hosted-tokenization-frame'
+
+// Names of the card payment products the iframe can return (Worldline IDs)
+const CARD_TYPES = {
+  1: 'Visa',
+  2: 'American Express',
+  3: 'Mastercard',
+  117: 'Maestro',
+  125: 'JCB',
+  128: 'Discover',
+  130: 'Carte Bancaire',
+  132: 'Diners Club'
+}
+
+// Worldline expiry dates are MMYY, the wallet keeps MM/YY
+const toDisplayExpiry = (expiryDate = '') => expiryDate.replace(/^(\d{2})(\d{2})$/, '$1/$2')
+
+// Hosted Tokenization Page - the card fields are a Worldline iframe on this page, so card
+// data never enters our DOM. The token it creates is saved to the wallet like CardForm's.
+export default function HostedTokenization({
+  // Signed-in user whose wallet the card is saved to
+  userId,
+  currencyCode = import.meta.env.VITE_CURRENCY_CODE || 'AUD',
+  onTokenGenerated,
+}) {
+  const [hostedTokenization, setHostedTokenization] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [savedCard, setSavedCard] = useState(null)
+  // A hosted tokenization session takes one card - bumped to start a new one
+  const [attempt, setAttempt] = useState(0)
+  const tokenizerRef = useRef(null)
+
+  // Create the hosted tokenization session and embed its iframe
+  useEffect(() => {
+    let cancelled = false
+    let tokenizer = null
+
+    const initialize = async () => {
+      setLoading(true)
+      setHostedTokenization(null)
+      try {
+        const response = await apiFetch('/hosted-tokenization', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ locale: navigator.language })
+        })
+        const result = await response.json()
+
+        if (!response.ok) {
+          throw new Error(result.message || result.error || `Backend error: ${response.status}`)
+        }
+
+        const Tokenizer = await loadTokenizer(result.hostedTokenizationUrl)
+        if (cancelled) return
+
+        tokenizer = new Tokenizer(result.hostedTokenizationUrl, FRAME_ELEMENT_ID, { hideCardholderName: false })
+        await tokenizer.initialize()
+        if (cancelled) return
+
+        tokenizerRef.current = tokenizer
+        setHostedTokenization(result)
+        logger.info('Hosted tokenization ready', { hostedTokenizationId: result.hostedTokenizationId })
+      } catch (err) {
+        if (cancelled) return
+        logger.error('Hosted tokenization failed', { error: err })
+        setError(`Could not load the card fields: ${err.message}`)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    initialize()
+
+    return () => {
+      cancelled = true
+      tokenizerRef.current = null
+      tokenizer?.destroy()
+    }
+  }, [attempt])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!tokenizerRef.current) return
+
+    setSaving(true)
+    setError(null)
+    setSavedCard(null)
+    try {
+      // Saved to the wallet, so the token has to be permanent rather than for one payment
+      const submitResult = await tokenizerRef.current.submitTokenization({ storePermanently: true })
+      if (!submitResult.success) {
+        throw new Error(submitResult.error?.message || 'The card could not be tokenized')
+      }
+
+      const tokenResponse = await apiFetch(`/hosted-tokenization/${encodeURIComponent(submitResult.hostedTokenizationId)}/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          currency: currencyCode,
+          browserData: browserData.collect()
+        })
+      })
+      const tokenResult = await tokenResponse.json()
+
+      if (!tokenResult.success) {
+        throw new Error(tokenResult.message || tokenResult.error || 'Failed to save card')
+      }
+
+      logger.info('Card token generated')
+
+      // No client session here, so the card has no Worldline customer ID
+      const tokenData = {
+        tokenId: tokenResult.tokenId,
+        maskedCardNumber: tokenResult.maskedCardNumber,
+        cardType: CARD_TYPES[tokenResult.paymentProductId] || 'Card',
+        cardHolder: tokenResult.cardholderName,
+        expiryDate: toDisplayExpiry(tokenResult.expiryDate),
+        paymentProductId: tokenResult.paymentProductId,
+        customerId: null,
+        createdAt: new Date().toISOString()
+      }
+
+      const wallet = localStorage.add(userId, tokenData)
+      if (!wallet) {
+        throw new Error('Failed to save card')
+      }
+      setSavedCard(tokenData)
+      onTokenGenerated(wallet)
+      // The session is used up - load fresh card fields for the next card
+      setAttempt(prev => prev + 1)
+    } catch (err) {
+      logger.error('Tokenization error', { error: err })
+      setError(err?.message || 'Failed to save card')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">
+        🔒 Hosted Card Fields
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Card details are typed into a Worldline iframe - they never reach this page. The saved card can then be charged below.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div id={FRAME_ELEMENT_ID} className="min-h-[240px] border border-gray-200 rounded-md p-2">
+          {loading && <p className="text-sm text-gray-500">Loading card fields...</p>}
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-md p-3 text-red-700 text-sm">
+            ⚠️ {error}
+            {!hostedTokenization && (
+              <button
+                type="button"
+                onClick={() => {
+                  setError(null)
+                  setAttempt(prev => prev + 1)
+                }}
+                className="ml-2 underline cursor-pointer"
+              >
+                Try again
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Success Message */}
+        {savedCard && (
+          <div className="bg-green-50 border border-green-200 rounded-md p-3 text-green-700 text-sm">
+            ✓ {savedCard.cardType} {savedCard.maskedCardNumber} saved
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={loading || saving || !hostedTokenization}
+          className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 disabled:cursor-not-allowed cursor-pointer text-white font-bold py-2 px-4 rounded-md transition duration-200"
+        >
+          {saving ? 'Saving Card...' : '💾 Save Card'}
+        </button>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,210 @@
+import { useState, useEffect, useCallback } from 'react'
+import * as logger from '../utils/logger'
+import { apiFetch } from '../utils/api'
+import { formatAmount } from '../utils/currency'
+import { PAYMENT_STATUSES } from '../utils/paymentActions'
+import PaymentLifecycle from './PaymentLifecycle'
+
+const PAGE_SIZE = 20
+
+// Back-office view for operators: every customer's transactions, searchable and
+// filterable, with the lifecycle of the one picked and its capture, cancel and
+// refund actions - routine support work without the Worldline back office.
+export default function OperationsDashboard() {
+  const [searchInput, setSearchInput] = useState('')
+  const [filters, setFilters] = useState({ search: '', status: '', from: '', to: '' })
+  const [page, setPage] = useState(1)
+  const [results, setResults] = useState({ payments: [], total: 0, page: 1, pageSize: PAGE_SIZE })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [selectedPaymentId, setSelectedPaymentId] = useState(null)
+
+  const loadPayments = useCallback(async () => {
+    setLoading(true)
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) })
+      for (const [name, value] of Object.entries(filters)) {
+        if (value) params.set(name, value)
+      }
+
+      const response = await apiFetch(`/payments?${params}`)
+      const result = await response.json()
+
+      if (!response.ok) {
+        throw new Error(result.message || result.error || `Backend error: ${response.status}`)
+      }
+
+      setResults(result)
+      setError(null)
+    } catch (error) {
+      logger.error('Failed to load transactions', { error })
+      setError(error.message || 'Failed to load transactions')
+    } finally {
+      setLoading(false)
+    }
+  }, [filters, page])
+
+  useEffect(() => {
+    loadPayments()
+  }, [loadPayments])
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setFilters(prev => ({ ...prev, search: searchInput.trim() }))
+    setPage(1)
+  }
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target
+    setFilters(prev => ({ ...prev, [name]: value }))
+    setPage(1)
+  }
+
+  // The picked payment as last loaded, so the lifecycle follows its captures and refunds
+  const selectedPayment = results.payments.find(payment => payment.paymentId === selectedPaymentId) || null
+
+  return (
+    <div className="grid lg:grid-cols-5 gap-8">
+      <div className="lg:col-span-3 bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-800 mb-1">Operations</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Every customer&apos;s transactions. Pick one to see its lifecycle and capture, cancel or refund it.
+        </p>
+
+        {/* Search & Filters */}
+        <form onSubmit={handleSearch} className="flex gap-2 mb-2">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Payment ID, reference, customer or user"
+            aria-label="Search transactions"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <button
+            type="submit"
+            className="bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium px-4 py-2 rounded-md cursor-pointer transition"
+          >
+            Search
+          </button>
+        </form>
+        <div className="grid grid-cols-3 gap-2 mb-4">
+          <select
+            name="status"
+            value={filters.status}
+            onChange={handleFilterChange}
+            aria-label="Status"
+            className="px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <option value="">All statuses</option>
+            {PAYMENT_STATUSES.map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            name="from"
+            value={filters.from}
+            onChange={handleFilterChange}
+            className="px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            aria-label="From date"
+          />
+          <input
+            type="date"
+            name="to"
+            value={filters.to}
+            onChange={handleFilterChange}
+            className="px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            aria-label="To date"
+          />
+        </div>
+
+        {error && (
+          <p className="text-red-600 text-xs mb-2">⚠️ {error}</p>
+        )}
+
+        {!loading && !error && results.payments.length === 0 && (
+          <p className="text-xs text-gray-500">No transactions match.</p>
+        )}
+
+        {/* Transactions */}
+        {results.payments.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs text-left">
+              <thead className="text-gray-500 border-b border-gray-200">
+                <tr>
+                  <th className="py-2 pr-2 font-medium">Payment</th>
+                  <th className="py-2 pr-2 font-medium">User</th>
+                  <th className="py-2 pr-2 font-medium">Reference</th>
+                  <th className="py-2 pr-2 font-medium text-right">Amount</th>
+                  <th className="py-2 font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.payments.map(payment => (
+                  <tr
+                    key={payment.paymentId}
+                    className={`border-b border-gray-100 ${payment.paymentId === selectedPaymentId ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+                  >
+                    <td className="py-2 pr-2">
+                      <button
+                        type="button"
+                        onClick={() => setSelectedPaymentId(payment.paymentId)}
+                        aria-pressed={payment.paymentId === selectedPaymentId}
+                        className="font-mono text-indigo-600 hover:underline break-all text-left cursor-pointer"
+                      >
+                        {payment.paymentId}
+                      </button>
+                      <p className="text-gray-400">{new Date(payment.createdAt).toLocaleString()}</p>
+                    </td>
+                    <td className="py-2 pr-2 break-all">{payment.ownerId || '-'}</td>
+                    <td className="py-2 pr-2 break-all">{payment.merchantReference || '-'}</td>
+                    <td className="py-2 pr-2 text-right whitespace-nowrap">{formatAmount(payment.amount, payment.currency)}</td>
+                    <td className="py-2">{payment.status}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {results.total > results.pageSize && (
+          <div className="flex justify-between items-center mt-3 text-xs text-gray-600">
+            <button
+              type="button"
+              onClick={() => setPage(current => current - 1)}
+              disabled={results.page <= 1}
+              className="px-2 py-1 border border-gray-300 rounded disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+            >
+              ← Previous
+            </button>
+            <span>
+              Page {results.page} of {Math.ceil(results.total / results.pageSize)} · {results.total} transactions
+            </span>
+            <button
+              type="button"
+              onClick={() => setPage(current => current + 1)}
+              disabled={results.page * results.pageSize >= results.total}
+              className="px-2 py-1 border border-gray-300 rounded disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+            >
+              Next →
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="lg:col-span-2 bg-white rounded-lg shadow-lg p-6">
+        {selectedPayment ? (
+          <PaymentLifecycle
+            payment={selectedPayment}
+            onChanged={loadPayments}
+            onClose={() => setSelectedPaymentId(null)}
+          />
+        ) : (
+          <p className="text-sm text-gray-500">Pick a transaction to see its lifecycle.</p>
+        )}
+      </div>
+    </div>
+  )
+}
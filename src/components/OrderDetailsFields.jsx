@@ -0,0 +1,158 @@
+import { amountStep, COUNTRIES } from '../utils/currency'
+import { emptyLineItem } from '../utils/orderDetails'
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-500'
+
+// One labelled text input of the order details
+function OrderField({ name, label, details, onChange, type = 'text', maxLength, autoComplete }) {
+  const id = `order-${name}`
+  return (
+    <div>
+      <label htmlFor={id} className="block text-xs font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      <input
+        id={id}
+        type={type}
+        name={name}
+        value={details[name]}
+        onChange={(e) => onChange(name, e.target.value)}
+        maxLength={maxLength}
+        autoComplete={autoComplete}
+        className={inputClassName}
+      />
+    </div>
+  )
+}
+
+// The order's line items - one row each, priced per item in major units
+function LineItemFields({ lineItems, currencyCode, onChange }) {
+  const updateItem = (index, name, value) => {
+    onChange(lineItems.map((item, i) => (i === index ? { ...item, [name]: value } : item)))
+  }
+
+  return (
+    <div className="col-span-2 space-y-2">
+      <p className="text-xs font-medium text-gray-700">Line items</p>
+      {lineItems.map((item, index) => (
+        <div key={index} className="grid grid-cols-12 gap-2 items-center">
+          <input
+            aria-label={`Item ${index + 1} description`}
+            placeholder="Description"
+            value={item.description}
+            onChange={(e) => updateItem(index, 'description', e.target.value)}
+            maxLength={50}
+            className={`${inputClassName} col-span-4`}
+          />
+          <input
+            aria-label={`Item ${index + 1} product code`}
+            placeholder="Product code"
+            value={item.productCode}
+            onChange={(e) => updateItem(index, 'productCode', e.target.value)}
+            maxLength={20}
+            className={`${inputClassName} col-span-3`}
+          />
+          <input
+            aria-label={`Item ${index + 1} quantity`}
+            type="number"
+            min="1"
+            step="1"
+            value={item.quantity}
+            onChange={(e) => updateItem(index, 'quantity', e.target.value)}
+            className={`${inputClassName} col-span-2`}
+          />
+          <input
+            aria-label={`Item ${index + 1} price (${currencyCode})`}
+            placeholder="Price"
+            type="number"
+            min="0"
+            step={amountStep(currencyCode)}
+            value={item.price}
+            onChange={(e) => updateItem(index, 'price', e.target.value)}
+            className={`${inputClassName} col-span-2`}
+          />
+          <button
+            type="button"
+            aria-label={`Remove item ${index + 1}`}
+            onClick={() => onChange(lineItems.filter((_, i) => i !== index))}
+            className="col-span-1 text-gray-400 hover:text-red-600 text-sm"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={() => onChange([...lineItems, emptyLineItem()])}
+          className="text-sm text-green-700 hover:text-green-800 font-medium"
+        >
+          + Add line item
+        </button>
+        {lineItems.length > 0 && (
+          <span className="text-xs text-gray-500">Quantity × price must add up to the amount</span>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Optional order data sent with a charge - the customer's contact details and billing
+// address for fraud screening, references for reconciliation and the line items of the
+// shopping cart. Collapsed by default.
+export default function OrderDetailsFields({ details, currencyCode, onChange }) {
+  const fieldProps = { details, onChange }
+
+  return (
+    <details className="border border-gray-200 rounded-md p-3">
+      <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+        Order details (optional)
+      </summary>
+
+      <div className="grid grid-cols-2 gap-3 mt-3">
+        <OrderField name="merchantReference" label="Order reference" maxLength={40} {...fieldProps} />
+        <OrderField name="descriptor" label="Statement descriptor" maxLength={22} {...fieldProps} />
+        <OrderField name="firstName" label="First name" maxLength={40} autoComplete="given-name" {...fieldProps} />
+        <OrderField name="surname" label="Surname" maxLength={70} autoComplete="family-name" {...fieldProps} />
+        <OrderField name="email" label="Email" type="email" maxLength={70} autoComplete="email" {...fieldProps} />
+        <OrderField name="phone" label="Phone" type="tel" maxLength={20} autoComplete="tel" {...fieldProps} />
+        <div className="col-span-2">
+          <OrderField name="street" label="Billing street address" maxLength={50} autoComplete="address-line1" {...fieldProps} />
+        </div>
+        <OrderField name="city" label="City" maxLength={40} autoComplete="address-level2" {...fieldProps} />
+        <OrderField name="state" label="State" maxLength={35} autoComplete="address-level1" {...fieldProps} />
+        <OrderField name="zip" label="Postcode" maxLength={10} autoComplete="postal-code" {...fieldProps} />
+        <div>
+          <label htmlFor="order-countryCode" className="block text-xs font-medium text-gray-700 mb-1">
+            Billing country
+          </label>
+          <select
+            id="order-countryCode"
+            value={details.countryCode}
+            onChange={(e) => onChange('countryCode', e.target.value)}
+            className={`${inputClassName} bg-white`}
+          >
+            {COUNTRIES.map(country => (
+              <option key={country.code} value={country.code}>
+                {country.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <label className="col-span-2 flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={details.shipToBillingAddress}
+            onChange={(e) => onChange('shipToBillingAddress', e.target.checked)}
+          />
+          Ship to the billing address
+        </label>
+        <LineItemFields
+          lineItems={details.lineItems}
+          currencyCode={currencyCode}
+          onChange={(lineItems) => onChange('lineItems', lineItems)}
+        />
+      </div>
+    </details>
+  )
+}
@@ -1,26 +1,122 @@
-import { useState } from 'react'
+import { useState, useRef, useEffect, useCallback } from 'react'
 import * as localStorage from '../utils/localStorage'
+import * as browserData from '../utils/browserData'
+import * as logger from '../utils/logger'
+import { apiFetch } from '../utils/api'
+import { useRetryAfter } from '../hooks/useRetryAfter'
+import OrderDetailsFields from './OrderDetailsFields'
+import { amountStep, currencySymbol, formatAmount, exponent, invalidAmountMessage, toMajorUnits, toMinorUnits } from '../utils/currency'
+import { buildOrder, emptyOrderDetails } from '../utils/orderDetails'
+import { PAYMENT_STATUSES, refundableAmount, runPaymentAction } from '../utils/paymentActions'
 
-export default function PaymentHistory({ tokenHistory, currentToken, onTokenCleared }) {
-  const [formData, setFormData] = useState({ amount: '100.00' })
+const HISTORY_PAGE_SIZE = 10
+// Suggested charge, in major units of the selected currency
+const DEFAULT_CHARGE_AMOUNT = 100
+
+export default function PaymentHistory({
+  // Signed-in user whose wallet this is
+  userId,
+  wallet,
+  onWalletChange,
+  currencyCode = import.meta.env.VITE_CURRENCY_CODE || 'AUD',
+  countryCode = import.meta.env.VITE_COUNTRY_CODE || 'AU',
+  // Capture, cancel and refund are for operators - the backend refuses them for customers
+  canManagePayments = false
+}) {
+  // Card picked for the next charge - falls back to the wallet default
+  const [selectedTokenId, setSelectedTokenId] = useState(null)
+  const [renaming, setRenaming] = useState(null)
+  const [formData, setFormData] = useState(() => ({
+    amount: toMajorUnits(DEFAULT_CHARGE_AMOUNT * 10 ** exponent(currencyCode), currencyCode),
+    captureMode: 'auto'
+  }))
+  const [orderDetails, setOrderDetails] = useState(() => emptyOrderDetails(countryCode))
   const [formLoading, setFormLoading] = useState(false)
   const [formError, setFormError] = useState(null)
   const [success, setSuccess] = useState(false)
   const [lastPaymentId, setLastPaymentId] = useState(null)
-  const [showDebug, setShowDebug] = useState(false)
+  const [redirecting, setRedirecting] = useState(false)
+  // Too many attempts - the backend says how long to wait
+  const rateLimit = useRetryAfter()
+  // Idempotency key of the charge attempt in flight - reused if that attempt is retried
+  const chargeKeyRef = useRef(null)
+  const [history, setHistory] = useState({ payments: [], total: 0, page: 1, pageSize: HISTORY_PAGE_SIZE })
+  const [historyFilters, setHistoryFilters] = useState({ status: '', from: '', to: '' })
+  const [historyPage, setHistoryPage] = useState(1)
+  const [historyError, setHistoryError] = useState(null)
+  const [expandedPaymentId, setExpandedPaymentId] = useState(null)
+  const [actionAmounts, setActionAmounts] = useState({})
+  const [pendingAction, setPendingAction] = useState(null)
+  const [actionErrors, setActionErrors] = useState({})
+
+  // Re-state the typed amount with the new currency's decimals, e.g. 100.00 AUD -> 100 JPY -> 100.000 KWD
+  useEffect(() => {
+    chargeKeyRef.current = null
+    setFormData(prev => {
+      const decimals = exponent(currencyCode)
+      const amount = Number(prev.amount)
+      return Number.isFinite(amount) && prev.amount !== ''
+        ? { ...prev, amount: amount.toFixed(decimals) }
+        : prev
+    })
+  }, [currencyCode])
+
+  // Bill to the checkout's country unless another one is picked
+  useEffect(() => {
+    setOrderDetails(prev => ({ ...prev, countryCode }))
+  }, [countryCode])
+
+  const currentToken = wallet.cards.find(card => card.tokenId === selectedTokenId) || localStorage.getDefault(wallet)
+  const currentTokenExpired = localStorage.isExpired(currentToken)
+
+  // Load recorded transactions from the backend ledger - the signed-in user's own, whichever card is picked
+  const loadHistory = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ page: String(historyPage), pageSize: String(HISTORY_PAGE_SIZE), mine: 'true' })
+      if (historyFilters.status) params.set('status', historyFilters.status)
+      if (historyFilters.from) params.set('from', historyFilters.from)
+      if (historyFilters.to) params.set('to', historyFilters.to)
+
+      const response = await apiFetch(`/payments?${params}`)
+      const result = await response.json()
+
+      if (!response.ok) {
+        throw new Error(result.message || result.error || `Backend error: ${response.status}`)
+      }
+
+      setHistory(result)
+      setHistoryError(null)
+    } catch (error) {
+      logger.error('Failed to load transaction history', { error })
+      setHistoryError(error.message || 'Failed to load transaction history')
+    }
+  }, [historyFilters, historyPage])
+
+  useEffect(() => {
+    loadHistory()
+  }, [loadHistory])
 
-  const copyToClipboard = (text) => {
-    navigator.clipboard.writeText(text)
+  const handleHistoryFilterChange = (e) => {
+    const { name, value } = e.target
+    setHistoryFilters(prev => ({ ...prev, [name]: value }))
+    setHistoryPage(1)
   }
 
   const handleInputChange = (e) => {
     const { name, value } = e.target
+    // A different payload is a new charge attempt
+    chargeKeyRef.current = null
     setFormData(prev => ({
       ...prev,
       [name]: value
     }))
   }
 
+  const handleOrderDetailChange = (name, value) => {
+    chargeKeyRef.current = null
+    setOrderDetails(prev => ({ ...prev, [name]: value }))
+  }
+
   const handleChargeWithToken = async (e) => {
     e.preventDefault()
     setFormLoading(true)
@@ -35,32 +131,77 @@ export default function PaymentHistory({ tokenHistory, currentToken, onTokenClea
         return
       }
 
-      const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3000/api'
+      if (currentTokenExpired) {
+        setFormError('This card has expired - choose another card or save a new one')
+        setFormLoading(false)
+        return
+      }
+
+      const amount = toMinorUnits(formData.amount, currencyCode)
+      if (!amount) {
+        setFormError(invalidAmountMessage(currencyCode))
+        setFormLoading(false)
+        return
+      }
+
       const paymentPayload = {
-        cardToken: currentToken.cardToken,
+        token: currentToken.tokenId,
+        paymentProductId: currentToken.paymentProductId,
         customerId: currentToken.customerId,
-        amount: Math.round(parseFloat(formData.amount) * 100),
-        currency: 'AUD',
-        cardHolder: currentToken.cardHolder
+        amount,
+        currency: currencyCode,
+        cardHolder: currentToken.cardHolder,
+        captureMode: formData.captureMode,
+        order: buildOrder(orderDetails, currencyCode),
+        browserData: browserData.collect()
+      }
+
+      if (!chargeKeyRef.current) {
+        chargeKeyRef.current = crypto.randomUUID()
       }
 
-      const paymentResponse = await fetch(`${apiUrl}/process-payment`, {
+      const paymentResponse = await apiFetch('/process-payment', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': chargeKeyRef.current
+        },
         body: JSON.stringify(paymentPayload)
       })
 
       const paymentResult = await paymentResponse.json()
-      console.log('💳 Payment Response:', paymentResult)
+      logger.debug('Payment response', { status: paymentResponse.status, paymentId: paymentResult.paymentId, paymentStatus: paymentResult.status })
+
+      // The server has a final answer for this attempt (server errors can be retried with the same key)
+      if (paymentResponse.status < 500 && paymentResponse.status !== 409) {
+        chargeKeyRef.current = null
+      }
 
-      if (paymentResult.success) {
-        console.log('✅ Payment successful, ID:', paymentResult.paymentId)
+      if (paymentResponse.status === 429) {
+        rateLimit.wait(paymentResult.retryAfter)
+        setFormError(paymentResult.message)
+      } else if (paymentResponse.status === 403 && paymentResult.error === 'Card not on file') {
+        // Saved before sign-in was added - the token may be someone else's, so the card is kept
+        logger.warn('Saved card not on file', { tokenId: currentToken.tokenId })
+        setFormError(`${currentToken.maskedCardNumber} is not saved to your account and can't be charged - enter the card again to save it`)
+      } else if (paymentResult.success) {
+        logger.info('Payment successful', { paymentId: paymentResult.paymentId })
         setLastPaymentId(paymentResult.paymentId)
         setSuccess(true)
+        loadHistory()
       } else if (paymentResult.requires3DS) {
-        setFormError('3D Secure authentication required. Check console for details.')
+        if (!paymentResult.redirectUrl) {
+          setFormError('3D Secure authentication required but no redirect URL was returned')
+          return
+        }
+        // PaymentStatus picks this up when the customer comes back from their bank
+        sessionStorage.setItem('pending3DSPaymentId', paymentResult.paymentId)
+        setRedirecting(true)
+        window.location.assign(paymentResult.redirectUrl)
       } else {
-        setFormError(paymentResult.error || 'Payment failed')
+        setFormError(paymentResult.message || paymentResult.error || 'Payment failed')
+        // Declines are recorded too
+        loadHistory()
       }
     } catch (error) {
       setFormError(error.message || 'Payment processing failed')
@@ -69,58 +210,165 @@ export default function PaymentHistory({ tokenHistory, currentToken, onTokenClea
     }
   }
 
-  const handleClearToken = () => {
-    localStorage.clear()
-    onTokenCleared()
+  // Capture, cancel or refund a charge - leaving the amount blank applies the action to the whole remaining balance
+  const handlePaymentAction = async (charge, action) => {
+    setPendingAction({ paymentId: charge.paymentId, action })
+    setActionErrors(prev => ({ ...prev, [charge.paymentId]: null }))
+
+    try {
+      const actionResult = await runPaymentAction(charge, action, actionAmounts[charge.paymentId])
+
+      if (actionResult.success) {
+        loadHistory()
+        setActionAmounts(prev => ({ ...prev, [charge.paymentId]: '' }))
+      } else {
+        setActionErrors(prev => ({ ...prev, [charge.paymentId]: actionResult.message }))
+      }
+    } catch (error) {
+      setActionErrors(prev => ({ ...prev, [charge.paymentId]: error.message || `${action} failed` }))
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  const handleSelectCard = (tokenId) => {
+    // A different card is a new charge attempt
+    chargeKeyRef.current = null
+    setSelectedTokenId(tokenId)
     setFormError(null)
     setSuccess(false)
     setLastPaymentId(null)
   }
 
+  const handleSetDefault = (tokenId) => {
+    const updated = localStorage.setDefault(userId, tokenId)
+    if (updated) onWalletChange(updated)
+  }
+
+  const handleRenameCard = (e) => {
+    e.preventDefault()
+    const updated = localStorage.rename(userId, renaming.tokenId, renaming.nickname)
+    if (updated) onWalletChange(updated)
+    setRenaming(null)
+  }
+
+  const handleRemoveCard = async (card) => {
+    // Remove the saved card from Worldline too - the local copy is removed regardless
+    try {
+      await apiFetch(`/tokens/${encodeURIComponent(card.tokenId)}`, { method: 'DELETE' })
+    } catch (error) {
+      logger.warn('Could not delete token on the server', { error })
+    }
+
+    const updated = localStorage.remove(userId, card.tokenId)
+    if (updated) onWalletChange(updated)
+    if (card.tokenId === currentToken?.tokenId) {
+      handleSelectCard(null)
+    }
+  }
+
   return (
     <div>
       <h2 className="text-2xl font-bold text-gray-900 mb-6">
         {currentToken ? 'Payment By Token' : 'Card Tokens'}
       </h2>
 
+
       {/* Charge with Token Form - Show when token exists */}
       {currentToken && (
         <div className="space-y-4 mb-6">
-          {/* Saved Card Display */}
-          <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-            <div className="flex justify-between items-start">
-              <div>
-                <p className="text-sm font-semibold text-green-800 mb-2">
-                  💳 Saved Card Token
-                </p>
-                <p className="text-xs text-green-700 mb-1">
-                  {currentToken.cardType} ending in {currentToken.maskedCardNumber?.slice(-4) || '****'}
-                </p>
-                <p className="text-xs text-green-600">
-                  Expires: {currentToken.expiryDate}
-                </p>
-                <p className="text-xs text-green-500 mt-1">
-                  Created: {new Date(currentToken.createdAt).toLocaleDateString()}
-                </p>
-              </div>
-              <button
-                type="button"
-                onClick={handleClearToken}
-                className="text-xs bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700 transition cursor-pointer"
-              >
-                Clear Token
-              </button>
-            </div>
+          {/* Saved Cards - pick the card to charge */}
+          <div className="space-y-2">
+            <p className="text-sm font-semibold text-gray-800">💳 Saved Cards</p>
+            {wallet.cards.map(card => {
+              const isSelected = card.tokenId === currentToken.tokenId
+              const isDefault = card.tokenId === wallet.defaultTokenId
+              const isExpired = localStorage.isExpired(card)
+              const isRenaming = renaming?.tokenId === card.tokenId
+              return (
+                <div
+                  key={card.tokenId}
+                  className={`border rounded-lg p-3 ${isSelected ? 'bg-green-50 border-green-300' : 'bg-white border-gray-200'}`}
+                >
+                  <div className="flex justify-between items-start gap-2">
+                    <label className="flex items-start gap-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="selectedCard"
+                        checked={isSelected}
+                        onChange={() => handleSelectCard(card.tokenId)}
+                        className="mt-1"
+                      />
+                      <span>
+                        <span className="block text-sm font-semibold text-gray-900">
+                          {card.nickname}
+                          {isDefault && <span className="ml-2 text-xs font-normal text-green-700">Default</span>}
+                          {isExpired && <span className="ml-2 text-xs font-normal text-red-600">Expired</span>}
+                        </span>
+                        <span className="block text-xs text-gray-600">
+                          {card.cardType} ending in {card.maskedCardNumber?.slice(-4) || '****'} · Expires {card.expiryDate}
+                        </span>
+                      </span>
+                    </label>
+                    <div className="flex gap-1 shrink-0">
+                      {!isDefault && (
+                        <button
+                          type="button"
+                          onClick={() => handleSetDefault(card.tokenId)}
+                          className="text-xs border border-gray-300 text-gray-700 px-2 py-1 rounded hover:bg-gray-100 transition cursor-pointer"
+                        >
+                          Make Default
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => setRenaming(isRenaming ? null : { tokenId: card.tokenId, nickname: card.nickname })}
+                        className="text-xs border border-gray-300 text-gray-700 px-2 py-1 rounded hover:bg-gray-100 transition cursor-pointer"
+                      >
+                        Rename
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveCard(card)}
+                        className="text-xs bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700 transition cursor-pointer"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                  {isRenaming && (
+                    <form onSubmit={handleRenameCard} className="flex gap-2 mt-2">
+                      <input
+                        type="text"
+                        value={renaming.nickname}
+                        onChange={(e) => setRenaming(prev => ({ ...prev, nickname: e.target.value }))}
+                        maxLength={40}
+                        autoFocus
+                        className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-green-500"
+                        aria-label="Card nickname"
+                      />
+                      <button
+                        type="submit"
+                        disabled={!renaming.nickname.trim()}
+                        className="text-xs bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition cursor-pointer"
+                      >
+                        Save
+                      </button>
+                    </form>
+                  )}
+                </div>
+              )
+            })}
           </div>
 
           {/* Amount Input */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
-              Amount (AUD)
+              Amount ({currencyCode})
             </label>
             <div className="flex gap-2">
               <span className="inline-flex items-center px-3 bg-gray-100 border border-gray-300 rounded-l-md text-gray-600 font-medium">
-                $
+                {currencySymbol(currencyCode)}
               </span>
               <input
                 type="number"
@@ -128,14 +376,33 @@ export default function PaymentHistory({ tokenHistory, currentToken, onTokenClea
                 value={formData.amount}
                 onChange={handleInputChange}
                 required
-                step="0.01"
+                step={amountStep(currencyCode)}
                 min="0"
                 className="flex-1 px-3 py-2 border border-gray-300 rounded-r-md focus:outline-none focus:ring-2 focus:ring-green-500"
-                placeholder="100.00"
+                placeholder={toMajorUnits(DEFAULT_CHARGE_AMOUNT * 10 ** exponent(currencyCode), currencyCode)}
               />
             </div>
           </div>
 
+          {/* Capture Mode */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Capture
+            </label>
+            <select
+              name="captureMode"
+              value={formData.captureMode}
+              onChange={handleInputChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 text-sm"
+            >
+              <option value="auto">Charge now (authorize &amp; capture)</option>
+              <option value="manual">Authorize only (capture later)</option>
+            </select>
+          </div>
+
+          {/* Order Details */}
+          <OrderDetailsFields details={orderDetails} currencyCode={currencyCode} onChange={handleOrderDetailChange} />
+
           {/* Error Message */}
           {formError && (
             <div className="bg-red-50 border border-red-200 rounded-md p-3 text-red-700 text-sm">
@@ -157,58 +424,197 @@ export default function PaymentHistory({ tokenHistory, currentToken, onTokenClea
           <button
             type="button"
             onClick={handleChargeWithToken}
-            disabled={formLoading}
+            disabled={formLoading || redirecting || currentTokenExpired || rateLimit.waiting}
             className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed cursor-pointer text-white font-bold py-2 px-4 rounded-md transition duration-200"
           >
-            {formLoading ? 'Processing Payment...' : '💰 Charge Card with Token'}
+            {redirecting ? 'Redirecting to your bank...' : formLoading ? 'Processing Payment...' : rateLimit.waiting ? 'Too Many Attempts - Please Wait' : currentTokenExpired ? 'Card Expired' : `💰 Charge ${currentToken.nickname}`}
           </button>
         </div>
       )}
 
-      {/* Show Debug Collapsible Section */}
-      {tokenHistory.length > 0 && (
-        <div className="border border-gray-300 rounded-lg overflow-hidden">
-          <button
-            onClick={() => setShowDebug(!showDebug)}
-            className="w-full px-4 py-3 bg-gray-100 hover:bg-gray-200 transition text-left font-semibold text-gray-800 flex justify-between items-center cursor-pointer"
+      {/* Transaction History with Capture, Cancel and Refund Actions (operators) */}
+      <div className="mb-6">
+        <h3 className="text-sm font-semibold text-gray-800 mb-2">Transaction History</h3>
+
+        {/* Filters */}
+        <div className="grid grid-cols-3 gap-2 mb-3">
+          <select
+            name="status"
+            value={historyFilters.status}
+            onChange={handleHistoryFilterChange}
+            className="px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500"
           >
-            Show Debug
-            <span className="text-xs">{showDebug ? '▼' : '▶'}</span>
-          </button>
+            <option value="">All statuses</option>
+            {PAYMENT_STATUSES.map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            name="from"
+            value={historyFilters.from}
+            onChange={handleHistoryFilterChange}
+            className="px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            aria-label="From date"
+          />
+          <input
+            type="date"
+            name="to"
+            value={historyFilters.to}
+            onChange={handleHistoryFilterChange}
+            className="px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            aria-label="To date"
+          />
+        </div>
 
-          {showDebug && (
-            <div className="space-y-4 p-4 max-h-96 overflow-y-auto bg-gray-50">
-              {tokenHistory.map((item) => (
-                <div
-                  key={item.id}
-                  className="border border-gray-200 rounded-lg p-4 bg-white hover:bg-gray-100 transition"
-                >
-                  <div className="flex justify-between items-start mb-2">
-                    <p className="text-xs text-gray-500">
-                      {item.timestamp}
+        {historyError && (
+          <p className="text-red-600 text-xs mb-2">⚠️ {historyError}</p>
+        )}
+
+        {history.payments.length === 0 && !historyError && (
+          <p className="text-xs text-gray-500">No transactions recorded yet.</p>
+        )}
+
+        <div className="space-y-2">
+          {history.payments.map((charge) => {
+            const refundable = refundableAmount(charge)
+            const isBusy = pendingAction?.paymentId === charge.paymentId
+            const isExpanded = expandedPaymentId === charge.paymentId
+            return (
+              <div
+                key={charge.paymentId}
+                className="border border-gray-200 rounded-lg p-3 bg-white"
+              >
+                <div className="flex justify-between items-start">
+                  <div>
+                    <p className="text-sm font-semibold text-gray-900">
+                      {formatAmount(charge.amount, charge.currency)}
+                      <span className="ml-2 text-xs font-normal text-gray-500">{charge.status}</span>
                     </p>
+                    <p className="text-xs text-gray-500 font-mono break-all">{charge.paymentId}</p>
+                    <p className="text-xs text-gray-400">{new Date(charge.createdAt).toLocaleString()}</p>
+                    {charge.uncaptured > 0 && (
+                      <p className="text-xs text-blue-600 mt-1">
+                        Authorized {formatAmount(charge.uncaptured, charge.currency)} awaiting capture
+                      </p>
+                    )}
+                    {charge.captured > 0 && charge.captured < charge.amount && (
+                      <p className="text-xs text-gray-600 mt-1">
+                        Captured {formatAmount(charge.captured, charge.currency)}
+                      </p>
+                    )}
+                    {charge.refunded > 0 && (
+                      <p className="text-xs text-orange-600 mt-1">
+                        Refunded {formatAmount(charge.refunded, charge.currency)}
+                        {refundable > 0 ? ` (${formatAmount(refundable, charge.currency)} left)` : ' (fully refunded)'}
+                      </p>
+                    )}
                     <button
-                      onClick={() => copyToClipboard(item.token)}
-                      className="text-xs bg-indigo-600 text-white px-2 py-1 rounded hover:bg-indigo-700 transition cursor-pointer"
+                      type="button"
+                      onClick={() => setExpandedPaymentId(isExpanded ? null : charge.paymentId)}
+                      className="text-xs text-indigo-600 hover:underline mt-1 cursor-pointer"
                     >
-                      Copy
+                      {isExpanded ? '▼' : '▶'} {charge.entries.length} event{charge.entries.length === 1 ? '' : 's'}
                     </button>
                   </div>
-                  <pre className="text-xs bg-gray-900 text-green-400 p-3 rounded overflow-x-auto break-words whitespace-pre-wrap">
-                    {item.token}
-                  </pre>
+                  {canManagePayments && (charge.uncaptured > 0 || refundable > 0) && (
+                    <div className="flex flex-col gap-2 items-end">
+                      <input
+                        type="number"
+                        value={actionAmounts[charge.paymentId] || ''}
+                        onChange={(e) => setActionAmounts(prev => ({ ...prev, [charge.paymentId]: e.target.value }))}
+                        step={amountStep(charge.currency)}
+                        min="0"
+                        className="w-24 px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-orange-500"
+                        placeholder={toMajorUnits(charge.uncaptured > 0 ? charge.uncaptured : refundable, charge.currency)}
+                      />
+                      <div className="flex gap-1">
+                        {charge.uncaptured > 0 && (
+                          <>
+                            <button
+                              type="button"
+                              onClick={() => handlePaymentAction(charge, 'capture')}
+                              disabled={isBusy}
+                              className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition cursor-pointer"
+                            >
+                              {isBusy && pendingAction.action === 'capture' ? 'Capturing...' : 'Capture'}
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => handlePaymentAction(charge, 'cancel')}
+                              disabled={isBusy}
+                              className="text-xs bg-gray-600 text-white px-3 py-1 rounded hover:bg-gray-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition cursor-pointer"
+                            >
+                              {isBusy && pendingAction.action === 'cancel' ? 'Cancelling...' : 'Cancel'}
+                            </button>
+                          </>
+                        )}
+                        {refundable > 0 && (
+                          <button
+                            type="button"
+                            onClick={() => handlePaymentAction(charge, 'refund')}
+                            disabled={isBusy}
+                            className="text-xs bg-orange-600 text-white px-3 py-1 rounded hover:bg-orange-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition cursor-pointer"
+                          >
+                            {isBusy && pendingAction.action === 'refund' ? 'Refunding...' : 'Refund'}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
                 </div>
-              ))}
-            </div>
-          )}
+                {isExpanded && (
+                  <ul className="mt-2 border-t border-gray-100 pt-2 space-y-1">
+                    {charge.entries.map(entry => (
+                      <li key={entry.id} className="text-xs text-gray-600 flex justify-between gap-2">
+                        <span>
+                          <span className="font-semibold">{entry.type}</span> {entry.status}
+                          {entry.amount !== undefined && entry.amount !== null && ` · ${formatAmount(entry.amount, entry.currency)}`}
+                        </span>
+                        <span className="text-gray-400">{new Date(entry.createdAt).toLocaleString()}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {actionErrors[charge.paymentId] && (
+                  <p className="text-red-600 text-xs mt-2">⚠️ {actionErrors[charge.paymentId]}</p>
+                )}
+              </div>
+            )
+          })}
         </div>
-      )}
+
+        {/* Pagination */}
+        {history.total > history.pageSize && (
+          <div className="flex justify-between items-center mt-3 text-xs text-gray-600">
+            <button
+              type="button"
+              onClick={() => setHistoryPage(page => page - 1)}
+              disabled={history.page <= 1}
+              className="px-2 py-1 border border-gray-300 rounded disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+            >
+              ← Previous
+            </button>
+            <span>
+              Page {history.page} of {Math.ceil(history.total / history.pageSize)}
+            </span>
+            <button
+              type="button"
+              onClick={() => setHistoryPage(page => page + 1)}
+              disabled={history.page * history.pageSize >= history.total}
+              className="px-2 py-1 border border-gray-300 rounded disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+            >
+              Next →
+            </button>
+          </div>
+        )}
+      </div>
 
       {/* Console Output Information */}
       <div className="mt-6 p-3 bg-purple-50 border border-purple-200 rounded text-sm text-purple-800">
         <p className="font-semibold mb-2">Console Output:</p>
         <p className="text-xs">
-          Open your browser's developer console (F12) to see detailed token logging and SDK interactions.
+          Open your browser's developer console (F12) to see detailed SDK interactions.
         </p>
       </div>
     </div>
@@ -0,0 +1,230 @@
+import { useState, useEffect, useCallback } from 'react'
+import * as logger from '../utils/logger'
+import { apiFetch } from '../utils/api'
+import { amountStep, formatAmount, toMajorUnits } from '../utils/currency'
+import { refundableAmount, runPaymentAction } from '../utils/paymentActions'
+
+// One payment in the operations dashboard: what the ledger recorded and the webhook
+// events Worldline sent, on one timeline, next to its live status at Worldline
+// and the capture, cancel and refund actions that are still possible.
+export default function PaymentLifecycle({ payment, onChanged, onClose }) {
+  const [liveStatus, setLiveStatus] = useState(null)
+  const [events, setEvents] = useState([])
+  const [loadError, setLoadError] = useState(null)
+  const [actionAmount, setActionAmount] = useState('')
+  const [pendingAction, setPendingAction] = useState(null)
+  const [actionError, setActionError] = useState(null)
+
+  const { paymentId, updatedAt } = payment
+  const refundable = refundableAmount(payment)
+
+  // Webhook events and the Worldline status - reloaded whenever the ledger moves on
+  const loadDetails = useCallback(async () => {
+    const errors = []
+
+    try {
+      const response = await apiFetch(`/payments/${encodeURIComponent(paymentId)}/events`)
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.message || result.error || `Backend error: ${response.status}`)
+      }
+      setEvents(result.events)
+    } catch (error) {
+      logger.error('Failed to load webhook events', { paymentId, error })
+      setEvents([])
+      errors.push(`Webhook events: ${error.message}`)
+    }
+
+    try {
+      const response = await apiFetch(`/payments/${encodeURIComponent(paymentId)}`)
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.message || result.error || `Backend error: ${response.status}`)
+      }
+      setLiveStatus(result)
+    } catch (error) {
+      logger.error('Failed to load Worldline status', { paymentId, error })
+      setLiveStatus(null)
+      errors.push(`Worldline status: ${error.message}`)
+    }
+
+    setLoadError(errors.length ? errors.join(' · ') : null)
+  }, [paymentId, updatedAt])
+
+  useEffect(() => {
+    loadDetails()
+  }, [loadDetails])
+
+  useEffect(() => {
+    setActionAmount('')
+    setActionError(null)
+  }, [paymentId])
+
+  const handleAction = async (action) => {
+    setPendingAction(action)
+    setActionError(null)
+
+    try {
+      const result = await runPaymentAction(payment, action, actionAmount)
+      if (result.success) {
+        setActionAmount('')
+        onChanged()
+      } else {
+        setActionError(result.message)
+      }
+    } catch (error) {
+      setActionError(error.message || `${action} failed`)
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  // Ledger entries and webhook events, oldest first - compared as times, since Worldline's
+  // timestamps carry their own offset
+  const timeline = [
+    ...payment.entries.map(entry => ({
+      key: entry.id,
+      at: entry.createdAt,
+      source: 'Ledger',
+      label: entry.type,
+      status: entry.status,
+      amount: entry.amount,
+      currency: entry.currency || payment.currency
+    })),
+    ...events.map(event => ({
+      key: event.id,
+      at: event.created || event.receivedAt,
+      source: 'Webhook',
+      label: event.type,
+      status: event.status
+    }))
+  ].sort((a, b) => Date.parse(a.at) - Date.parse(b.at))
+
+  return (
+    <div>
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-gray-800">{formatAmount(payment.amount, payment.currency)}</h3>
+          <p className="text-xs text-gray-500 font-mono break-all">{paymentId}</p>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-sm text-gray-500 hover:text-gray-800 cursor-pointer"
+          aria-label="Close payment"
+        >
+          ✕
+        </button>
+      </div>
+
+      <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs mb-4">
+        <dt className="text-gray-500">Ledger status</dt>
+        <dd className="text-gray-900 font-semibold">{payment.status}</dd>
+        <dt className="text-gray-500">Worldline status</dt>
+        <dd className="text-gray-900 font-semibold">
+          {liveStatus ? `${liveStatus.status} (${liveStatus.statusCategory})` : '-'}
+        </dd>
+        {liveStatus?.card && (
+          <>
+            <dt className="text-gray-500">Card</dt>
+            <dd className="text-gray-900 font-mono">{liveStatus.card.cardNumber}</dd>
+          </>
+        )}
+        <dt className="text-gray-500">Captured</dt>
+        <dd className="text-gray-900">{formatAmount(payment.captured, payment.currency)}</dd>
+        <dt className="text-gray-500">Awaiting capture</dt>
+        <dd className="text-gray-900">{formatAmount(payment.uncaptured, payment.currency)}</dd>
+        <dt className="text-gray-500">Refunded</dt>
+        <dd className="text-gray-900">{formatAmount(payment.refunded, payment.currency)}</dd>
+        <dt className="text-gray-500">User</dt>
+        <dd className="text-gray-900 break-all">{payment.ownerId || '-'}</dd>
+        <dt className="text-gray-500">Customer</dt>
+        <dd className="text-gray-900 break-all">{payment.customerId || '-'}</dd>
+        <dt className="text-gray-500">Reference</dt>
+        <dd className="text-gray-900 break-all">{payment.merchantReference || '-'}</dd>
+        {payment.subscriptionId && (
+          <>
+            <dt className="text-gray-500">Subscription</dt>
+            <dd className="text-gray-900 break-all">{payment.subscriptionId}</dd>
+          </>
+        )}
+      </dl>
+
+      {loadError && (
+        <p className="text-red-600 text-xs mb-3">⚠️ {loadError}</p>
+      )}
+
+      {/* Capture, Cancel and Refund */}
+      {(payment.uncaptured > 0 || refundable > 0) && (
+        <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+          <label htmlFor="lifecycle-action-amount" className="block text-xs font-medium text-gray-700 mb-1">
+            Amount ({payment.currency}) - leave blank for the whole balance
+          </label>
+          <div className="flex flex-wrap gap-2 items-center">
+            <input
+              id="lifecycle-action-amount"
+              type="number"
+              value={actionAmount}
+              onChange={(e) => setActionAmount(e.target.value)}
+              step={amountStep(payment.currency)}
+              min="0"
+              className="w-28 px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-orange-500"
+              placeholder={toMajorUnits(payment.uncaptured > 0 ? payment.uncaptured : refundable, payment.currency)}
+            />
+            {payment.uncaptured > 0 && (
+              <>
+                <button
+                  type="button"
+                  onClick={() => handleAction('capture')}
+                  disabled={pendingAction !== null}
+                  className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition cursor-pointer"
+                >
+                  {pendingAction === 'capture' ? 'Capturing...' : 'Capture'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleAction('cancel')}
+                  disabled={pendingAction !== null}
+                  className="text-xs bg-gray-600 text-white px-3 py-1 rounded hover:bg-gray-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition cursor-pointer"
+                >
+                  {pendingAction === 'cancel' ? 'Cancelling...' : 'Cancel'}
+                </button>
+              </>
+            )}
+            {refundable > 0 && (
+              <button
+                type="button"
+                onClick={() => handleAction('refund')}
+                disabled={pendingAction !== null}
+                className="text-xs bg-orange-600 text-white px-3 py-1 rounded hover:bg-orange-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition cursor-pointer"
+              >
+                {pendingAction === 'refund' ? 'Refunding...' : 'Refund'}
+              </button>
+            )}
+          </div>
+          {actionError && (
+            <p className="text-red-600 text-xs mt-2">⚠️ {actionError}</p>
+          )}
+        </div>
+      )}
+
+      {/* Lifecycle */}
+      <h4 className="text-sm font-semibold text-gray-800 mb-2">Lifecycle</h4>
+      <ol className="border-l-2 border-indigo-200 pl-4 space-y-2">
+        {timeline.map(step => (
+          <li key={`${step.source}-${step.key}`} className="text-xs">
+            <p className="text-gray-900">
+              <span className={`inline-block w-16 font-semibold ${step.source === 'Webhook' ? 'text-purple-700' : 'text-indigo-700'}`}>
+                {step.source}
+              </span>
+              <span className="font-semibold">{step.label}</span>
+              {step.status && ` ${step.status}`}
+              {step.amount !== undefined && step.amount !== null && ` · ${formatAmount(step.amount, step.currency)}`}
+            </p>
+            <p className="text-gray-400">{new Date(step.at).toLocaleString()}</p>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
@@ -0,0 +1,123 @@
+import { useLayoutEffect, useRef } from 'react'
+import { maxLength, formatValue, caretPosition } from '../utils/paymentProductFields'
+
+// One input of a Worldline payment product, laid out from the field's display hints
+// Text inputs are formatted with the field's mask as the customer types; `onBlur` gets the field and its value
+// `addon` is shown inside the right end of text inputs (e.g. the detected card brand logo)
+export default function PaymentProductField({ field, value = '', error, onChange, onBlur, addon }) {
+  const hints = field.displayHints || {}
+  const inputId = `field-${field.id}`
+  const errorId = `${inputId}-error`
+  const formElementType = hints.formElement?.type || 'text'
+  const borderClass = error ? 'border-red-500' : 'border-gray-300'
+  const inputRef = useRef(null)
+  // Caret position to restore once the formatted value is rendered
+  const caretRef = useRef(null)
+
+  useLayoutEffect(() => {
+    if (caretRef.current !== null && inputRef.current === document.activeElement) {
+      inputRef.current.setSelectionRange(caretRef.current, caretRef.current)
+    }
+    caretRef.current = null
+  }, [value])
+
+  const handleChange = (e) => {
+    if (e.target.type === 'checkbox') {
+      onChange(field.id, String(e.target.checked))
+      return
+    }
+
+    if (!hints.mask) {
+      onChange(field.id, e.target.value)
+      return
+    }
+
+    const typed = e.target.value
+    const formatted = formatValue(field, typed, value)
+    caretRef.current = caretPosition(typed, e.target.selectionStart ?? typed.length, formatted)
+    onChange(field.id, formatted)
+  }
+
+  const handleBlur = (e) => {
+    onBlur?.(field, e.target.type === 'checkbox' ? String(e.target.checked) : e.target.value)
+  }
+
+  let input
+  if (formElementType === 'list') {
+    input = (
+      <select
+        id={inputId}
+        name={field.id}
+        value={value}
+        onChange={handleChange}
+        onBlur={handleBlur}
+        aria-invalid={!!error}
+        aria-describedby={error ? errorId : undefined}
+        required={field.dataRestrictions?.isRequired}
+        className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 ${borderClass}`}
+      >
+        <option value="">{hints.placeholderLabel || 'Select...'}</option>
+        {hints.formElement.valueMapping.map(option => (
+          <option key={option.value} value={option.value}>
+            {option.displayName || option.value}
+          </option>
+        ))}
+      </select>
+    )
+  } else if (formElementType === 'boolean') {
+    input = (
+      <input
+        type="checkbox"
+        id={inputId}
+        name={field.id}
+        checked={value === 'true'}
+        onChange={handleChange}
+        className="w-4 h-4 rounded"
+      />
+    )
+  } else {
+    input = (
+      <input
+        ref={inputRef}
+        type={formElementType === 'date' ? 'date' : hints.obfuscate ? 'password' : 'text'}
+        id={inputId}
+        name={field.id}
+        value={value}
+        onChange={handleChange}
+        onBlur={handleBlur}
+        aria-invalid={!!error}
+        aria-describedby={error ? errorId : undefined}
+        required={field.dataRestrictions?.isRequired}
+        maxLength={maxLength(field)}
+        inputMode={hints.preferredInputType === 'IntegerKeyboard' ? 'numeric' : undefined}
+        autoComplete="off"
+        className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 ${field.type === 'string' ? '' : 'font-mono'} ${addon ? 'pr-16' : ''} ${borderClass}`}
+        placeholder={hints.placeholderLabel}
+      />
+    )
+
+    // Always wrapped, so the input isn't re-mounted (losing focus) when the addon comes and goes
+    input = (
+      <div className="relative">
+        {input}
+        {addon && <div className="absolute inset-y-0 right-2 flex items-center">{addon}</div>}
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <label htmlFor={inputId} className="block text-sm font-medium text-gray-700 mb-1">
+        {hints.label || field.id}
+        {field.dataRestrictions?.isRequired && <span className="text-red-600"> *</span>}
+      </label>
+      {input}
+      {hints.tooltip?.label && !error && (
+        <p className="text-gray-500 text-xs mt-1">{hints.tooltip.label}</p>
+      )}
+      {error && (
+        <p id={errorId} className="text-red-600 text-xs mt-1">{error}</p>
+      )}
+    </div>
+  )
+}
@@ -1,20 +1,92 @@
 import { useState, useEffect } from 'react'
+import { formatAmount } from '../utils/currency'
+import * as logger from '../utils/logger'
+import { apiFetch } from '../utils/api'
+
+// Statuses that can still change on their own - keep polling while we see them
+const PENDING_STATUS_CATEGORIES = ['CREATED', 'PENDING_PAYMENT', 'PENDING_CONNECT_OR_3RD_PARTY']
+const POLL_INTERVAL_MS = 3000
+const MAX_POLL_ATTEMPTS = 20
+
+// Map the server's status category onto what we show the customer
+function toDisplayStatus(payment) {
+  // Hosted checkout the customer left without paying
+  if (payment.completed && payment.hostedCheckoutStatus && !payment.paymentId) {
+    return 'CANCELLED'
+  }
+
+  switch (payment.statusCategory) {
+    case 'COMPLETED':
+      return 'SUCCEEDED'
+    case 'PENDING_MERCHANT':
+      return payment.isAuthorized ? 'AUTHORIZED' : 'PENDING'
+    case 'UNSUCCESSFUL':
+      return 'DECLINED'
+    case 'REFUNDED':
+    case 'REVERSED':
+      return 'REFUNDED'
+    default:
+      return 'PENDING'
+  }
+}
+
+async function fetchPaymentStatus(paymentId) {
+  const response = await apiFetch(`/payments/${encodeURIComponent(paymentId)}`)
+
+  if (!response.ok) {
+    throw new Error(`Backend error: ${response.status} ${response.statusText}`)
+  }
+
+  return response.json()
+}
+
+// Ask the backend to finish a payment once the customer is back from 3-D Secure
+async function completePayment(paymentId) {
+  const response = await apiFetch(`/payments/${encodeURIComponent(paymentId)}/complete`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+  })
+
+  if (!response.ok) {
+    throw new Error(`Backend error: ${response.status} ${response.statusText}`)
+  }
+
+  return response.json()
+}
+
+// Ask the backend to finish a hosted checkout - the RETURNMAC proves the return came from Worldline
+async function completeHostedCheckout(hostedCheckoutId, returnMac) {
+  const response = await apiFetch(`/hosted-checkout/${encodeURIComponent(hostedCheckoutId)}/complete`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ returnMac }),
+  })
+
+  if (!response.ok) {
+    throw new Error(`Backend error: ${response.status} ${response.statusText}`)
+  }
+
+  return response.json()
+}
 
 export default function PaymentStatus() {
   const [status, setStatus] = useState(null)
+  const [paymentToCheck, setPaymentToCheck] = useState(null)
 
   useEffect(() => {
-    // Check if returning from 3D Secure
+    // Check if returning from 3D Secure or the hosted payment page - only IDs and the RETURNMAC are taken
+    // from the URL (or remembered before the redirect), the status itself always comes from the server
     const params = new URLSearchParams(window.location.search)
-    const paymentId = params.get('paymentId')
-    const returnStatus = params.get('status')
-
-    if (paymentId && returnStatus) {
-      setStatus({
-        paymentId,
-        status: returnStatus,
-        source: '3DS_RETURN'
-      })
+    const pending3DSPaymentId = sessionStorage.getItem('pending3DSPaymentId')
+    const paymentId = params.get('paymentId') || pending3DSPaymentId
+    const hostedCheckoutId = params.get('hostedCheckoutId')
+
+    if (hostedCheckoutId) {
+      setPaymentToCheck({ hostedCheckoutId, returnMac: params.get('RETURNMAC'), source: 'HOSTED_CHECKOUT_RETURN' })
+      window.history.replaceState({}, document.title, window.location.pathname)
+    } else if (paymentId) {
+      sessionStorage.removeItem('pending3DSPaymentId')
+      setPaymentToCheck({ paymentId, source: '3DS_RETURN' })
       // Clean up URL
       window.history.replaceState({}, document.title, window.location.pathname)
     } else {
@@ -23,14 +95,9 @@ export default function PaymentStatus() {
 
       if (shouldShowModal === 'true') {
         const lastPaymentId = sessionStorage.getItem('lastPaymentId')
-        const lastPaymentStatus = sessionStorage.getItem('lastPaymentStatus')
 
         if (lastPaymentId) {
-          setStatus({
-            paymentId: lastPaymentId,
-            status: lastPaymentStatus,
-            source: 'SESSION'
-          })
+          setPaymentToCheck({ paymentId: lastPaymentId, source: 'SESSION' })
         }
 
         // Clear the flag so modal doesn't show on refresh
@@ -39,15 +106,86 @@ export default function PaymentStatus() {
     }
   }, [])
 
+  // Look up the real status and keep polling while the payment is still pending
+  useEffect(() => {
+    if (!paymentToCheck) return
+
+    let cancelled = false
+    let timeoutId = null
+    let attempts = 0
+    // A 3DS or hosted checkout return has to be completed on the server before we just watch the status
+    let needsCompletion = paymentToCheck.source === '3DS_RETURN' || paymentToCheck.source === 'HOSTED_CHECKOUT_RETURN'
+    // A hosted checkout only has a payment ID once the customer has paid
+    let paymentId = paymentToCheck.paymentId
+
+    setStatus({ ...paymentToCheck, status: 'PENDING', checking: true })
+
+    const check = () => {
+      if (!needsCompletion) return fetchPaymentStatus(paymentId)
+      return paymentToCheck.source === 'HOSTED_CHECKOUT_RETURN'
+        ? completeHostedCheckout(paymentToCheck.hostedCheckoutId, paymentToCheck.returnMac)
+        : completePayment(paymentId)
+    }
+
+    const poll = async () => {
+      attempts++
+      try {
+        const payment = await check()
+        if (cancelled) return
+        if (payment.completed) {
+          needsCompletion = false
+        }
+        paymentId = payment.paymentId ?? paymentId
+
+        const stillPending = PENDING_STATUS_CATEGORIES.includes(payment.statusCategory) ||
+          payment.hostedCheckoutStatus === 'IN_PROGRESS'
+        const keepPolling = stillPending && attempts < MAX_POLL_ATTEMPTS
+
+        setStatus({
+          ...paymentToCheck,
+          paymentId,
+          status: toDisplayStatus(payment),
+          payment,
+          checking: keepPolling
+        })
+
+        if (keepPolling) {
+          timeoutId = setTimeout(poll, POLL_INTERVAL_MS)
+        }
+      } catch (err) {
+        if (cancelled) return
+        logger.error('Failed to check payment status', { error: err })
+        setStatus({
+          ...paymentToCheck,
+          status: 'UNKNOWN',
+          error: err.message,
+          checking: false
+        })
+      }
+    }
+
+    poll()
+
+    return () => {
+      cancelled = true
+      clearTimeout(timeoutId)
+    }
+  }, [paymentToCheck])
+
   const getStatusColor = (paymentStatus) => {
     switch (paymentStatus?.toUpperCase()) {
       case 'SUCCEEDED':
+      case 'AUTHORIZED':
         return 'green'
+      case 'REFUNDED':
+        return 'blue'
       case 'PENDING':
         return 'yellow'
       case 'FAILED':
       case 'DECLINED':
         return 'red'
+      case 'CANCELLED':
+        return 'gray'
       default:
         return 'blue'
     }
@@ -56,12 +194,17 @@ export default function PaymentStatus() {
   const getStatusIcon = (paymentStatus) => {
     switch (paymentStatus?.toUpperCase()) {
       case 'SUCCEEDED':
+      case 'AUTHORIZED':
         return '✓'
+      case 'REFUNDED':
+        return '↩'
       case 'PENDING':
         return '⏳'
       case 'FAILED':
       case 'DECLINED':
         return '✗'
+      case 'CANCELLED':
+        return '⊘'
       default:
         return 'ℹ'
     }
@@ -81,15 +224,22 @@ export default function PaymentStatus() {
             <div className="text-3xl mb-2">{getStatusIcon(status.status)}</div>
             <h3 className="text-lg font-bold mb-1">
               {status.status?.toUpperCase() === 'SUCCEEDED' ? 'Payment Successful' :
+               status.status?.toUpperCase() === 'AUTHORIZED' ? 'Payment Authorized' :
+               status.status?.toUpperCase() === 'REFUNDED' ? 'Payment Refunded' :
                status.status?.toUpperCase() === 'FAILED' ? 'Payment Failed' :
                status.status?.toUpperCase() === 'DECLINED' ? 'Payment Declined' :
+               status.status?.toUpperCase() === 'CANCELLED' ? 'Payment Cancelled' :
                status.status?.toUpperCase() === 'PENDING' ? 'Payment Pending' :
                'Payment Status'}
             </h3>
             <p className="text-sm">
-              {status.status?.toUpperCase() === 'SUCCEEDED' ? 'Your payment has been processed successfully.' :
+              {status.error ? `We could not confirm your payment status: ${status.error}` :
+               status.status?.toUpperCase() === 'SUCCEEDED' ? 'Your payment has been processed successfully.' :
+               status.status?.toUpperCase() === 'AUTHORIZED' ? 'Your payment has been authorized and will be charged when your order is fulfilled.' :
+               status.status?.toUpperCase() === 'REFUNDED' ? 'This payment has been refunded.' :
                status.status?.toUpperCase() === 'FAILED' ? 'There was an issue processing your payment.' :
                status.status?.toUpperCase() === 'DECLINED' ? 'Your payment was declined by the card issuer.' :
+               status.status?.toUpperCase() === 'CANCELLED' ? 'You left the payment page without paying - nothing was charged.' :
                status.status?.toUpperCase() === 'PENDING' ? 'Your payment is pending. You will receive confirmation shortly.' :
                'Your payment status has been updated.'}
             </p>
@@ -97,22 +247,39 @@ export default function PaymentStatus() {
         </div>
 
         <div className={`bg-gray-50 rounded-lg p-4 mb-4 border border-gray-200`}>
-          <div className="text-sm text-gray-600 mb-1">Payment ID</div>
-          <div className="font-mono text-sm text-gray-900 break-all">{status.paymentId}</div>
+          <div className="text-sm text-gray-600 mb-1">{status.paymentId ? 'Payment ID' : 'Hosted Checkout ID'}</div>
+          <div className="font-mono text-sm text-gray-900 break-all">{status.paymentId || status.hostedCheckoutId}</div>
         </div>
 
         <div className={`bg-gray-50 rounded-lg p-4 mb-4 border border-gray-200`}>
           <div className="text-sm text-gray-600 mb-1">Status</div>
           <div className={`font-semibold text-${statusColor}-700`}>
             {status.status?.toUpperCase()}
+            {status.checking && <span className="ml-2 text-xs font-normal text-gray-500">Checking...</span>}
           </div>
+          {status.payment?.status && (
+            <div className="text-xs text-gray-500 mt-1">
+              {status.payment.status} (code {status.payment.statusCode})
+            </div>
+          )}
         </div>
 
+        {status.payment?.amount !== undefined && (
+          <div className={`bg-gray-50 rounded-lg p-4 mb-4 border border-gray-200`}>
+            <div className="text-sm text-gray-600 mb-1">Amount</div>
+            <div className="text-sm text-gray-900">
+              {formatAmount(status.payment.amount, status.payment.currency)}
+              <span className="ml-2 font-mono text-gray-500">{status.payment.card?.cardNumber}</span>
+            </div>
+          </div>
+        )}
+
         <div className="flex gap-2">
           <button
             onClick={() => {
               sessionStorage.removeItem('lastPaymentId')
               sessionStorage.removeItem('lastPaymentStatus')
+              setPaymentToCheck(null)
               setStatus(null)
             }}
             className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-md transition duration-200"
@@ -121,7 +288,7 @@ export default function PaymentStatus() {
           </button>
           <button
             onClick={() => {
-              navigator.clipboard.writeText(status.paymentId)
+              navigator.clipboard.writeText(status.paymentId || status.hostedCheckoutId)
             }}
             className="flex-1 bg-gray-300 hover:bg-gray-400 text-gray-800 font-semibold py-2 px-4 rounded-md transition duration-200"
           >
@@ -130,7 +297,9 @@ export default function PaymentStatus() {
         </div>
 
         <p className="text-xs text-gray-500 text-center mt-4">
-          {status.source === '3DS_RETURN' ? '3D Secure authentication completed' : 'Payment processed'}
+          {status.source === '3DS_RETURN' ? '3D Secure authentication completed' :
+           status.source === 'HOSTED_CHECKOUT_RETURN' ? 'Returned from the Worldline payment page' :
+           'Payment processed'}
         </p>
       </div>
     </div>
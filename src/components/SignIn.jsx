@@ -0,0 +1,73 @@
+import { useState } from 'react'
+
+// Shown until someone is signed in. With the backend's development login, anyone
+// can sign in as any customer or operator; otherwise users sign in on the merchant's site.
+export default function SignIn({ devLogin, error, onSignIn }) {
+  const [userId, setUserId] = useState('')
+  const [role, setRole] = useState('customer')
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    await onSignIn(userId.trim(), role)
+    setSubmitting(false)
+  }
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-lg shadow-lg p-6">
+      <h2 className="text-2xl font-bold text-gray-800 mb-4">Sign In</h2>
+
+      {devLogin ? (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Development sign-in - pick any user ID. Customers pay with their own saved cards;
+            operators also get the operations dashboard to capture, cancel and refund.
+          </p>
+          <div>
+            <label htmlFor="sign-in-user" className="block text-sm font-medium text-gray-700 mb-1">
+              User ID
+            </label>
+            <input
+              id="sign-in-user"
+              type="text"
+              value={userId}
+              onChange={(e) => setUserId(e.target.value)}
+              required
+              maxLength={64}
+              placeholder="customer-1001"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="sign-in-role" className="block text-sm font-medium text-gray-700 mb-1">
+              Role
+            </label>
+            <select
+              id="sign-in-role"
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              <option value="customer">Customer</option>
+              <option value="operator">Operator</option>
+            </select>
+          </div>
+          <button
+            type="submit"
+            disabled={submitting || !userId.trim()}
+            className="w-full bg-indigo-600 text-white py-2 rounded-md font-semibold hover:bg-indigo-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition cursor-pointer"
+          >
+            {submitting ? 'Signing In...' : 'Sign In'}
+          </button>
+        </form>
+      ) : (
+        <p className="text-sm text-gray-600">
+          Sign in on the merchant site to pay and manage your saved cards.
+        </p>
+      )}
+
+      {error && <p className="text-red-600 text-sm mt-4">⚠️ {error}</p>}
+    </div>
+  )
+}
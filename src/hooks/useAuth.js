@@ -0,0 +1,86 @@
+/**
+ * Custom Hook: useAuth
+ *
+ * Who is signed in to the backend. The user is loaded from /api/auth/me and
+ * forgotten as soon as any API call comes back 401 (the sign-in ran out).
+ * signIn() uses the backend's development login when it offers one
+ * (AUTH_DEV_LOGIN); otherwise users sign in on the merchant's own site.
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import * as logger from '../utils/logger'
+import { apiFetch, onUnauthorized } from '../utils/api'
+
+/**
+ * @returns {Object} { user ({ id, role } or null), loading, devLogin, error, signIn(userId, role), signOut }
+ */
+export function useAuth() {
+  const [user, setUser] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [devLogin, setDevLogin] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const loadUser = async () => {
+      try {
+        const response = await apiFetch('/auth/me')
+        const result = await response.json()
+        if (cancelled) return
+
+        setUser(response.ok ? result.user : null)
+        setDevLogin(!!result.devLogin)
+      } catch (err) {
+        if (cancelled) return
+        logger.error('Failed to load the signed-in user', { error: err })
+        setError('Could not reach the backend - is it running?')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadUser()
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Any 401 means the sign-in is gone
+  useEffect(() => onUnauthorized(() => setUser(null)), [])
+
+  const signIn = useCallback(async (userId, role) => {
+    setError(null)
+    try {
+      const response = await apiFetch('/auth/dev-login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId, role })
+      })
+      const result = await response.json()
+
+      if (!response.ok) {
+        throw new Error(result.message || result.error || `Backend error: ${response.status}`)
+      }
+
+      logger.info('Signed in', { role: result.user.role })
+      setUser(result.user)
+    } catch (err) {
+      logger.error('Sign-in failed', { error: err })
+      setError(err.message || 'Sign-in failed')
+    }
+  }, [])
+
+  const signOut = useCallback(async () => {
+    try {
+      await apiFetch('/auth/logout', { method: 'POST' })
+    } catch (err) {
+      logger.warn('Sign-out request failed', { error: err })
+    }
+    setUser(null)
+  }, [])
+
+  return { user, loading, devLogin, error, signIn, signOut }
+}
+
+export default useAuth
@@ -0,0 +1,29 @@
+/**
+ * Custom Hook: useRetryAfter
+ *
+ * Waits out a 429 from the backend's rate limits. Call wait(retryAfter) with the
+ * seconds from the response; `waiting` stays true until they have passed, so the
+ * form can keep its submit button disabled meanwhile.
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+
+export function useRetryAfter() {
+  const [retryAt, setRetryAt] = useState(null)
+
+  useEffect(() => {
+    if (retryAt === null) return
+
+    const timer = setTimeout(() => setRetryAt(null), Math.max(0, retryAt - Date.now()))
+    return () => clearTimeout(timer)
+  }, [retryAt])
+
+  const wait = useCallback((retryAfter) => {
+    const seconds = Number(retryAfter) > 0 ? Number(retryAfter) : 1
+    setRetryAt(Date.now() + seconds * 1000)
+  }, [])
+
+  return { waiting: retryAt !== null, wait }
+}
+
+export default useRetryAfter
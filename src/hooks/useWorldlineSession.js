@@ -3,17 +3,38 @@
  *
  * Fetches Client Session credentials from your backend
  * and manages the Worldline SDK Session lifecycle
+ *
+ * Client sessions expire. The backend says when (expiresAt); the session is replaced
+ * shortly before then, when the tab comes back into view after it has expired, and
+ * when a Client API call is refused because the session is no longer valid.
  */
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef, useCallback } from 'react'
+import * as logger from '../utils/logger'
+import { apiFetch } from '../utils/api'
 import { Session } from 'onlinepayments-sdk-client-js'
+import { applyProductFilters } from '../utils/paymentProductFields'
+
+// Replace the session this long before it expires
+const SESSION_REFRESH_MARGIN_MS = 60 * 1000
+// Lifetime assumed when the backend doesn't send expiresAt
+const DEFAULT_SESSION_TTL_MS = 15 * 60 * 1000
+
+/**
+ * Check if an SDK error means the client session is no longer valid
+ * The Client API refuses expired or unknown sessions with 401 / 403 (the SDK's ResponseError carries the status)
+ */
+export const isSessionExpiredError = (err) => err?.status === 401 || err?.status === 403
+
+// Check if a session expiring at `expiresAt` is due to be replaced
+const isExpiring = (expiresAt) => !!expiresAt && Date.now() >= expiresAt - SESSION_REFRESH_MARGIN_MS
 
 /**
  * Fetch session credentials from your backend
  * Your backend will use PSPID to create a Client Session via Worldline Server API
  * and return the credentials to the frontend
  */
-async function fetchSessionCredentials(paymentContext = {}) {
+async function fetchSessionCredentials(paymentContext = {}, signal) {
   const defaultContext = {
     countryCode: 'AU',
     currencyCode: 'AUD',
@@ -23,31 +44,38 @@ async function fetchSessionCredentials(paymentContext = {}) {
   const context = { ...defaultContext, ...paymentContext }
 
   try {
-    console.log('Fetching session credentials from backend...')
+    logger.debug('Fetching session credentials from backend')
 
-    const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3000/api'
-    const response = await fetch(`${apiUrl}/session`, {
+    const response = await apiFetch('/session', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(context),
+      signal,
     })
 
     if (!response.ok) {
-      throw new Error(`Backend error: ${response.status} ${response.statusText}`)
+      // The backend explains rejected contexts (unsupported currency, product not allowed)
+      const body = await response.json().catch(() => ({}))
+      throw new Error(body.message || `Backend error: ${response.status} ${response.statusText}`)
     }
 
     const data = await response.json()
 
-    console.log('Session credentials received:', {
-      clientSessionId: data.clientSessionId,
-      customerId: data.customerId,
+    // Credentials of the session stay out of the console
+    logger.info('Session credentials received', {
       clientApiUrl: data.clientApiUrl,
-      assetUrl: data.assetUrl,
+      expiresAt: data.expiresAt,
+      invalidTokens: data.invalidTokens?.length || 0,
+      foreignTokens: data.foreignTokens?.length || 0,
     })
 
     return data
   } catch (err) {
-    console.error('Failed to fetch session credentials:', err)
+    // Superseded by a newer request or the component went away - not a failure
+    if (err.name === 'AbortError') {
+      throw err
+    }
+    logger.error('Failed to fetch session credentials', { error: err })
     throw new Error('Could not initialize payment session: ' + err.message)
   }
 }
@@ -56,28 +84,64 @@ async function fetchSessionCredentials(paymentContext = {}) {
  * useWorldlineSession Hook
  *
  * Usage:
- * const { session, loading, error, paymentProducts } = useWorldlineSession({
+ * const { session, loading, error, paymentProducts, runWithSession } = useWorldlineSession({
  *   countryCode: 'AU',
  *   currencyCode: 'AUD',
  *   amount: 10000
  * })
  *
+ * Optional context: tokens (the customer's saved card token IDs - the Client API lists them as
+ * accounts on file, unknown ones come back in invalidTokens and ones the signed-in user didn't
+ * save in foreignTokens) and paymentProductFilters
+ * ({ restrictTo: { products: [1, 2] } } - narrows the products this checkout offers).
+ *
+ * A new session is created whenever the country, currency, amount or product filters change.
+ * Wrap SDK calls that need a working session in runWithSession - a call refused
+ * because the session expired is retried once on a fresh session:
+ * const encrypted = await runWithSession(current => current.getEncryptor().encrypt(request))
+ *
  * @param {Object} paymentContext - Optional payment context
- * @returns {Object} { session, loading, error, paymentProducts, retry }
+ * @returns {Object} { session, loading, error, paymentProducts, accountsOnFile, invalidTokens, foreignTokens, expiresAt, retry, refresh, runWithSession }
  */
 export function useWorldlineSession(paymentContext = {}) {
   const [session, setSession] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [paymentProducts, setPaymentProducts] = useState([])
+  const [accountsOnFile, setAccountsOnFile] = useState([])
+  const [invalidTokens, setInvalidTokens] = useState([])
+  const [foreignTokens, setForeignTokens] = useState([])
+  const [expiresAt, setExpiresAt] = useState(null)
+
+  const { countryCode, currencyCode, amount } = paymentContext
+  // Compared by value - callers usually pass a new object each render
+  const productFiltersKey = JSON.stringify(paymentContext.paymentProductFilters ?? null)
+  // Latest values for timers and in-flight calls that outlive a render
+  const contextRef = useRef(paymentContext)
+  contextRef.current = paymentContext
+  const sessionRef = useRef(null)
+  const expiresAtRef = useRef(null)
+  // Cancels the initialization in flight when a newer one starts or the component unmounts
+  const controllerRef = useRef(null)
+  // Refresh in flight - concurrent expired calls share it
+  const refreshRef = useRef(null)
+
+  // Create a session (and load its payment products) - a refresh keeps the current one on screen meanwhile
+  // Resolves to the new session, or null if it failed or was superseded
+  const initializeSession = useCallback(async ({ refresh = false } = {}) => {
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
+    const { signal } = controller
 
-  const initializeSession = async () => {
-    setLoading(true)
+    if (!refresh) {
+      setLoading(true)
+    }
     setError(null)
 
     try {
       // 1. Get credentials from backend
-      const credentials = await fetchSessionCredentials(paymentContext)
+      const credentials = await fetchSessionCredentials(contextRef.current, signal)
 
       // 2. Initialize SDK Session with credentials
       const newSession = new Session({
@@ -90,70 +154,163 @@ export function useWorldlineSession(paymentContext = {}) {
       // Store credentials on the session object for easy access
       newSession.customerId = credentials.customerId
       newSession.clientSessionId = credentials.clientSessionId
+      newSession.assetUrl = credentials.assetUrl
+
+      const sessionExpiresAt = Date.parse(credentials.expiresAt) || Date.now() + DEFAULT_SESSION_TTL_MS
 
+      sessionRef.current = newSession
+      expiresAtRef.current = sessionExpiresAt
       setSession(newSession)
+      setExpiresAt(sessionExpiresAt)
+      setInvalidTokens(credentials.invalidTokens || [])
+      setForeignTokens(credentials.foreignTokens || [])
 
       // 3. Load available payment products
       try {
         const context = {
-          countryCode: paymentContext.countryCode || 'AU',
+          countryCode: contextRef.current.countryCode || 'AU',
           amountOfMoney: {
-            amount: paymentContext.amount || 10000,
-            currencyCode: paymentContext.currencyCode || 'AUD',
+            amount: contextRef.current.amount || 10000,
+            currencyCode: contextRef.current.currencyCode || 'AUD',
           },
           isRecurring: false,
         }
 
-        console.log('Loading payment products with context:', context)
+        logger.debug('Loading payment products', { context })
         const products = await newSession.getBasicPaymentItems(context)
+        // The SDK call can't be cancelled - drop its result instead
+        if (signal.aborted) {
+          return newSession
+        }
 
-        if (products && products.basicPaymentProducts) {
-          console.log('✅ Payment products loaded successfully:', products.basicPaymentProducts.length, 'products')
-          setPaymentProducts(products.basicPaymentProducts)
+        if (products && products.basicPaymentItems) {
+          // Only the products this checkout offers (filters checked by the backend against its allowlist)
+          const offered = applyProductFilters(products.basicPaymentItems, credentials.paymentProductFilters)
+          logger.info('Payment products loaded', { offered: offered.length, available: products.basicPaymentItems.length })
+          setPaymentProducts(offered)
+          // Saved cards of products this checkout doesn't offer can't be used here either
+          setAccountsOnFile((products.accountsOnFile || []).filter(account => offered.some(product => product.id === account.paymentProductId)))
         } else {
-          console.warn('⚠️ No payment products returned from SDK')
-          console.warn('Response structure:', {
+          logger.warn('No payment products returned from SDK', {
             hasProducts: !!products,
-            hasBasicPaymentProducts: !!(products && products.basicPaymentProducts),
-            fullResponse: products
+            hasBasicPaymentItems: !!(products && products.basicPaymentItems)
           })
           setPaymentProducts([])
+          setAccountsOnFile([])
         }
       } catch (err) {
-        console.error('❌ Failed to load payment products')
-        console.error('Error message:', err.message)
-        console.error('Error type:', err.name)
-        console.error('Full error:', err)
+        if (signal.aborted) {
+          return newSession
+        }
 
-        // Log suggestions for troubleshooting
-        console.warn('Troubleshooting tips:')
-        console.warn('- Verify session is properly initialized')
-        console.warn('- Check if API endpoint supports payment products for your region')
-        console.warn('- Check browser console for CORS or network errors')
+        // Check the session, that the API endpoint has payment products for the region, and for CORS errors
+        logger.error('Failed to load payment products', { error: err })
 
         // Don't fail - product loading might not be required for card payments
         setPaymentProducts([])
+        setAccountsOnFile([])
       }
+
+      return newSession
     } catch (err) {
-      console.error('Session initialization failed:', err)
+      if (signal.aborted) {
+        return null
+      }
+
+      logger.error('Session initialization failed', { error: err })
       setError(err.message)
+      sessionRef.current = null
+      expiresAtRef.current = null
       setSession(null)
+      setExpiresAt(null)
+      return null
     } finally {
-      setLoading(false)
+      if (!signal.aborted) {
+        setLoading(false)
+      }
     }
-  }
+  }, [])
+
+  // Replace the session - callers at the same time share one new session
+  const refresh = useCallback(() => {
+    if (!refreshRef.current) {
+      logger.info('Refreshing client session')
+      refreshRef.current = initializeSession({ refresh: true }).finally(() => {
+        refreshRef.current = null
+      })
+    }
+    return refreshRef.current
+  }, [initializeSession])
+
+  // Run an SDK call with a valid session - retried once on a new session if the Client API says it expired
+  const runWithSession = useCallback(async (call) => {
+    let current = sessionRef.current
+    if (!current || Date.now() >= expiresAtRef.current) {
+      current = (await refresh()) || current
+    }
+    if (!current) {
+      throw new Error('Session not initialized')
+    }
+
+    try {
+      return await call(current)
+    } catch (err) {
+      if (!isSessionExpiredError(err)) {
+        throw err
+      }
+
+      logger.warn('Client session expired - creating a new one')
+      const fresh = await refresh()
+      if (!fresh) {
+        throw err
+      }
+      return call(fresh)
+    }
+  }, [refresh])
 
-  // Initialize session on mount or when context changes
+  // Initialize session on mount or when context changes - products and IIN lookups depend on country, currency and amount
+  // Token changes don't need a new session; the next one picks them up
   useEffect(() => {
     initializeSession()
-  }, [])
+    return () => {
+      controllerRef.current?.abort()
+    }
+  }, [initializeSession, countryCode, currencyCode, amount, productFiltersKey])
+
+  // Replace the session shortly before it expires
+  useEffect(() => {
+    if (!expiresAt) return
+
+    // Half way through sessions shorter than twice the margin, so they aren't replaced in a loop
+    const remaining = expiresAt - Date.now()
+    const timer = setTimeout(refresh, Math.max(0, remaining - Math.min(SESSION_REFRESH_MARGIN_MS, remaining / 2)))
+
+    // Timers are throttled in background tabs - check again when the customer comes back
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible' && isExpiring(expiresAtRef.current)) {
+        refresh()
+      }
+    }
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+
+    return () => {
+      clearTimeout(timer)
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }, [expiresAt, refresh])
 
   return {
     session,
     loading,
     error,
     paymentProducts,
-    retry: initializeSession,
+    accountsOnFile,
+    invalidTokens,
+    foreignTokens,
+    expiresAt,
+    retry: () => initializeSession(),
+    refresh,
+    runWithSession,
   }
 }
 
@@ -0,0 +1,40 @@
+/**
+ * Backend API client
+ *
+ * Every call to the backend goes through apiFetch(): it prefixes VITE_API_URL
+ * and sends the session cookie along, so the backend knows who is signed in.
+ * Responses come back as they are - callers read the body and status themselves.
+ * A 401 means the sign-in is missing or ran out; onUnauthorized() listeners are
+ * told, so the app can ask the user to sign in again.
+ */
+
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api'
+
+const unauthorizedListeners = new Set()
+
+/**
+ * fetch() a backend path, e.g. apiFetch('/payments?page=2') or
+ * apiFetch('/tokens', { method: 'POST', ... })
+ */
+export async function apiFetch(path, options = {}) {
+  const response = await fetch(`${API_URL}${path}`, { ...options, credentials: 'include' })
+
+  if (response.status === 401) {
+    unauthorizedListeners.forEach(listener => listener())
+  }
+  return response
+}
+
+/**
+ * Call listener whenever the backend answers 401 - returns an unsubscribe function
+ */
+export function onUnauthorized(listener) {
+  unauthorizedListeners.add(listener)
+  return () => unauthorizedListeners.delete(listener)
+}
+
+export default {
+  API_URL,
+  apiFetch,
+  onUnauthorized
+}
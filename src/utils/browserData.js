@@ -0,0 +1,22 @@
+/**
+ * Browser data for 3-D Secure
+ *
+ * Issuers use these device details for risk-based authentication (3DS 2).
+ * The backend adds the accept header, user agent and IP address itself.
+ */
+
+/**
+ * Collect browser and device data to send with a payment
+ */
+export const collect = () => ({
+  colorDepth: window.screen?.colorDepth,
+  javaEnabled: typeof navigator.javaEnabled === 'function' ? navigator.javaEnabled() : false,
+  screenHeight: window.screen?.height,
+  screenWidth: window.screen?.width,
+  locale: navigator.language,
+  timezoneOffsetUtcMinutes: new Date().getTimezoneOffset(),
+})
+
+export default {
+  collect
+}
@@ -0,0 +1,158 @@
+/**
+ * Currency utilities
+ *
+ * Worldline amounts are integers in the currency's minor unit, with the number
+ * of decimals given by the ISO 4217 exponent: AUD 100.00 is 10000, JPY 100 is
+ * 100 (no decimals) and KWD 1.500 is 1500 (three decimals). These helpers convert
+ * between what the customer types and what the API takes, and format amounts for
+ * display. Pure functions - the backend imports them for its messages and checks.
+ */
+
+// Currencies we sell in, with their ISO 4217 exponent and the country a checkout in that currency defaults to
+export const CURRENCIES = [
+  { code: 'AUD', name: 'Australian Dollar', exponent: 2, countryCode: 'AU' },
+  { code: 'NZD', name: 'New Zealand Dollar', exponent: 2, countryCode: 'NZ' },
+  { code: 'SGD', name: 'Singapore Dollar', exponent: 2, countryCode: 'SG' },
+  { code: 'HKD', name: 'Hong Kong Dollar', exponent: 2, countryCode: 'HK' },
+  { code: 'JPY', name: 'Japanese Yen', exponent: 0, countryCode: 'JP' },
+  { code: 'KRW', name: 'South Korean Won', exponent: 0, countryCode: 'KR' },
+  { code: 'CNY', name: 'Chinese Yuan', exponent: 2, countryCode: 'CN' },
+  { code: 'MYR', name: 'Malaysian Ringgit', exponent: 2, countryCode: 'MY' },
+  { code: 'THB', name: 'Thai Baht', exponent: 2, countryCode: 'TH' },
+  { code: 'PHP', name: 'Philippine Peso', exponent: 2, countryCode: 'PH' },
+  { code: 'IDR', name: 'Indonesian Rupiah', exponent: 2, countryCode: 'ID' },
+  { code: 'INR', name: 'Indian Rupee', exponent: 2, countryCode: 'IN' },
+  { code: 'FJD', name: 'Fiji Dollar', exponent: 2, countryCode: 'FJ' },
+  { code: 'USD', name: 'US Dollar', exponent: 2, countryCode: 'US' },
+  { code: 'GBP', name: 'British Pound', exponent: 2, countryCode: 'GB' },
+  { code: 'EUR', name: 'Euro', exponent: 2, countryCode: 'DE' },
+  { code: 'KWD', name: 'Kuwaiti Dinar', exponent: 3, countryCode: 'KW' }
+]
+
+// Countries a checkout can be run for - the payment products offered depend on it
+export const COUNTRIES = [
+  { code: 'AU', name: 'Australia' },
+  { code: 'NZ', name: 'New Zealand' },
+  { code: 'SG', name: 'Singapore' },
+  { code: 'HK', name: 'Hong Kong' },
+  { code: 'JP', name: 'Japan' },
+  { code: 'KR', name: 'South Korea' },
+  { code: 'CN', name: 'China' },
+  { code: 'MY', name: 'Malaysia' },
+  { code: 'TH', name: 'Thailand' },
+  { code: 'PH', name: 'Philippines' },
+  { code: 'ID', name: 'Indonesia' },
+  { code: 'IN', name: 'India' },
+  { code: 'FJ', name: 'Fiji' },
+  { code: 'US', name: 'United States' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'KW', name: 'Kuwait' }
+]
+
+/**
+ * Currency table entry for an ISO 4217 code - undefined for currencies we don't sell in
+ */
+export const getCurrency = (code) => CURRENCIES.find(currency => currency.code === code)
+
+/**
+ * Check if a currency code is one we sell in
+ */
+export const isSupportedCurrency = (code) => !!getCurrency(code)
+
+/**
+ * Number of decimals of a currency - 2 for currencies missing from the table
+ */
+export const exponent = (code) => getCurrency(code)?.exponent ?? 2
+
+/**
+ * Smallest amount an input accepts, e.g. '0.01' for AUD, '1' for JPY, '0.001' for KWD
+ */
+export const amountStep = (code) => {
+  const decimals = exponent(code)
+  return decimals === 0 ? '1' : `0.${'1'.padStart(decimals, '0')}`
+}
+
+/**
+ * Convert a typed amount (e.g. '25.50') to minor units (2550)
+ * Works on the digits rather than with floating point multiplication; returns null for
+ * values that aren't a positive decimal number or have more decimals than the currency.
+ */
+export const toMinorUnits = (value, code) => {
+  const match = /^(\d+)(?:\.(\d*))?$/.exec(String(value ?? '').trim())
+  if (!match) {
+    return null
+  }
+
+  const decimals = exponent(code)
+  const [, whole, fraction = ''] = match
+  if (fraction.length > decimals) {
+    return null
+  }
+
+  return Number(whole + fraction.padEnd(decimals, '0'))
+}
+
+/**
+ * Convert minor units back to an input value, e.g. 2550 AUD -> '25.50', 2550 JPY -> '2550'
+ */
+export const toMajorUnits = (amount, code) => {
+  const decimals = exponent(code)
+  return (amount / 10 ** decimals).toFixed(decimals)
+}
+
+/**
+ * Message for a typed amount toMinorUnits() refused
+ */
+export const invalidAmountMessage = (code) => {
+  const decimals = exponent(code)
+  return decimals === 0
+    ? `Enter a whole amount above 0 - ${code} has no decimal places`
+    : `Enter an amount above 0 with up to ${decimals} decimal places for ${code}`
+}
+
+/**
+ * Format minor units for display with the currency code, e.g. 'AUD 25.50', 'JPY 2,550', 'KWD 1.500'
+ */
+export const formatAmount = (amount, code, locale) => {
+  const decimals = exponent(code)
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: code,
+      currencyDisplay: 'code',
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }).format(amount / 10 ** decimals)
+  } catch (error) {
+    // Not a currency Intl knows
+    return `${code} ${toMajorUnits(amount, code)}`
+  }
+}
+
+/**
+ * Currency symbol shown next to an amount input, e.g. '$' for AUD, '¥' for JPY
+ */
+export const currencySymbol = (code, locale) => {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: code, currencyDisplay: 'narrowSymbol' })
+      .formatToParts(0)
+      .find(part => part.type === 'currency')?.value || code
+  } catch (error) {
+    return code
+  }
+}
+
+export default {
+  CURRENCIES,
+  COUNTRIES,
+  getCurrency,
+  isSupportedCurrency,
+  exponent,
+  amountStep,
+  toMinorUnits,
+  toMajorUnits,
+  invalidAmountMessage,
+  formatAmount,
+  currencySymbol
+}
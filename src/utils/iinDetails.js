@@ -0,0 +1,59 @@
+/**
+ * IIN (card number prefix) utilities
+ *
+ * The first digits of a card number identify its issuer. CardForm sends them to
+ * the Client API's IIN details lookup (session.getIinDetails) to detect the
+ * payment product and, for co-badged cards (e.g. eftpos/Visa debit), the other
+ * networks the card can be processed on.
+ */
+
+// Lookups use 6 digits, or 8 once they're available (8-digit BIN ranges)
+const SHORT_IIN_LENGTH = 6
+const LONG_IIN_LENGTH = 8
+
+/**
+ * Card number prefix to look up - null until enough digits are entered
+ */
+export const iinPrefix = (cardNumber = '') => {
+  const digits = cardNumber.replace(/\D/g, '')
+  if (digits.length >= LONG_IIN_LENGTH) {
+    return digits.slice(0, LONG_IIN_LENGTH)
+  }
+  if (digits.length >= SHORT_IIN_LENGTH) {
+    return digits.slice(0, SHORT_IIN_LENGTH)
+  }
+  return null
+}
+
+/**
+ * Check if the lookup found a product the merchant accepts in this payment context
+ */
+export const isSupported = (iinDetails) => iinDetails?.status === 'SUPPORTED'
+
+/**
+ * Check if the lookup found a product the merchant does not accept (e.g. a brand not enabled on the account)
+ */
+export const isNotAllowed = (iinDetails) => iinDetails?.status === 'EXISTING_BUT_NOT_ALLOWED'
+
+/**
+ * Payment product IDs the cardholder can choose between - the issuer's preferred
+ * network first, then the other allowed co-brands. A single entry means no choice.
+ */
+export const networkChoices = (iinDetails) => {
+  if (!isSupported(iinDetails)) {
+    return []
+  }
+
+  const allowedCoBrands = (iinDetails.coBrands || [])
+    .filter(coBrand => coBrand.isAllowedInContext)
+    .map(coBrand => coBrand.paymentProductId)
+
+  return [...new Set([iinDetails.paymentProductId, ...allowedCoBrands])]
+}
+
+export default {
+  iinPrefix,
+  isSupported,
+  isNotAllowed,
+  networkChoices
+}
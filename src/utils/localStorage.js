@@ -1,68 +1,260 @@
 /**
  * localStorage utilities for saved cards
  *
- * Stores encrypted card data from Worldline SDK in browser localStorage
- * Includes encrypted token + card metadata (type, last 4 digits, expiry, cardholder, customer ID)
+ * Keeps a wallet of saved cards in browser localStorage: the Worldline token ID
+ * of each card + display metadata (nickname, type, last 4 digits, expiry, cardholder, customer ID)
+ * and which card is the default. Never stores card data or encrypted card payloads.
+ *
+ * Each signed-in user has their own wallet under `worldline_wallet:<userId>`, so
+ * people sharing a browser never see or change each other's cards. Without a
+ * user there is no wallet.
+ *
+ * Schema versions:
+ * - v1: a single card object under `worldline_card`
+ * - v2: { version, defaultTokenId, cards } under `worldline_wallet` (one wallet per browser,
+ *   from before sign-in) - both move to the first user who signs in
  */
 
-const STORAGE_KEY = 'worldline_card'
+import * as logger from './logger'
 
-/**
- * Save card to localStorage
- */
-export const save = (cardData) => {
+const STORAGE_KEY = 'worldline_wallet'
+const LEGACY_STORAGE_KEY = 'worldline_card'
+
+// Where a user's wallet is kept
+export const storageKey = (userId) => `${STORAGE_KEY}:${userId}`
+const SCHEMA_VERSION = 2
+
+const emptyWallet = () => ({
+  version: SCHEMA_VERSION,
+  defaultTokenId: null,
+  cards: []
+})
+
+// Upgrade a v1 single card to a v2 wallet
+const migrateFromV1 = (card) => {
+  const wallet = emptyWallet()
+
+  // Cards saved before token IDs were introduced hold a one-time encrypted payload that cannot be charged again
+  if (!card || !card.tokenId) {
+    logger.warn('Discarding saved card without a token ID - please save the card again')
+    return wallet
+  }
+
+  wallet.cards.push({ nickname: card.cardType || 'Card', ...card })
+  wallet.defaultTokenId = card.tokenId
+  return wallet
+}
+
+const parseWallet = (walletJson) => {
+  const wallet = JSON.parse(walletJson)
+  if (wallet.version > SCHEMA_VERSION) {
+    throw new Error(`Saved cards use a newer format (v${wallet.version}) than this app supports`)
+  }
+  return wallet
+}
+
+// Read a user's wallet, migrating older formats on the way
+const read = (userId) => {
+  if (!userId) {
+    return emptyWallet()
+  }
+
+  const walletJson = localStorage.getItem(storageKey(userId))
+  if (walletJson) {
+    return parseWallet(walletJson)
+  }
+
+  const sharedJson = localStorage.getItem(STORAGE_KEY)
+  if (sharedJson) {
+    const wallet = parseWallet(sharedJson)
+    write(userId, wallet)
+    localStorage.removeItem(STORAGE_KEY)
+    logger.info('Saved cards moved to the signed-in user')
+    return wallet
+  }
+
+  const legacyJson = localStorage.getItem(LEGACY_STORAGE_KEY)
+  if (legacyJson) {
+    const wallet = migrateFromV1(JSON.parse(legacyJson))
+    write(userId, wallet)
+    localStorage.removeItem(LEGACY_STORAGE_KEY)
+    logger.info('Saved card migrated to wallet')
+    return wallet
+  }
+
+  return emptyWallet()
+}
+
+const write = (userId, wallet) => {
+  localStorage.setItem(storageKey(userId), JSON.stringify(wallet))
+}
+
+// Apply a change to a user's wallet and save it - returns the updated wallet, or null on failure
+const update = (userId, action, change) => {
   try {
-    if (!cardData || !cardData.cardToken) {
-      console.error('Cannot save card: Missing cardToken')
-      return false
+    if (!userId) {
+      throw new Error('No signed-in user')
     }
-
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(cardData))
-    console.log('✅ Card saved')
-    return true
+    const wallet = change(read(userId))
+    write(userId, wallet)
+    logger.debug(`Card ${action}`)
+    return wallet
   } catch (error) {
-    console.error('❌ Failed to save card:', error)
-    return false
+    logger.error(`Card not ${action}`, { error })
+    return null
   }
 }
 
 /**
- * Load card from localStorage
+ * Load a user's wallet from localStorage - empty without a user
  */
-export const load = () => {
+export const load = (userId) => {
   try {
-    const cardJson = localStorage.getItem(STORAGE_KEY)
+    return read(userId)
+  } catch (error) {
+    logger.error('Failed to load saved cards', { error })
+    return emptyWallet()
+  }
+}
 
-    if (!cardJson) {
-      return null
+/**
+ * List a user's saved cards
+ */
+export const list = (userId) => load(userId).cards
+
+/**
+ * Get the default card, or null if there are no saved cards
+ */
+export const getDefault = (wallet) => {
+  return wallet.cards.find(card => card.tokenId === wallet.defaultTokenId) || wallet.cards[0] || null
+}
+
+/**
+ * Add a card - a card with the same token ID is replaced, keeping its nickname
+ * The first card saved becomes the default.
+ */
+export const add = (userId, cardData) => {
+  if (!cardData || !cardData.tokenId) {
+    logger.error('Cannot save card: Missing tokenId')
+    return null
+  }
+
+  return update(userId, 'saved', wallet => {
+    const existing = wallet.cards.find(card => card.tokenId === cardData.tokenId)
+    const card = {
+      nickname: existing?.nickname || cardData.cardType || 'Card',
+      ...cardData
     }
 
-    const cardData = JSON.parse(cardJson)
-    console.log('✅ Card loaded')
-    return cardData
-  } catch (error) {
-    console.error('❌ Failed to load card:', error)
+    return {
+      ...wallet,
+      defaultTokenId: wallet.defaultTokenId || card.tokenId,
+      cards: existing
+        ? wallet.cards.map(item => item.tokenId === card.tokenId ? card : item)
+        : [...wallet.cards, card]
+    }
+  })
+}
+
+/**
+ * Remove a card - the next card becomes the default if the default was removed
+ */
+export const remove = (userId, tokenId) => {
+  return update(userId, 'removed', wallet => {
+    const cards = wallet.cards.filter(card => card.tokenId !== tokenId)
+    return {
+      ...wallet,
+      defaultTokenId: wallet.defaultTokenId === tokenId ? (cards[0]?.tokenId || null) : wallet.defaultTokenId,
+      cards
+    }
+  })
+}
+
+/**
+ * Make a card the default
+ */
+export const setDefault = (userId, tokenId) => {
+  return update(userId, 'set as default', wallet => {
+    if (!wallet.cards.some(card => card.tokenId === tokenId)) {
+      throw new Error(`No saved card with token ID ${tokenId}`)
+    }
+    return { ...wallet, defaultTokenId: tokenId }
+  })
+}
+
+/**
+ * Rename a card
+ */
+export const rename = (userId, tokenId, nickname) => {
+  const trimmed = (nickname || '').trim()
+  if (!trimmed) {
+    logger.error('Cannot rename card: Nickname is empty')
     return null
   }
+
+  return update(userId, 'renamed', wallet => ({
+    ...wallet,
+    cards: wallet.cards.map(card => card.tokenId === tokenId ? { ...card, nickname: trimmed.slice(0, 40) } : card)
+  }))
 }
 
 /**
- * Clear card from localStorage
+ * Check if a card has expired - cards are valid until the end of their expiry month
+ * Accepts MM/YY (form input) and MMYY (Worldline) expiry dates.
  */
-export const clear = () => {
+export const isExpired = (card, now = new Date()) => {
+  const match = /^(\d{2})\/?(\d{2})$/.exec(card?.expiryDate || '')
+  if (!match) {
+    return false
+  }
+
+  const month = parseInt(match[1], 10)
+  const year = 2000 + parseInt(match[2], 10)
+  // Day 1 of the following month (JS months are 0-based, so `month` is already the next one)
+  return now >= new Date(year, month, 1)
+}
+
+/**
+ * Remove all of a user's saved cards
+ */
+export const clear = (userId) => {
   try {
-    localStorage.removeItem(STORAGE_KEY)
-    console.log('✅ Card cleared')
+    localStorage.removeItem(storageKey(userId))
+    logger.info('Cards cleared')
     return true
   } catch (error) {
-    console.error('❌ Failed to clear card:', error)
+    logger.error('Failed to clear cards', { error })
     return false
   }
 }
 
+/**
+ * Call back with a user's new wallet whenever another browser tab changes it
+ * Returns an unsubscribe function.
+ */
+export const subscribe = (userId, callback) => {
+  const handleStorage = (event) => {
+    if (event.key === storageKey(userId) || event.key === null) {
+      callback(load(userId))
+    }
+  }
+
+  window.addEventListener('storage', handleStorage)
+  return () => window.removeEventListener('storage', handleStorage)
+}
+
 export default {
-  save,
   load,
+  list,
+  getDefault,
+  add,
+  remove,
+  setDefault,
+  rename,
+  isExpired,
   clear,
-  STORAGE_KEY
+  subscribe,
+  storageKey,
+  STORAGE_KEY,
+  SCHEMA_VERSION
 }
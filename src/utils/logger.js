@@ -0,0 +1,38 @@
+/**
+ * Browser logging
+ *
+ * Console logging for the frontend that never prints card data, session
+ * credentials, tokens or customer PII - messages and fields go through
+ * redact() first. Entries below VITE_LOG_LEVEL are dropped (default debug
+ * in development, warn in production builds).
+ */
+
+import { redact, redactText } from './redact'
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+const configuredLevel = () => {
+  const level = import.meta.env.VITE_LOG_LEVEL || (import.meta.env.DEV ? 'debug' : 'warn')
+  return LOG_LEVELS.includes(level) ? level : 'warn'
+}
+
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' }
+
+function log(level, message, fields) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(configuredLevel())) return
+
+  const args = fields === undefined ? [redactText(message)] : [redactText(message), redact(fields)]
+  console[CONSOLE_METHODS[level]](...args)
+}
+
+export const debug = (message, fields) => log('debug', message, fields)
+export const info = (message, fields) => log('info', message, fields)
+export const warn = (message, fields) => log('warn', message, fields)
+export const error = (message, fields) => log('error', message, fields)
+
+export default {
+  debug,
+  info,
+  warn,
+  error
+}
@@ -0,0 +1,106 @@
+/**
+ * Order details of a charge
+ *
+ * The charge form's optional order fields (references, customer contact details,
+ * billing address and line items) and the `order` object /api/process-payment puts
+ * on the payment. Empty fields are left out, so an untouched form sends no order at
+ * all. The backend validates what is sent.
+ */
+
+import { toMinorUnits } from './currency'
+
+/**
+ * Blank order fields - the billing country starts as the checkout's country
+ */
+export const emptyOrderDetails = (countryCode = '') => ({
+  merchantReference: '',
+  descriptor: '',
+  email: '',
+  phone: '',
+  firstName: '',
+  surname: '',
+  street: '',
+  city: '',
+  state: '',
+  zip: '',
+  countryCode,
+  shipToBillingAddress: false,
+  lineItems: []
+})
+
+/**
+ * A blank line item - its price is in major units, as typed
+ */
+export const emptyLineItem = () => ({
+  description: '',
+  productCode: '',
+  quantity: '1',
+  price: ''
+})
+
+// Drop empty fields, and return undefined instead of an empty object
+const compact = (object) => {
+  const entries = Object.entries(object).filter(([, value]) => value !== undefined && value !== '')
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined
+}
+
+// Line items with a description, product code or price, priced in minor units. What
+// doesn't parse is sent as typed, for the backend to name the field.
+const buildLineItems = (lineItems = [], currencyCode) => {
+  const items = lineItems
+    .map(item => ({
+      description: item.description.trim(),
+      productCode: item.productCode.trim(),
+      quantity: item.quantity.trim(),
+      price: item.price.trim()
+    }))
+    .filter(item => item.description || item.productCode || item.price)
+    .map(item => compact({
+      description: item.description,
+      productCode: item.productCode,
+      quantity: /^\d+$/.test(item.quantity) ? Number(item.quantity) : item.quantity,
+      amountPerItem: toMinorUnits(item.price, currencyCode) ?? item.price
+    }))
+
+  return items.length > 0 ? items : undefined
+}
+
+/**
+ * Build the order object for /api/process-payment - undefined when no field is filled in
+ */
+export function buildOrder(details, currencyCode) {
+  const field = (name) => (details[name] || '').trim()
+
+  // The country alone (it always has a default) is no address
+  const billingAddress = ['street', 'city', 'state', 'zip'].some(name => field(name))
+    ? compact({
+        street: field('street'),
+        city: field('city'),
+        state: field('state'),
+        zip: field('zip'),
+        countryCode: field('countryCode').toUpperCase()
+      })
+    : undefined
+
+  return compact({
+    merchantReference: field('merchantReference'),
+    descriptor: field('descriptor'),
+    customer: compact({
+      email: field('email'),
+      phone: field('phone'),
+      firstName: field('firstName'),
+      surname: field('surname'),
+      billingAddress
+    }),
+    shipping: details.shipToBillingAddress && billingAddress
+      ? compact({ firstName: field('firstName'), surname: field('surname'), address: billingAddress })
+      : undefined,
+    lineItems: buildLineItems(details.lineItems, currencyCode)
+  })
+}
+
+export default {
+  emptyOrderDetails,
+  emptyLineItem,
+  buildOrder
+}
@@ -0,0 +1,50 @@
+/**
+ * Payment actions
+ *
+ * Capture, cancel and refund of a recorded payment, shared by the transaction
+ * history and the operations dashboard. The amount is typed in major units; an
+ * empty amount applies the action to the whole remaining balance. Only operators
+ * may run them - the backend refuses everyone else.
+ */
+
+import * as logger from './logger'
+import { apiFetch } from './api'
+import { invalidAmountMessage, toMinorUnits } from './currency'
+
+// Statuses offered in the transaction filters
+export const PAYMENT_STATUSES = ['CAPTURED', 'CAPTURE_REQUESTED', 'PENDING_CAPTURE', 'REDIRECTED', 'REJECTED', 'CANCELLED', 'REFUND_REQUESTED', 'REFUNDED']
+
+/**
+ * Amount still refundable - what was captured less what was refunded
+ */
+export const refundableAmount = (payment) => payment.captured - payment.refunded
+
+/**
+ * POST /api/payments/:paymentId/{capture|cancel|refund} for a payment summary from /api/payments
+ * Resolves to the backend's result, with success: false and a message when it was refused
+ */
+export async function runPaymentAction(payment, action, amountInput = '') {
+  const amount = amountInput ? toMinorUnits(amountInput, payment.currency) : null
+  if (amountInput && !amount) {
+    return { success: false, message: invalidAmountMessage(payment.currency) }
+  }
+
+  const response = await apiFetch(`/payments/${payment.paymentId}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(amount ? { amount } : {})
+  })
+
+  const result = await response.json()
+  logger.debug(`${action} response`, { status: response.status, paymentId: payment.paymentId, paymentStatus: result.status })
+
+  return result.success
+    ? result
+    : { ...result, success: false, message: result.message || result.error || `${action} failed` }
+}
+
+export default {
+  PAYMENT_STATUSES,
+  refundableAmount,
+  runPaymentAction
+}
@@ -0,0 +1,210 @@
+/**
+ * Payment product field utilities
+ *
+ * CardForm builds its inputs from the fields of the selected Worldline payment
+ * product (PaymentProduct.paymentProductFields) instead of a fixed card layout,
+ * so every product the merchant account enables gets the right labels, masks,
+ * required flags and validators.
+ *
+ * Masks use the SDK's notation: {{9999}} {{9999}} is four digits, a space, four digits.
+ * Characters outside the braces are literals the form inserts as the customer types.
+ */
+
+// Messages for the SDK's validation rule IDs (plus 'required', which the SDK only checks in PaymentRequest.isValid)
+const ERROR_MESSAGES = {
+  required: 'This field is required',
+  luhn: 'This card number is not valid - please check it for typos',
+  expirationDate: 'This card has expired or the date is not valid',
+  regularExpression: 'Invalid format detected',
+  length: 'Field length is incorrect',
+  range: 'Value is outside the allowed range',
+  emailAddress: 'Invalid email address',
+  fixedList: 'Choose one of the listed values',
+  iban: 'Invalid IBAN',
+  termsAndConditions: 'Please accept the terms and conditions'
+}
+
+/**
+ * Only card products can be saved through the card form - redirect methods have no card fields
+ */
+export const isCardProduct = (item) => item?.paymentMethod === 'card'
+
+/**
+ * Payment products a checkout offers - the backend returns the session's filters,
+ * e.g. { restrictTo: { products: [1, 2] }, exclude: { products: [3] } }
+ */
+export const applyProductFilters = (items = [], filters = {}) => {
+  const restrictTo = filters?.restrictTo?.products
+  const exclude = filters?.exclude?.products || []
+  return items.filter(item => (!restrictTo || restrictTo.includes(item.id)) && !exclude.includes(item.id))
+}
+
+/**
+ * Logo URL of a payment product - the Client API returns logo paths relative to the session's asset URL
+ */
+export const logoUrl = (item, assetUrl) => {
+  const logo = item?.displayHints?.logo
+  if (!logo) {
+    return null
+  }
+
+  try {
+    return new URL(logo, assetUrl).href
+  } catch (error) {
+    return logo
+  }
+}
+
+/**
+ * Masked card number and expiry date of an account on file (a saved card the session lists)
+ * The SDK masks the attributes with the account's label template
+ */
+export const accountOnFileDetails = (account) => {
+  const attribute = (key) => account.getMaskedValueByAttributeKey?.(key)?.formattedValue || account.attributeByKey?.[key]?.value || null
+  return {
+    label: attribute('alias'),
+    expiryDate: attribute('expiryDate')
+  }
+}
+
+/**
+ * Fields of a payment product in display order
+ */
+export const sortedFields = (paymentProduct) => {
+  return [...(paymentProduct?.paymentProductFields || [])]
+    .sort((a, b) => (a.displayHints?.displayOrder ?? 0) - (b.displayHints?.displayOrder ?? 0))
+}
+
+/**
+ * Message for an SDK validation error ID - length errors say how long the field has to be when the field is given
+ */
+export const errorMessage = (errorId, field) => {
+  const lengthRule = field?.dataRestrictions?.validationRuleByType?.length
+  if (errorId === 'length' && lengthRule) {
+    const { minLength, maxLength } = lengthRule
+    const length = minLength === maxLength ? minLength : `${minLength}-${maxLength}`
+    const unit = field.type === 'string' ? 'characters' : 'digits'
+    return `${field.displayHints?.label || 'This field'} must be ${length} ${unit}`
+  }
+
+  return ERROR_MESSAGES[errorId] || `Validation error: ${errorId}`
+}
+
+/**
+ * Longest input a field's mask allows, e.g. 5 for {{99}}/{{99}} - undefined for unmasked fields
+ */
+export const maxLength = (field) => {
+  const mask = field.displayHints?.mask
+  return mask ? mask.replace(/[{}]/g, '').length : undefined
+}
+
+// Mask characters without the braces, e.g. ['9', '9', '/', '9', '9'] - entries are 9 (digit), * (any) or a literal
+const maskCharacters = (mask) => {
+  const characters = []
+  let inPlaceholder = false
+  for (const char of mask) {
+    if (char === '{' || char === '}') {
+      inPlaceholder = char === '{'
+      continue
+    }
+    characters.push({ char, literal: !inPlaceholder })
+  }
+  return characters
+}
+
+/**
+ * Format a value with the field's mask as the customer types
+ * Uses the SDK's own masking; while the value grows, the literals that follow (the space after
+ * a card number group, the slash after the expiry month) are added straight away.
+ */
+export const formatValue = (field, value = '', previousValue = '') => {
+  const mask = field.displayHints?.mask
+  if (!mask || typeof field.applyMask !== 'function') {
+    return value
+  }
+
+  let formatted = field.applyMask(value, previousValue).formattedValue
+  if (formatted.length > previousValue.length) {
+    const characters = maskCharacters(mask)
+    while (formatted.length < characters.length && characters[formatted.length].literal) {
+      formatted += characters[formatted.length].char
+    }
+  }
+  return formatted
+}
+
+/**
+ * Format every value with the masks of a product, e.g. after switching products
+ */
+export const formatValues = (paymentProduct, values) => {
+  const formatted = { ...values }
+  for (const field of sortedFields(paymentProduct)) {
+    if (formatted[field.id]) {
+      formatted[field.id] = formatValue(field, formatted[field.id])
+    }
+  }
+  return formatted
+}
+
+/**
+ * Where the caret belongs after formatting - after the same number of letters and digits
+ * it followed in the typed value, so editing the middle of a card number doesn't jump to the end
+ */
+export const caretPosition = (typedValue, typedCaret, formattedValue) => {
+  if (typedCaret >= typedValue.length) {
+    return formattedValue.length
+  }
+
+  const significant = /[0-9a-zA-Z]/
+  let remaining = [...typedValue.slice(0, typedCaret)].filter(char => significant.test(char)).length
+  let position = 0
+  while (remaining > 0 && position < formattedValue.length) {
+    if (significant.test(formattedValue[position])) {
+      remaining--
+    }
+    position++
+  }
+  return position
+}
+
+/**
+ * Validate one field value with the product's own validators - returns the first error ID or null
+ */
+export const validateField = (field, value = '') => {
+  if (!value.trim()) {
+    return field.dataRestrictions?.isRequired ? 'required' : null
+  }
+
+  return field.getErrorCodes(value)[0] || null
+}
+
+/**
+ * Validate all fields of a product - returns { fieldId: message } for the fields that failed
+ */
+export const validateFields = (paymentProduct, values) => {
+  const errors = {}
+
+  for (const field of sortedFields(paymentProduct)) {
+    const errorId = validateField(field, values[field.id])
+    if (errorId) {
+      errors[field.id] = errorMessage(errorId, field)
+    }
+  }
+
+  return errors
+}
+
+export default {
+  isCardProduct,
+  applyProductFilters,
+  logoUrl,
+  accountOnFileDetails,
+  sortedFields,
+  errorMessage,
+  maxLength,
+  formatValue,
+  formatValues,
+  caretPosition,
+  validateField,
+  validateFields
+}
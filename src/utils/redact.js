@@ -0,0 +1,185 @@
+/**
+ * Log redaction
+ *
+ * Removes card data, secrets and customer PII from what is logged - by the
+ * backend's structured logger (including the Worldline SDK's request logging)
+ * and by the browser console. Shared by the server and the frontend.
+ *
+ * Fields are matched by name, case-insensitively, at any depth. Text is
+ * scrubbed too: digit runs that are valid card numbers, GCS authorization
+ * headers and sensitive fields of JSON embedded in a message.
+ */
+
+export const REDACTED = '[REDACTED]'
+
+// Removed entirely
+const REDACTED_FIELDS = [
+  // Card data and encrypted card input
+  'cvv',
+  'cvc',
+  'cardSecurityCode',
+  'encryptedCustomerInput',
+  'encryptedPaymentRequest',
+  'cardToken',
+  // Credentials
+  'apiKey',
+  'secretApiKey',
+  'secret',
+  'password',
+  'authorization',
+  'x-gcs-signature',
+  // Customer PII
+  'cardholderName',
+  'cardHolder',
+  'firstName',
+  'surname',
+  'email',
+  'emailAddress',
+  'phone',
+  'phoneNumber',
+  'mobilePhoneNumber',
+  'workPhoneNumber',
+  'faxNumber',
+  'dateOfBirth',
+  'street',
+  'houseNumber',
+  'additionalInfo',
+  'zip',
+  'ipAddress'
+].map(field => field.toLowerCase())
+
+// Only the last 4 characters are kept, so log lines can still be matched up
+const MASKED_FIELDS = [
+  'cardNumber',
+  'token',
+  'tokenId',
+  'tokens',
+  'invalidTokens',
+  'clientSessionId'
+].map(field => field.toLowerCase())
+
+// Nesting deeper than this is not logged
+const MAX_DEPTH = 10
+
+// 13-19 digits, optionally grouped with spaces or dashes, starting like a card brand
+const CARD_NUMBER_PATTERN = /\b[2-6](?:[ -]?\d){12,18}\b/g
+const AUTHORIZATION_PATTERN = /(GCS v1HMAC:)[^\s"',]+/g
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+const fieldAlternatives = (fields) => fields.map(escapeRegExp).join('|')
+
+// "field": value pairs of JSON inside a message
+const EMBEDDED_REDACTED_PATTERN = new RegExp(
+  `("(?:${fieldAlternatives(REDACTED_FIELDS)})"\\s*:\\s*)("(?:[^"\\\\]|\\\\.)*"|-?\\d[\\d.eE+-]*|true|false)`,
+  'gi'
+)
+const EMBEDDED_MASKED_PATTERN = new RegExp(
+  `("(?:${fieldAlternatives(MASKED_FIELDS)})"\\s*:\\s*)"((?:[^"\\\\]|\\\\.)*)"`,
+  'gi'
+)
+
+// Luhn checksum - tells card numbers from other long digit runs such as timestamps
+function isCardNumber(digits) {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+/**
+ * Keep the last 4 characters of a value, e.g. ************1111
+ */
+export function mask(value) {
+  const text = String(value)
+  return text.length > 4 ? `${'*'.repeat(Math.min(text.length - 4, 12))}${text.slice(-4)}` : REDACTED
+}
+
+/**
+ * Scrub card numbers, authorization headers and sensitive JSON fields from text
+ */
+export function redactText(text) {
+  if (typeof text !== 'string') {
+    return text
+  }
+
+  return text
+    .replace(EMBEDDED_REDACTED_PATTERN, `$1"${REDACTED}"`)
+    .replace(EMBEDDED_MASKED_PATTERN, (match, prefix, value) => `${prefix}"${mask(value)}"`)
+    .replace(AUTHORIZATION_PATTERN, `$1${REDACTED}`)
+    .replace(CARD_NUMBER_PATTERN, (match) => {
+      const digits = match.replace(/[ -]/g, '')
+      return isCardNumber(digits) ? mask(digits) : match
+    })
+}
+
+const maskAll = (value) => {
+  if (Array.isArray(value)) return value.map(maskAll)
+  if (typeof value === 'string' || typeof value === 'number') return mask(value)
+  return value
+}
+
+function redactValue(value, depth, seen) {
+  if (typeof value === 'string') {
+    return redactText(value)
+  }
+  if (typeof value !== 'object' || value === null) {
+    return value
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]'
+  }
+  if (seen.has(value)) {
+    return '[Circular]'
+  }
+  seen.add(value)
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactText(value.message),
+      ...(value.stack ? { stack: redactText(value.stack) } : {})
+    }
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth + 1, seen))
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => {
+    const field = key.toLowerCase()
+    if (fieldValue === undefined || fieldValue === null) {
+      return [key, fieldValue]
+    }
+    if (REDACTED_FIELDS.includes(field)) {
+      return [key, REDACTED]
+    }
+    if (MASKED_FIELDS.includes(field) && typeof fieldValue !== 'object') {
+      return [key, mask(fieldValue)]
+    }
+    if (MASKED_FIELDS.includes(field) && Array.isArray(fieldValue)) {
+      return [key, maskAll(fieldValue)]
+    }
+    return [key, redactValue(fieldValue, depth + 1, seen)]
+  }))
+}
+
+/**
+ * Copy of a value that is safe to log - sensitive fields are removed or masked
+ * at any depth, and strings are scrubbed with redactText(). Errors become
+ * { name, message, stack }.
+ */
+export function redact(value) {
+  return redactValue(value, 0, new WeakSet())
+}
+
+export default {
+  REDACTED,
+  redact,
+  redactText,
+  mask
+}
@@ -3,50 +3,75 @@
  * Use these in test mode to verify integration
  *
  * NOTE: Expiry format is MM/YY for UI display
- * The SDK internally converts this to MMYYYY format (e.g., "12/25" -> "122025")
+ * CardForm passes it to the SDK as MMYY (e.g., "12/30" -> "1230")
+ *
+ * `outcome` is what the local mock Worldline API (npm run mock:worldline) does with the card:
+ * 'approve', 'decline', '3ds' (challenge redirect) or 'timeout'. Other card numbers are approved.
  */
 export const testCards = [
   {
     name: 'Visa - Success',
     number: '4111111111111111',
-    expiry: '12/25', // MM/YY format - SDK converts to MMYYYY (122025)
+    expiry: '12/30', // MM/YY format - passed to the SDK as MMYY (1230)
     cvv: '123',
     holder: 'TEST USER',
+    outcome: 'approve',
   },
   {
     name: 'Visa - Decline',
     number: '4000000000000002',
-    expiry: '12/25',
+    expiry: '12/30',
     cvv: '123',
     holder: 'TEST USER',
+    outcome: 'decline',
+  },
+  {
+    name: 'Visa - 3D Secure Challenge',
+    number: '4000000000003220',
+    expiry: '12/30',
+    cvv: '123',
+    holder: 'TEST USER',
+    outcome: '3ds',
+  },
+  {
+    name: 'Visa - Timeout',
+    number: '4000000000000119',
+    expiry: '12/30',
+    cvv: '123',
+    holder: 'TEST USER',
+    outcome: 'timeout',
   },
   {
     name: 'Mastercard - Success',
     number: '5555555555554444',
-    expiry: '12/25',
+    expiry: '12/30',
     cvv: '123',
     holder: 'TEST USER',
+    outcome: 'approve',
   },
   {
     name: 'Mastercard - Decline',
     number: '5105105105105100',
-    expiry: '12/25',
+    expiry: '12/30',
     cvv: '123',
     holder: 'TEST USER',
+    outcome: 'decline',
   },
   {
     name: 'American Express',
     number: '378282246310005',
-    expiry: '12/25',
+    expiry: '12/30',
     cvv: '1234',
     holder: 'TEST USER',
+    outcome: 'approve',
   },
   {
     name: 'Discover',
     number: '6011111111111117',
-    expiry: '12/25',
+    expiry: '12/30',
     cvv: '123',
     holder: 'TEST USER',
+    outcome: 'approve',
   },
 ]
 
@@ -57,3 +82,11 @@ export function getTestCard(name) {
   return testCards.find(card => card.name === name)
 }
 
+/**
+ * Get a test card by card number (spaces ignored)
+ */
+export function getTestCardByNumber(number) {
+  const digits = String(number || '').replace(/\s/g, '')
+  return testCards.find(card => card.number === digits)
+}
+
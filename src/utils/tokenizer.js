@@ -0,0 +1,49 @@
+/**
+ * Worldline tokenizer.js loader
+ *
+ * The Hosted Tokenization Page is driven by Worldline's tokenizer.js, which
+ * embeds the card iframe and submits it. The script is served from the same
+ * host as the hosted tokenization URL, so it's loaded on demand from there
+ * rather than bundled. Each script URL is only added to the page once.
+ */
+
+const TOKENIZER_PATH = '/hostedtokenization/js/client/tokenizer.min.js'
+
+const loading = new Map()
+
+/**
+ * URL of tokenizer.js for a hosted tokenization URL
+ */
+export const tokenizerScriptUrl = (hostedTokenizationUrl) => new URL(TOKENIZER_PATH, hostedTokenizationUrl).toString()
+
+/**
+ * Load tokenizer.js for a hosted tokenization URL - resolves to the Tokenizer class
+ */
+export const loadTokenizer = (hostedTokenizationUrl) => {
+  const src = tokenizerScriptUrl(hostedTokenizationUrl)
+
+  if (!loading.has(src)) {
+    loading.set(src, new Promise((resolve, reject) => {
+      const script = document.createElement('script')
+      script.src = src
+      script.async = true
+      script.onload = () => window.Tokenizer
+        ? resolve(window.Tokenizer)
+        : reject(new Error('tokenizer.js did not define Tokenizer'))
+      script.onerror = () => {
+        // Let the next attempt try again
+        loading.delete(src)
+        script.remove()
+        reject(new Error(`Could not load ${src}`))
+      }
+      document.head.appendChild(script)
+    }))
+  }
+
+  return loading.get(src)
+}
+
+export default {
+  tokenizerScriptUrl,
+  loadTokenizer
+}
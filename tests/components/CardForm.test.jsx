@@ -0,0 +1,534 @@
+import { cleanup, fireEvent, render, screen, waitFor, within } from '@testing-library/react'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { AccountOnFile } from 'onlinepayments-sdk-client-js'
+import CardForm from '../../src/components/CardForm'
+import * as localStorage from '../../src/utils/localStorage'
+import { basicPaymentItem, fakePaymentProduct } from '../helpers/fakePaymentProduct'
+import { jsonResponse, mockFetch } from '../helpers/mockFetch'
+
+const sdk = vi.hoisted(() => ({
+  errorMessageIds: [],
+  paymentProductId: null,
+  values: {}
+}))
+
+// The SDK's own validation and encryption are covered by the SDK - only the form's handling of them is tested here
+vi.mock('onlinepayments-sdk-client-js', async (importOriginal) => ({
+  ...await importOriginal(),
+  PaymentRequest: class {
+    setPaymentProduct(paymentProduct) {
+      sdk.paymentProductId = paymentProduct.id
+    }
+    setValue(key, value) {
+      sdk.values[key] = value
+    }
+    isValid() {
+      return sdk.errorMessageIds.length === 0
+    }
+    getErrorMessageIds() {
+      return sdk.errorMessageIds
+    }
+  }
+}))
+
+const products = {
+  1: fakePaymentProduct({ id: 1, label: 'Visa' }),
+  2: fakePaymentProduct({ id: 2, label: 'American Express', cvvLength: 4, cardNumberMask: '{{9999}} {{999999}} {{99999}}' }),
+  900: fakePaymentProduct({ id: 900, label: 'eftpos' })
+}
+
+// IIN lookups by card number prefix - other prefixes are unknown ranges, which the SDK rejects
+const iinDetails = {
+  41111111: { status: 'SUPPORTED', paymentProductId: 1, countryCode: 'AU', coBrands: [] },
+  378282: { status: 'SUPPORTED', paymentProductId: 2, countryCode: 'US', coBrands: [] },
+  37828224: { status: 'SUPPORTED', paymentProductId: 2, countryCode: 'US', coBrands: [] },
+  45640000: {
+    status: 'SUPPORTED',
+    paymentProductId: 900,
+    countryCode: 'AU',
+    coBrands: [
+      { paymentProductId: 900, isAllowedInContext: true },
+      { paymentProductId: 1, isAllowedInContext: true }
+    ]
+  },
+  35280000: { status: 'EXISTING_BUT_NOT_ALLOWED', paymentProductId: 125, countryCode: 'JP' },
+  // Discover - accepted by the account but not offered by this checkout
+  60110000: { status: 'SUPPORTED', paymentProductId: 128, countryCode: 'US', coBrands: [] }
+}
+
+const session = {
+  customerId: 'customer_123',
+  assetUrl: 'https://assets.example/',
+  getPaymentProduct: vi.fn(async (id) => products[id]),
+  getIinDetails: vi.fn(async (prefix) => {
+    if (!iinDetails[prefix]) throw new Error('IIN_NOT_FOUND')
+    return iinDetails[prefix]
+  }),
+  getEncryptor: () => ({ encrypt: vi.fn().mockResolvedValue('encrypted-card') })
+}
+
+const refreshSession = vi.fn()
+// Signed-in user the wallet belongs to
+const USER_ID = 'user_123'
+// Saved card tokens the session reported as unknown, and as not on file for the user
+let invalidTokens = []
+let foreignTokens = []
+// Saved cards the session lists
+let accountsOnFile = []
+// Context the form created its session with
+let sessionContext = null
+
+const paymentProducts = [
+  basicPaymentItem(products[1]),
+  basicPaymentItem(products[2]),
+  basicPaymentItem(products[900]),
+  basicPaymentItem({ id: 840, paymentMethod: 'redirect', displayHints: { label: 'PayPal' } })
+]
+
+vi.mock('../../src/hooks/useWorldlineSession', async (importOriginal) => ({
+  ...await importOriginal(),
+  useWorldlineSession: (context) => {
+    sessionContext = context
+    return {
+      session,
+      loading: false,
+      error: null,
+      paymentProducts,
+      accountsOnFile,
+      invalidTokens,
+      foreignTokens,
+      retry: vi.fn(),
+      refresh: refreshSession,
+      runWithSession: (call) => call(session)
+    }
+  }
+}))
+
+const tokenCreated = () => jsonResponse(201, {
+  success: true,
+  tokenId: 'token_123',
+  maskedCardNumber: '************1111',
+  paymentProductId: 1
+})
+
+describe('CardForm', () => {
+  beforeEach(() => {
+    sdk.errorMessageIds = []
+    sdk.paymentProductId = null
+    sdk.values = {}
+    session.getPaymentProduct.mockClear()
+    session.getIinDetails.mockClear()
+    refreshSession.mockClear()
+    invalidTokens = []
+    foreignTokens = []
+    accountsOnFile = []
+    sessionContext = null
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  const renderForm = async (props = {}) => {
+    render(<CardForm userId={USER_ID} onTokenGenerated={vi.fn()} {...props} />)
+    await screen.findByLabelText(/Card number/)
+  }
+
+  const generateToken = () => fireEvent.click(screen.getByRole('button', { name: /Generate & Save Card Token/ }))
+
+  const enterCardNumber = (value) => fireEvent.change(screen.getByLabelText(/Card number/), { target: { value } })
+
+  describe('payment products', () => {
+    it('builds the form from the product fields in display order', async () => {
+      mockFetch({})
+      await renderForm()
+
+      const labels = [...document.querySelectorAll('label[for^="field-"]')].map(label => label.textContent)
+      expect(labels).toEqual(['Card number *', 'Cardholder name *', 'Expiry date *', 'Card verification code *'])
+      expect(screen.getByLabelText(/Card number/)).toHaveAttribute('maxLength', '19')
+      expect(screen.getByLabelText(/Card verification code/)).toHaveAttribute('type', 'password')
+      expect(session.getPaymentProduct).toHaveBeenCalledWith(1, expect.objectContaining({ countryCode: 'AU' }))
+    })
+
+    it('offers only card products and loads the one picked', async () => {
+      mockFetch({})
+      await renderForm()
+
+      const picker = screen.getByLabelText('Card Type')
+      expect([...picker.options].map(option => option.textContent)).toEqual(['Visa', 'American Express', 'eftpos'])
+
+      fireEvent.change(picker, { target: { value: '2' } })
+
+      await waitFor(() => expect(session.getPaymentProduct).toHaveBeenLastCalledWith(2, expect.anything()))
+      expect(await screen.findByPlaceholderText('****')).toHaveAttribute('maxLength', '4')
+    })
+
+    it('shows an error when the product cannot be loaded', async () => {
+      mockFetch({})
+      session.getPaymentProduct.mockRejectedValueOnce(new Error('404'))
+      render(<CardForm userId={USER_ID} onTokenGenerated={vi.fn()} />)
+
+      expect(await screen.findByText(/Could not load the card form for payment product 1/)).toBeInTheDocument()
+      expect(screen.getByRole('button', { name: /Generate & Save Card Token/ })).toBeDisabled()
+    })
+
+    it('asks for a new session instead of failing when the session has expired', async () => {
+      mockFetch({})
+      session.getPaymentProduct.mockRejectedValueOnce(Object.assign(new Error('Client session has expired'), { status: 403 }))
+      render(<CardForm userId={USER_ID} onTokenGenerated={vi.fn()} />)
+
+      await waitFor(() => expect(refreshSession).toHaveBeenCalled())
+      expect(screen.queryByText(/Could not load the card form/)).not.toBeInTheDocument()
+    })
+  })
+
+  describe('IIN lookup', () => {
+    it('looks up 6 digits, then 8 once they are entered', async () => {
+      mockFetch({})
+      await renderForm()
+      session.getIinDetails.mockClear()
+
+      enterCardNumber('37828')
+      enterCardNumber('378282')
+      await waitFor(() => expect(session.getIinDetails).toHaveBeenCalledWith('378282', expect.objectContaining({ countryCode: 'AU' })))
+
+      enterCardNumber('3782 8224 631')
+      await waitFor(() => expect(session.getIinDetails).toHaveBeenLastCalledWith('37828224', expect.anything()))
+      expect(session.getIinDetails).toHaveBeenCalledTimes(2)
+    })
+
+    it('switches to the detected product and shows its logo', async () => {
+      mockFetch({})
+      await renderForm()
+
+      enterCardNumber('3782 82')
+
+      await waitFor(() => expect(screen.getByLabelText('Card Type')).toHaveValue('2'))
+      expect(await screen.findByPlaceholderText('****')).toBeInTheDocument()
+      expect(screen.getByRole('img', { name: 'American Express' }))
+        .toHaveAttribute('src', 'https://assets.example/logos/2.png')
+    })
+
+    it('keeps the selected product when the card range is unknown', async () => {
+      mockFetch({})
+      await renderForm()
+
+      enterCardNumber('9999 9999 9999 9999')
+
+      await waitFor(() => expect(session.getIinDetails).toHaveBeenLastCalledWith('99999999', expect.anything()))
+      expect(screen.getByLabelText('Card Type')).toHaveValue('1')
+      expect(screen.queryByRole('img')).not.toBeInTheDocument()
+    })
+
+    it('lets the cardholder choose the network of a co-badged card', async () => {
+      mockFetch({ 'POST /tokens': tokenCreated })
+      await renderForm()
+
+      enterCardNumber('4564 0000 0000 0000')
+
+      const eftpos = await screen.findByRole('radio', { name: 'eftpos' })
+      const visa = screen.getByRole('radio', { name: 'Visa' })
+      // The issuer's preferred network is picked until the cardholder chooses
+      expect(eftpos).toBeChecked()
+      expect(screen.getByLabelText('Card Type')).toHaveValue('900')
+
+      fireEvent.click(visa)
+      await waitFor(() => expect(session.getPaymentProduct).toHaveBeenLastCalledWith(1, expect.anything()))
+      expect(visa).toBeChecked()
+
+      generateToken()
+      await screen.findByText(/added to your saved cards/)
+      expect(sdk.paymentProductId).toBe(1)
+    })
+
+    it('refuses a brand the merchant does not accept', async () => {
+      const fetch = mockFetch({})
+      await renderForm()
+
+      enterCardNumber('3528 0000 0000 0007')
+
+      expect(await screen.findByText('This card brand is not accepted - please use another card')).toBeInTheDocument()
+      generateToken()
+      expect(await screen.findByText(/Please correct the errors below/)).toBeInTheDocument()
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    it('refuses a brand this checkout does not offer', async () => {
+      mockFetch({})
+      await renderForm()
+
+      enterCardNumber('6011 0000 0000 0004')
+
+      expect(await screen.findByText('This card brand is not accepted - please use another card')).toBeInTheDocument()
+      expect(screen.getByLabelText('Card Type')).toHaveValue('1')
+    })
+  })
+
+  describe('formatting', () => {
+    it('groups the card number with the brand mask as it is typed', async () => {
+      mockFetch({})
+      await renderForm()
+      const cardNumber = screen.getByLabelText(/Card number/)
+
+      enterCardNumber('41111')
+      expect(cardNumber).toHaveValue('4111 1')
+
+      // The space after a full group is added straight away, and can be deleted
+      enterCardNumber('4111 12')
+      enterCardNumber('4111 123')
+      enterCardNumber('4111 1234')
+      expect(cardNumber).toHaveValue('4111 1234 ')
+      enterCardNumber('4111 1234')
+      expect(cardNumber).toHaveValue('4111 1234')
+    })
+
+    it('re-groups the card number and shortens the CVV when the brand changes', async () => {
+      mockFetch({})
+      await renderForm()
+      fireEvent.change(screen.getByLabelText(/Card verification code/), { target: { value: '1234' } })
+      expect(screen.getByLabelText(/Card verification code/)).toHaveValue('123')
+
+      enterCardNumber('378282246310005')
+      expect(await screen.findByDisplayValue('3782 822463 10005')).toBeInTheDocument()
+      fireEvent.change(screen.getByLabelText(/Card verification code/), { target: { value: '1234' } })
+      expect(screen.getByLabelText(/Card verification code/)).toHaveValue('1234')
+    })
+
+    it('adds the slash to the expiry date', async () => {
+      mockFetch({})
+      await renderForm()
+      const expiryDate = screen.getByLabelText(/Expiry date/)
+
+      fireEvent.change(expiryDate, { target: { value: '' } })
+      fireEvent.change(expiryDate, { target: { value: '1' } })
+      fireEvent.change(expiryDate, { target: { value: '12' } })
+      expect(expiryDate).toHaveValue('12/')
+
+      fireEvent.change(expiryDate, { target: { value: '1230' } })
+      expect(expiryDate).toHaveValue('12/30')
+    })
+  })
+
+  describe('validation', () => {
+    it('shows field errors when the customer leaves the field', async () => {
+      mockFetch({})
+      await renderForm()
+
+      enterCardNumber('4111 1111 1111 1112')
+      fireEvent.blur(screen.getByLabelText(/Card number/))
+      expect(screen.getByText('This card number is not valid - please check it for typos')).toBeInTheDocument()
+      expect(screen.getByLabelText(/Card number/)).toHaveAttribute('aria-invalid', 'true')
+
+      fireEvent.change(screen.getByLabelText(/Expiry date/), { target: { value: '01/20' } })
+      fireEvent.blur(screen.getByLabelText(/Expiry date/))
+      expect(screen.getByText('This card has expired or the date is not valid')).toBeInTheDocument()
+
+      fireEvent.change(screen.getByLabelText(/Card verification code/), { target: { value: '12' } })
+      fireEvent.blur(screen.getByLabelText(/Card verification code/))
+      expect(screen.getByText('Card verification code must be 3 digits')).toBeInTheDocument()
+    })
+
+    it('waits for submit before asking for empty fields', async () => {
+      mockFetch({})
+      await renderForm()
+
+      fireEvent.change(screen.getByLabelText(/Cardholder name/), { target: { value: '' } })
+      fireEvent.blur(screen.getByLabelText(/Cardholder name/))
+
+      expect(screen.queryByText('This field is required')).not.toBeInTheDocument()
+    })
+
+    it('requires the fields the product marks as required', async () => {
+      const fetch = mockFetch({})
+      await renderForm()
+
+      fireEvent.change(screen.getByLabelText(/Cardholder name/), { target: { value: '  ' } })
+      generateToken()
+
+      expect(await screen.findByText('This field is required')).toBeInTheDocument()
+      expect(screen.getByText(/Please correct the errors below/)).toBeInTheDocument()
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    it('checks values with the product validators', async () => {
+      mockFetch({})
+      await renderForm()
+
+      enterCardNumber('3782 822463 10006')
+      await screen.findByPlaceholderText('****')
+      fireEvent.change(screen.getByLabelText(/Expiry date/), { target: { value: '13/30' } })
+      fireEvent.change(screen.getByLabelText(/Card verification code/), { target: { value: '123' } })
+      generateToken()
+
+      expect(await screen.findByText('This card number is not valid - please check it for typos')).toBeInTheDocument()
+      expect(screen.getByText('Invalid format detected')).toBeInTheDocument()
+      // American Express codes are four digits
+      expect(screen.getByText('Card verification code must be 4 digits')).toBeInTheDocument()
+    })
+
+    it('clears a field error once the field is edited', async () => {
+      mockFetch({})
+      await renderForm()
+
+      enterCardNumber('4111')
+      generateToken()
+      expect(await screen.findByText('Card number must be 13-19 digits')).toBeInTheDocument()
+
+      enterCardNumber('4111 1111 1111 1111')
+      expect(screen.queryByText('Card number must be 13-19 digits')).not.toBeInTheDocument()
+    })
+
+    it('shows SDK validation errors without calling the backend', async () => {
+      sdk.errorMessageIds = ['expirationDate']
+      const fetch = mockFetch({})
+      await renderForm()
+
+      generateToken()
+
+      expect(await screen.findByText(/This card has expired or the date is not valid/)).toBeInTheDocument()
+      expect(fetch).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('session', () => {
+    it('asks the session for the saved cards and the products this checkout offers', async () => {
+      const paymentProductFilters = { restrictTo: { products: [1, 2] } }
+      await renderForm({ savedTokenIds: ['token_123'], paymentProductFilters })
+
+      expect(sessionContext).toMatchObject({ tokens: ['token_123'], paymentProductFilters })
+    })
+
+    it('looks products up for the amount in the decimals of the checkout currency', async () => {
+      await renderForm({ currencyCode: 'AUD' })
+      const amount = sessionContext.amount
+      cleanup()
+
+      await renderForm({ currencyCode: 'KWD' })
+      expect(sessionContext).toMatchObject({ currencyCode: 'KWD', amount: amount * 10 })
+    })
+
+    it('lists the cards on file of the session', async () => {
+      accountsOnFile = [new AccountOnFile({
+        id: 'token_123',
+        paymentProductId: 1,
+        attributes: [
+          { key: 'alias', value: '************1111', status: 'READ_ONLY' },
+          { key: 'expiryDate', value: '1230', status: 'READ_ONLY' }
+        ],
+        displayHints: {
+          logo: 'templates/pp_logo_1.png',
+          labelTemplate: [
+            { attributeKey: 'alias', mask: '{{9999}} {{9999}} {{9999}} {{9999}}' },
+            { attributeKey: 'expiryDate', mask: '{{99}}/{{99}}' }
+          ]
+        }
+      })]
+      await renderForm()
+
+      const cards = within(screen.getByRole('list', { name: 'Cards on file' })).getAllByRole('listitem')
+      expect(cards).toHaveLength(1)
+      expect(cards[0]).toHaveTextContent('**** **** **** 1111')
+      expect(cards[0]).toHaveTextContent('Expires 12/30')
+      expect(within(cards[0]).getByRole('img', { name: 'Visa' })).toHaveAttribute('src', 'https://assets.example/templates/pp_logo_1.png')
+    })
+
+    it('leaves the cards on file out when the session has none', async () => {
+      await renderForm()
+
+      expect(screen.queryByRole('list', { name: 'Cards on file' })).not.toBeInTheDocument()
+    })
+  })
+
+  describe('tokenization', () => {
+    it('removes saved cards whose tokens Worldline no longer knows', async () => {
+      mockFetch({})
+      localStorage.add(USER_ID, { tokenId: 'token_gone', maskedCardNumber: '************0002', customerId: 'customer_123' })
+      localStorage.add(USER_ID, { tokenId: 'token_kept', maskedCardNumber: '************1111', customerId: 'customer_123' })
+      invalidTokens = ['token_gone']
+      const onWalletChange = vi.fn()
+      await renderForm({ savedTokenIds: ['token_gone', 'token_kept'], onWalletChange })
+
+      await waitFor(() => expect(onWalletChange).toHaveBeenCalled())
+      expect(localStorage.load(USER_ID).cards.map(card => card.tokenId)).toEqual(['token_kept'])
+      expect(screen.getByText(/A saved card \(\*{12}0002\) can no longer be used and was removed/)).toBeInTheDocument()
+    })
+
+    it('keeps saved cards that are not on file for the user and points them out', async () => {
+      mockFetch({})
+      localStorage.add(USER_ID, { tokenId: 'token_other', maskedCardNumber: '************0002', customerId: 'customer_123' })
+      foreignTokens = ['token_other']
+      const onWalletChange = vi.fn()
+      await renderForm({ savedTokenIds: ['token_other'], onWalletChange })
+
+      expect(await screen.findByText(/A saved card \(\*{12}0002\) is not saved to your account and can't be charged/)).toBeInTheDocument()
+      expect(localStorage.load(USER_ID).cards.map(card => card.tokenId)).toEqual(['token_other'])
+      expect(onWalletChange).not.toHaveBeenCalled()
+    })
+
+    it('exchanges the encrypted card for a token and saves it to the wallet', async () => {
+      const fetch = mockFetch({ 'POST /tokens': tokenCreated })
+      const onTokenGenerated = vi.fn()
+      await renderForm({ onTokenGenerated })
+
+      generateToken()
+
+      expect(await screen.findByText(/Visa \*{12}1111 added to your saved cards/)).toBeInTheDocument()
+      // Values go to the SDK as entered - it removes the product's masks itself
+      expect(sdk.paymentProductId).toBe(1)
+      expect(sdk.values).toEqual({
+        cardNumber: '4111 1111 1111 1111',
+        cardholderName: 'TEST USER',
+        expiryDate: '12/30',
+        cvv: '123'
+      })
+
+      const [, options] = fetch.mock.calls[0]
+      expect(JSON.parse(options.body)).toMatchObject({
+        cardToken: 'encrypted-card',
+        currency: 'AUD'
+      })
+      expect(JSON.parse(options.body).customerId).toBeUndefined()
+
+      const wallet = localStorage.load(USER_ID)
+      expect(wallet.defaultTokenId).toBe('token_123')
+      expect(wallet.cards[0]).toMatchObject({
+        tokenId: 'token_123',
+        maskedCardNumber: '************1111',
+        cardType: 'Visa',
+        cardHolder: 'TEST USER',
+        expiryDate: '12/30',
+        paymentProductId: 1,
+        customerId: 'customer_123'
+      })
+      // Only the token and display details are kept - never card data
+      expect(JSON.stringify(wallet)).not.toContain('4111111111111111')
+      expect(JSON.stringify(wallet)).not.toContain('encrypted-card')
+      expect(onTokenGenerated).toHaveBeenCalledWith(wallet)
+    })
+
+    it('stops the encryption timeout once the card is encrypted', async () => {
+      mockFetch({ 'POST /tokens': tokenCreated })
+      const setTimeoutSpy = vi.spyOn(globalThis, 'setTimeout')
+      const clearTimeoutSpy = vi.spyOn(globalThis, 'clearTimeout')
+      await renderForm()
+
+      generateToken()
+
+      expect(await screen.findByText(/Visa \*{12}1111 added to your saved cards/)).toBeInTheDocument()
+      const encryptionTimeout = setTimeoutSpy.mock.results[setTimeoutSpy.mock.calls.findIndex(([, delay]) => delay === 5000)].value
+      expect(clearTimeoutSpy).toHaveBeenCalledWith(encryptionTimeout)
+    })
+
+    it('shows the backend error and saves nothing when tokenization fails', async () => {
+      mockFetch({
+        'POST /tokens': () => jsonResponse(400, { success: false, error: 'Card verification failed', message: 'Card declined' })
+      })
+      const onTokenGenerated = vi.fn()
+      await renderForm({ onTokenGenerated })
+
+      generateToken()
+
+      expect(await screen.findByText(/Card declined/)).toBeInTheDocument()
+      expect(localStorage.list(USER_ID)).toEqual([])
+      expect(onTokenGenerated).not.toHaveBeenCalled()
+    })
+  })
+})
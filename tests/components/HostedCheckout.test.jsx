@@ -0,0 +1,74 @@
+import { fireEvent, render, screen } from '@testing-library/react'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import HostedCheckout from '../../src/components/HostedCheckout'
+import { jsonResponse, mockFetch } from '../helpers/mockFetch'
+
+describe('HostedCheckout', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  const checkoutRequests = (fetch) => fetch.mock.calls.filter(([url]) => url.endsWith('/hosted-checkout'))
+
+  it('creates a hosted checkout and sends the customer to the payment page', async () => {
+    const fetch = mockFetch({
+      'POST /hosted-checkout': () => jsonResponse(201, {
+        hostedCheckoutId: 'checkout_123',
+        redirectUrl: 'https://payment.example/hostedcheckout/checkout_123'
+      })
+    })
+    render(<HostedCheckout countryCode="AU" currencyCode="AUD" />)
+
+    fireEvent.change(screen.getByLabelText('Amount (AUD)'), { target: { value: '25.50' } })
+    fireEvent.change(screen.getByLabelText('Capture'), { target: { value: 'manual' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Continue to payment page' }))
+
+    expect(await screen.findByRole('button', { name: 'Redirecting to the payment page...' })).toBeDisabled()
+    expect(JSON.parse(checkoutRequests(fetch)[0][1].body)).toMatchObject({
+      amount: 2550,
+      currency: 'AUD',
+      countryCode: 'AU',
+      captureMode: 'manual'
+    })
+  })
+
+  it('uses the minor units of the selected currency', async () => {
+    const fetch = mockFetch({
+      'POST /hosted-checkout': () => jsonResponse(201, { hostedCheckoutId: 'checkout_123', redirectUrl: 'https://payment.example/' })
+    })
+    render(<HostedCheckout countryCode="JP" currencyCode="JPY" />)
+
+    expect(screen.getByLabelText('Amount (JPY)')).toHaveValue(100)
+    fireEvent.click(screen.getByRole('button', { name: 'Continue to payment page' }))
+
+    await screen.findByRole('button', { name: 'Redirecting to the payment page...' })
+    expect(JSON.parse(checkoutRequests(fetch)[0][1].body)).toMatchObject({ amount: 100, currency: 'JPY' })
+  })
+
+  it('rejects a zero amount', () => {
+    const fetch = mockFetch({})
+    render(<HostedCheckout countryCode="AU" currencyCode="AUD" />)
+
+    fireEvent.change(screen.getByLabelText('Amount (AUD)'), { target: { value: '0' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Continue to payment page' }))
+
+    expect(screen.getByText(/Enter an amount above 0 with up to 2 decimal places for AUD/)).toBeInTheDocument()
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  it('shows why the backend refused the checkout', async () => {
+    mockFetch({
+      'POST /hosted-checkout': () => jsonResponse(403, {
+        error: 'Payment products not allowed',
+        message: 'Payment product 2 not allowed - allowed: 1, 3'
+      })
+    })
+    render(<HostedCheckout countryCode="AU" currencyCode="AUD" />)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Continue to payment page' }))
+
+    expect(await screen.findByText(/Payment product 2 not allowed/)).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Continue to payment page' })).toBeEnabled()
+  })
+})
@@ -0,0 +1,129 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import HostedTokenization from '../../src/components/HostedTokenization'
+import * as localStorage from '../../src/utils/localStorage'
+import { jsonResponse, mockFetch } from '../helpers/mockFetch'
+
+// Stand-in for Worldline's tokenizer.js - what submitTokenization() resolves to is set per test
+const tokenizer = vi.hoisted(() => ({ instances: [], submitResult: null }))
+
+vi.mock('../../src/utils/tokenizer', () => ({
+  loadTokenizer: vi.fn(async () => class {
+    constructor(url, elementId, options) {
+      Object.assign(this, { url, elementId, options })
+      this.initialize = vi.fn().mockResolvedValue(undefined)
+      this.submitTokenization = vi.fn(async () => tokenizer.submitResult)
+      this.destroy = vi.fn()
+      tokenizer.instances.push(this)
+    }
+  })
+}))
+
+const sessionRoute = () => {
+  let created = 0
+  return () => {
+    created++
+    return jsonResponse(201, {
+      hostedTokenizationId: `tokenization_${created}`,
+      hostedTokenizationUrl: `https://payment.example/hostedtokenization/tokenization_${created}`
+    })
+  }
+}
+
+const savedToken = {
+  success: true,
+  tokenId: 'token_123',
+  isNewToken: true,
+  paymentProductId: 3,
+  maskedCardNumber: '************4444',
+  expiryDate: '1230',
+  cardholderName: 'TEST USER'
+}
+
+describe('HostedTokenization', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    tokenizer.instances = []
+    tokenizer.submitResult = { success: true, hostedTokenizationId: 'tokenization_1' }
+  })
+
+  // The button is rendered disabled until the iframe is ready
+  const saveCardButton = async () => {
+    const button = await screen.findByRole('button', { name: '💾 Save Card' })
+    await waitFor(() => expect(button).toBeEnabled())
+    return button
+  }
+
+  it('embeds the Worldline iframe for a new hosted tokenization session', async () => {
+    mockFetch({ 'POST /hosted-tokenization': sessionRoute() })
+    render(<HostedTokenization userId="user_123" currencyCode="AUD" onTokenGenerated={vi.fn()} />)
+
+    await saveCardButton()
+    expect(tokenizer.instances[0]).toMatchObject({
+      url: 'https://payment.example/hostedtokenization/tokenization_1',
+      elementId: 'hosted-tokenization-frame'
+    })
+    expect(tokenizer.instances[0].initialize).toHaveBeenCalled()
+  })
+
+  it('saves the submitted card to the wallet and loads fresh card fields', async () => {
+    const fetch = mockFetch({
+      'POST /hosted-tokenization': sessionRoute(),
+      'POST /hosted-tokenization/tokenization_1/token': () => jsonResponse(200, savedToken)
+    })
+    const onTokenGenerated = vi.fn()
+    render(<HostedTokenization userId="user_123" currencyCode="NZD" onTokenGenerated={onTokenGenerated} />)
+
+    fireEvent.click(await saveCardButton())
+
+    expect(await screen.findByText('✓ Mastercard ************4444 saved')).toBeInTheDocument()
+    expect(tokenizer.instances[0].submitTokenization).toHaveBeenCalledWith({ storePermanently: true })
+    expect(localStorage.list('user_123')).toEqual([expect.objectContaining({
+      tokenId: 'token_123',
+      cardType: 'Mastercard',
+      cardHolder: 'TEST USER',
+      expiryDate: '12/30',
+      paymentProductId: 3,
+      customerId: null
+    })])
+    expect(onTokenGenerated).toHaveBeenCalledWith(expect.objectContaining({ defaultTokenId: 'token_123' }))
+
+    const tokenRequest = fetch.mock.calls.find(([url]) => url.endsWith('/token'))
+    expect(JSON.parse(tokenRequest[1].body)).toMatchObject({ currency: 'NZD' })
+
+    // The used session is replaced
+    await waitFor(() => expect(tokenizer.instances).toHaveLength(2))
+    expect(tokenizer.instances[0].destroy).toHaveBeenCalled()
+  })
+
+  it('shows why the iframe refused the card', async () => {
+    tokenizer.submitResult = { success: false, error: { message: 'Card number is invalid' } }
+    const fetch = mockFetch({ 'POST /hosted-tokenization': sessionRoute() })
+    render(<HostedTokenization userId="user_123" currencyCode="AUD" onTokenGenerated={vi.fn()} />)
+
+    fireEvent.click(await saveCardButton())
+
+    expect(await screen.findByText(/Card number is invalid/)).toBeInTheDocument()
+    expect(fetch.mock.calls.filter(([url]) => url.endsWith('/token'))).toHaveLength(0)
+    expect(localStorage.list('user_123')).toEqual([])
+  })
+
+  it('offers to try again when the card fields cannot be loaded', async () => {
+    let attempts = 0
+    mockFetch({
+      'POST /hosted-tokenization': () => ++attempts === 1
+        ? jsonResponse(502, { error: 'Failed to create hosted tokenization' })
+        : sessionRoute()()
+    })
+    render(<HostedTokenization userId="user_123" currencyCode="AUD" onTokenGenerated={vi.fn()} />)
+
+    expect(await screen.findByText(/Could not load the card fields: Failed to create hosted tokenization/)).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: '💾 Save Card' })).toBeDisabled()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Try again' }))
+
+    await saveCardButton()
+    expect(screen.queryByText(/Could not load the card fields/)).not.toBeInTheDocument()
+  })
+})
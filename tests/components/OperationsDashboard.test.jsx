@@ -0,0 +1,165 @@
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import OperationsDashboard from '../../src/components/OperationsDashboard'
+import { jsonResponse, mockFetch } from '../helpers/mockFetch'
+
+const capturedPayment = {
+  paymentId: 'pay_1',
+  ownerId: 'user_1',
+  customerId: 'customer_1',
+  merchantReference: 'ORDER-1001',
+  subscriptionId: null,
+  amount: 5000,
+  currency: 'AUD',
+  status: 'CAPTURED',
+  captured: 5000,
+  uncaptured: 0,
+  refunded: 0,
+  createdAt: '2025-11-09T12:00:00.000Z',
+  updatedAt: '2025-11-09T12:00:00.000Z',
+  entries: [
+    { id: 'entry_1', type: 'authorization', status: 'CAPTURED', amount: 5000, currency: 'AUD', createdAt: '2025-11-09T12:00:00.000Z' }
+  ]
+}
+
+const refundedPayment = {
+  ...capturedPayment,
+  status: 'REFUND_REQUESTED',
+  refunded: 2000,
+  updatedAt: '2025-11-09T13:00:00.000Z',
+  entries: [
+    ...capturedPayment.entries,
+    { id: 'entry_2', type: 'refund', status: 'REFUND_REQUESTED', amount: 2000, currency: 'AUD', createdAt: '2025-11-09T13:00:00.000Z' }
+  ]
+}
+
+const list = (...payments) => jsonResponse(200, { payments, total: payments.length, page: 1, pageSize: 20 })
+
+const liveStatus = () => jsonResponse(200, {
+  paymentId: 'pay_1',
+  status: 'CAPTURED',
+  statusCategory: 'COMPLETED',
+  card: { cardNumber: '************1111' }
+})
+
+const webhookEvents = () => jsonResponse(200, {
+  paymentId: 'pay_1',
+  events: [
+    { id: 'evt_1', type: 'payment.captured', status: 'CAPTURED', created: '2025-11-09T12:00:05.000Z', receivedAt: '2025-11-09T12:00:06.000Z' }
+  ]
+})
+
+describe('OperationsDashboard', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  const listRequests = (fetch) => fetch.mock.calls
+    .map(([url]) => new URL(url))
+    .filter(url => url.pathname.endsWith('/payments'))
+
+  it('searches and filters transactions', async () => {
+    const fetch = mockFetch({ 'GET /payments': () => list(capturedPayment) })
+    render(<OperationsDashboard />)
+
+    expect(await screen.findByRole('button', { name: 'pay_1' })).toBeInTheDocument()
+    expect(screen.getByText('ORDER-1001')).toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText('Search transactions'), { target: { value: ' ORDER-1001 ' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }))
+    await waitFor(() => expect(listRequests(fetch).at(-1).searchParams.get('search')).toBe('ORDER-1001'))
+
+    fireEvent.change(screen.getByLabelText('Status'), { target: { value: 'REFUNDED' } })
+    await waitFor(() => expect(listRequests(fetch).at(-1).searchParams.get('status')).toBe('REFUNDED'))
+    expect(listRequests(fetch).at(-1).searchParams.get('search')).toBe('ORDER-1001')
+  })
+
+  it('shows the ledger entries and webhook events of the picked payment', async () => {
+    mockFetch({
+      'GET /payments': () => list(capturedPayment),
+      'GET /payments/pay_1': liveStatus,
+      'GET /payments/pay_1/events': webhookEvents
+    })
+    render(<OperationsDashboard />)
+
+    fireEvent.click(await screen.findByRole('button', { name: 'pay_1' }))
+
+    expect(await screen.findByText('payment.captured')).toBeInTheDocument()
+    expect(screen.getByText('authorization')).toBeInTheDocument()
+    expect(screen.getByText('CAPTURED (COMPLETED)')).toBeInTheDocument()
+    expect(screen.getByText('************1111')).toBeInTheDocument()
+
+    const steps = within(screen.getByRole('list')).getAllByRole('listitem')
+    expect(steps.map(step => step.textContent)).toEqual([
+      expect.stringMatching(/^Ledgerauthorization CAPTURED/),
+      expect.stringMatching(/^Webhookpayment.captured CAPTURED/)
+    ])
+  })
+
+  it('puts the steps in time order whatever offset Worldline sends', async () => {
+    mockFetch({
+      'GET /payments': () => list(refundedPayment),
+      'GET /payments/pay_1': liveStatus,
+      'GET /payments/pay_1/events': () => jsonResponse(200, {
+        paymentId: 'pay_1',
+        events: [
+          { id: 'evt_1', type: 'payment.captured', status: 'CAPTURED', created: '2025-11-09T13:00:05.000+01:00', receivedAt: '2025-11-09T12:00:06.000Z' }
+        ]
+      })
+    })
+    render(<OperationsDashboard />)
+
+    fireEvent.click(await screen.findByRole('button', { name: 'pay_1' }))
+
+    expect(await screen.findByText('payment.captured')).toBeInTheDocument()
+    const steps = within(screen.getByRole('list')).getAllByRole('listitem')
+    expect(steps.map(step => step.textContent)).toEqual([
+      expect.stringMatching(/^Ledgerauthorization/),
+      expect.stringMatching(/^Webhookpayment.captured/),
+      expect.stringMatching(/^Ledgerrefund/)
+    ])
+  })
+
+  it('refunds the picked payment and shows its new state', async () => {
+    let refunded = false
+    const fetch = mockFetch({
+      'GET /payments': () => list(refunded ? refundedPayment : capturedPayment),
+      'GET /payments/pay_1': liveStatus,
+      'GET /payments/pay_1/events': webhookEvents,
+      'POST /payments/pay_1/refund': () => {
+        refunded = true
+        return jsonResponse(200, { success: true, paymentId: 'pay_1', status: 'REFUND_REQUESTED' })
+      }
+    })
+    render(<OperationsDashboard />)
+
+    fireEvent.click(await screen.findByRole('button', { name: 'pay_1' }))
+    expect(screen.queryByRole('button', { name: 'Capture' })).not.toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText(/^Amount \(AUD\)/), { target: { value: '20.00' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Refund' }))
+
+    expect(await screen.findByText('refund')).toBeInTheDocument()
+    const [, options] = fetch.mock.calls.find(([url]) => url.endsWith('/payments/pay_1/refund'))
+    expect(JSON.parse(options.body)).toEqual({ amount: 2000 })
+  })
+
+  it('shows why an action was refused', async () => {
+    mockFetch({
+      'GET /payments': () => list(capturedPayment),
+      'GET /payments/pay_1': liveStatus,
+      'GET /payments/pay_1/events': webhookEvents,
+      'POST /payments/pay_1/refund': () => jsonResponse(409, {
+        error: 'Refund exceeds captured amount',
+        message: 'Only 50.00 AUD can still be refunded'
+      })
+    })
+    render(<OperationsDashboard />)
+
+    fireEvent.click(await screen.findByRole('button', { name: 'pay_1' }))
+    fireEvent.click(screen.getByRole('button', { name: 'Refund' }))
+
+    expect(await screen.findByText(/Only 50.00 AUD can still be refunded/)).toBeInTheDocument()
+  })
+})
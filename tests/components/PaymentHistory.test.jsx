@@ -0,0 +1,277 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import PaymentHistory from '../../src/components/PaymentHistory'
+import * as localStorage from '../../src/utils/localStorage'
+import { jsonResponse, mockFetch } from '../helpers/mockFetch'
+
+const savedCard = {
+  tokenId: 'token_123',
+  maskedCardNumber: '************1111',
+  cardType: 'VISA',
+  cardHolder: 'TEST USER',
+  expiryDate: '12/30',
+  paymentProductId: 1,
+  customerId: 'customer_123'
+}
+
+// Signed-in user the wallet belongs to
+const USER_ID = 'user_123'
+
+const emptyHistory = () => jsonResponse(200, { payments: [], total: 0, page: 1, pageSize: 10 })
+
+describe('PaymentHistory', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  const renderWithCard = (card = savedCard) => {
+    const wallet = localStorage.add(USER_ID, card)
+    return render(<PaymentHistory userId={USER_ID} wallet={wallet} onWalletChange={vi.fn()} />)
+  }
+
+  const chargeRequests = (fetch) => fetch.mock.calls.filter(([url]) => url.endsWith('/process-payment'))
+
+  it('charges the default card with an idempotency key', async () => {
+    const fetch = mockFetch({
+      'GET /payments': emptyHistory,
+      'POST /process-payment': () => jsonResponse(200, { success: true, paymentId: 'pay_123', status: 'CAPTURED' })
+    })
+    renderWithCard()
+
+    fireEvent.change(screen.getByPlaceholderText('100.00'), { target: { value: '25.50' } })
+    fireEvent.click(screen.getByRole('button', { name: '💰 Charge VISA' }))
+
+    expect(await screen.findByText('✓ Payment processed successfully!')).toBeInTheDocument()
+    expect(screen.getByText('pay_123')).toBeInTheDocument()
+
+    const [[, options]] = chargeRequests(fetch)
+    expect(options.headers['Idempotency-Key']).toMatch(/^[0-9a-f-]{36}$/)
+    expect(JSON.parse(options.body)).toMatchObject({
+      token: 'token_123',
+      paymentProductId: 1,
+      customerId: 'customer_123',
+      amount: 2550,
+      currency: 'AUD',
+      captureMode: 'auto'
+    })
+  })
+
+  it('lists the signed-in user\'s own transactions, not the picked card\'s customer', async () => {
+    const fetch = mockFetch({ 'GET /payments': emptyHistory })
+    renderWithCard()
+
+    await waitFor(() => expect(fetch).toHaveBeenCalled())
+    const params = new URL(fetch.mock.calls[0][0]).searchParams
+    expect(params.get('mine')).toBe('true')
+    expect(params.has('customerId')).toBe(false)
+  })
+
+  it('charges in the selected currency with its minor units', async () => {
+    const fetch = mockFetch({
+      'GET /payments': emptyHistory,
+      'POST /process-payment': () => jsonResponse(200, { success: true, paymentId: 'pay_jpy', status: 'CAPTURED' })
+    })
+    const wallet = localStorage.add(USER_ID, savedCard)
+    render(<PaymentHistory userId={USER_ID} wallet={wallet} onWalletChange={vi.fn()} currencyCode="JPY" />)
+
+    expect(screen.getByText('Amount (JPY)')).toBeInTheDocument()
+    fireEvent.change(screen.getByPlaceholderText('100'), { target: { value: '2550' } })
+    fireEvent.click(screen.getByRole('button', { name: '💰 Charge VISA' }))
+
+    expect(await screen.findByText('✓ Payment processed successfully!')).toBeInTheDocument()
+    expect(JSON.parse(chargeRequests(fetch)[0][1].body)).toMatchObject({ amount: 2550, currency: 'JPY' })
+  })
+
+  it('rejects decimals the currency does not have', async () => {
+    const fetch = mockFetch({ 'GET /payments': emptyHistory })
+    const wallet = localStorage.add(USER_ID, savedCard)
+    render(<PaymentHistory userId={USER_ID} wallet={wallet} onWalletChange={vi.fn()} currencyCode="JPY" />)
+
+    fireEvent.change(screen.getByPlaceholderText('100'), { target: { value: '25.5' } })
+    fireEvent.click(screen.getByRole('button', { name: '💰 Charge VISA' }))
+
+    expect(await screen.findByText(/JPY has no decimal places/)).toBeInTheDocument()
+    expect(chargeRequests(fetch)).toHaveLength(0)
+  })
+
+  it('shows the decline and lets the customer try again', async () => {
+    mockFetch({
+      'GET /payments': emptyHistory,
+      'POST /process-payment': () => jsonResponse(400, {
+        success: false,
+        error: 'Payment declined or processing failed',
+        status: 'REJECTED'
+      })
+    })
+    renderWithCard()
+
+    fireEvent.click(screen.getByRole('button', { name: '💰 Charge VISA' }))
+
+    expect(await screen.findByText(/Payment declined or processing failed/)).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: '💰 Charge VISA' })).toBeEnabled()
+  })
+
+  it('waits out a rate limit before charging again', async () => {
+    mockFetch({
+      'GET /payments': emptyHistory,
+      'POST /process-payment': () => jsonResponse(429, {
+        error: 'Too many requests',
+        code: 'LOCKED_OUT',
+        message: 'Too many declined payments for this card - try again in 1 hour',
+        retryAfter: 3600
+      })
+    })
+    renderWithCard()
+
+    fireEvent.click(screen.getByRole('button', { name: '💰 Charge VISA' }))
+
+    expect(await screen.findByText(/Too many declined payments for this card/)).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Too Many Attempts - Please Wait' })).toBeDisabled()
+  })
+
+  it('keeps a card the backend does not have on file and says why it was refused', async () => {
+    mockFetch({
+      'GET /payments': emptyHistory,
+      'POST /process-payment': () => jsonResponse(403, {
+        success: false,
+        error: 'Card not on file',
+        message: 'This card is not saved to your account'
+      })
+    })
+    const onWalletChange = vi.fn()
+    const wallet = localStorage.add(USER_ID, savedCard)
+    render(<PaymentHistory userId={USER_ID} wallet={wallet} onWalletChange={onWalletChange} />)
+
+    fireEvent.click(screen.getByRole('button', { name: '💰 Charge VISA' }))
+
+    expect(await screen.findByText(/\*{12}1111 is not saved to your account and can't be charged/)).toBeInTheDocument()
+    expect(localStorage.load(USER_ID).cards).toEqual([savedCard].map(card => expect.objectContaining(card)))
+    expect(onWalletChange).not.toHaveBeenCalled()
+  })
+
+  it('sends the order details that were filled in', async () => {
+    const fetch = mockFetch({
+      'GET /payments': emptyHistory,
+      'POST /process-payment': () => jsonResponse(200, { success: true, paymentId: 'pay_order', status: 'CAPTURED' })
+    })
+    renderWithCard()
+
+    fireEvent.change(screen.getByLabelText('Order reference'), { target: { value: 'ORDER-1001' } })
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'jane@example.com' } })
+    fireEvent.change(screen.getByLabelText('Billing street address'), { target: { value: '1 George St' } })
+    fireEvent.change(screen.getByLabelText('City'), { target: { value: 'Sydney' } })
+    fireEvent.click(screen.getByLabelText('Ship to the billing address'))
+    fireEvent.click(screen.getByRole('button', { name: '💰 Charge VISA' }))
+
+    expect(await screen.findByText('✓ Payment processed successfully!')).toBeInTheDocument()
+    expect(JSON.parse(chargeRequests(fetch)[0][1].body).order).toEqual({
+      merchantReference: 'ORDER-1001',
+      customer: {
+        email: 'jane@example.com',
+        billingAddress: { street: '1 George St', city: 'Sydney', countryCode: 'AU' }
+      },
+      shipping: {
+        address: { street: '1 George St', city: 'Sydney', countryCode: 'AU' }
+      }
+    })
+  })
+
+  it('sends the line items added to the order', async () => {
+    const fetch = mockFetch({
+      'GET /payments': emptyHistory,
+      'POST /process-payment': () => jsonResponse(200, { success: true, paymentId: 'pay_order', status: 'CAPTURED' })
+    })
+    renderWithCard()
+
+    fireEvent.click(screen.getByRole('button', { name: '+ Add line item' }))
+    fireEvent.click(screen.getByRole('button', { name: '+ Add line item' }))
+    fireEvent.change(screen.getByLabelText('Item 1 description'), { target: { value: 'Coffee beans' } })
+    fireEvent.change(screen.getByLabelText('Item 1 quantity'), { target: { value: '2' } })
+    fireEvent.change(screen.getByLabelText('Item 1 price (AUD)'), { target: { value: '50.00' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Remove item 2' }))
+    fireEvent.click(screen.getByRole('button', { name: '💰 Charge VISA' }))
+
+    expect(await screen.findByText('✓ Payment processed successfully!')).toBeInTheDocument()
+    const body = JSON.parse(chargeRequests(fetch)[0][1].body)
+    expect(body.amount).toBe(10000)
+    expect(body.order).toEqual({
+      lineItems: [{ description: 'Coffee beans', quantity: 2, amountPerItem: 5000 }]
+    })
+  })
+
+  it('shows why the order details were refused', async () => {
+    const fetch = mockFetch({
+      'GET /payments': emptyHistory,
+      'POST /process-payment': () => jsonResponse(400, {
+        error: 'Invalid order details',
+        message: 'order.customer.email must be an email address of up to 70 characters'
+      })
+    })
+    renderWithCard()
+
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'jane@example' } })
+    fireEvent.click(screen.getByRole('button', { name: '💰 Charge VISA' }))
+
+    expect(await screen.findByText(/order.customer.email must be an email address/)).toBeInTheDocument()
+    expect(JSON.parse(chargeRequests(fetch)[0][1].body).order).toEqual({ customer: { email: 'jane@example' } })
+  })
+
+  it('remembers the payment and redirects to the issuer for 3-D Secure', async () => {
+    mockFetch({
+      'GET /payments': emptyHistory,
+      'POST /process-payment': () => jsonResponse(402, {
+        requires3DS: true,
+        paymentId: 'pay_3ds',
+        redirectUrl: 'https://issuer.example/3ds/challenge'
+      })
+    })
+    renderWithCard()
+
+    fireEvent.click(screen.getByRole('button', { name: '💰 Charge VISA' }))
+
+    // jsdom does not navigate - the button switching over is the sign the redirect started
+    expect(await screen.findByRole('button', { name: 'Redirecting to your bank...' })).toBeDisabled()
+    expect(window.sessionStorage.getItem('pending3DSPaymentId')).toBe('pay_3ds')
+  })
+
+  it('only offers capture, cancel and refund to operators', async () => {
+    mockFetch({
+      'GET /payments': () => jsonResponse(200, {
+        payments: [{
+          paymentId: 'pay_auth',
+          amount: 5000,
+          currency: 'AUD',
+          status: 'PENDING_CAPTURE',
+          captured: 0,
+          uncaptured: 5000,
+          refunded: 0,
+          createdAt: '2025-11-09T12:00:00.000Z',
+          entries: []
+        }],
+        total: 1,
+        page: 1,
+        pageSize: 10
+      })
+    })
+    const wallet = localStorage.add(USER_ID, savedCard)
+    const { rerender } = render(<PaymentHistory userId={USER_ID} wallet={wallet} onWalletChange={vi.fn()} />)
+
+    expect(await screen.findByText('pay_auth')).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Capture' })).not.toBeInTheDocument()
+
+    rerender(<PaymentHistory userId={USER_ID} wallet={wallet} onWalletChange={vi.fn()} canManagePayments />)
+    expect(screen.getByRole('button', { name: 'Capture' })).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Cancel' })).toBeInTheDocument()
+  })
+
+  it('does not charge an expired card', async () => {
+    const fetch = mockFetch({ 'GET /payments': emptyHistory })
+    renderWithCard({ ...savedCard, expiryDate: '01/20' })
+
+    expect(screen.getByRole('button', { name: 'Card Expired' })).toBeDisabled()
+    expect(screen.getByText('Expired')).toBeInTheDocument()
+    await waitFor(() => expect(fetch).toHaveBeenCalled())
+    expect(chargeRequests(fetch)).toHaveLength(0)
+  })
+})
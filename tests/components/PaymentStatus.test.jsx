@@ -0,0 +1,125 @@
+import { render, screen } from '@testing-library/react'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import PaymentStatus from '../../src/components/PaymentStatus'
+import { jsonResponse, mockFetch } from '../helpers/mockFetch'
+
+const payment = (overrides = {}) => ({
+  paymentId: 'pay_123',
+  status: 'CAPTURED',
+  statusCode: 9,
+  statusCategory: 'COMPLETED',
+  isAuthorized: true,
+  amount: 10000,
+  currency: 'AUD',
+  card: { cardNumber: '************1111' },
+  ...overrides
+})
+
+describe('PaymentStatus', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    window.history.replaceState({}, '', '/')
+  })
+
+  it('renders nothing without a payment to check', () => {
+    const fetch = mockFetch({})
+    const { container } = render(<PaymentStatus />)
+
+    expect(container).toBeEmptyDOMElement()
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  it('completes a payment on the 3-D Secure return and shows the server status', async () => {
+    const fetch = mockFetch({
+      'POST /payments/pay_123/complete': () => jsonResponse(200, { ...payment(), completed: true })
+    })
+    window.history.replaceState({}, '', '/?paymentId=pay_123&RETURNMAC=abc')
+
+    render(<PaymentStatus />)
+
+    expect(await screen.findByText('Payment Successful')).toBeInTheDocument()
+    expect(screen.getByText('3D Secure authentication completed')).toBeInTheDocument()
+    expect(fetch).toHaveBeenCalledTimes(1)
+    // The return parameters are not left in the address bar
+    expect(window.location.search).toBe('')
+  })
+
+  it('uses the payment remembered before the redirect when the return URL has no payment ID', async () => {
+    window.sessionStorage.setItem('pending3DSPaymentId', 'pay_123')
+    mockFetch({
+      'POST /payments/pay_123/complete': () => jsonResponse(200, {
+        ...payment({ status: 'REJECTED', statusCode: 2, statusCategory: 'UNSUCCESSFUL', isAuthorized: false }),
+        completed: true
+      })
+    })
+
+    render(<PaymentStatus />)
+
+    expect(await screen.findByText('Payment Declined')).toBeInTheDocument()
+    expect(window.sessionStorage.getItem('pending3DSPaymentId')).toBeNull()
+  })
+
+  it('takes the status from the server, not from the return URL', async () => {
+    mockFetch({
+      'POST /payments/pay_123/complete': () => jsonResponse(200, {
+        ...payment({ status: 'REJECTED', statusCode: 2, statusCategory: 'UNSUCCESSFUL', isAuthorized: false }),
+        completed: true
+      })
+    })
+    window.history.replaceState({}, '', '/?paymentId=pay_123&status=SUCCEEDED')
+
+    render(<PaymentStatus />)
+
+    expect(await screen.findByText('Payment Declined')).toBeInTheDocument()
+    expect(screen.queryByText('Payment Successful')).not.toBeInTheDocument()
+  })
+
+  it('completes a hosted checkout with the RETURNMAC from the return URL', async () => {
+    const fetch = mockFetch({
+      'POST /hosted-checkout/checkout_123/complete': () => jsonResponse(200, {
+        ...payment(),
+        completed: true,
+        hostedCheckoutId: 'checkout_123',
+        hostedCheckoutStatus: 'PAYMENT_CREATED'
+      })
+    })
+    window.history.replaceState({}, '', '/?hostedCheckoutId=checkout_123&RETURNMAC=mac_456')
+
+    render(<PaymentStatus />)
+
+    expect(await screen.findByText('Payment Successful')).toBeInTheDocument()
+    expect(screen.getByText('pay_123')).toBeInTheDocument()
+    expect(screen.getByText('Returned from the Worldline payment page')).toBeInTheDocument()
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ returnMac: 'mac_456' })
+    expect(window.location.search).toBe('')
+  })
+
+  it('shows a hosted checkout the customer cancelled', async () => {
+    mockFetch({
+      'POST /hosted-checkout/checkout_123/complete': () => jsonResponse(200, {
+        completed: true,
+        hostedCheckoutId: 'checkout_123',
+        hostedCheckoutStatus: 'CANCELLED_BY_CONSUMER',
+        paymentId: null
+      })
+    })
+    window.history.replaceState({}, '', '/?hostedCheckoutId=checkout_123&RETURNMAC=mac_456')
+
+    render(<PaymentStatus />)
+
+    expect(await screen.findByText('Payment Cancelled')).toBeInTheDocument()
+    expect(screen.getByText('Hosted Checkout ID')).toBeInTheDocument()
+    expect(screen.getByText('checkout_123')).toBeInTheDocument()
+  })
+
+  it('says so when the status cannot be confirmed', async () => {
+    mockFetch({
+      'POST /payments/pay_123/complete': () => jsonResponse(502, { error: 'Failed to complete payment' })
+    })
+    window.history.replaceState({}, '', '/?paymentId=pay_123')
+
+    render(<PaymentStatus />)
+
+    expect(await screen.findByText(/We could not confirm your payment status/)).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,22 @@
+/**
+ * Signed-in requests for server tests
+ *
+ * Apps built with authSecret: TEST_AUTH_SECRET accept the headers from signedIn(), e.g.
+ *   request(app).post('/api/tokens').set(signedIn()).send(body)
+ */
+
+import { signToken } from '../../server/auth.js'
+
+export const TEST_AUTH_SECRET = 'test-auth-secret-at-least-32-characters'
+
+/**
+ * Authorization header of a user - a customer unless another role is given
+ */
+export function signedIn(userId = 'user_123', role = 'customer') {
+  return { Authorization: `Bearer ${signToken({ sub: userId, role }, TEST_AUTH_SECRET)}` }
+}
+
+export default {
+  TEST_AUTH_SECRET,
+  signedIn
+}
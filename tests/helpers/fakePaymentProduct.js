@@ -0,0 +1,78 @@
+/**
+ * Fake Worldline payment products for component tests
+ *
+ * Shaped like the client SDK's BasicPaymentItem / PaymentProduct models (the SDK
+ * does not export the classes). Masking is the SDK's own MaskingUtil; field
+ * validators are simplified stand-ins for the SDK's rules that return the same
+ * error IDs.
+ */
+
+import { MaskingUtil } from 'onlinepayments-sdk-client-js'
+
+const masking = new MaskingUtil()
+
+const luhn = (digits) => {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+// Cards are valid until the end of their expiry month
+const expired = (mmyy, now = new Date()) => {
+  const month = parseInt(mmyy.slice(0, 2))
+  const year = 2000 + parseInt(mmyy.slice(2))
+  return now >= new Date(year, month, 1)
+}
+
+const field = (id, displayOrder, { length, ...displayHints }, validate = () => []) => ({
+  id,
+  type: id === 'cardholderName' ? 'string' : 'numericstring',
+  dataRestrictions: {
+    isRequired: true,
+    validationRules: [],
+    validationRuleByType: length ? { length: { type: 'length', minLength: length[0], maxLength: length[1] } } : {}
+  },
+  displayHints: { displayOrder, formElement: { type: 'text' }, obfuscate: false, ...displayHints },
+  applyMask: (value, previousValue) => masking.applyMask(displayHints.mask, value, previousValue),
+  getErrorCodes: (value = '') => validate(masking.removeMask(displayHints.mask, masking.applyMask(displayHints.mask, value).formattedValue))
+})
+
+/**
+ * Card payment product with the four card fields
+ */
+export function fakePaymentProduct({ id = 1, label = 'Visa', cvvLength = 3, cardNumberMask = '{{9999}} {{9999}} {{9999}} {{9999}}' } = {}) {
+  return {
+    id,
+    paymentMethod: 'card',
+    displayHints: { displayOrder: 0, label, logo: `logos/${id}.png` },
+    paymentProductFields: [
+      // Out of display order on purpose - the form has to sort them
+      field('cvv', 40, { label: 'Card verification code', mask: `{{${'9'.repeat(cvvLength)}}}`, placeholderLabel: '*'.repeat(cvvLength), obfuscate: true, length: [cvvLength, cvvLength] },
+        value => value.length === cvvLength ? [] : ['length']),
+      field('cardNumber', 10, { label: 'Card number', mask: cardNumberMask, placeholderLabel: '**** **** **** ****', length: [13, 19] },
+        value => value.length < 13 || value.length > 19 ? ['length'] : luhn(value) ? [] : ['luhn']),
+      field('cardholderName', 20, { label: 'Cardholder name', placeholderLabel: 'John Doe', length: [2, 51] }),
+      field('expiryDate', 30, { label: 'Expiry date', mask: '{{99}}/{{99}}', placeholderLabel: 'MM/YY' },
+        value => !/^(0[1-9]|1[0-2])\d{2}$/.test(value) ? ['regularExpression'] : expired(value) ? ['expirationDate'] : [])
+    ]
+  }
+}
+
+/**
+ * The list entry (getBasicPaymentItems) for a product
+ */
+export function basicPaymentItem({ id, paymentMethod = 'card', displayHints }) {
+  return { id, paymentMethod, displayHints }
+}
+
+export default {
+  fakePaymentProduct,
+  basicPaymentItem
+}
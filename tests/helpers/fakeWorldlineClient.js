@@ -0,0 +1,105 @@
+/**
+ * Fake Worldline SDK client for server tests
+ *
+ * Mirrors the parts of the onlinepayments-sdk-nodejs client that server.js uses.
+ * Every method is a vi.fn() resolving to a successful SDK response, so tests only
+ * override the calls they care about (mockResolvedValueOnce / mockRejectedValueOnce).
+ */
+
+import { vi } from 'vitest'
+
+/**
+ * Build an SDK response the way the SDK does: { status, body, isSuccess }
+ */
+export function sdkResponse(status, body = {}) {
+  return { status, body, isSuccess: status >= 200 && status < 300 }
+}
+
+// statusOutput.statusCategory of the statuses tests use - the rest are COMPLETED
+const STATUS_CATEGORIES = {
+  PENDING_CAPTURE: 'PENDING_MERCHANT',
+  REJECTED: 'UNSUCCESSFUL',
+  CANCELLED: 'UNSUCCESSFUL'
+}
+
+/**
+ * Build a payment as returned by createPayment / getPayment
+ */
+export function payment({ id = 'pay_123', status = 'CAPTURED', statusCode = 9, amount = 10000, currency = 'AUD' } = {}) {
+  return {
+    id,
+    status,
+    statusOutput: { statusCode, statusCategory: STATUS_CATEGORIES[status] || 'COMPLETED' },
+    paymentOutput: {
+      amountOfMoney: { amount, currencyCode: currency },
+      cardPaymentMethodSpecificOutput: {
+        paymentProductId: 1,
+        card: { cardNumber: '************1111', expiryDate: '1230' }
+      }
+    }
+  }
+}
+
+export function createFakeWorldlineClient() {
+  return {
+    sessions: {
+      createSession: vi.fn().mockResolvedValue(sdkResponse(201, {
+        clientSessionId: 'session_123',
+        customerId: 'customer_123',
+        clientApiUrl: 'https://payment.preprod.anzworldline-solutions.com.au',
+        assetUrl: 'https://assets.preprod.anzworldline-solutions.com.au'
+      }))
+    },
+    payments: {
+      createPayment: vi.fn().mockResolvedValue(sdkResponse(201, { payment: payment() })),
+      getPayment: vi.fn().mockResolvedValue(sdkResponse(200, payment())),
+      capturePayment: vi.fn().mockResolvedValue(sdkResponse(201, { id: 'pay_123-1', status: 'CAPTURED' })),
+      cancelPayment: vi.fn().mockResolvedValue(sdkResponse(200, { payment: payment({ status: 'CANCELLED' }) })),
+      refundPayment: vi.fn().mockResolvedValue(sdkResponse(201, { id: 'refund_123', status: 'REFUND_REQUESTED' }))
+    },
+    captures: {
+      getCaptures: vi.fn().mockResolvedValue(sdkResponse(200, { captures: [] }))
+    },
+    refunds: {
+      getRefunds: vi.fn().mockResolvedValue(sdkResponse(200, { refunds: [] }))
+    },
+    hostedCheckout: {
+      createHostedCheckout: vi.fn().mockResolvedValue(sdkResponse(201, {
+        RETURNMAC: 'returnmac_123',
+        hostedCheckoutId: 'checkout_123',
+        redirectUrl: 'https://payment.preprod.anzworldline-solutions.com.au/hostedcheckout/PaymentMethods/Selection/checkout_123'
+      })),
+      getHostedCheckout: vi.fn().mockResolvedValue(sdkResponse(200, {
+        status: 'PAYMENT_CREATED',
+        createdPaymentOutput: { payment: payment({ status: 'PENDING_CAPTURE', statusCode: 5 }), paymentStatusCategory: 'SUCCESSFUL' }
+      }))
+    },
+    hostedTokenization: {
+      createHostedTokenization: vi.fn().mockResolvedValue(sdkResponse(200, {
+        hostedTokenizationId: 'tokenization_123',
+        hostedTokenizationUrl: 'https://payment.preprod.anzworldline-solutions.com.au/hostedtokenization/tokenization_123',
+        invalidTokens: [],
+        expiredCardTokens: []
+      })),
+      getHostedTokenization: vi.fn().mockResolvedValue(sdkResponse(200, {
+        tokenStatus: 'CREATED',
+        token: {
+          id: 'token_123',
+          paymentProductId: 1,
+          isTemporary: false,
+          card: { data: { cardWithoutCvv: { cardNumber: '************1111', expiryDate: '1230', cardholderName: 'TEST USER' } } }
+        }
+      }))
+    },
+    tokens: {
+      getToken: vi.fn().mockResolvedValue(sdkResponse(200, { id: 'token_123', paymentProductId: 1 })),
+      deleteToken: vi.fn().mockResolvedValue(sdkResponse(204))
+    }
+  }
+}
+
+export default {
+  sdkResponse,
+  payment,
+  createFakeWorldlineClient
+}
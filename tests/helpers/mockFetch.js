@@ -0,0 +1,44 @@
+/**
+ * fetch stub for component tests
+ *
+ * Routes requests to handlers by method and URL, e.g.
+ *   mockFetch({ 'POST /tokens': () => jsonResponse(201, { success: true }) })
+ * Keys match the end of the URL path, so the API base URL does not matter.
+ * Unmatched requests get a 404.
+ */
+
+import { vi } from 'vitest'
+
+/**
+ * Build a fetch Response carrying a JSON body
+ */
+export function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  })
+}
+
+export function mockFetch(routes) {
+  const fetch = vi.fn(async (url, options = {}) => {
+    const method = options.method || 'GET'
+    const { pathname } = new URL(url)
+
+    for (const [route, handler] of Object.entries(routes)) {
+      const [routeMethod, routePath] = route.split(' ')
+      if (routeMethod === method && pathname.endsWith(routePath)) {
+        return handler(options, url)
+      }
+    }
+
+    return jsonResponse(404, { error: 'Not found' })
+  })
+
+  vi.stubGlobal('fetch', fetch)
+  return fetch
+}
+
+export default {
+  jsonResponse,
+  mockFetch
+}
@@ -0,0 +1,57 @@
+import { act, renderHook, waitFor } from '@testing-library/react'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { useAuth } from '../../src/hooks/useAuth'
+import { apiFetch } from '../../src/utils/api'
+import { jsonResponse, mockFetch } from '../helpers/mockFetch'
+
+const signedOut = () => jsonResponse(401, { error: 'Authentication required', message: 'Sign in to continue', devLogin: true })
+
+describe('useAuth', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  it('loads the signed-in user with the session cookie', async () => {
+    const fetch = mockFetch({ 'GET /auth/me': () => jsonResponse(200, { user: { id: 'user_123', role: 'customer' } }) })
+
+    const { result } = renderHook(() => useAuth())
+
+    await waitFor(() => expect(result.current.loading).toBe(false))
+    expect(result.current.user).toEqual({ id: 'user_123', role: 'customer' })
+    expect(fetch.mock.calls[0][1].credentials).toBe('include')
+  })
+
+  it('signs in with the development login', async () => {
+    const fetch = mockFetch({
+      'GET /auth/me': signedOut,
+      'POST /auth/dev-login': () => jsonResponse(200, { user: { id: 'staff_1', role: 'operator' } })
+    })
+
+    const { result } = renderHook(() => useAuth())
+    await waitFor(() => expect(result.current.devLogin).toBe(true))
+    expect(result.current.user).toBeNull()
+
+    await act(() => result.current.signIn('staff_1', 'operator'))
+
+    expect(result.current.user).toEqual({ id: 'staff_1', role: 'operator' })
+    const [, options] = fetch.mock.calls.find(([url]) => url.endsWith('/auth/dev-login'))
+    expect(JSON.parse(options.body)).toEqual({ userId: 'staff_1', role: 'operator' })
+  })
+
+  it('forgets the user when the backend answers 401', async () => {
+    let sessionValid = true
+    mockFetch({
+      'GET /auth/me': () => jsonResponse(200, { user: { id: 'user_123', role: 'customer' } }),
+      'GET /payments': () => sessionValid ? jsonResponse(200, { payments: [] }) : signedOut()
+    })
+
+    const { result } = renderHook(() => useAuth())
+    await waitFor(() => expect(result.current.user).not.toBeNull())
+
+    sessionValid = false
+    await act(() => apiFetch('/payments'))
+
+    expect(result.current.user).toBeNull()
+  })
+})
@@ -0,0 +1,170 @@
+import { act, renderHook, waitFor } from '@testing-library/react'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { useWorldlineSession } from '../../src/hooks/useWorldlineSession'
+import { jsonResponse, mockFetch } from '../helpers/mockFetch'
+
+vi.mock('onlinepayments-sdk-client-js', () => ({
+  Session: class {
+    constructor(credentials) {
+      Object.assign(this, credentials)
+      this.getBasicPaymentItems = vi.fn().mockResolvedValue({
+        basicPaymentItems: [{ id: 1, paymentMethod: 'card' }, { id: 2, paymentMethod: 'card' }],
+        accountsOnFile: [{ id: 'token_123', paymentProductId: 1 }]
+      })
+    }
+  }
+}))
+
+const context = { countryCode: 'AU', currencyCode: 'AUD', amount: 10000 }
+
+// Each session the backend creates gets the next ID
+const sessionRoute = (lifetimeMs = 15 * 60 * 1000, extra = {}) => {
+  let created = 0
+  return () => {
+    created++
+    return jsonResponse(200, {
+      clientSessionId: `session_${created}`,
+      customerId: `customer_${created}`,
+      clientApiUrl: 'https://client.example',
+      assetUrl: 'https://assets.example/',
+      expiresAt: new Date(Date.now() + lifetimeMs).toISOString(),
+      ...extra
+    })
+  }
+}
+
+const expiredError = () => Object.assign(new Error('Client session has expired'), { status: 403 })
+
+describe('useWorldlineSession', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const sessionRequests = (fetch) => fetch.mock.calls.filter(([url]) => url.endsWith('/session'))
+
+  it('creates a session and loads its payment products for the context', async () => {
+    const fetch = mockFetch({ 'POST /session': sessionRoute() })
+    const { result } = renderHook(() => useWorldlineSession(context))
+
+    await waitFor(() => expect(result.current.loading).toBe(false))
+
+    expect(result.current.session.clientSessionId).toBe('session_1')
+    expect(result.current.paymentProducts.map(product => product.id)).toEqual([1, 2])
+    expect(result.current.accountsOnFile).toEqual([{ id: 'token_123', paymentProductId: 1 }])
+    expect(result.current.session.getBasicPaymentItems).toHaveBeenCalledWith(expect.objectContaining({
+      countryCode: 'AU',
+      amountOfMoney: { amount: 10000, currencyCode: 'AUD' }
+    }))
+    expect(JSON.parse(sessionRequests(fetch)[0][1].body)).toMatchObject(context)
+  })
+
+  it('sends the saved card tokens and offers only the products the checkout allows', async () => {
+    const fetch = mockFetch({
+      'POST /session': sessionRoute(undefined, {
+        invalidTokens: ['token_gone'],
+        paymentProductFilters: { restrictTo: { products: [2] } }
+      })
+    })
+    const paymentProductFilters = { restrictTo: { products: [2] } }
+    const { result } = renderHook(() => useWorldlineSession({ ...context, tokens: ['token_123', 'token_gone'], paymentProductFilters }))
+
+    await waitFor(() => expect(result.current.loading).toBe(false))
+
+    expect(result.current.paymentProducts.map(product => product.id)).toEqual([2])
+    // token_123 is a card of product 1, which this checkout doesn't offer
+    expect(result.current.accountsOnFile).toEqual([])
+    expect(result.current.invalidTokens).toEqual(['token_gone'])
+    expect(JSON.parse(sessionRequests(fetch)[0][1].body)).toMatchObject({ tokens: ['token_123', 'token_gone'], paymentProductFilters })
+  })
+
+  it('shows why the backend refused the context', async () => {
+    mockFetch({
+      'POST /session': () => jsonResponse(403, { error: 'Session context not allowed', message: 'Payment product 2 not allowed - allowed: 1' })
+    })
+    const { result } = renderHook(() => useWorldlineSession(context))
+
+    await waitFor(() => expect(result.current.loading).toBe(false))
+    expect(result.current.error).toBe('Could not initialize payment session: Payment product 2 not allowed - allowed: 1')
+    expect(result.current.session).toBeNull()
+  })
+
+  it('creates a new session when the currency changes', async () => {
+    const fetch = mockFetch({ 'POST /session': sessionRoute() })
+    const { result, rerender } = renderHook((props) => useWorldlineSession(props), { initialProps: context })
+    await waitFor(() => expect(result.current.session?.clientSessionId).toBe('session_1'))
+
+    rerender({ ...context, countryCode: 'NZ', currencyCode: 'NZD' })
+
+    await waitFor(() => expect(result.current.session?.clientSessionId).toBe('session_2'))
+    expect(JSON.parse(sessionRequests(fetch)[1][1].body)).toMatchObject({ countryCode: 'NZ', currencyCode: 'NZD' })
+  })
+
+  it('replaces the session a minute before it expires', async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true })
+    mockFetch({ 'POST /session': sessionRoute(5 * 60 * 1000) })
+    const { result } = renderHook(() => useWorldlineSession(context))
+    await waitFor(() => expect(result.current.session?.clientSessionId).toBe('session_1'))
+
+    await act(() => vi.advanceTimersByTimeAsync(3 * 60 * 1000))
+    expect(result.current.session.clientSessionId).toBe('session_1')
+
+    await act(() => vi.advanceTimersByTimeAsync(60 * 1000 + 100))
+    await waitFor(() => expect(result.current.session.clientSessionId).toBe('session_2'))
+    // The form stays on screen while the session is replaced
+    expect(result.current.loading).toBe(false)
+  })
+
+  it('retries a call refused for an expired session on a new session', async () => {
+    const fetch = mockFetch({ 'POST /session': sessionRoute() })
+    const { result } = renderHook(() => useWorldlineSession(context))
+    await waitFor(() => expect(result.current.session?.clientSessionId).toBe('session_1'))
+
+    const call = vi.fn(async (current) => {
+      if (current.clientSessionId === 'session_1') throw expiredError()
+      return `encrypted with ${current.clientSessionId}`
+    })
+
+    let encrypted
+    await act(async () => {
+      encrypted = await result.current.runWithSession(call)
+    })
+
+    expect(encrypted).toBe('encrypted with session_2')
+    expect(call).toHaveBeenCalledTimes(2)
+    expect(sessionRequests(fetch)).toHaveLength(2)
+    expect(result.current.session.clientSessionId).toBe('session_2')
+  })
+
+  it('passes on errors that are not about the session', async () => {
+    const fetch = mockFetch({ 'POST /session': sessionRoute() })
+    const { result } = renderHook(() => useWorldlineSession(context))
+    await waitFor(() => expect(result.current.session).not.toBeNull())
+
+    await expect(result.current.runWithSession(async () => {
+      throw Object.assign(new Error('IIN_NOT_FOUND'), { status: 404 })
+    })).rejects.toThrow('IIN_NOT_FOUND')
+    expect(sessionRequests(fetch)).toHaveLength(1)
+  })
+
+  it('cancels the session request when unmounted', async () => {
+    let signal
+    mockFetch({
+      'POST /session': (options) => {
+        signal = options.signal
+        return new Promise(() => {})
+      }
+    })
+    const { unmount } = renderHook(() => useWorldlineSession(context))
+    await waitFor(() => expect(signal).toBeDefined())
+
+    unmount()
+
+    expect(signal.aborted).toBe(true)
+  })
+})
@@ -0,0 +1,215 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createTokenAuthenticator, signToken, verifyToken } from '../../server/auth.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { createSubscriptionStore } from '../../server/subscriptions.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { signedIn, TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient, payment, sdkResponse } from '../helpers/fakeWorldlineClient.js'
+
+describe('JWTs', () => {
+  it('verifies its own tokens and refuses tampered, expired and unsigned ones', () => {
+    const token = signToken({ sub: 'user_123', role: 'customer' }, TEST_AUTH_SECRET)
+    expect(verifyToken(token, TEST_AUTH_SECRET)).toMatchObject({ sub: 'user_123', role: 'customer' })
+
+    const [header, , signature] = token.split('.')
+    const operatorPayload = Buffer.from(JSON.stringify({ sub: 'user_123', role: 'operator', exp: 9999999999 })).toString('base64url')
+    expect(verifyToken(`${header}.${operatorPayload}.${signature}`, TEST_AUTH_SECRET)).toBeNull()
+
+    expect(verifyToken(signToken({ sub: 'user_123' }, 'another-secret-at-least-32-characters'), TEST_AUTH_SECRET)).toBeNull()
+    expect(verifyToken(signToken({ sub: 'user_123' }, TEST_AUTH_SECRET, { expiresInSeconds: -1 }), TEST_AUTH_SECRET)).toBeNull()
+
+    const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${operatorPayload}.`
+    expect(verifyToken(unsigned, TEST_AUTH_SECRET)).toBeNull()
+  })
+
+  it('reads the user from a bearer token or the session cookie', () => {
+    const authenticator = createTokenAuthenticator({ secret: TEST_AUTH_SECRET })
+    const token = signToken({ sub: 'staff_1', role: 'operator' }, TEST_AUTH_SECRET)
+    const requestWith = (headers) => ({ get: (name) => headers[name.toLowerCase()] })
+
+    expect(authenticator(requestWith({ authorization: `Bearer ${token}` }))).toEqual({ id: 'staff_1', role: 'operator' })
+    expect(authenticator(requestWith({ cookie: `theme=dark; worldline_session=${token}` }))).toEqual({ id: 'staff_1', role: 'operator' })
+    expect(authenticator(requestWith({}))).toBeNull()
+    expect(authenticator(requestWith({ authorization: `Bearer ${signToken({ sub: 'staff_1', role: 'admin' }, TEST_AUTH_SECRET)}` }))).toBeNull()
+  })
+})
+
+describe('authorization', () => {
+  let dataDir
+  let client
+  let cardStore
+  let ledger
+  let subscriptionStore
+  let app
+
+  const buildApp = (options = {}) => createApp({
+    client,
+    ledger,
+    webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+    subscriptionStore,
+    cardStore,
+    authSecret: TEST_AUTH_SECRET,
+    ...options
+  })
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    client = createFakeWorldlineClient()
+    cardStore = createCardStore(path.join(dataDir, 'cards.jsonl'))
+    ledger = createLedger(path.join(dataDir, 'ledger.jsonl'))
+    subscriptionStore = createSubscriptionStore(path.join(dataDir, 'subscriptions.jsonl'))
+    app = buildApp()
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  const savedCardCharge = { token: 'token_123', paymentProductId: 1, amount: 10000, currency: 'AUD' }
+
+  it('refuses requests without a valid sign-in', async () => {
+    const expired = `Bearer ${signToken({ sub: 'user_123', role: 'customer' }, TEST_AUTH_SECRET, { expiresInSeconds: -1 })}`
+
+    for (const headers of [{}, { Authorization: expired }, { Authorization: 'Bearer not-a-token' }]) {
+      const response = await request(app).post('/api/process-payment').set(headers).send(savedCardCharge)
+
+      expect(response.status).toBe(401)
+      expect(response.body.error).toBe('Authentication required')
+    }
+    expect(client.payments.createPayment).not.toHaveBeenCalled()
+  })
+
+  it('only charges cards the customer saved', async () => {
+    client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, {
+      payment: payment(),
+      creationOutput: { token: 'token_123', isNewToken: true }
+    }))
+    await request(app).post('/api/tokens').set(signedIn('user_1')).send({ cardToken: 'encrypted-card' }).expect(200)
+
+    const foreign = await request(app).post('/api/process-payment').set(signedIn('user_2')).send(savedCardCharge)
+    expect(foreign.status).toBe(403)
+    expect(foreign.body.error).toBe('Card not on file')
+
+    const subscription = await request(app)
+      .post('/api/subscriptions')
+      .set(signedIn('user_2'))
+      .send({ ...savedCardCharge, interval: 'monthly' })
+    expect(subscription.status).toBe(403)
+
+    await request(app).post('/api/process-payment').set(signedIn('user_1')).send(savedCardCharge).expect(200)
+    expect(client.payments.createPayment).toHaveBeenCalledTimes(2)
+  })
+
+  it('keeps the Worldline token while another customer has the same card saved', async () => {
+    cardStore.add('user_1', 'token_123')
+    cardStore.add('user_2', 'token_123')
+
+    await request(app).delete('/api/tokens/token_123').set(signedIn('user_3')).expect(403)
+    await request(app).delete('/api/tokens/token_123').set(signedIn('user_1')).expect(200)
+    expect(client.tokens.deleteToken).not.toHaveBeenCalled()
+    expect(cardStore.owns('user_1', 'token_123')).toBe(false)
+
+    await request(app).delete('/api/tokens/token_123').set(signedIn('user_2')).expect(200)
+    expect(client.tokens.deleteToken).toHaveBeenCalledWith(process.env.ANZ_WORLDLINE_PSPID, 'token_123')
+  })
+
+  it('shows customers their own payments and operators everyone\'s', async () => {
+    ledger.record({ type: 'authorization', paymentId: 'pay_1', ownerId: 'user_1', amount: 1000, currency: 'AUD', status: 'CAPTURED' })
+    ledger.record({ type: 'authorization', paymentId: 'pay_2', ownerId: 'user_2', amount: 2000, currency: 'AUD', status: 'CAPTURED' })
+
+    const own = await request(app).get('/api/payments').set(signedIn('user_1'))
+    expect(own.body.payments.map(entry => entry.paymentId)).toEqual(['pay_1'])
+
+    const all = await request(app).get('/api/payments').set(signedIn('staff_1', 'operator'))
+    expect(all.body.total).toBe(2)
+
+    const mine = await request(app).get('/api/payments').set(signedIn('staff_1', 'operator')).query({ mine: 'true' })
+    expect(mine.body.total).toBe(0)
+
+    const foreign = await request(app).get('/api/payments/pay_2').set(signedIn('user_1'))
+    expect(foreign.status).toBe(404)
+    expect(client.payments.getPayment).not.toHaveBeenCalled()
+
+    await request(app).get('/api/payments/pay_2').set(signedIn('staff_1', 'operator')).expect(200)
+  })
+
+  it('leaves capture, cancel and refund to operators', async () => {
+    ledger.record({ type: 'authorization', paymentId: 'pay_123', ownerId: 'user_1', amount: 10000, currency: 'AUD', status: 'PENDING_CAPTURE' })
+
+    for (const action of ['capture', 'cancel', 'refund']) {
+      const response = await request(app).post(`/api/payments/pay_123/${action}`).set(signedIn('user_1')).send({})
+
+      expect(response.status).toBe(403)
+      expect(response.body.message).toBe('Only operator users can do this')
+    }
+    expect(client.payments.getPayment).not.toHaveBeenCalled()
+
+    client.payments.getPayment.mockResolvedValue(sdkResponse(200, payment({ status: 'PENDING_CAPTURE', statusCode: 5 })))
+    const captured = await request(app).post('/api/payments/pay_123/capture').set(signedIn('staff_1', 'operator')).send({})
+    expect(captured.status).toBe(200)
+    expect(client.payments.capturePayment).toHaveBeenCalled()
+  })
+
+  it('hides other customers\' subscriptions', async () => {
+    const subscription = subscriptionStore.create({ id: 'sub_1', ownerId: 'user_1', status: 'active' })
+
+    await request(app).post(`/api/subscriptions/${subscription.id}/cancel`).set(signedIn('user_2')).expect(404)
+    expect((await request(app).get('/api/subscriptions').set(signedIn('user_2'))).body.subscriptions).toEqual([])
+
+    await request(app).post(`/api/subscriptions/${subscription.id}/pause`).set(signedIn('user_1')).expect(200)
+    await request(app).post(`/api/subscriptions/${subscription.id}/cancel`).set(signedIn('staff_1', 'operator')).expect(200)
+  })
+
+  it('does not let other origins send the session cookie without CORS_ORIGIN', async () => {
+    const response = await request(app)
+      .get('/api/auth/me')
+      .set('Origin', 'https://attacker.example')
+
+    expect(response.headers['access-control-allow-origin']).toBeUndefined()
+    expect(response.headers['access-control-allow-credentials']).toBeUndefined()
+  })
+
+  describe('dev login', () => {
+    it('is off unless enabled', async () => {
+      const response = await request(app).post('/api/auth/dev-login').send({ userId: 'user_1' })
+
+      expect(response.status).toBe(404)
+      expect(response.headers['set-cookie']).toBeUndefined()
+    })
+
+    it('signs in with a session cookie and out again', async () => {
+      app = buildApp({ devLogin: true })
+      const agent = request.agent(app)
+
+      const signedOut = await agent.get('/api/auth/me')
+      expect(signedOut.status).toBe(401)
+      expect(signedOut.body.devLogin).toBe(true)
+
+      const login = await agent.post('/api/auth/dev-login').send({ userId: 'staff_1', role: 'operator' })
+      expect(login.status).toBe(200)
+      expect(login.headers['set-cookie'][0]).toMatch(/^worldline_session=.+; Max-Age=28800; Path=\/; Expires=.+; HttpOnly; SameSite=Lax$/)
+
+      expect((await agent.get('/api/auth/me')).body).toEqual({ user: { id: 'staff_1', role: 'operator' } })
+
+      await agent.post('/api/auth/logout').expect(200)
+      await agent.get('/api/auth/me').expect(401)
+    })
+
+    it('rejects unknown roles', async () => {
+      app = buildApp({ devLogin: true })
+
+      const response = await request(app).post('/api/auth/dev-login').send({ userId: 'user_1', role: 'admin' })
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe('Invalid sign-in')
+    })
+  })
+})
@@ -0,0 +1,235 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { signedIn, TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient, payment, sdkResponse } from '../helpers/fakeWorldlineClient.js'
+
+const operator = () => signedIn('staff_1', 'operator')
+
+const authorizedPayment = () => {
+  const authorized = payment({ status: 'PENDING_CAPTURE', statusCode: 5 })
+  return { ...authorized, statusOutput: { ...authorized.statusOutput, isCancellable: true } }
+}
+
+const capture = (amount, status = 'CAPTURED') => ({ status, captureOutput: { amountOfMoney: { amount, currencyCode: 'AUD' } } })
+
+describe('capture and cancel', () => {
+  let dataDir
+  let client
+  let ledger
+  let app
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    client = createFakeWorldlineClient()
+    client.payments.getPayment.mockResolvedValue(sdkResponse(200, authorizedPayment()))
+    ledger = createLedger(path.join(dataDir, 'ledger.jsonl'))
+    ledger.record({ type: 'authorization', paymentId: 'pay_123', ownerId: 'user_123', amount: 10000, currency: 'AUD', status: 'PENDING_CAPTURE' })
+    app = createApp({
+      client,
+      ledger,
+      webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+      cardStore: createCardStore(path.join(dataDir, 'cards.jsonl')),
+      authSecret: TEST_AUTH_SECRET
+    })
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  describe('POST /api/payments/:paymentId/capture', () => {
+    const capturePayment = (body = {}) => request(app).post('/api/payments/pay_123/capture').set(operator()).send(body)
+
+    it('captures the whole authorization and closes it when no amount is given', async () => {
+      const response = await capturePayment()
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ success: true, captureId: 'pay_123-1', amount: 10000, isFinal: true, totalCaptured: 10000, remaining: 0 })
+      expect(client.payments.capturePayment).toHaveBeenCalledWith(expect.any(String), 'pay_123', { amount: 10000, isFinal: true })
+      expect(ledger.getPayment('pay_123')).toMatchObject({ captured: 10000, uncaptured: 0 })
+    })
+
+    it('leaves a partial capture open for the rest', async () => {
+      const response = await capturePayment({ amount: 4000 })
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ amount: 4000, isFinal: false, totalCaptured: 4000, remaining: 6000 })
+      expect(client.payments.capturePayment).toHaveBeenCalledWith(expect.any(String), 'pay_123', { amount: 4000, isFinal: false })
+      expect(ledger.getPayment('pay_123')).toMatchObject({ captured: 4000, uncaptured: 6000 })
+    })
+
+    it('counts earlier captures when capturing again', async () => {
+      client.captures.getCaptures.mockResolvedValue(sdkResponse(200, { captures: [capture(4000), capture(1000, 'REJECTED_CAPTURE')] }))
+
+      const response = await capturePayment({ amount: 6000 })
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ amount: 6000, isFinal: true, totalCaptured: 10000, remaining: 0 })
+    })
+
+    it('closes the authorization early when asked to', async () => {
+      const response = await capturePayment({ amount: 4000, isFinal: true })
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ isFinal: true, remaining: 0 })
+      expect(client.payments.capturePayment).toHaveBeenCalledWith(expect.any(String), 'pay_123', { amount: 4000, isFinal: true })
+    })
+
+    it('refuses a capture above what is left of the authorization', async () => {
+      client.captures.getCaptures.mockResolvedValue(sdkResponse(200, { captures: [capture(4000)] }))
+
+      const response = await capturePayment({ amount: 6001 })
+
+      expect(response.status).toBe(409)
+      expect(response.body).toMatchObject({ error: 'Capture exceeds authorized amount', authorized: 10000, captured: 4000, remaining: 6000 })
+      expect(client.payments.capturePayment).not.toHaveBeenCalled()
+    })
+
+    it('refuses a payment that is captured already', async () => {
+      client.payments.getPayment.mockResolvedValue(sdkResponse(200, payment()))
+
+      const response = await capturePayment()
+
+      expect(response.status).toBe(409)
+      expect(response.body.error).toBe('Payment is not capturable')
+      expect(client.payments.capturePayment).not.toHaveBeenCalled()
+    })
+
+    it('refuses an authorization that is captured in full', async () => {
+      client.captures.getCaptures.mockResolvedValue(sdkResponse(200, { captures: [capture(10000)] }))
+
+      const response = await capturePayment()
+
+      expect(response.status).toBe(409)
+      expect(response.body).toMatchObject({ error: 'Payment is not capturable', remaining: 0 })
+    })
+
+    it('rejects an invalid amount or isFinal', async () => {
+      const badAmount = await capturePayment({ amount: -100 })
+      const badFinal = await capturePayment({ isFinal: 'yes' })
+
+      expect(badAmount.status).toBe(400)
+      expect(badAmount.body.error).toBe('Invalid amount')
+      expect(badFinal.status).toBe(400)
+      expect(badFinal.body.error).toBe('Invalid isFinal')
+      expect(client.payments.getPayment).not.toHaveBeenCalled()
+    })
+
+    it('reports a capture Worldline declines', async () => {
+      client.payments.capturePayment.mockResolvedValueOnce(sdkResponse(400, { errors: [{ id: 'CAPTURE_REFUSED' }] }))
+
+      const response = await capturePayment()
+
+      expect(response.status).toBe(400)
+      expect(response.body).toMatchObject({ success: false, error: 'Capture declined or processing failed' })
+      expect(ledger.getPayment('pay_123').captured).toBe(0)
+    })
+  })
+
+  describe('POST /api/payments/:paymentId/cancel', () => {
+    const cancelPayment = (body = {}) => request(app).post('/api/payments/pay_123/cancel').set(operator()).send(body)
+
+    it('releases the whole authorization when no amount is given', async () => {
+      const response = await cancelPayment()
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ success: true, status: 'CANCELLED', amount: 10000, remaining: 0 })
+      expect(client.payments.cancelPayment).toHaveBeenCalledWith(expect.any(String), 'pay_123', {})
+      expect(ledger.getPayment('pay_123')).toMatchObject({ status: 'CANCELLED', uncaptured: 0 })
+    })
+
+    it('releases what is left after a partial capture', async () => {
+      client.captures.getCaptures.mockResolvedValue(sdkResponse(200, { captures: [capture(4000)] }))
+
+      const response = await cancelPayment({ amount: 6000 })
+
+      expect(response.status).toBe(200)
+      expect(client.payments.cancelPayment).toHaveBeenCalledWith(expect.any(String), 'pay_123', {
+        amountOfMoney: { amount: 6000, currencyCode: 'AUD' },
+        isFinal: true
+      })
+    })
+
+    it('refuses to release more than is uncaptured', async () => {
+      client.captures.getCaptures.mockResolvedValue(sdkResponse(200, { captures: [capture(4000)] }))
+
+      const response = await cancelPayment({ amount: 7000 })
+
+      expect(response.status).toBe(409)
+      expect(response.body).toMatchObject({ error: 'Cancel exceeds uncaptured amount', remaining: 6000 })
+      expect(client.payments.cancelPayment).not.toHaveBeenCalled()
+    })
+
+    it('refuses a payment that is captured - it has to be refunded', async () => {
+      client.payments.getPayment.mockResolvedValue(sdkResponse(200, payment()))
+
+      const response = await cancelPayment()
+
+      expect(response.status).toBe(409)
+      expect(response.body).toMatchObject({
+        error: 'Payment is not cancellable',
+        message: 'Payment status is CAPTURED; captured payments must be refunded instead'
+      })
+      expect(client.payments.cancelPayment).not.toHaveBeenCalled()
+    })
+
+    it('answers 404 for a payment Worldline does not know', async () => {
+      client.payments.getPayment.mockResolvedValue(sdkResponse(404, { errors: [{ id: 'UNKNOWN_PAYMENT_ID' }] }))
+
+      const response = await cancelPayment()
+
+      expect(response.status).toBe(404)
+      expect(response.body.error).toBe('Payment not found')
+    })
+  })
+
+  it('runs one of two captures and a cancel sent at the same time', async () => {
+    // Worldline's view of the payment, changed by whichever operation goes first
+    let current = authorizedPayment()
+    let captures = []
+    client.payments.getPayment.mockImplementation(async () => sdkResponse(200, current))
+    client.captures.getCaptures.mockImplementation(async () => sdkResponse(200, { captures }))
+    const settle = (status) => new Promise(resolve => setTimeout(() => {
+      current = payment({ status })
+      resolve()
+    }, 10))
+    client.payments.capturePayment.mockImplementation(async () => {
+      await settle('CAPTURED')
+      captures = [capture(10000)]
+      return sdkResponse(201, { id: 'pay_123-1', status: 'CAPTURED' })
+    })
+    client.payments.cancelPayment.mockImplementation(async () => {
+      await settle('CANCELLED')
+      return sdkResponse(200, { payment: payment({ status: 'CANCELLED' }) })
+    })
+
+    const responses = await Promise.all([
+      request(app).post('/api/payments/pay_123/capture').set(operator()).send({}),
+      request(app).post('/api/payments/pay_123/capture').set(operator()).send({}),
+      request(app).post('/api/payments/pay_123/cancel').set(operator()).send({})
+    ])
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409, 409])
+    expect(client.payments.capturePayment.mock.calls.length + client.payments.cancelPayment.mock.calls.length).toBe(1)
+  })
+
+  it('is for operators only', async () => {
+    const captured = await request(app).post('/api/payments/pay_123/capture').set(signedIn()).send({})
+    const cancelled = await request(app).post('/api/payments/pay_123/cancel').set(signedIn()).send({})
+
+    expect(captured.status).toBe(403)
+    expect(cancelled.status).toBe(403)
+    expect(client.payments.capturePayment).not.toHaveBeenCalled()
+    expect(client.payments.cancelPayment).not.toHaveBeenCalled()
+  })
+})
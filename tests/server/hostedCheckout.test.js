@@ -0,0 +1,279 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { signedIn, TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient, payment, sdkResponse } from '../helpers/fakeWorldlineClient.js'
+
+const checkoutOrder = {
+  amount: 10000,
+  currency: 'AUD',
+  countryCode: 'AU',
+  customerId: 'customer_123',
+  captureMode: 'auto'
+}
+
+describe('Hosted Checkout', () => {
+  let dataDir
+  let cardStore
+  let client
+  let ledger
+  let app
+
+  const buildApp = (options = {}) => createApp({
+    client,
+    ledger,
+    webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+    cardStore,
+    authSecret: TEST_AUTH_SECRET,
+    ...options
+  })
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    cardStore = createCardStore(path.join(dataDir, 'cards.jsonl'))
+    client = createFakeWorldlineClient()
+    ledger = createLedger(path.join(dataDir, 'ledger.jsonl'))
+    app = buildApp()
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  const createCheckout = (body) => request(app).post('/api/hosted-checkout').set(signedIn()).send(body)
+  const completeCheckout = (returnMac = 'returnmac_123', hostedCheckoutId = 'checkout_123') =>
+    request(app).post(`/api/hosted-checkout/${hostedCheckoutId}/complete`).set(signedIn()).send({ returnMac })
+
+  describe('POST /api/hosted-checkout', () => {
+    it('creates a hosted checkout and returns where to send the customer', async () => {
+      const response = await createCheckout(checkoutOrder)
+
+      expect(response.status).toBe(201)
+      expect(response.body).toEqual({
+        hostedCheckoutId: 'checkout_123',
+        redirectUrl: 'https://payment.preprod.anzworldline-solutions.com.au/hostedcheckout/PaymentMethods/Selection/checkout_123'
+      })
+
+      const [merchantId, body] = client.hostedCheckout.createHostedCheckout.mock.calls[0]
+      expect(merchantId).toBe(process.env.ANZ_WORLDLINE_PSPID)
+      // Our customer ID is the signed-in user, not the client session's customerId
+      expect(body.order).toEqual({
+        amountOfMoney: { amount: 10000, currencyCode: 'AUD' },
+        customer: { merchantCustomerId: 'user_123', billingAddress: { countryCode: 'AU' } }
+      })
+      expect(body.hostedCheckoutSpecificInput).toMatchObject({ showResultPage: false, returnUrl: expect.any(String) })
+      expect(body.cardPaymentMethodSpecificInput).toEqual({})
+    })
+
+    it('asks for an authorization that stays open in manual capture mode', async () => {
+      await createCheckout({ ...checkoutOrder, captureMode: 'manual' })
+
+      const [, body] = client.hostedCheckout.createHostedCheckout.mock.calls[0]
+      expect(body.cardPaymentMethodSpecificInput).toEqual({ authorizationMode: 'FINAL_AUTHORIZATION' })
+    })
+
+    it('builds the redirect URL from partialRedirectUrl when Worldline only returns that', async () => {
+      client.hostedCheckout.createHostedCheckout.mockResolvedValueOnce(sdkResponse(201, {
+        RETURNMAC: 'returnmac_123',
+        hostedCheckoutId: 'checkout_123',
+        partialRedirectUrl: 'preprod.anzworldline-solutions.com.au/hostedcheckout/checkout_123'
+      }))
+
+      const response = await createCheckout(checkoutOrder)
+
+      expect(response.body.redirectUrl).toBe('https://payment.preprod.anzworldline-solutions.com.au/hostedcheckout/checkout_123')
+    })
+
+    it('rejects an amount that is not in minor units', async () => {
+      const response = await createCheckout({ ...checkoutOrder, amount: 100.5 })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe('Invalid amount')
+      expect(client.hostedCheckout.createHostedCheckout).not.toHaveBeenCalled()
+    })
+
+    it('rejects a currency we do not sell in', async () => {
+      const response = await createCheckout({ ...checkoutOrder, currency: 'XYZ' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe('Unsupported currency')
+    })
+
+    it('offers only the allowed payment products on the payment page', async () => {
+      app = buildApp({ allowedProductIds: [1, 3] })
+
+      await createCheckout(checkoutOrder)
+      const [, body] = client.hostedCheckout.createHostedCheckout.mock.calls[0]
+      expect(body.hostedCheckoutSpecificInput.paymentProductFilters).toEqual({ restrictTo: { products: [1, 3] } })
+
+      const response = await createCheckout({ ...checkoutOrder, paymentProductFilters: { restrictTo: { products: [2] } } })
+      expect(response.status).toBe(403)
+      expect(response.body.error).toBe('Payment products not allowed')
+    })
+
+    it('passes Worldline errors through', async () => {
+      client.hostedCheckout.createHostedCheckout.mockResolvedValueOnce(sdkResponse(400, {
+        errors: [{ code: '1099', message: 'INVALID_VALUE' }]
+      }))
+
+      const response = await createCheckout(checkoutOrder)
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe('Failed to create hosted checkout')
+    })
+  })
+
+  describe('POST /api/hosted-checkout/:hostedCheckoutId/complete', () => {
+    it('records the payment and captures it in auto capture mode', async () => {
+      await createCheckout(checkoutOrder)
+
+      const response = await completeCheckout()
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({
+        completed: true,
+        hostedCheckoutId: 'checkout_123',
+        hostedCheckoutStatus: 'PAYMENT_CREATED',
+        captureMode: 'auto',
+        paymentId: 'pay_123',
+        status: 'CAPTURED'
+      })
+      expect(client.payments.capturePayment).toHaveBeenCalledWith(process.env.ANZ_WORLDLINE_PSPID, 'pay_123', { amount: 10000 })
+      expect(ledger.getPayment('pay_123')).toMatchObject({ customerId: 'customer_123', amount: 10000, captured: 10000 })
+    })
+
+    it('leaves the payment authorized in manual capture mode', async () => {
+      await createCheckout({ ...checkoutOrder, captureMode: 'manual' })
+
+      const response = await completeCheckout()
+
+      expect(response.body).toMatchObject({ completed: true, captureMode: 'manual', status: 'PENDING_CAPTURE' })
+      expect(client.payments.capturePayment).not.toHaveBeenCalled()
+      expect(ledger.getPayment('pay_123')).toMatchObject({ status: 'PENDING_CAPTURE', uncaptured: 10000 })
+    })
+
+    it('rejects a return without the checkout RETURNMAC', async () => {
+      await createCheckout(checkoutOrder)
+
+      const response = await completeCheckout('forged')
+
+      expect(response.status).toBe(403)
+      expect(response.body.error).toBe('Invalid RETURNMAC')
+      expect(client.hostedCheckout.getHostedCheckout).not.toHaveBeenCalled()
+    })
+
+    it('records and captures a payment only once', async () => {
+      await createCheckout(checkoutOrder)
+
+      await completeCheckout()
+      const second = await completeCheckout()
+
+      expect(second.body).toMatchObject({ completed: true, paymentId: 'pay_123', status: 'CAPTURED' })
+      expect(client.payments.capturePayment).toHaveBeenCalledTimes(1)
+      expect(ledger.getPayment('pay_123').entries).toHaveLength(2)
+    })
+
+    it('answers repeat returns only for the customer who paid', async () => {
+      await createCheckout(checkoutOrder)
+      await completeCheckout().expect(200)
+
+      const repeat = await request(app).post('/api/hosted-checkout/checkout_123/complete').set(signedIn()).send({})
+      expect(repeat.status).toBe(200)
+      expect(repeat.body).toMatchObject({ completed: true, paymentId: 'pay_123' })
+
+      const stranger = await request(app)
+        .post('/api/hosted-checkout/checkout_123/complete')
+        .set(signedIn('user_456'))
+        .send({ returnMac: 'returnmac_123' })
+      expect(stranger.status).toBe(404)
+      expect(stranger.body).toEqual({
+        error: 'Hosted checkout not found',
+        message: 'No hosted checkout checkout_123 on your account'
+      })
+      expect(ledger.getPayment('pay_123')).toMatchObject({ ownerId: 'user_123' })
+    })
+
+    it('refuses another user\'s pending checkout', async () => {
+      await createCheckout(checkoutOrder)
+
+      const response = await request(app)
+        .post('/api/hosted-checkout/checkout_123/complete')
+        .set(signedIn('user_456'))
+        .send({ returnMac: 'returnmac_123' })
+
+      expect(response.status).toBe(404)
+      expect(client.hostedCheckout.getHostedCheckout).not.toHaveBeenCalled()
+    })
+
+    it('does not take over a checkout the server has no record of', async () => {
+      const response = await completeCheckout()
+
+      expect(response.status).toBe(404)
+      expect(response.body.error).toBe('Hosted checkout not found')
+      expect(ledger.listPayments().total).toBe(0)
+      expect(client.payments.capturePayment).not.toHaveBeenCalled()
+    })
+
+    it('waits while the customer is still on the payment page', async () => {
+      await createCheckout(checkoutOrder)
+      client.hostedCheckout.getHostedCheckout.mockResolvedValueOnce(sdkResponse(200, { status: 'IN_PROGRESS' }))
+
+      const pending = await completeCheckout()
+      expect(pending.body).toEqual({ completed: false, hostedCheckoutId: 'checkout_123', hostedCheckoutStatus: 'IN_PROGRESS' })
+
+      // Still pending, so the RETURNMAC is still checked
+      expect((await completeCheckout('forged')).status).toBe(403)
+    })
+
+    it('reports a cancelled checkout without a payment', async () => {
+      await createCheckout(checkoutOrder)
+      client.hostedCheckout.getHostedCheckout.mockResolvedValueOnce(sdkResponse(200, { status: 'CANCELLED_BY_CONSUMER' }))
+
+      const response = await completeCheckout()
+
+      expect(response.body).toEqual({
+        completed: true,
+        hostedCheckoutId: 'checkout_123',
+        hostedCheckoutStatus: 'CANCELLED_BY_CONSUMER',
+        paymentId: null
+      })
+      expect(ledger.listPayments().total).toBe(0)
+    })
+
+    it('records a declined payment', async () => {
+      await createCheckout(checkoutOrder)
+      const declined = payment({ status: 'REJECTED', statusCode: 2 })
+      declined.statusOutput.statusCategory = 'UNSUCCESSFUL'
+      client.hostedCheckout.getHostedCheckout.mockResolvedValueOnce(sdkResponse(200, {
+        status: 'PAYMENT_CREATED',
+        createdPaymentOutput: { payment: declined, paymentStatusCategory: 'REJECTED' }
+      }))
+
+      const response = await completeCheckout()
+
+      expect(response.body).toMatchObject({ completed: true, status: 'REJECTED' })
+      expect(ledger.getPayment('pay_123').entries[0]).toMatchObject({ type: 'decline', status: 'REJECTED' })
+      expect(client.payments.capturePayment).not.toHaveBeenCalled()
+    })
+
+    it('returns 404 for a hosted checkout Worldline does not know', async () => {
+      client.hostedCheckout.getHostedCheckout.mockResolvedValueOnce(sdkResponse(404, {
+        errors: [{ id: 'UNKNOWN_HOSTED_CHECKOUT_ID' }]
+      }))
+
+      const response = await completeCheckout('returnmac_123', 'checkout_999')
+
+      expect(response.status).toBe(404)
+      expect(response.body.error).toBe('Hosted checkout not found')
+    })
+  })
+})
@@ -0,0 +1,172 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { signedIn, TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient, payment, sdkResponse } from '../helpers/fakeWorldlineClient.js'
+
+describe('Hosted Tokenization Page', () => {
+  let dataDir
+  let cardStore
+  let client
+  let app
+
+  const buildApp = (options = {}) => createApp({
+    client,
+    ledger: createLedger(path.join(dataDir, 'ledger.jsonl')),
+    webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+    cardStore,
+    authSecret: TEST_AUTH_SECRET,
+    ...options
+  })
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    cardStore = createCardStore(path.join(dataDir, 'cards.jsonl'))
+    client = createFakeWorldlineClient()
+    app = buildApp()
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  // The iframe's session is created by the same user first
+  const saveCard = async (body = { currency: 'AUD' }, user = signedIn()) => {
+    await request(app).post('/api/hosted-tokenization').set(user).send({}).expect(201)
+    return request(app).post('/api/hosted-tokenization/tokenization_123/token').set(user).send(body)
+  }
+
+  describe('POST /api/hosted-tokenization', () => {
+    it('creates a session whose tokens outlive it', async () => {
+      const response = await request(app).post('/api/hosted-tokenization').set(signedIn()).send({ locale: 'en-AU' })
+
+      expect(response.status).toBe(201)
+      expect(response.body).toEqual({
+        hostedTokenizationId: 'tokenization_123',
+        hostedTokenizationUrl: 'https://payment.preprod.anzworldline-solutions.com.au/hostedtokenization/tokenization_123'
+      })
+      expect(client.hostedTokenization.createHostedTokenization).toHaveBeenCalledWith(
+        process.env.ANZ_WORLDLINE_PSPID,
+        { askConsumerConsent: false, locale: 'en-AU' }
+      )
+    })
+
+    it('only accepts the allowed payment products in the iframe', async () => {
+      app = buildApp({ allowedProductIds: [1, 3] })
+
+      await request(app).post('/api/hosted-tokenization').set(signedIn()).send({})
+
+      const [, body] = client.hostedTokenization.createHostedTokenization.mock.calls[0]
+      expect(body.paymentProductFilters).toEqual({ restrictTo: { products: [1, 3] } })
+    })
+
+    it('passes Worldline errors through', async () => {
+      client.hostedTokenization.createHostedTokenization.mockResolvedValueOnce(sdkResponse(403, {
+        errors: [{ id: 'ACCESS_TO_MERCHANT_NOT_ALLOWED' }]
+      }))
+
+      const response = await request(app).post('/api/hosted-tokenization').set(signedIn()).send({})
+
+      expect(response.status).toBe(403)
+      expect(response.body.error).toBe('Failed to create hosted tokenization')
+    })
+  })
+
+  describe('POST /api/hosted-tokenization/:hostedTokenizationId/token', () => {
+    it('puts a new card on file and returns it for the wallet', async () => {
+      const response = await saveCard()
+
+      expect(response.status).toBe(200)
+      expect(response.body).toEqual({
+        success: true,
+        tokenId: 'token_123',
+        isNewToken: true,
+        paymentProductId: 1,
+        maskedCardNumber: '************1111',
+        expiryDate: '1230',
+        cardholderName: 'TEST USER'
+      })
+
+      const [, verification] = client.payments.createPayment.mock.calls[0]
+      expect(verification.cardPaymentMethodSpecificInput).toMatchObject({
+        token: 'token_123',
+        unscheduledCardOnFileRequestor: 'cardholderInitiated',
+        unscheduledCardOnFileSequenceIndicator: 'first'
+      })
+      expect(verification.order.amountOfMoney).toEqual({ amount: 0, currencyCode: 'AUD' })
+      expect(cardStore.owns('user_123', 'token_123')).toBe(true)
+    })
+
+    it('does not save the card of an iframe another user created', async () => {
+      await request(app).post('/api/hosted-tokenization').set(signedIn('user_456')).send({}).expect(201)
+
+      const response = await request(app).post('/api/hosted-tokenization/tokenization_123/token').set(signedIn()).send({ currency: 'AUD' })
+
+      expect(response.status).toBe(404)
+      expect(client.hostedTokenization.getHostedTokenization).not.toHaveBeenCalled()
+      expect(cardStore.owns('user_123', 'token_123')).toBe(false)
+    })
+
+    it('does not verify a card Worldline already had on file', async () => {
+      client.hostedTokenization.getHostedTokenization.mockResolvedValueOnce(sdkResponse(200, {
+        tokenStatus: 'UNCHANGED',
+        token: { id: 'token_123', paymentProductId: 1, card: { data: { cardWithoutCvv: {} } } }
+      }))
+
+      const response = await saveCard()
+
+      expect(response.body).toMatchObject({ success: true, tokenId: 'token_123', isNewToken: false })
+      expect(client.payments.createPayment).not.toHaveBeenCalled()
+    })
+
+    it('does not save a temporary token', async () => {
+      client.hostedTokenization.getHostedTokenization.mockResolvedValueOnce(sdkResponse(200, {
+        tokenStatus: 'CREATED',
+        token: { id: 'token_123', paymentProductId: 1, isTemporary: true, card: { data: { cardWithoutCvv: {} } } }
+      }))
+
+      const response = await saveCard()
+
+      expect(response.status).toBe(409)
+      expect(response.body).toMatchObject({ success: false, error: 'Card not stored permanently' })
+      expect(client.payments.createPayment).not.toHaveBeenCalled()
+      expect(cardStore.owns('user_123', 'token_123')).toBe(false)
+    })
+
+    it('refuses a session without a submitted card', async () => {
+      client.hostedTokenization.getHostedTokenization.mockResolvedValueOnce(sdkResponse(200, {}))
+
+      const response = await saveCard()
+
+      expect(response.status).toBe(409)
+      expect(response.body.error).toBe('No card submitted')
+    })
+
+    it('does not save a card that fails verification', async () => {
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(402, {
+        paymentResult: { payment: payment({ status: 'REJECTED', statusCode: 2 }) }
+      }))
+
+      const response = await saveCard()
+
+      expect(response.status).toBe(400)
+      expect(response.body).toMatchObject({ success: false, error: 'Card could not be verified' })
+    })
+
+    it('rejects a currency we do not sell in', async () => {
+      const response = await saveCard({ currency: 'XYZ' })
+
+      expect(response.status).toBe(400)
+      expect(client.hostedTokenization.getHostedTokenization).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,123 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { createLogger, sdkLogger } from '../../server/logger.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { REDACTED } from '../../src/utils/redact.js'
+import { signedIn, TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient } from '../helpers/fakeWorldlineClient.js'
+
+describe('logger', () => {
+  const collect = (level = 'info') => {
+    const lines = []
+    const logger = createLogger({ level, write: (entryLevel, line) => lines.push(JSON.parse(line)) })
+    return { logger, lines }
+  }
+
+  it('writes JSON entries at or above the configured level', () => {
+    const { logger, lines } = collect('info')
+
+    logger.debug('Not written')
+    logger.info('Payment authorized', { paymentId: 'pay_123', amount: 10000 })
+    logger.error('Payment failed')
+
+    expect(lines).toHaveLength(2)
+    expect(lines[0]).toMatchObject({ level: 'info', msg: 'Payment authorized', paymentId: 'pay_123', amount: 10000 })
+    expect(Date.parse(lines[0].time)).not.toBeNaN()
+    expect(lines[1]).toMatchObject({ level: 'error', msg: 'Payment failed' })
+
+    logger.setLevel('debug')
+    logger.debug('Now written')
+    expect(lines[2].msg).toBe('Now written')
+    expect(() => logger.setLevel('verbose')).toThrow('Invalid log level: verbose')
+  })
+
+  it('redacts fields, messages and child bindings', () => {
+    const { logger, lines } = collect()
+    const child = logger.child({ component: 'tokens', cardToken: 'encrypted-card' })
+
+    child.info('Saving card 4111111111111111', { body: { card: { cvv: '123' } }, error: new Error('secretApiKey rejected') })
+
+    expect(lines[0]).toMatchObject({
+      msg: 'Saving card ************1111',
+      component: 'tokens',
+      cardToken: REDACTED,
+      body: { card: { cvv: REDACTED } },
+      error: { name: 'Error', message: 'secretApiKey rejected' }
+    })
+  })
+
+  it('logs Worldline SDK calls at debug level without card data', () => {
+    const { logger, lines } = collect('debug')
+    const sdk = sdkLogger(logger)
+
+    sdk.info('Request with Message ID: 1, POST to /v2/1/payments, headers: {"Authorization":"GCS v1HMAC:key:sig"}, body: {"encryptedCustomerInput":"abc.def"}')
+    sdk.error('Error for Message ID:1, error: {}')
+
+    expect(lines[0]).toMatchObject({ level: 'debug', component: 'worldline-sdk', msg: 'Worldline API call' })
+    expect(lines[0].detail).toContain(`"encryptedCustomerInput":"${REDACTED}"`)
+    expect(lines[0].detail).not.toContain('GCS v1HMAC:key:sig')
+    expect(lines[1]).toMatchObject({ level: 'error', msg: 'Worldline SDK error' })
+  })
+})
+
+describe('request logging', () => {
+  let dataDir
+  let cardStore
+  let app
+  let logSpy
+
+  beforeEach(() => {
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    cardStore = createCardStore(path.join(dataDir, 'cards.jsonl'))
+    cardStore.add('user_123', 'token_123')
+    app = createApp({
+      client: createFakeWorldlineClient(),
+      ledger: createLedger(path.join(dataDir, 'ledger.jsonl')),
+      webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+      cardStore,
+      authSecret: TEST_AUTH_SECRET
+    })
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  const loggedEntries = () => logSpy.mock.calls.map(([line]) => JSON.parse(line))
+
+  it('tags every entry of a request with its request ID', async () => {
+    const response = await request(app)
+      .post('/api/process-payment')
+      .set(signedIn())
+      .send({ token: 'token_123', paymentProductId: 1, amount: 10000, currency: 'AUD', cardHolder: 'Jane Citizen' })
+
+    expect(response.status).toBe(200)
+    const requestId = response.headers['x-request-id']
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/)
+
+    const entries = loggedEntries()
+    expect(entries.map(entry => entry.msg)).toEqual(expect.arrayContaining(['Processing payment', 'Payment authorized', 'Request completed']))
+    expect(entries.every(entry => entry.requestId === requestId)).toBe(true)
+    expect(entries.at(-1)).toMatchObject({ method: 'POST', path: '/api/process-payment', status: 200 })
+    expect(JSON.stringify(entries)).not.toContain('Jane Citizen')
+  })
+
+  it('keeps the caller\'s request ID', async () => {
+    const response = await request(app).get('/api/payments').set(signedIn()).set('X-Request-Id', 'edge-42')
+
+    expect(response.headers['x-request-id']).toBe('edge-42')
+    expect(loggedEntries().at(-1)).toMatchObject({ requestId: 'edge-42', msg: 'Request completed' })
+
+    const replaced = await request(app).get('/api/payments').set(signedIn()).set('X-Request-Id', 'not a valid id')
+    expect(replaced.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/)
+  })
+})
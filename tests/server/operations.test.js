@@ -0,0 +1,120 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { signedIn, TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient } from '../helpers/fakeWorldlineClient.js'
+
+const operator = () => signedIn('staff_1', 'operator')
+
+describe('operations dashboard API', () => {
+  let dataDir
+  let ledger
+  let webhookStore
+  let app
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    ledger = createLedger(path.join(dataDir, 'ledger.jsonl'))
+    webhookStore = createWebhookStore(path.join(dataDir, 'webhook-events.jsonl'))
+    app = createApp({
+      client: createFakeWorldlineClient(),
+      ledger,
+      webhookStore,
+      cardStore: createCardStore(path.join(dataDir, 'cards.jsonl')),
+      authSecret: TEST_AUTH_SECRET
+    })
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  const webhookEvent = (id, fields) => ({
+    id,
+    receivedAt: new Date().toISOString(),
+    paymentId: null,
+    objectId: null,
+    status: null,
+    statusCategory: null,
+    payload: { id, apiVersion: 'v1' },
+    ...fields
+  })
+
+  describe('GET /api/payments?search=', () => {
+    beforeEach(() => {
+      ledger.record({ type: 'authorization', paymentId: 'pay_1', ownerId: 'user_1', customerId: 'customer_1', merchantReference: 'ORDER-1001', amount: 1000, currency: 'AUD', status: 'CAPTURED' })
+      ledger.record({ type: 'authorization', paymentId: 'pay_2', ownerId: 'user_2', amount: 2000, currency: 'AUD', status: 'PENDING_CAPTURE' })
+    })
+
+    it('finds payments by ID, merchant reference, customer and user', async () => {
+      const search = async (text) => {
+        const response = await request(app).get('/api/payments').query({ search: text }).set(operator())
+        return response.body.payments.map(entry => entry.paymentId)
+      }
+
+      expect(await search('pay_2')).toEqual(['pay_2'])
+      expect(await search('order-1001')).toEqual(['pay_1'])
+      expect(await search('customer_1')).toEqual(['pay_1'])
+      expect(await search('user_2')).toEqual(['pay_2'])
+      expect(await search('  ')).toHaveLength(2)
+    })
+
+    it('searches only the customer\'s own payments', async () => {
+      const response = await request(app).get('/api/payments').query({ search: 'pay_2' }).set(signedIn('user_1'))
+
+      expect(response.body.payments).toEqual([])
+    })
+  })
+
+  describe('GET /api/payments/:paymentId/events', () => {
+    it('lists the payment\'s webhook events oldest first, with its refunds', async () => {
+      ledger.record({ type: 'authorization', paymentId: 'pay_1', ownerId: 'user_1', amount: 1000, currency: 'AUD', status: 'CAPTURED' })
+      ledger.record({ type: 'refund', paymentId: 'pay_1', refundId: 'pay_1_refund', amount: 400, status: 'REFUND_REQUESTED' })
+      webhookStore.save(webhookEvent('evt_refunded', { type: 'refund.refunded', created: '2025-11-09T11:05:00.000-01:00', objectId: 'pay_1_refund', status: 'REFUNDED' }))
+      webhookStore.save(webhookEvent('evt_captured', { type: 'payment.captured', created: '2025-11-09T12:00:00.000Z', paymentId: 'pay_1', objectId: 'pay_1', status: 'CAPTURED' }))
+      webhookStore.save(webhookEvent('evt_other', { type: 'payment.captured', created: '2025-11-09T12:01:00.000Z', paymentId: 'pay_2', objectId: 'pay_2', status: 'CAPTURED' }))
+
+      const response = await request(app).get('/api/payments/pay_1/events').set(operator())
+
+      expect(response.status).toBe(200)
+      expect(response.body.paymentId).toBe('pay_1')
+      expect(response.body.events.map(event => event.id)).toEqual(['evt_captured', 'evt_refunded'])
+      expect(response.body.events[0]).toMatchObject({ type: 'payment.captured', status: 'CAPTURED' })
+      expect(response.body.events[0].payload).toBeUndefined()
+    })
+
+    it('finds events for payments the ledger never saw', async () => {
+      webhookStore.save(webhookEvent('evt_1', { type: 'payment.created', created: '2025-11-09T12:00:00.000Z', paymentId: 'pay_elsewhere', objectId: 'pay_elsewhere', status: 'CREATED' }))
+
+      const response = await request(app).get('/api/payments/pay_elsewhere/events').set(operator())
+
+      expect(response.status).toBe(200)
+      expect(response.body.events).toHaveLength(1)
+    })
+
+    it('answers 404 for unknown payments', async () => {
+      const response = await request(app).get('/api/payments/pay_unknown/events').set(operator())
+
+      expect(response.status).toBe(404)
+      expect(response.body.error).toBe('Payment not found')
+    })
+
+    it('is for operators only', async () => {
+      ledger.record({ type: 'authorization', paymentId: 'pay_1', ownerId: 'user_1', amount: 1000, currency: 'AUD', status: 'CAPTURED' })
+
+      const response = await request(app).get('/api/payments/pay_1/events').set(signedIn('user_1'))
+
+      expect(response.status).toBe(403)
+      expect(response.body.error).toBe('Forbidden')
+    })
+  })
+})
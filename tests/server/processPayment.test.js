@@ -0,0 +1,505 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { formatAmount } from '../../src/utils/currency.js'
+import { signedIn, TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient, payment, sdkResponse } from '../helpers/fakeWorldlineClient.js'
+
+const savedCardCharge = {
+  token: 'token_123',
+  paymentProductId: 1,
+  customerId: 'customer_123',
+  amount: 10000,
+  currency: 'AUD'
+}
+
+const challenge = {
+  actionType: 'REDIRECT',
+  redirectData: { redirectURL: 'https://issuer.example/3ds/challenge' }
+}
+
+describe('POST /api/process-payment', () => {
+  let dataDir
+  let cardStore
+  let client
+  let ledger
+  let app
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    cardStore = createCardStore(path.join(dataDir, 'cards.jsonl'))
+    cardStore.add('user_123', 'token_123')
+    client = createFakeWorldlineClient()
+    ledger = createLedger(path.join(dataDir, 'ledger.jsonl'))
+    app = createApp({
+      client,
+      ledger,
+      webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+      cardStore,
+      authSecret: TEST_AUTH_SECRET
+    })
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  const charge = (body, headers = {}) => request(app).post('/api/process-payment').set(signedIn()).set(headers).send(body)
+
+  describe('validation', () => {
+    it('rejects a charge without a card', async () => {
+      const { token, ...body } = savedCardCharge
+      const response = await charge(body)
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe('Missing required fields')
+      expect(client.payments.createPayment).not.toHaveBeenCalled()
+    })
+
+    it('rejects a charge with both a saved card and an encrypted card', async () => {
+      const response = await charge({ ...savedCardCharge, cardToken: 'encrypted' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe('Conflicting card input')
+    })
+
+    it('rejects an unknown capture mode', async () => {
+      const response = await charge({ ...savedCardCharge, captureMode: 'later' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe('Invalid capture mode')
+    })
+
+    it('rejects a currency we do not sell in', async () => {
+      const response = await charge({ ...savedCardCharge, currency: 'XYZ' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe('Unsupported currency')
+      expect(client.payments.createPayment).not.toHaveBeenCalled()
+    })
+
+    it('rejects an amount that is not in minor units', async () => {
+      const response = await charge({ ...savedCardCharge, currency: 'JPY', amount: 100.5 })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe('Invalid amount')
+      expect(response.body.message).toContain('0 decimal places')
+    })
+  })
+
+  it('charges a saved card as a cardholder-initiated card-on-file payment', async () => {
+    const response = await charge(savedCardCharge)
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual({
+      success: true,
+      paymentId: 'pay_123',
+      status: 'CAPTURED',
+      captureMode: 'auto',
+      cardNumber: '************1111'
+    })
+
+    const [merchantId, body] = client.payments.createPayment.mock.calls[0]
+    expect(merchantId).toBe('test-merchant')
+    expect(body.cardPaymentMethodSpecificInput).toMatchObject({
+      token: 'token_123',
+      paymentProductId: 1,
+      unscheduledCardOnFileRequestor: 'cardholderInitiated',
+      unscheduledCardOnFileSequenceIndicator: 'subsequent',
+      returnUrl: 'http://localhost:5173/'
+    })
+    expect(body.order.amountOfMoney).toEqual({ amount: 10000, currencyCode: 'AUD' })
+    // customerId is the Worldline session's customer - ours is the signed-in user
+    expect(body.order.customer.merchantCustomerId).toBe('user_123')
+    expect(ledger.getPayment('pay_123').customerId).toBe('customer_123')
+    expect(client.payments.capturePayment).not.toHaveBeenCalled()
+  })
+
+  it('charges a card saved from the hosted tokenization iframe without a customer ID', async () => {
+    const { customerId, ...body } = savedCardCharge
+    const response = await charge(body)
+
+    expect(response.status).toBe(200)
+    const [, paymentRequest] = client.payments.createPayment.mock.calls[0]
+    expect(paymentRequest.order.customer.merchantCustomerId).toBe('user_123')
+    expect(ledger.getPayment('pay_123').customerId).toBeNull()
+  })
+
+  it('leaves off user IDs too long for a Worldline merchantCustomerId', async () => {
+    cardStore.add('user_with_a_long_id', 'token_123')
+    const response = await request(app).post('/api/process-payment').set(signedIn('user_with_a_long_id')).send(savedCardCharge)
+
+    expect(response.status).toBe(200)
+    const [, paymentRequest] = client.payments.createPayment.mock.calls[0]
+    expect(paymentRequest.order.customer.merchantCustomerId).toBeUndefined()
+    expect(ledger.getPayment('pay_123').ownerId).toBe('user_with_a_long_id')
+  })
+
+  describe('order details', () => {
+    const order = {
+      merchantReference: 'ORDER-1001',
+      descriptor: 'ACME*ORDER 1001',
+      customer: {
+        email: 'jo@example.com',
+        phone: '+61 2 9999 0000',
+        firstName: 'Jo',
+        surname: 'Citizen',
+        billingAddress: { street: 'George St', houseNumber: '1', city: 'Sydney', state: 'NSW', zip: '2000', countryCode: 'AU' }
+      },
+      shipping: {
+        firstName: 'Sam',
+        surname: 'Citizen',
+        address: { street: 'Queen St', houseNumber: '20', city: 'Brisbane', zip: '4000', countryCode: 'AU' }
+      },
+      lineItems: [
+        { description: 'Coffee beans', productCode: 'BEANS-1KG', quantity: 2, amountPerItem: 4000, taxAmount: 727 },
+        { description: 'Shipping', quantity: 1, amountPerItem: 2000 }
+      ]
+    }
+
+    it('puts the customer, addresses, line items and references on the payment', async () => {
+      const response = await charge({ ...savedCardCharge, order })
+
+      expect(response.status).toBe(200)
+      const [, body] = client.payments.createPayment.mock.calls[0]
+      expect(body.order.customer).toMatchObject({
+        merchantCustomerId: 'user_123',
+        contactDetails: { emailAddress: 'jo@example.com', phoneNumber: '+61 2 9999 0000' },
+        personalInformation: { name: { firstName: 'Jo', surname: 'Citizen' } },
+        billingAddress: { street: 'George St', houseNumber: '1', city: 'Sydney', state: 'NSW', zip: '2000', countryCode: 'AU' }
+      })
+      expect(body.order.customer.device).toBeDefined()
+      expect(body.order.shipping.address).toEqual({
+        street: 'Queen St',
+        houseNumber: '20',
+        city: 'Brisbane',
+        zip: '4000',
+        countryCode: 'AU',
+        name: { firstName: 'Sam', surname: 'Citizen' }
+      })
+      expect(body.order.shoppingCart.items).toEqual([
+        {
+          amountOfMoney: { amount: 8000, currencyCode: 'AUD' },
+          orderLineDetails: { productName: 'Coffee beans', productCode: 'BEANS-1KG', productPrice: 4000, quantity: 2, taxAmount: 727 }
+        },
+        {
+          amountOfMoney: { amount: 2000, currencyCode: 'AUD' },
+          orderLineDetails: { productName: 'Shipping', productPrice: 2000, quantity: 1 }
+        }
+      ])
+      expect(body.order.references).toEqual({ merchantReference: 'ORDER-1001', descriptor: 'ACME*ORDER 1001' })
+      expect(body.order.amountOfMoney).toEqual({ amount: 10000, currencyCode: 'AUD' })
+      expect(ledger.getPayment('pay_123')).toMatchObject({ customerId: 'customer_123', merchantReference: 'ORDER-1001' })
+    })
+
+    it.each([
+      [{ ...order, giftWrap: true }, 'Unsupported field in order: giftWrap'],
+      [{ customer: { email: 'not-an-email' } }, 'order.customer.email must be an email address of up to 70 characters'],
+      [{ customer: { phone: 'call me' } }, 'order.customer.phone must be a phone number of up to 20 digits, spaces, brackets or dashes'],
+      [{ customer: { billingAddress: { city: 'Sydney' } } }, 'order.customer.billingAddress.countryCode is required'],
+      [{ customer: { billingAddress: { city: 'Sydney', countryCode: 'Australia' } } }, 'order.customer.billingAddress.countryCode must be an ISO 3166-1 alpha-2 country code, e.g. AU'],
+      // Our customer ID is the signed-in user - the browser can't claim another
+      [{ customer: { merchantCustomerId: 'cust-42' } }, 'Unsupported field in order.customer: merchantCustomerId'],
+      [{ shipping: { firstName: 'Sam' } }, 'order.shipping.address is required'],
+      [{ descriptor: 'A descriptor far too long for a statement' }, 'order.descriptor must be text of up to 22 characters'],
+      [{ merchantReference: 'ORDER\n1001' }, 'order.merchantReference must be text of up to 40 characters'],
+      [{ lineItems: [{ description: 'Coffee beans', quantity: 0, amountPerItem: 10000 }] }, 'order.lineItems[0].quantity must be a positive whole number'],
+      [{ lineItems: [{ description: 'Coffee beans', quantity: 3, amountPerItem: 4000 }] }, `order.lineItems add up to ${formatAmount(12000, 'AUD')}, not the amount of ${formatAmount(10000, 'AUD')}`]
+    ])('rejects invalid order details: %j', async (invalidOrder, message) => {
+      const response = await charge({ ...savedCardCharge, order: invalidOrder })
+
+      expect(response.status).toBe(400)
+      expect(response.body).toEqual({ error: 'Invalid order details', message })
+      expect(client.payments.createPayment).not.toHaveBeenCalled()
+    })
+  })
+
+  it('sends an encrypted card as encryptedCustomerInput', async () => {
+    const { token, paymentProductId, ...body } = savedCardCharge
+    await charge({ ...body, cardToken: 'encrypted-card' })
+
+    const [, paymentRequest] = client.payments.createPayment.mock.calls[0]
+    expect(paymentRequest.encryptedCustomerInput).toBe('encrypted-card')
+    expect(paymentRequest.cardPaymentMethodSpecificInput.token).toBeUndefined()
+  })
+
+  describe('PENDING_CAPTURE', () => {
+    beforeEach(() => {
+      client.payments.createPayment.mockResolvedValue(sdkResponse(201, {
+        payment: payment({ status: 'PENDING_CAPTURE', statusCode: 5 })
+      }))
+    })
+
+    it('captures the full amount in auto capture mode', async () => {
+      const response = await charge(savedCardCharge)
+
+      expect(response.status).toBe(200)
+      expect(response.body.status).toBe('CAPTURED')
+      expect(client.payments.capturePayment).toHaveBeenCalledWith('test-merchant', 'pay_123', { amount: 10000 })
+      expect(ledger.getPayment('pay_123')).toMatchObject({ status: 'CAPTURED', captured: 10000, uncaptured: 0 })
+    })
+
+    it('leaves the payment authorized in manual capture mode', async () => {
+      const response = await charge({ ...savedCardCharge, captureMode: 'manual' })
+
+      expect(response.body).toMatchObject({ success: true, status: 'PENDING_CAPTURE', captureMode: 'manual' })
+      expect(client.payments.createPayment.mock.calls[0][1].cardPaymentMethodSpecificInput.authorizationMode)
+        .toBe('FINAL_AUTHORIZATION')
+      expect(client.payments.capturePayment).not.toHaveBeenCalled()
+      expect(ledger.getPayment('pay_123')).toMatchObject({ status: 'PENDING_CAPTURE', uncaptured: 10000 })
+    })
+
+    it('reports the payment as authorized when Worldline rejects the capture', async () => {
+      client.payments.capturePayment.mockResolvedValueOnce(sdkResponse(400, { errors: [{ code: '1002' }] }))
+
+      const response = await charge(savedCardCharge)
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ success: true, status: 'AUTHORIZED_PENDING_CAPTURE' })
+      expect(ledger.getPayment('pay_123')).toMatchObject({ status: 'PENDING_CAPTURE', captured: 0 })
+    })
+
+    it('reports the payment as authorized when the capture call throws', async () => {
+      client.payments.capturePayment.mockRejectedValueOnce(new Error('socket hang up'))
+
+      const response = await charge(savedCardCharge)
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ success: true, status: 'AUTHORIZED_PENDING_CAPTURE' })
+    })
+  })
+
+  describe('3-D Secure', () => {
+    it('returns the issuer redirect when the payment comes back with a REDIRECT action', async () => {
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, {
+        payment: payment({ status: 'REDIRECTED', statusCode: 46 }),
+        merchantAction: challenge
+      }))
+
+      const response = await charge(savedCardCharge)
+
+      expect(response.status).toBe(402)
+      expect(response.body).toEqual({
+        requires3DS: true,
+        paymentId: 'pay_123',
+        redirectUrl: 'https://issuer.example/3ds/challenge',
+        message: 'Customer authentication required'
+      })
+      expect(ledger.getPayment('pay_123')).toMatchObject({ status: 'REDIRECTED', amount: 10000 })
+    })
+
+    it('returns the issuer redirect for a 402 with a REDIRECT action', async () => {
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(402, {
+        paymentResult: {
+          payment: payment({ id: 'pay_456', status: 'REDIRECTED', statusCode: 46 }),
+          merchantAction: challenge
+        }
+      }))
+
+      const response = await charge(savedCardCharge)
+
+      expect(response.status).toBe(402)
+      expect(response.body).toMatchObject({ requires3DS: true, paymentId: 'pay_456' })
+      expect(client.payments.capturePayment).not.toHaveBeenCalled()
+    })
+
+    it('lets the customer who paid finish the payment on their return', async () => {
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, {
+        payment: payment({ status: 'REDIRECTED', statusCode: 46 }),
+        merchantAction: challenge
+      }))
+      await charge(savedCardCharge).expect(402)
+
+      client.payments.getPayment.mockResolvedValue(sdkResponse(200, payment({ status: 'CAPTURED', statusCode: 9 })))
+      const completed = await request(app).post('/api/payments/pay_123/complete').set(signedIn()).send({})
+
+      expect(completed.status).toBe(200)
+      expect(completed.body).toMatchObject({ completed: true, paymentId: 'pay_123', status: 'CAPTURED' })
+      await request(app).get('/api/payments/pay_123').set(signedIn()).expect(200)
+      const history = await request(app).get('/api/payments').set(signedIn())
+      expect(history.body.payments.map(entry => entry.paymentId)).toEqual(['pay_123'])
+
+      await request(app).post('/api/payments/pay_123/complete').set(signedIn('user_456')).send({}).expect(404)
+    })
+  })
+
+  describe('declines', () => {
+    it('treats a 402 without a redirect as a decline', async () => {
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(402, {
+        errorId: 'err_1',
+        errors: [{ code: '30511001', message: 'DECLINED' }],
+        paymentResult: { payment: payment({ id: 'pay_789', status: 'REJECTED', statusCode: 2 }) }
+      }))
+
+      const response = await charge(savedCardCharge)
+
+      expect(response.status).toBe(400)
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Payment declined or processing failed',
+        status: 'REJECTED',
+        statusCode: 2
+      })
+      expect(ledger.getPayment('pay_789')).toMatchObject({ status: 'REJECTED', customerId: 'customer_123' })
+    })
+
+    it('reports other Worldline errors as failed payments', async () => {
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(400, {
+        errors: [{ code: '1099', message: 'INVALID_VALUE' }]
+      }))
+
+      const response = await charge(savedCardCharge)
+
+      expect(response.status).toBe(400)
+      expect(response.body).toMatchObject({ success: false, status: 'FAILED', statusCode: 400 })
+    })
+
+    it('returns 500 when the SDK call throws', async () => {
+      client.payments.createPayment.mockRejectedValueOnce(new Error('connect ETIMEDOUT'))
+
+      const response = await charge(savedCardCharge)
+
+      expect(response.status).toBe(500)
+      expect(response.body).toEqual({ error: 'Payment processing failed', message: 'connect ETIMEDOUT' })
+    })
+  })
+
+  describe('payment product allowlist', () => {
+    beforeEach(() => {
+      app = createApp({
+        client,
+        ledger,
+        webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+        cardStore,
+        allowedProductIds: [1, 3],
+        authSecret: TEST_AUTH_SECRET
+      })
+    })
+
+    it('charges a saved card of an allowed product', async () => {
+      const response = await charge(savedCardCharge)
+
+      expect(response.status).toBe(200)
+      expect(client.tokens.getToken).toHaveBeenCalledWith('test-merchant', 'token_123')
+    })
+
+    it('refuses a payment product outside the allowlist', async () => {
+      const response = await charge({ ...savedCardCharge, paymentProductId: 2 })
+
+      expect(response.status).toBe(403)
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Payment product not allowed',
+        message: 'Payment product 2 not allowed - allowed: 1, 3'
+      })
+      expect(client.payments.createPayment).not.toHaveBeenCalled()
+    })
+
+    it('refuses a saved card of a product outside the allowlist, whatever product is sent', async () => {
+      client.tokens.getToken.mockResolvedValueOnce(sdkResponse(200, { id: 'token_123', paymentProductId: 2 }))
+
+      const response = await charge(savedCardCharge)
+
+      expect(response.status).toBe(403)
+      expect(response.body.error).toBe('Payment product not allowed')
+      expect(client.payments.createPayment).not.toHaveBeenCalled()
+    })
+
+    it('refuses a saved card whose product can not be looked up', async () => {
+      client.tokens.getToken.mockResolvedValueOnce(sdkResponse(404, { errors: [{ id: 'UNKNOWN_TOKEN' }] }))
+
+      const response = await charge(savedCardCharge)
+
+      expect(response.status).toBe(502)
+      expect(response.body.error).toBe('Card lookup failed')
+      expect(client.payments.createPayment).not.toHaveBeenCalled()
+    })
+
+    it('does not look saved cards up without an allowlist', async () => {
+      app = createApp({
+        client,
+        ledger,
+        webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+        cardStore,
+        allowedProductIds: [],
+        authSecret: TEST_AUTH_SECRET
+      })
+
+      await charge({ ...savedCardCharge, paymentProductId: 2 }).expect(200)
+      expect(client.tokens.getToken).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Idempotency-Key', () => {
+    it('replays the first response for a repeated key', async () => {
+      const headers = { 'Idempotency-Key': 'charge-1' }
+
+      const first = await charge(savedCardCharge, headers)
+      const second = await charge(savedCardCharge, headers)
+
+      expect(second.status).toBe(first.status)
+      expect(second.body).toEqual(first.body)
+      expect(second.headers['idempotent-replayed']).toBe('true')
+      expect(client.payments.createPayment).toHaveBeenCalledTimes(1)
+    })
+
+    it('rejects a reused key with a different charge', async () => {
+      const headers = { 'Idempotency-Key': 'charge-1' }
+
+      await charge(savedCardCharge, headers).expect(200)
+      const response = await charge({ ...savedCardCharge, amount: 20000 }, headers)
+
+      expect(response.status).toBe(422)
+      expect(response.body.error).toBe('Idempotency key reused')
+      expect(client.payments.createPayment).toHaveBeenCalledTimes(1)
+    })
+
+    it('rejects a malformed key', async () => {
+      const response = await charge(savedCardCharge, { 'Idempotency-Key': 'charge 1' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe('Invalid idempotency key')
+      expect(client.payments.createPayment).not.toHaveBeenCalled()
+    })
+
+    it('keeps keys apart per user', async () => {
+      cardStore.add('user_456', 'token_123')
+      const headers = { 'Idempotency-Key': 'charge-1' }
+
+      await charge(savedCardCharge, headers).expect(200)
+      const response = await request(app).post('/api/process-payment').set(signedIn('user_456')).set(headers).send(savedCardCharge)
+
+      expect(response.status).toBe(200)
+      expect(response.headers['idempotent-replayed']).toBeUndefined()
+      expect(client.payments.createPayment).toHaveBeenCalledTimes(2)
+    })
+
+    it('lets the client retry a key after a server error', async () => {
+      client.payments.createPayment.mockRejectedValueOnce(new Error('connect ETIMEDOUT'))
+      const headers = { 'Idempotency-Key': 'charge-1' }
+
+      await charge(savedCardCharge, headers).expect(500)
+      const response = await charge(savedCardCharge, headers)
+
+      expect(response.status).toBe(200)
+      expect(response.headers['idempotent-replayed']).toBeUndefined()
+      expect(client.payments.createPayment).toHaveBeenCalledTimes(2)
+    })
+
+    it('charges again without a key', async () => {
+      await charge(savedCardCharge).expect(200)
+      await charge(savedCardCharge).expect(200)
+
+      expect(client.payments.createPayment).toHaveBeenCalledTimes(2)
+    })
+  })
+})
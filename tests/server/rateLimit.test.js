@@ -0,0 +1,265 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { createMemoryRateLimitStore, createRateLimiter } from '../../server/rateLimit.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { signedIn, TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient, payment, sdkResponse } from '../helpers/fakeWorldlineClient.js'
+
+const limits = {
+  windowMs: 15 * 60 * 1000,
+  sessionsPerIp: 2,
+  paymentsPerIp: 10,
+  paymentsPerCustomer: 3,
+  declines: 2,
+  declineWindowMs: 60 * 60 * 1000,
+  lockoutMs: 60 * 60 * 1000
+}
+
+const savedCardCharge = {
+  token: 'token_123',
+  paymentProductId: 1,
+  customerId: 'customer_123',
+  amount: 10000,
+  currency: 'AUD'
+}
+
+const decline = () => sdkResponse(402, {
+  paymentResult: { payment: payment({ id: 'pay_declined', status: 'REJECTED', statusCode: 2 }) }
+})
+
+describe('rate limiter', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('counts requests in fixed windows and says when to retry', async () => {
+    vi.useFakeTimers()
+    const limiter = createRateLimiter({ store: createMemoryRateLimitStore(), limits })
+
+    expect(await limiter.hit('sessions', '203.0.113.7', 2, 'sessions')).toBeNull()
+    expect(await limiter.hit('sessions', '203.0.113.7', 2, 'sessions')).toBeNull()
+    expect(await limiter.hit('sessions', '203.0.113.7', 2, 'sessions')).toEqual({
+      code: 'RATE_LIMITED',
+      retryAfter: 900,
+      message: 'Too many sessions - try again in 15 minutes'
+    })
+    expect(await limiter.hit('sessions', '198.51.100.1', 2, 'sessions')).toBeNull()
+
+    vi.advanceTimersByTime(limits.windowMs)
+    expect(await limiter.hit('sessions', '203.0.113.7', 2, 'sessions')).toBeNull()
+  })
+
+  it('locks out each subject that reaches the decline limit until the lockout ends', async () => {
+    vi.useFakeTimers()
+    const limiter = createRateLimiter({ store: createMemoryRateLimitStore(), limits })
+
+    expect(await limiter.recordDecline({ card: 'card_a', customer: 'customer_1', ip: null })).toEqual([])
+    expect(await limiter.lockedOut({ card: 'card_a' })).toBeNull()
+    expect(await limiter.recordDecline({ card: 'card_b', customer: 'customer_1', ip: null })).toEqual(['customer'])
+
+    expect(await limiter.lockedOut({ card: 'card_a', customer: 'customer_2' })).toBeNull()
+    expect(await limiter.lockedOut({ card: 'card_c', customer: 'customer_1' })).toMatchObject({
+      code: 'LOCKED_OUT',
+      subject: 'customer',
+      retryAfter: 3600,
+      message: 'Too many declined payments for this customer - try again in 1 hour'
+    })
+
+    vi.advanceTimersByTime(limits.lockoutMs)
+    expect(await limiter.lockedOut({ customer: 'customer_1' })).toBeNull()
+  })
+
+  it('works with a store that returns promises', async () => {
+    const memory = createMemoryRateLimitStore()
+    const store = {
+      increment: async (key, windowMs) => memory.increment(key, windowMs),
+      get: async (key) => memory.get(key),
+      delete: async (key) => memory.delete(key)
+    }
+    const limiter = createRateLimiter({ store, limits: { ...limits, declines: 1 } })
+
+    await limiter.recordDecline({ card: 'card_a' })
+    expect(await limiter.lockedOut({ card: 'card_a' })).toMatchObject({ code: 'LOCKED_OUT', subject: 'card' })
+  })
+})
+
+describe('rate limited routes', () => {
+  let dataDir
+  let cardStore
+  let client
+  let app
+
+  const buildApp = (rateLimits = limits) => createApp({
+    client,
+    ledger: createLedger(path.join(dataDir, 'ledger.jsonl')),
+    webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+    cardStore,
+    authSecret: TEST_AUTH_SECRET,
+    rateLimits
+  })
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    cardStore = createCardStore(path.join(dataDir, 'cards.jsonl'))
+    cardStore.add('user_123', 'token_123')
+    client = createFakeWorldlineClient()
+    app = buildApp()
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  const charge = (body = savedCardCharge, user = signedIn()) => request(app).post('/api/process-payment').set(user).send(body)
+
+  it('limits sessions per IP address with a 429 and Retry-After', async () => {
+    await request(app).post('/api/session').set(signedIn()).send({}).expect(200)
+    await request(app).post('/api/hosted-tokenization').set(signedIn()).send({}).expect(201)
+
+    const response = await request(app).post('/api/session').set(signedIn()).send({})
+
+    expect(response.status).toBe(429)
+    expect(response.headers['retry-after']).toBe('900')
+    expect(response.body).toEqual({
+      error: 'Too many requests',
+      code: 'RATE_LIMITED',
+      message: 'Too many checkout sessions from your network address - try again in 15 minutes',
+      retryAfter: 900
+    })
+    expect(client.sessions.createSession).toHaveBeenCalledTimes(1)
+  })
+
+  it('limits payment attempts per customer', async () => {
+    for (let i = 0; i < limits.paymentsPerCustomer; i++) {
+      await charge().expect(200)
+    }
+
+    const limited = await charge()
+    expect(limited.status).toBe(429)
+    expect(limited.body.message).toMatch(/^Too many payment attempts for this customer/)
+
+    cardStore.add('user_456', 'token_123')
+    await charge(savedCardCharge, signedIn('user_456')).expect(200)
+    expect(client.payments.createPayment).toHaveBeenCalledTimes(limits.paymentsPerCustomer + 1)
+  })
+
+  it('locks out a card after repeated declines without calling Worldline', async () => {
+    client.payments.createPayment.mockResolvedValueOnce(decline()).mockResolvedValueOnce(decline())
+
+    for (const userId of ['user_1', 'user_2', 'user_3']) {
+      cardStore.add(userId, 'token_123')
+    }
+    await charge(savedCardCharge, signedIn('user_1')).expect(400)
+    await charge(savedCardCharge, signedIn('user_2')).expect(400)
+
+    const response = await charge(savedCardCharge, signedIn('user_3'))
+
+    expect(response.status).toBe(429)
+    expect(response.body).toMatchObject({ code: 'LOCKED_OUT', retryAfter: 3600 })
+    expect(response.body.message).toBe('Too many declined payments for this card - try again in 1 hour')
+    expect(client.payments.createPayment).toHaveBeenCalledTimes(2)
+  })
+
+  describe('encrypted cards', () => {
+    // Each charge from its own user and network address, so only the card can be locked out
+    const from = (userId, ip) => ({ ...signedIn(userId), 'X-Forwarded-For': ip })
+    const encryptedCharge = (cardToken) => ({ cardToken, amount: 10000, currency: 'AUD' })
+
+    const declineTwice = async () => {
+      client.payments.createPayment.mockResolvedValueOnce(decline()).mockResolvedValueOnce(decline())
+      await charge(encryptedCharge('encrypted-card-1'), from('user_1', '198.51.100.1')).expect(400)
+      await charge(encryptedCharge('encrypted-card-2'), from('user_2', '198.51.100.2')).expect(400)
+    }
+
+    beforeEach(() => {
+      app.set('trust proxy', true)
+    })
+
+    it('locks out the card of repeated declined charges and cancels its authorizations', async () => {
+      await declineTwice()
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, {
+        payment: payment({ id: 'pay_locked', status: 'PENDING_CAPTURE', statusCode: 5 })
+      }))
+
+      const response = await charge(encryptedCharge('encrypted-card-3'), from('user_3', '198.51.100.3'))
+
+      expect(response.status).toBe(429)
+      expect(response.body).toMatchObject({ code: 'LOCKED_OUT', retryAfter: 3600 })
+      expect(response.body.message).toBe('Too many declined payments for this card - try again in 1 hour')
+      expect(client.payments.cancelPayment).toHaveBeenCalledWith(process.env.ANZ_WORLDLINE_PSPID, 'pay_locked', {})
+      expect(client.payments.capturePayment).not.toHaveBeenCalled()
+
+      const otherCard = payment({ id: 'pay_other' })
+      otherCard.paymentOutput.cardPaymentMethodSpecificOutput.card = { cardNumber: '************4242', expiryDate: '1230' }
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, { payment: otherCard }))
+      await charge(encryptedCharge('encrypted-card-4'), from('user_4', '198.51.100.4')).expect(200)
+    })
+
+    it('does not save a locked out card', async () => {
+      await declineTwice()
+
+      const response = await request(app).post('/api/tokens').set(from('user_3', '198.51.100.3')).send({ cardToken: 'encrypted-card-3' })
+
+      expect(response.status).toBe(429)
+      expect(response.body.message).toBe('Too many declined payments for this card - try again in 1 hour')
+      expect(client.tokens.getToken).not.toHaveBeenCalled()
+    })
+  })
+
+  it('counts a payment that fails 3-D Secure as a decline of its card', async () => {
+    const challenge = { actionType: 'REDIRECT', redirectData: { redirectURL: 'https://issuer.example/3ds/challenge' } }
+
+    for (const userId of ['user_1', 'user_2', 'user_3']) {
+      cardStore.add(userId, 'token_123')
+    }
+    for (const userId of ['user_1', 'user_2']) {
+      const paymentId = `pay_${userId}`
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, {
+        payment: payment({ id: paymentId, status: 'REDIRECTED', statusCode: 46 }),
+        merchantAction: challenge
+      }))
+      await charge(savedCardCharge, signedIn(userId)).expect(402)
+
+      client.payments.getPayment.mockResolvedValueOnce(sdkResponse(200, payment({ id: paymentId, status: 'REJECTED', statusCode: 2 })))
+      const completed = await request(app).post(`/api/payments/${paymentId}/complete`).set(signedIn(userId)).send({})
+      expect(completed.body).toMatchObject({ completed: true, status: 'REJECTED' })
+    }
+
+    const response = await charge(savedCardCharge, signedIn('user_3'))
+
+    expect(response.status).toBe(429)
+    expect(response.body.message).toBe('Too many declined payments for this card - try again in 1 hour')
+    expect(client.payments.createPayment).toHaveBeenCalledTimes(2)
+  })
+
+  it('counts failed card verifications against the IP address', async () => {
+    client.payments.createPayment.mockResolvedValue(decline())
+
+    await request(app).post('/api/tokens').set(signedIn('user_1')).send({ cardToken: 'encrypted-card-1' }).expect(400)
+    await request(app).post('/api/tokens').set(signedIn('user_2')).send({ cardToken: 'encrypted-card-2' }).expect(400)
+
+    const response = await request(app).post('/api/tokens').set(signedIn('user_3')).send({ cardToken: 'encrypted-card-3' })
+    expect(response.status).toBe(429)
+    expect(response.body.message).toBe('Too many declined payments for your network address - try again in 1 hour')
+    expect(client.payments.createPayment).toHaveBeenCalledTimes(2)
+  })
+
+  it('turns limits off with 0', async () => {
+    app = buildApp({ ...limits, sessionsPerIp: 0, paymentsPerCustomer: 0, declines: 0 })
+    client.payments.createPayment.mockResolvedValue(decline())
+
+    for (let i = 0; i < 4; i++) {
+      await request(app).post('/api/session').set(signedIn()).send({}).expect(200)
+      await charge().expect(400)
+    }
+  })
+})
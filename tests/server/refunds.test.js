@@ -0,0 +1,167 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { signedIn, TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient, payment, sdkResponse } from '../helpers/fakeWorldlineClient.js'
+
+const operator = () => signedIn('staff_1', 'operator')
+
+const refundablePayment = () => ({ ...payment(), statusOutput: { ...payment().statusOutput, isRefundable: true } })
+
+const capture = (amount, status = 'CAPTURED') => ({ status, captureOutput: { amountOfMoney: { amount, currencyCode: 'AUD' } } })
+const refund = (amount, status = 'REFUNDED') => ({ status, refundOutput: { amountOfMoney: { amount, currencyCode: 'AUD' } } })
+
+describe('POST /api/payments/:paymentId/refund', () => {
+  let dataDir
+  let client
+  let ledger
+  let app
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    client = createFakeWorldlineClient()
+    client.payments.getPayment.mockResolvedValue(sdkResponse(200, refundablePayment()))
+    client.captures.getCaptures.mockResolvedValue(sdkResponse(200, { captures: [capture(10000)] }))
+    ledger = createLedger(path.join(dataDir, 'ledger.jsonl'))
+    app = createApp({
+      client,
+      ledger,
+      webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+      cardStore: createCardStore(path.join(dataDir, 'cards.jsonl')),
+      authSecret: TEST_AUTH_SECRET
+    })
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  const refundPayment = (body = {}) => request(app).post('/api/payments/pay_123/refund').set(operator()).send(body)
+
+  it('refunds whatever was captured when no amount is given', async () => {
+    const response = await refundPayment()
+
+    expect(response.status).toBe(200)
+    expect(response.body).toMatchObject({ success: true, refundId: 'refund_123', amount: 10000, totalRefunded: 10000, remaining: 0 })
+    expect(client.payments.refundPayment).toHaveBeenCalledWith(expect.any(String), 'pay_123', {
+      amountOfMoney: { amount: 10000, currencyCode: 'AUD' }
+    })
+    expect(ledger.getPayment('pay_123').refunded).toBe(10000)
+  })
+
+  it('counts earlier partial refunds against the captured amount', async () => {
+    client.refunds.getRefunds.mockResolvedValue(sdkResponse(200, { refunds: [refund(3000), refund(2000)] }))
+
+    const response = await refundPayment({ amount: 4000, reason: 'Damaged in transit' })
+
+    expect(response.status).toBe(200)
+    expect(response.body).toMatchObject({ amount: 4000, totalRefunded: 9000, remaining: 1000 })
+    expect(client.payments.refundPayment).toHaveBeenCalledWith(expect.any(String), 'pay_123', {
+      amountOfMoney: { amount: 4000, currencyCode: 'AUD' },
+      reason: 'Damaged in transit'
+    })
+  })
+
+  it('refuses a refund above what is left to refund', async () => {
+    client.refunds.getRefunds.mockResolvedValue(sdkResponse(200, { refunds: [refund(7000)] }))
+
+    const response = await refundPayment({ amount: 3001 })
+
+    expect(response.status).toBe(409)
+    expect(response.body).toMatchObject({
+      error: 'Refund exceeds captured amount',
+      captured: 10000,
+      refunded: 7000,
+      remaining: 3000
+    })
+    expect(client.payments.refundPayment).not.toHaveBeenCalled()
+  })
+
+  it('leaves rejected refunds and captures out of the totals', async () => {
+    client.captures.getCaptures.mockResolvedValue(sdkResponse(200, { captures: [capture(6000), capture(4000, 'REJECTED_CAPTURE')] }))
+    client.refunds.getRefunds.mockResolvedValue(sdkResponse(200, { refunds: [refund(6000, 'REFUND_REJECTED')] }))
+
+    const response = await refundPayment()
+
+    expect(response.status).toBe(200)
+    expect(response.body).toMatchObject({ amount: 6000, remaining: 0 })
+  })
+
+  it('refuses a payment that is refunded in full', async () => {
+    client.refunds.getRefunds.mockResolvedValue(sdkResponse(200, { refunds: [refund(10000)] }))
+
+    const response = await refundPayment({ amount: 100 })
+
+    expect(response.status).toBe(409)
+    expect(response.body).toMatchObject({ error: 'Payment is not refundable', remaining: 0 })
+  })
+
+  it('refuses a payment Worldline says is not refundable', async () => {
+    client.payments.getPayment.mockResolvedValue(sdkResponse(200, payment({ status: 'PENDING_CAPTURE', statusCode: 5 })))
+
+    const response = await refundPayment()
+
+    expect(response.status).toBe(409)
+    expect(response.body.error).toBe('Payment is not refundable')
+    expect(client.payments.refundPayment).not.toHaveBeenCalled()
+  })
+
+  it('rejects an amount that is not in minor units', async () => {
+    const response = await refundPayment({ amount: 10.5 })
+
+    expect(response.status).toBe(400)
+    expect(response.body.error).toBe('Invalid amount')
+    expect(client.payments.getPayment).not.toHaveBeenCalled()
+  })
+
+  it('answers 404 for a payment Worldline does not know', async () => {
+    client.payments.getPayment.mockResolvedValue(sdkResponse(404, { errors: [{ id: 'UNKNOWN_PAYMENT_ID' }] }))
+
+    const response = await refundPayment()
+
+    expect(response.status).toBe(404)
+    expect(response.body.error).toBe('Payment not found')
+  })
+
+  it('reports a refund Worldline declines without recording it', async () => {
+    client.payments.refundPayment.mockResolvedValueOnce(sdkResponse(400, { errors: [{ id: 'REFUND_REFUSED' }] }))
+
+    const response = await refundPayment()
+
+    expect(response.status).toBe(400)
+    expect(response.body).toMatchObject({ success: false, error: 'Refund declined or processing failed' })
+    expect(ledger.getPayment('pay_123')).toBeNull()
+  })
+
+  it('refunds once when two refunds of the rest arrive at the same time', async () => {
+    const refunds = []
+    client.refunds.getRefunds.mockImplementation(async () => sdkResponse(200, { refunds: [...refunds] }))
+    client.payments.refundPayment.mockImplementation(async (merchantId, paymentId, body) => {
+      await new Promise(resolve => setTimeout(resolve, 10))
+      refunds.push(refund(body.amountOfMoney.amount, 'REFUND_REQUESTED'))
+      return sdkResponse(201, { id: `refund_${refunds.length}`, status: 'REFUND_REQUESTED' })
+    })
+
+    const responses = await Promise.all([refundPayment(), refundPayment()])
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409])
+    expect(client.payments.refundPayment).toHaveBeenCalledTimes(1)
+    expect(ledger.getPayment('pay_123').refunded).toBe(10000)
+  })
+
+  it('is for operators only', async () => {
+    const response = await request(app).post('/api/payments/pay_123/refund').set(signedIn()).send({})
+
+    expect(response.status).toBe(403)
+    expect(client.payments.refundPayment).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,191 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { signedIn, TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient, sdkResponse } from '../helpers/fakeWorldlineClient.js'
+
+describe('POST /api/session', () => {
+  let dataDir
+  let cardStore
+  let client
+  let app
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    cardStore = createCardStore(path.join(dataDir, 'cards.jsonl'))
+    cardStore.add('user_123', 'token_123')
+    client = createFakeWorldlineClient()
+    app = createApp({
+      client,
+      ledger: createLedger(path.join(dataDir, 'ledger.jsonl')),
+      webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+      cardStore,
+      authSecret: TEST_AUTH_SECRET
+    })
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  it('returns the client session for the configured merchant', async () => {
+    const response = await request(app).post('/api/session').set(signedIn()).send({})
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual({
+      clientSessionId: 'session_123',
+      customerId: 'customer_123',
+      clientApiUrl: 'https://payment.preprod.anzworldline-solutions.com.au',
+      assetUrl: 'https://assets.preprod.anzworldline-solutions.com.au',
+      expiresAt: expect.any(String),
+      invalidTokens: [],
+      foreignTokens: [],
+      paymentProductFilters: {}
+    })
+    expect(client.sessions.createSession).toHaveBeenCalledWith('test-merchant', {})
+  })
+
+  it('tells the frontend when to replace the session', async () => {
+    const before = Date.now()
+    const response = await request(app).post('/api/session').set(signedIn()).send({})
+
+    const expiresAt = Date.parse(response.body.expiresAt)
+    expect(expiresAt).toBeGreaterThanOrEqual(before + 900 * 1000)
+    expect(expiresAt).toBeLessThanOrEqual(Date.now() + 900 * 1000)
+  })
+
+  it('passes the saved card tokens on and returns the ones Worldline does not know', async () => {
+    client.sessions.createSession.mockResolvedValueOnce(sdkResponse(201, {
+      clientSessionId: 'session_123',
+      customerId: 'customer_123',
+      invalidTokens: ['token_gone']
+    }))
+
+    cardStore.add('user_123', 'token_gone')
+
+    const response = await request(app)
+      .post('/api/session')
+      .set(signedIn())
+      .send({ countryCode: 'NZ', currencyCode: 'NZD', amount: 5000, tokens: ['token_123', 'token_gone', 'token_123'] })
+
+    expect(response.status).toBe(200)
+    expect(response.body.invalidTokens).toEqual(['token_gone'])
+    expect(client.sessions.createSession).toHaveBeenCalledWith('test-merchant', { tokens: ['token_123', 'token_gone'] })
+  })
+
+  it('returns the cards of other users as foreign without listing them', async () => {
+    const response = await request(app)
+      .post('/api/session')
+      .set(signedIn())
+      .send({ tokens: ['token_123', 'token_456'] })
+
+    expect(response.status).toBe(200)
+    expect(response.body).toMatchObject({ invalidTokens: [], foreignTokens: ['token_456'] })
+    expect(client.sessions.createSession).toHaveBeenCalledWith('test-merchant', { tokens: ['token_123'] })
+  })
+
+  it('needs a signed-in user', async () => {
+    const response = await request(app).post('/api/session').send({})
+
+    expect(response.status).toBe(401)
+    expect(response.body.error).toBe('Authentication required')
+    expect(client.sessions.createSession).not.toHaveBeenCalled()
+  })
+
+  it('rejects a malformed context', async () => {
+    for (const body of [{ amount: 10.5 }, { tokens: 'token_123' }, { paymentProductFilters: { restrictTo: { products: ['visa'] } } }, { locale: 'en_AU' }]) {
+      const response = await request(app).post('/api/session').set(signedIn()).send(body)
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe('Invalid session context')
+    }
+    expect(client.sessions.createSession).not.toHaveBeenCalled()
+  })
+
+  it('rejects a currency we do not sell in', async () => {
+    const response = await request(app).post('/api/session').set(signedIn()).send({ countryCode: 'AU', currencyCode: 'XYZ' })
+
+    expect(response.status).toBe(403)
+    expect(response.body.error).toBe('Session context not allowed')
+    expect(client.sessions.createSession).not.toHaveBeenCalled()
+  })
+
+  it('returns the product filters of the checkout', async () => {
+    const paymentProductFilters = { restrictTo: { products: [1, 3] }, exclude: { products: [2] } }
+    const response = await request(app).post('/api/session').set(signedIn()).send({ paymentProductFilters })
+
+    expect(response.status).toBe(200)
+    expect(response.body.paymentProductFilters).toEqual(paymentProductFilters)
+    // Client sessions can't be filtered by Worldline - the frontend applies them
+    expect(client.sessions.createSession).toHaveBeenCalledWith('test-merchant', {})
+  })
+
+  describe('with a payment product allowlist', () => {
+    beforeEach(() => {
+      app = createApp({
+        client,
+        ledger: createLedger(path.join(dataDir, 'ledger.jsonl')),
+        webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+        cardStore,
+        authSecret: TEST_AUTH_SECRET,
+        allowedProductIds: [1, 3, 130]
+      })
+    })
+
+    it('restricts checkouts without filters to the allowed products', async () => {
+      const response = await request(app).post('/api/session').set(signedIn()).send({})
+
+      expect(response.status).toBe(200)
+      expect(response.body.paymentProductFilters).toEqual({ restrictTo: { products: [1, 3, 130] } })
+    })
+
+    it('accepts a narrower set of products', async () => {
+      const response = await request(app).post('/api/session').set(signedIn()).send({ paymentProductFilters: { restrictTo: { products: [130] } } })
+
+      expect(response.status).toBe(200)
+      expect(response.body.paymentProductFilters).toEqual({ restrictTo: { products: [130] } })
+    })
+
+    it('rejects products outside the allowlist', async () => {
+      const response = await request(app).post('/api/session').set(signedIn()).send({ paymentProductFilters: { restrictTo: { products: [1, 2] } } })
+
+      expect(response.status).toBe(403)
+      expect(response.body.message).toContain('Payment product 2 not allowed')
+      expect(client.sessions.createSession).not.toHaveBeenCalled()
+    })
+  })
+
+  it('passes Worldline errors through with their status', async () => {
+    client.sessions.createSession.mockResolvedValueOnce(sdkResponse(403, {
+      errorId: 'err_1',
+      errors: [{ code: '9007', message: 'ACCESS_TO_MERCHANT_NOT_ALLOWED' }]
+    }))
+
+    const response = await request(app).post('/api/session').set(signedIn()).send({})
+
+    expect(response.status).toBe(403)
+    expect(response.body.error).toBe('Failed to create session')
+    expect(response.body.details.errors[0].code).toBe('9007')
+  })
+
+  it('returns 500 when the SDK call throws', async () => {
+    client.sessions.createSession.mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+
+    const response = await request(app).post('/api/session').set(signedIn()).send({})
+
+    expect(response.status).toBe(500)
+    expect(response.body).toEqual({
+      error: 'Failed to create session',
+      message: 'connect ECONNREFUSED'
+    })
+  })
+})
@@ -0,0 +1,388 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { billingDate, createSubscriptionStore } from '../../server/subscriptions.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { signedIn, TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient, payment, sdkResponse } from '../helpers/fakeWorldlineClient.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// The date a number of days from today (UTC) as YYYY-MM-DD
+const daysFromToday = (days) => new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10)
+
+// Successful recurring payment carrying the scheme reference of the first one
+const recurringPayment = (overrides = {}) => {
+  const result = payment(overrides)
+  result.paymentOutput.cardPaymentMethodSpecificOutput.schemeReferenceData = 'SCHEME_REF_123'
+  return result
+}
+
+const declined = () => sdkResponse(402, {
+  paymentResult: { payment: payment({ id: 'pay_declined', status: 'REJECTED', statusCode: 2 }) }
+})
+
+describe('Subscriptions', () => {
+  let dataDir
+  let cardStore
+  let client
+  let app
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    cardStore = createCardStore(path.join(dataDir, 'cards.jsonl'))
+    cardStore.add('user_123', 'token_123')
+    client = createFakeWorldlineClient()
+    app = createApp({
+      client,
+      ledger: createLedger(path.join(dataDir, 'ledger.jsonl')),
+      webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+      cardStore,
+      authSecret: TEST_AUTH_SECRET,
+      subscriptionStore: createSubscriptionStore(path.join(dataDir, 'subscriptions.jsonl'))
+    })
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  const subscribe = (body = {}) => request(app).post('/api/subscriptions').set(signedIn()).send({
+    token: 'token_123',
+    paymentProductId: 1,
+    customerId: 'customer_42',
+    amount: 1500,
+    currency: 'AUD',
+    interval: 'monthly',
+    ...body
+  })
+
+  // Run the scheduler when the subscription's next charge is due and return the result
+  const runWhenDue = async (subscriptionId) => {
+    const { body } = await request(app).get(`/api/subscriptions/${subscriptionId}`).set(signedIn())
+    await app.locals.subscriptionScheduler.runDue(new Date(body.nextChargeAt))
+    return (await request(app).get(`/api/subscriptions/${subscriptionId}`).set(signedIn())).body
+  }
+
+  describe('POST /api/subscriptions', () => {
+    it('charges the first period as a customer-initiated recurring payment', async () => {
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, { payment: recurringPayment({ amount: 1500 }) }))
+
+      const response = await subscribe()
+
+      expect(response.status).toBe(201)
+      const { subscription } = response.body
+      expect(subscription).toMatchObject({
+        customerId: 'customer_42',
+        amount: 1500,
+        currency: 'AUD',
+        interval: 'monthly',
+        status: 'active',
+        period: 1,
+        lastPaymentId: 'pay_123',
+        schemeReferenceData: 'SCHEME_REF_123'
+      })
+      expect(subscription.nextChargeAt).toBe(billingDate(subscription.startDate, 'monthly', 1).toISOString())
+      expect(response.body.payment).toMatchObject({ success: true, paymentId: 'pay_123' })
+
+      const [, body] = client.payments.createPayment.mock.calls[0]
+      expect(body.cardPaymentMethodSpecificInput).toMatchObject({
+        token: 'token_123',
+        isRecurring: true,
+        recurring: { recurringPaymentSequenceIndicator: 'first' }
+      })
+      expect(body.order.amountOfMoney).toEqual({ amount: 1500, currencyCode: 'AUD' })
+      expect(body.order.customer).toMatchObject({ merchantCustomerId: 'user_123', device: expect.any(Object) })
+
+      const payments = await request(app).get('/api/payments').set(signedIn()).query({ subscriptionId: subscription.id })
+      expect(payments.body.payments).toEqual([expect.objectContaining({ paymentId: 'pay_123', amount: 1500 })])
+    })
+
+    it('verifies the card without charging when the subscription starts later', async () => {
+      const startDate = daysFromToday(10)
+
+      const response = await subscribe({ startDate })
+
+      expect(response.status).toBe(201)
+      expect(response.body.subscription).toMatchObject({ period: 0, nextChargeAt: `${startDate}T00:00:00.000Z` })
+      expect(response.body.payment).toBeNull()
+      const [, body] = client.payments.createPayment.mock.calls[0]
+      expect(body.order.amountOfMoney.amount).toBe(0)
+      expect(body.cardPaymentMethodSpecificInput.recurring.recurringPaymentSequenceIndicator).toBe('first')
+      expect((await request(app).get('/api/payments').set(signedIn())).body.total).toBe(0)
+    })
+
+    it('does not subscribe when the first charge is declined', async () => {
+      client.payments.createPayment.mockResolvedValueOnce(declined())
+
+      const response = await subscribe()
+
+      expect(response.status).toBe(400)
+      expect(response.body).toMatchObject({ success: false, status: 'REJECTED', statusCode: 2 })
+      expect((await request(app).get('/api/subscriptions').set(signedIn())).body.subscriptions).toEqual([])
+    })
+
+    it('refuses cards that need 3D Secure', async () => {
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, {
+        payment: payment({ status: 'REDIRECTED', statusCode: 46 }),
+        merchantAction: { actionType: 'REDIRECT', redirectData: { redirectURL: 'https://bank.example/3ds' } }
+      }))
+
+      const response = await subscribe()
+
+      expect(response.status).toBe(409)
+      expect(response.body.error).toBe('Card requires authentication')
+      expect((await request(app).get('/api/subscriptions').set(signedIn())).body.subscriptions).toEqual([])
+    })
+
+    it('does not subscribe when the first charge is left pending', async () => {
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, { payment: payment({ status: 'PENDING_FRAUD_APPROVAL', statusCode: 21 }) }))
+
+      const response = await subscribe()
+
+      expect(response.status).toBe(409)
+      expect(response.body).toMatchObject({ error: 'Payment not completed', actionRequired: true, status: 'PENDING_FRAUD_APPROVAL' })
+      expect(client.payments.capturePayment).not.toHaveBeenCalled()
+      expect((await request(app).get('/api/subscriptions').set(signedIn())).body.subscriptions).toEqual([])
+    })
+
+    it.each([
+      [{ interval: 'fortnightly' }, 'Invalid interval'],
+      [{ startDate: daysFromToday(-1) }, 'Invalid start date'],
+      [{ startDate: '15/01/2030' }, 'Invalid start date'],
+      [{ amount: 10.5 }, 'Invalid amount'],
+      [{ token: undefined }, 'Missing required fields']
+    ])('rejects %j', async (body, error) => {
+      const response = await subscribe(body)
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe(error)
+      expect(client.payments.createPayment).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('scheduler', () => {
+    it('charges due subscriptions as merchant-initiated recurring payments', async () => {
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, { payment: recurringPayment() }))
+      const { subscription } = (await subscribe()).body
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, { payment: payment({ id: 'pay_456', amount: 1500 }) }))
+
+      const charged = await runWhenDue(subscription.id)
+
+      expect(charged).toMatchObject({ status: 'active', period: 2, failedAttempts: 0, lastPaymentId: 'pay_456' })
+      expect(charged.nextChargeAt).toBe(billingDate(subscription.startDate, 'monthly', 2).toISOString())
+
+      const [, body, context] = client.payments.createPayment.mock.calls[1]
+      expect(body.cardPaymentMethodSpecificInput).toMatchObject({
+        token: 'token_123',
+        isRecurring: true,
+        recurring: { recurringPaymentSequenceIndicator: 'recurring' },
+        schemeReferenceData: 'SCHEME_REF_123',
+        threeDSecure: { skipAuthentication: true }
+      })
+      expect(body.order.customer).toEqual({ merchantCustomerId: 'user_123' })
+      expect(context).toEqual({ idempotence: { key: `${subscription.id}:1:1` } })
+    })
+
+    it('charges on behalf of the user who subscribed, not the customer ID sent with the subscription', async () => {
+      cardStore.add('user_456', 'token_123')
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, { payment: recurringPayment() }))
+      const { subscription } = (await request(app).post('/api/subscriptions').set(signedIn('user_456')).send({
+        token: 'token_123',
+        customerId: 'user_123',
+        amount: 1500,
+        currency: 'AUD',
+        interval: 'monthly'
+      })).body
+      client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, { payment: payment({ id: 'pay_456', amount: 1500 }) }))
+
+      await app.locals.subscriptionScheduler.runDue(new Date(subscription.nextChargeAt))
+
+      const [, body] = client.payments.createPayment.mock.calls[1]
+      expect(body.order.customer).toEqual({ merchantCustomerId: 'user_456' })
+    })
+
+    it('leaves subscriptions alone until they are due', async () => {
+      const { subscription } = (await subscribe()).body
+
+      const due = await app.locals.subscriptionScheduler.runDue(new Date(Date.parse(subscription.nextChargeAt) - 1))
+
+      expect(due).toBe(0)
+      expect(client.payments.createPayment).toHaveBeenCalledTimes(1)
+    })
+
+    it('retries declined charges and cancels once the retries run out', async () => {
+      const { subscription } = (await subscribe()).body
+      client.payments.createPayment.mockResolvedValue(declined())
+
+      const firstDecline = await runWhenDue(subscription.id)
+      expect(firstDecline).toMatchObject({ status: 'past_due', failedAttempts: 1, period: 1 })
+      expect(Date.parse(firstDecline.nextChargeAt) - Date.parse(subscription.nextChargeAt)).toBe(DAY_MS)
+
+      const secondDecline = await runWhenDue(subscription.id)
+      expect(Date.parse(secondDecline.nextChargeAt) - Date.parse(firstDecline.nextChargeAt)).toBe(3 * DAY_MS)
+
+      await runWhenDue(subscription.id)
+      const cancelled = await runWhenDue(subscription.id)
+
+      expect(cancelled).toMatchObject({ status: 'cancelled', cancelReason: 'payment_failed', failedAttempts: 4 })
+      // The first charge, then the original attempt and three retries
+      expect(client.payments.createPayment).toHaveBeenCalledTimes(5)
+      const declines = await request(app).get('/api/payments').set(signedIn()).query({ subscriptionId: subscription.id, status: 'REJECTED' })
+      expect(declines.body.total).toBe(1)
+    })
+
+    it('goes back to the billing schedule after a retry succeeds', async () => {
+      const { subscription } = (await subscribe()).body
+      client.payments.createPayment.mockResolvedValueOnce(declined())
+      await runWhenDue(subscription.id)
+
+      const recovered = await runWhenDue(subscription.id)
+
+      expect(recovered).toMatchObject({ status: 'active', period: 2, failedAttempts: 0 })
+      expect(recovered.nextChargeAt).toBe(billingDate(subscription.startDate, 'monthly', 2).toISOString())
+      const [, , context] = client.payments.createPayment.mock.calls[2]
+      expect(context).toEqual({ idempotence: { key: `${subscription.id}:1:2` } })
+    })
+
+    it('charges once after the scheduler was down and bills the next period from then on', async () => {
+      const { subscription } = (await subscribe()).body
+      const now = new Date(billingDate(subscription.startDate, 'monthly', 3).getTime() + DAY_MS)
+
+      expect(await app.locals.subscriptionScheduler.runDue(now)).toBe(1)
+      expect(await app.locals.subscriptionScheduler.runDue(now)).toBe(0)
+
+      const charged = (await request(app).get(`/api/subscriptions/${subscription.id}`).set(signedIn())).body
+      expect(charged).toMatchObject({ status: 'active', period: 4 })
+      expect(charged.nextChargeAt).toBe(billingDate(subscription.startDate, 'monthly', 4).toISOString())
+      expect(client.payments.createPayment).toHaveBeenCalledTimes(2)
+    })
+
+    it.each([
+      ['3-D Secure', sdkResponse(201, {
+        payment: payment({ id: 'pay_456', status: 'REDIRECTED', statusCode: 46 }),
+        merchantAction: { actionType: 'REDIRECT', redirectData: { redirectURL: 'https://bank.example/3ds' } }
+      })],
+      ['a pending status', sdkResponse(201, { payment: payment({ id: 'pay_456', status: 'PENDING_PAYMENT', statusCode: 46 }) })]
+    ])('needs action instead of counting a charge waiting on %s as paid', async (_, response) => {
+      const { subscription } = (await subscribe()).body
+      client.payments.createPayment.mockResolvedValueOnce(response)
+
+      const pending = await runWhenDue(subscription.id)
+
+      expect(pending).toMatchObject({ status: 'action_required', period: 1, failedAttempts: 1, lastPaymentId: 'pay_456' })
+      expect(client.payments.capturePayment).not.toHaveBeenCalled()
+      expect(await app.locals.subscriptionScheduler.runDue(new Date(Date.parse(pending.nextChargeAt) + 7 * DAY_MS))).toBe(0)
+
+      const resumed = await request(app).post(`/api/subscriptions/${subscription.id}/resume`).set(signedIn())
+      expect(resumed.body).toMatchObject({ status: 'past_due', nextChargeAt: pending.nextChargeAt })
+
+      expect(await runWhenDue(subscription.id)).toMatchObject({ status: 'active', period: 2, failedAttempts: 0 })
+      const [, , context] = client.payments.createPayment.mock.calls[2]
+      expect(context).toEqual({ idempotence: { key: `${subscription.id}:1:2` } })
+    })
+
+    it('tries the same charge again when its outcome is unknown', async () => {
+      const { subscription } = (await subscribe()).body
+      client.payments.createPayment.mockRejectedValueOnce(new Error('socket hang up'))
+
+      const unchanged = await runWhenDue(subscription.id)
+      expect(unchanged).toMatchObject({ status: 'active', period: 1, failedAttempts: 0 })
+
+      await runWhenDue(subscription.id)
+      const [, , first] = client.payments.createPayment.mock.calls[1]
+      const [, , retry] = client.payments.createPayment.mock.calls[2]
+      expect(retry).toEqual(first)
+    })
+  })
+
+  describe('pause, resume and cancel', () => {
+    it('does not charge paused subscriptions and skips the periods missed while paused', async () => {
+      const { subscription } = (await subscribe({ interval: 'daily' })).body
+
+      const paused = await request(app).post(`/api/subscriptions/${subscription.id}/pause`).set(signedIn())
+      expect(paused.body).toMatchObject({ status: 'paused' })
+      expect(await app.locals.subscriptionScheduler.runDue(new Date(Date.now() + 3 * DAY_MS))).toBe(0)
+
+      // Pretend the subscription was paused for three days
+      vi.useFakeTimers({ toFake: ['Date'], now: Date.now() + 3 * DAY_MS })
+      try {
+        const resumed = await request(app).post(`/api/subscriptions/${subscription.id}/resume`).set(signedIn())
+
+        expect(resumed.body).toMatchObject({ status: 'active', period: 4 })
+        expect(Date.parse(resumed.body.nextChargeAt)).toBeGreaterThanOrEqual(Date.now())
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+
+    it('cancels a subscription for good', async () => {
+      const { subscription } = (await subscribe()).body
+
+      const cancelled = await request(app).post(`/api/subscriptions/${subscription.id}/cancel`).set(signedIn())
+      expect(cancelled.body).toMatchObject({ status: 'cancelled', cancelReason: 'requested' })
+
+      expect((await request(app).post(`/api/subscriptions/${subscription.id}/cancel`).set(signedIn())).status).toBe(409)
+      expect((await request(app).post(`/api/subscriptions/${subscription.id}/pause`).set(signedIn())).status).toBe(409)
+      expect((await request(app).post(`/api/subscriptions/${subscription.id}/resume`).set(signedIn())).status).toBe(409)
+      expect(await runWhenDue(subscription.id)).toMatchObject({ status: 'cancelled', period: 1 })
+    })
+
+    it('answers 404 for unknown subscriptions', async () => {
+      const response = await request(app).post('/api/subscriptions/sub_missing/pause').set(signedIn())
+
+      expect(response.status).toBe(404)
+      expect(response.body.error).toBe('Subscription not found')
+    })
+  })
+
+  describe('GET /api/subscriptions', () => {
+    it('lists subscriptions by status and customer', async () => {
+      const first = (await subscribe()).body.subscription
+      await subscribe({ customerId: 'customer_7' })
+      await request(app).post(`/api/subscriptions/${first.id}/pause`).set(signedIn())
+
+      const paused = await request(app).get('/api/subscriptions').set(signedIn()).query({ status: 'paused' })
+      const forCustomer = await request(app).get('/api/subscriptions').set(signedIn()).query({ customerId: 'customer_7' })
+
+      expect(paused.body.subscriptions.map(subscription => subscription.id)).toEqual([first.id])
+      expect(forCustomer.body.subscriptions).toEqual([expect.objectContaining({ customerId: 'customer_7' })])
+    })
+
+    it('rejects an unknown status filter', async () => {
+      const response = await request(app).get('/api/subscriptions').set(signedIn()).query({ status: 'overdue' })
+
+      expect(response.status).toBe(400)
+    })
+
+    it('keeps subscriptions across restarts', async () => {
+      const { subscription } = (await subscribe()).body
+      await request(app).post(`/api/subscriptions/${subscription.id}/pause`).set(signedIn())
+
+      const reloaded = createSubscriptionStore(path.join(dataDir, 'subscriptions.jsonl'))
+
+      expect(reloaded.get(subscription.id)).toMatchObject({ status: 'paused', period: 1 })
+    })
+  })
+
+  describe('billingDate', () => {
+    it('keeps monthly billing on the start day, or the last day of shorter months', () => {
+      const dates = [0, 1, 2, 3].map(period => billingDate('2025-01-31', 'monthly', period).toISOString().slice(0, 10))
+
+      expect(dates).toEqual(['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30'])
+    })
+
+    it('bills yearly subscriptions started on a leap day on Feb 28 in other years', () => {
+      expect(billingDate('2024-02-29', 'yearly', 1).toISOString().slice(0, 10)).toBe('2025-02-28')
+      expect(billingDate('2024-02-29', 'yearly', 4).toISOString().slice(0, 10)).toBe('2028-02-29')
+    })
+  })
+})
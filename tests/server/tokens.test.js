@@ -0,0 +1,150 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { signedIn, TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient, payment, sdkResponse } from '../helpers/fakeWorldlineClient.js'
+
+const verified = () => sdkResponse(201, {
+  creationOutput: { token: 'token_123', isNewToken: true },
+  payment: payment({ amount: 0 })
+})
+
+const savedToken = () => sdkResponse(200, {
+  id: 'token_123',
+  paymentProductId: 1,
+  card: { data: { cardWithoutCvv: { cardNumber: '************1111', expiryDate: '1230', cardholderName: 'TEST USER' } } }
+})
+
+describe('POST /api/tokens', () => {
+  let dataDir
+  let cardStore
+  let client
+  let app
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    cardStore = createCardStore(path.join(dataDir, 'cards.jsonl'))
+    client = createFakeWorldlineClient()
+    client.payments.createPayment.mockResolvedValue(verified())
+    client.tokens.getToken.mockResolvedValue(savedToken())
+    app = createApp({
+      client,
+      ledger: createLedger(path.join(dataDir, 'ledger.jsonl')),
+      webhookStore: createWebhookStore(path.join(dataDir, 'webhook-events.jsonl')),
+      cardStore,
+      authSecret: TEST_AUTH_SECRET
+    })
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  const saveCard = (body) => request(app).post('/api/tokens').set(signedIn()).send(body)
+
+  it('tokenizes the card through a zero-amount, cardholder-initiated verification', async () => {
+    await saveCard({ cardToken: 'encrypted-card', currency: 'NZD' }).expect(200)
+
+    const [, input] = client.payments.createPayment.mock.calls[0]
+    expect(input.encryptedCustomerInput).toBe('encrypted-card')
+    expect(input.order.amountOfMoney).toEqual({ amount: 0, currencyCode: 'NZD' })
+    expect(input.cardPaymentMethodSpecificInput).toMatchObject({
+      tokenize: true,
+      unscheduledCardOnFileRequestor: 'cardholderInitiated',
+      unscheduledCardOnFileSequenceIndicator: 'first'
+    })
+  })
+
+  it('saves the token to the account and returns only display details', async () => {
+    const response = await saveCard({ cardToken: 'encrypted-card' })
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual({
+      success: true,
+      tokenId: 'token_123',
+      isNewToken: true,
+      paymentProductId: 1,
+      maskedCardNumber: '************1111',
+      expiryDate: '1230',
+      cardholderName: 'TEST USER'
+    })
+    expect(client.tokens.getToken).toHaveBeenCalledWith(expect.any(String), 'token_123')
+    expect(cardStore.owns('user_123', 'token_123')).toBe(true)
+  })
+
+  it('takes the token from the payment output when there is no creation output', async () => {
+    const authorized = payment({ amount: 0 })
+    authorized.paymentOutput.cardPaymentMethodSpecificOutput.token = 'token_456'
+    client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, { payment: authorized }))
+
+    const response = await saveCard({ cardToken: 'encrypted-card' })
+
+    expect(response.status).toBe(200)
+    expect(response.body).toMatchObject({ tokenId: 'token_456', isNewToken: false })
+  })
+
+  it('refuses a card that fails verification without saving it', async () => {
+    client.payments.createPayment.mockResolvedValueOnce(sdkResponse(402, {
+      paymentResult: { payment: payment({ status: 'REJECTED', statusCode: 2, amount: 0 }) }
+    }))
+
+    const response = await saveCard({ cardToken: 'encrypted-card' })
+
+    expect(response.status).toBe(400)
+    expect(response.body).toMatchObject({ success: false, error: 'Card could not be verified' })
+    expect(cardStore.owns('user_123', 'token_123')).toBe(false)
+  })
+
+  it('asks for a payment first when the card needs 3-D Secure', async () => {
+    client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, {
+      creationOutput: { token: 'token_123' },
+      merchantAction: { actionType: 'REDIRECT', redirectData: { redirectURL: 'https://issuer.example/3ds' } },
+      payment: payment({ status: 'REDIRECTED', statusCode: 46, amount: 0 })
+    }))
+
+    const response = await saveCard({ cardToken: 'encrypted-card' })
+
+    expect(response.status).toBe(409)
+    expect(response.body.error).toBe('Card requires authentication')
+    expect(cardStore.owns('user_123', 'token_123')).toBe(false)
+  })
+
+  it('reports a verification that returns no token', async () => {
+    client.payments.createPayment.mockResolvedValueOnce(sdkResponse(201, { payment: payment({ amount: 0 }) }))
+
+    const response = await saveCard({ cardToken: 'encrypted-card' })
+
+    expect(response.status).toBe(502)
+    expect(response.body.error).toBe('Tokenization failed')
+    expect(client.tokens.getToken).not.toHaveBeenCalled()
+  })
+
+  it('rejects a request without a card or with a currency we do not sell in', async () => {
+    const missing = await saveCard({})
+    const currency = await saveCard({ cardToken: 'encrypted-card', currency: 'XYZ' })
+
+    expect(missing.status).toBe(400)
+    expect(missing.body.error).toBe('Missing required fields')
+    expect(currency.status).toBe(400)
+    expect(currency.body.error).toBe('Unsupported currency')
+    expect(client.payments.createPayment).not.toHaveBeenCalled()
+  })
+
+  it('returns 500 when the SDK call throws', async () => {
+    client.payments.createPayment.mockRejectedValueOnce(new Error('connect ETIMEDOUT'))
+
+    const response = await saveCard({ cardToken: 'encrypted-card' })
+
+    expect(response.status).toBe(500)
+    expect(response.body).toEqual({ error: 'Tokenization failed', message: 'connect ETIMEDOUT' })
+  })
+})
@@ -0,0 +1,107 @@
+// @vitest-environment node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApp } from '../../server.js'
+import { createCardStore } from '../../server/cardStore.js'
+import { createLedger } from '../../server/ledger.js'
+import { sampleWebhookEvent, signWebhook } from '../../server/testWebhook.js'
+import { createWebhookStore } from '../../server/webhookStore.js'
+import { TEST_AUTH_SECRET } from '../helpers/auth.js'
+import { createFakeWorldlineClient } from '../helpers/fakeWorldlineClient.js'
+
+const KEY_ID = process.env.ANZ_WORLDLINE_WEBHOOK_KEY_ID
+const SECRET = process.env.ANZ_WORLDLINE_WEBHOOK_SECRET
+
+describe('POST /api/webhooks/worldline', () => {
+  let dataDir
+  let webhookStore
+  let app
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldline-test-'))
+    webhookStore = createWebhookStore(path.join(dataDir, 'webhook-events.jsonl'))
+    app = createApp({
+      client: createFakeWorldlineClient(),
+      ledger: createLedger(path.join(dataDir, 'ledger.jsonl')),
+      webhookStore,
+      cardStore: createCardStore(path.join(dataDir, 'cards.jsonl')),
+      authSecret: TEST_AUTH_SECRET
+    })
+  })
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  // Posts the exact bytes that were signed, like Worldline does
+  const deliver = (body, headers = signWebhook(body, KEY_ID, SECRET)) =>
+    request(app).post('/api/webhooks/worldline').set(headers).send(body)
+
+  it('stores a signed event without a signed-in user', async () => {
+    const event = sampleWebhookEvent({ eventType: 'payment.refunded', paymentId: 'pay_123' })
+
+    const response = await deliver(JSON.stringify(event))
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual({ received: true })
+    expect(webhookStore.list({ paymentId: 'pay_123' })).toEqual([
+      expect.objectContaining({
+        id: event.id,
+        type: 'payment.refunded',
+        objectId: 'pay_123',
+        status: 'REFUNDED',
+        statusCategory: 'REFUNDED',
+        payload: event
+      })
+    ])
+  })
+
+  it('rejects a body changed after it was signed', async () => {
+    const body = JSON.stringify(sampleWebhookEvent({ paymentId: 'pay_123' }))
+    const headers = signWebhook(body, KEY_ID, SECRET)
+
+    const response = await deliver(body.replace('"amount":10000', '"amount":1'), headers)
+
+    expect(response.status).toBe(401)
+    expect(response.body.error).toBe('Invalid webhook signature')
+    expect(webhookStore.list()).toEqual([])
+  })
+
+  it('rejects events signed with another key', async () => {
+    const body = JSON.stringify(sampleWebhookEvent())
+
+    const wrongSecret = await deliver(body, signWebhook(body, KEY_ID, 'another-secret'))
+    const unknownKey = await deliver(body, signWebhook(body, 'another-key', SECRET))
+
+    expect(wrongSecret.status).toBe(401)
+    expect(unknownKey.status).toBe(401)
+    expect(webhookStore.list()).toEqual([])
+  })
+
+  it('rejects replays of old events', async () => {
+    const created = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString()
+
+    const response = await deliver(JSON.stringify(sampleWebhookEvent({ created })))
+
+    expect(response.status).toBe(400)
+    expect(response.body.error).toBe('Stale webhook')
+    expect(webhookStore.list()).toEqual([])
+  })
+
+  it('acknowledges a redelivered event without storing it twice', async () => {
+    const body = JSON.stringify(sampleWebhookEvent({ paymentId: 'pay_123' }))
+
+    await deliver(body).expect(200)
+    const redelivery = await deliver(body)
+
+    expect(redelivery.status).toBe(200)
+    expect(redelivery.body).toEqual({ received: true, duplicate: true })
+    expect(webhookStore.list()).toHaveLength(1)
+    expect(fs.readFileSync(path.join(dataDir, 'webhook-events.jsonl'), 'utf8').trim().split('\n')).toHaveLength(1)
+  })
+})
@@ -0,0 +1,24 @@
+/**
+ * Shared test setup
+ *
+ * Adds the jest-dom matchers (toBeInTheDocument, toBeDisabled, ...) and resets
+ * spies, stubbed globals, the DOM and browser storage between tests.
+ */
+
+import '@testing-library/jest-dom/vitest'
+import { afterEach, vi } from 'vitest'
+
+afterEach(async () => {
+  vi.restoreAllMocks()
+  vi.unstubAllGlobals()
+
+  // Server tests run in the node environment - nothing rendered, no browser storage
+  if (typeof window === 'undefined') {
+    return
+  }
+
+  const { cleanup } = await import('@testing-library/react')
+  cleanup()
+  window.localStorage.clear()
+  window.sessionStorage.clear()
+})
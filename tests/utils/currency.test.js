@@ -0,0 +1,39 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { amountStep, formatAmount, isSupportedCurrency, toMajorUnits, toMinorUnits } from '../../src/utils/currency'
+
+describe('currency', () => {
+  it('converts typed amounts to minor units with the ISO 4217 exponent', () => {
+    expect(toMinorUnits('25.50', 'AUD')).toBe(2550)
+    expect(toMinorUnits('0.29', 'NZD')).toBe(29)
+    expect(toMinorUnits('2550', 'JPY')).toBe(2550)
+    expect(toMinorUnits('1.5', 'KWD')).toBe(1500)
+  })
+
+  it('rejects amounts with more decimals than the currency has', () => {
+    expect(toMinorUnits('100.5', 'JPY')).toBeNull()
+    expect(toMinorUnits('1.005', 'AUD')).toBeNull()
+    expect(toMinorUnits('-5', 'AUD')).toBeNull()
+    expect(toMinorUnits('', 'AUD')).toBeNull()
+  })
+
+  it('converts minor units back to input values', () => {
+    expect(toMajorUnits(2550, 'AUD')).toBe('25.50')
+    expect(toMajorUnits(2550, 'JPY')).toBe('2550')
+    expect(toMajorUnits(1500, 'KWD')).toBe('1.500')
+    expect(amountStep('AUD')).toBe('0.01')
+    expect(amountStep('JPY')).toBe('1')
+    expect(amountStep('KWD')).toBe('0.001')
+  })
+
+  it('formats amounts with the currency code and its decimals', () => {
+    expect(formatAmount(123450, 'AUD', 'en-AU')).toMatch(/^AUD\s1,234\.50$/)
+    expect(formatAmount(123450, 'JPY', 'en-AU')).toMatch(/^JPY\s123,450$/)
+    expect(formatAmount(1500, 'KWD', 'en-AU')).toMatch(/^KWD\s1\.500$/)
+  })
+
+  it('only supports currencies in the table', () => {
+    expect(isSupportedCurrency('NZD')).toBe(true)
+    expect(isSupportedCurrency('XYZ')).toBe(false)
+  })
+})
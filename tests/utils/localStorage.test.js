@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest'
+import * as wallet from '../../src/utils/localStorage'
+
+const card = (tokenId) => ({ tokenId, maskedCardNumber: '************1111', cardType: 'Visa' })
+
+describe('localStorage wallet', () => {
+  it('keeps a separate wallet for each user', () => {
+    wallet.add('user_a', card('token_a'))
+    wallet.add('user_b', card('token_b'))
+    wallet.remove('user_b', 'token_a')
+
+    expect(wallet.list('user_a').map(entry => entry.tokenId)).toEqual(['token_a'])
+    expect(wallet.list('user_b').map(entry => entry.tokenId)).toEqual(['token_b'])
+    expect(window.localStorage.getItem('worldline_wallet:user_a')).toContain('token_a')
+  })
+
+  it('has no wallet without a signed-in user', () => {
+    expect(wallet.load(null).cards).toEqual([])
+    expect(wallet.add(null, card('token_a'))).toBeNull()
+  })
+
+  it('moves the wallet shared by the browser to the first user who signs in', () => {
+    window.localStorage.setItem('worldline_wallet', JSON.stringify({ version: 2, defaultTokenId: 'token_old', cards: [card('token_old')] }))
+
+    expect(wallet.list('user_a').map(entry => entry.tokenId)).toEqual(['token_old'])
+    expect(wallet.list('user_b')).toEqual([])
+    expect(window.localStorage.getItem('worldline_wallet')).toBeNull()
+  })
+
+  it('only tells about changes to the user\'s own wallet', () => {
+    const changes = []
+    const unsubscribe = wallet.subscribe('user_a', updated => changes.push(updated))
+
+    window.dispatchEvent(new StorageEvent('storage', { key: 'worldline_wallet:user_b' }))
+    window.localStorage.setItem('worldline_wallet:user_a', JSON.stringify({ version: 2, defaultTokenId: null, cards: [card('token_a')] }))
+    window.dispatchEvent(new StorageEvent('storage', { key: 'worldline_wallet:user_a' }))
+    unsubscribe()
+
+    expect(changes).toHaveLength(1)
+    expect(changes[0].cards).toEqual([card('token_a')])
+  })
+})
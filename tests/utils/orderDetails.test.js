@@ -0,0 +1,74 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { buildOrder, emptyLineItem, emptyOrderDetails } from '../../src/utils/orderDetails'
+
+describe('orderDetails', () => {
+  it('sends no order when nothing is filled in', () => {
+    expect(buildOrder(emptyOrderDetails('AU'))).toBeUndefined()
+    expect(buildOrder({ ...emptyOrderDetails('AU'), email: '   ', shipToBillingAddress: true })).toBeUndefined()
+  })
+
+  it('builds the customer, billing address and references from trimmed fields', () => {
+    const order = buildOrder({
+      ...emptyOrderDetails('nz'),
+      merchantReference: ' ORDER-1001 ',
+      descriptor: 'ACME*ORDER 1001',
+      email: 'jane@example.com',
+      phone: '+64 9 555 0100',
+      firstName: 'Jane',
+      surname: 'Citizen',
+      street: '1 Queen St',
+      city: 'Auckland',
+      zip: '1010'
+    })
+
+    expect(order).toEqual({
+      merchantReference: 'ORDER-1001',
+      descriptor: 'ACME*ORDER 1001',
+      customer: {
+        email: 'jane@example.com',
+        phone: '+64 9 555 0100',
+        firstName: 'Jane',
+        surname: 'Citizen',
+        billingAddress: { street: '1 Queen St', city: 'Auckland', zip: '1010', countryCode: 'NZ' }
+      }
+    })
+  })
+
+  it('ships to the billing address only when there is one', () => {
+    const details = { ...emptyOrderDetails('AU'), firstName: 'Jane', shipToBillingAddress: true }
+    expect(buildOrder(details)).toEqual({ customer: { firstName: 'Jane' } })
+
+    expect(buildOrder({ ...details, city: 'Sydney' }).shipping).toEqual({
+      firstName: 'Jane',
+      address: { city: 'Sydney', countryCode: 'AU' }
+    })
+  })
+  it('prices the line items in minor units and leaves out blank rows', () => {
+    const details = {
+      ...emptyOrderDetails('AU'),
+      lineItems: [
+        { ...emptyLineItem(), description: ' Coffee beans ', productCode: 'BEANS-1', quantity: '2', price: '12.50' },
+        emptyLineItem(),
+        { ...emptyLineItem(), description: 'Grinder', price: '30' }
+      ]
+    }
+
+    expect(buildOrder(details, 'AUD').lineItems).toEqual([
+      { description: 'Coffee beans', productCode: 'BEANS-1', quantity: 2, amountPerItem: 1250 },
+      { description: 'Grinder', quantity: 1, amountPerItem: 3000 }
+    ])
+    expect(buildOrder({ ...details, lineItems: [emptyLineItem()] }, 'AUD')).toBeUndefined()
+  })
+
+  it('sends line items that do not parse as typed, for the backend to refuse', () => {
+    const details = {
+      ...emptyOrderDetails('AU'),
+      lineItems: [{ ...emptyLineItem(), description: 'Coffee beans', quantity: '1.5', price: '12.505' }]
+    }
+
+    expect(buildOrder(details, 'AUD').lineItems).toEqual([
+      { description: 'Coffee beans', quantity: '1.5', amountPerItem: '12.505' }
+    ])
+  })
+})
@@ -0,0 +1,56 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { REDACTED, mask, redact, redactText } from '../../src/utils/redact'
+
+describe('redact', () => {
+  it('removes card data, credentials and customer PII at any depth', () => {
+    const redacted = redact({
+      paymentId: 'pay_123',
+      encryptedCustomerInput: 'eyJhbGciOi...',
+      card: { cvv: '123', cardholderName: 'Jane Citizen', cardNumber: '4111111111111111' },
+      customer: {
+        contactDetails: { emailAddress: 'jane@example.com', phoneNumber: '+61 2 5550 0100' },
+        billingAddress: { street: '1 George St', zip: '2000', city: 'Sydney', countryCode: 'AU' },
+        device: { ipAddress: '203.0.113.7' }
+      },
+      headers: { Authorization: 'GCS v1HMAC:key:signature' }
+    })
+
+    expect(redacted).toEqual({
+      paymentId: 'pay_123',
+      encryptedCustomerInput: REDACTED,
+      card: { cvv: REDACTED, cardholderName: REDACTED, cardNumber: '************1111' },
+      customer: {
+        contactDetails: { emailAddress: REDACTED, phoneNumber: REDACTED },
+        billingAddress: { street: REDACTED, zip: REDACTED, city: 'Sydney', countryCode: 'AU' },
+        device: { ipAddress: REDACTED }
+      },
+      headers: { Authorization: REDACTED }
+    })
+  })
+
+  it('keeps the last 4 characters of tokens and session IDs', () => {
+    expect(redact({ token: '0ca037cc-9079-4df7-8f6f-f2a3443ee521', clientSessionId: 'session_123', tokens: ['token_abcd'] }))
+      .toEqual({ token: '************e521', clientSessionId: '*******_123', tokens: ['******abcd'] })
+    expect(mask('1234')).toBe(REDACTED)
+  })
+
+  it('scrubs card numbers, authorization headers and embedded JSON from text', () => {
+    expect(redactText('Card 4111 1111 1111 1111 declined')).toBe('Card ************1111 declined')
+    expect(redactText('Order 4111111111111112 created')).toBe('Order 4111111111111112 created')
+    expect(redactText('authorization: GCS v1HMAC:keyId:c2lnbmF0dXJl')).toBe(`authorization: GCS v1HMAC:${REDACTED}`)
+    expect(redactText('body: {"cardToken":"abc","amount":100,"cvv":123,"tokenId":"token_5678"}'))
+      .toBe(`body: {"cardToken":"${REDACTED}","amount":100,"cvv":"${REDACTED}","tokenId":"******5678"}`)
+  })
+
+  it('turns errors into name, message and stack and survives cycles', () => {
+    const error = new Error('Card 4111111111111111 rejected')
+    const cyclic = { error }
+    cyclic.self = cyclic
+
+    const redacted = redact(cyclic)
+    expect(redacted.error).toMatchObject({ name: 'Error', message: 'Card ************1111 rejected' })
+    expect(redacted.error.stack).not.toContain('4111111111111111')
+    expect(redacted.self).toBe('[Circular]')
+  })
+})
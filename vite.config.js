@@ -6,5 +6,20 @@ export default defineConfig({
   server: {
     port: 5173,
     open: true
+  },
+  test: {
+    // Component tests run in jsdom; server tests opt into node with a @vitest-environment comment
+    environment: 'jsdom',
+    setupFiles: ['./tests/setup.js'],
+    // server.js reads its config at import - keep tests independent of .env.local
+    env: {
+      ANZ_WORLDLINE_PSPID: 'test-merchant',
+      ANZ_WORLDLINE_API_KEY_ID: 'test-key-id',
+      ANZ_WORLDLINE_API_SECRET_KEY: 'test-secret',
+      ANZ_WORLDLINE_CAPTURE_MODE: 'auto',
+      ANZ_WORLDLINE_RETURN_URL: 'http://localhost:5173/',
+      ANZ_WORLDLINE_WEBHOOK_KEY_ID: 'test-webhook-key',
+      ANZ_WORLDLINE_WEBHOOK_SECRET: 'test-webhook-secret'
+    }
   }
 })